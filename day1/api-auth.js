@@ -0,0 +1,564 @@
+/**
+ * API Auth - API keys and per-key daily quotas for the agent servers
+ *
+ * Every server from Day 1 to Day 18 mounts the same middleware. When enabled, each
+ * /api request needs a key (`Authorization: Bearer <key>` or `X-API-Key: <key>`), and
+ * the tokens and cost it uses count against that key's daily quota. Usage comes from
+ * the shared LLM provider layer. Servers that call their models some other way pass
+ * `meterResponseBodies: true` and are metered from the `usage` objects (and
+ * `cost.total` estimates) in their JSON responses instead.
+ *
+ * Keys live in one JSON file shared by all servers, so a key issued through any
+ * server's admin route works everywhere. Only a hash of each key is stored. Servers
+ * merge their usage into the file under a lock rather than overwriting it, so a key
+ * used through several servers at once is charged for all of it.
+ *
+ * Configuration (environment):
+ *   API_AUTH_ENABLED       "true" to require a key on every /api route (default: off)
+ *   ADMIN_API_KEY          secret for the /api/admin routes; key management is off without it
+ *   API_KEYS_FILE          key store (default: day1/data/api-keys.json)
+ *   API_KEY_DAILY_TOKENS   default daily token quota for new keys (default: 200000)
+ *   API_KEY_DAILY_COST     default daily cost quota in USD for new keys (default: none)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { onUsage } = require('./llm-providers');
+const { writeFileAtomic, withFileLock, generateId } = require('./json-store');
+
+// USD per million tokens; the first entry whose pattern appears in the model id wins
+// cachedInput (prompt-cache reads) and cacheWrite are used by Day 5's cost accounting
+const MODEL_PRICING = [
+    { pattern: 'haiku-4', input: 1, output: 5, cachedInput: 0.1, cacheWrite: 1.25 },
+    { pattern: '3-5-haiku', input: 0.8, output: 4, cachedInput: 0.08, cacheWrite: 1 },
+    { pattern: 'haiku', input: 0.25, output: 1.25, cachedInput: 0.03, cacheWrite: 0.3 },
+    { pattern: 'sonnet', input: 3, output: 15, cachedInput: 0.3, cacheWrite: 3.75 },
+    { pattern: 'opus-4-5', input: 5, output: 25, cachedInput: 0.5, cacheWrite: 6.25 },
+    { pattern: 'opus', input: 15, output: 75, cachedInput: 1.5, cacheWrite: 18.75 },
+    { pattern: 'gpt-4o-mini', input: 0.15, output: 0.6, cachedInput: 0.075 },
+    { pattern: 'gpt-4o', input: 2.5, output: 10, cachedInput: 1.25 },
+    { pattern: 'mock', input: 0, output: 0 }
+];
+
+// Unknown models are priced like Sonnet so quotas err on the side of caution
+const DEFAULT_PRICING = { input: 3, output: 15, cachedInput: 0.3, cacheWrite: 3.75 };
+
+const USAGE_RETENTION_DAYS = 30;
+const EMPTY_USAGE = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+const EXEMPT_PATHS = ['/api/health'];
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function estimateCost(model, usage) {
+    const pricing = MODEL_PRICING.find(entry => String(model || '').includes(entry.pattern)) || DEFAULT_PRICING;
+    return ((usage.input_tokens || 0) * pricing.input + (usage.output_tokens || 0) * pricing.output) / 1000000;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Quotas are daily in UTC; retry hints point at the next midnight
+function secondsUntilReset() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function parseLimit(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const limit = Number(value);
+    return Number.isFinite(limit) && limit >= 0 ? limit : null;
+}
+
+/**
+ * Sum token usage and cost estimates found in a response body. An object with numeric
+ * input_tokens/output_tokens counts once and is not searched further.
+ */
+function collectUsage(value, totals = { inputTokens: 0, outputTokens: 0, cost: 0 }, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 8) return totals;
+
+    if (typeof value.input_tokens === 'number' && typeof value.output_tokens === 'number') {
+        totals.inputTokens += value.input_tokens;
+        totals.outputTokens += value.output_tokens;
+        totals.cost += estimateCost(value.model, value);
+        return totals;
+    }
+
+    if (value.cost && typeof value.cost.total === 'number') {
+        totals.cost += value.cost.total;
+    }
+
+    Object.entries(value).forEach(([key, child]) => {
+        if (key !== 'cost') collectUsage(child, totals, depth + 1);
+    });
+
+    return totals;
+}
+
+function addUsage(usage, delta) {
+    return {
+        requests: usage.requests + delta.requests,
+        inputTokens: usage.inputTokens + delta.inputTokens,
+        outputTokens: usage.outputTokens + delta.outputTokens,
+        cost: parseFloat((usage.cost + delta.cost).toFixed(6))
+    };
+}
+
+// Fold the later of two unsaved changes to the same key into the earlier one
+function combineChanges(earlier, later) {
+    const usage = { ...earlier.usage };
+    Object.entries(later.usage).forEach(([day, delta]) => {
+        usage[day] = addUsage(usage[day] || EMPTY_USAGE, delta);
+    });
+    return {
+        created: earlier.created || later.created,
+        revokedAt: earlier.revokedAt || later.revokedAt,
+        lastUsedAt: [earlier.lastUsedAt, later.lastUsedAt].filter(Boolean).sort().pop() || null,
+        usage
+    };
+}
+
+/**
+ * Every server keeps the keys in memory and shares one file. Each change made here
+ * (issuing, revoking, usage) is also kept as an unsaved change; saving takes the file
+ * lock, re-reads the file and applies the unsaved changes on top of it, so usage other
+ * servers recorded in the meantime is added to, not overwritten.
+ */
+class KeyStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.keys = new Map();
+        this.changes = new Map();
+        this.loadedMtime = 0;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    readFile() {
+        if (!fs.existsSync(this.filePath)) return new Map();
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return new Map((data.keys || []).map(record => [record.id, record]));
+    }
+
+    // Apply unsaved changes to records read from the file
+    applyChanges(records, changes) {
+        const cutoff = new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        changes.forEach((change, id) => {
+            const record = records.get(id) || (change.created && { ...change.created, usage: {} });
+            if (!record) return;
+
+            record.revokedAt = record.revokedAt || change.revokedAt;
+            record.lastUsedAt = [record.lastUsedAt, change.lastUsedAt].filter(Boolean).sort().pop() || null;
+            Object.entries(change.usage).forEach(([day, delta]) => {
+                record.usage[day] = addUsage(record.usage[day] || EMPTY_USAGE, delta);
+            });
+            Object.keys(record.usage).filter(date => date < cutoff).forEach(date => delete record.usage[date]);
+            records.set(id, record);
+        });
+        return records;
+    }
+
+    load() {
+        try {
+            this.keys = this.applyChanges(this.readFile(), this.changes);
+            if (fs.existsSync(this.filePath)) this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+        } catch (error) {
+            console.error(`Failed to load API keys from ${this.filePath}:`, error.message);
+        }
+    }
+
+    // Other servers write the same file; pick up their changes before reading or updating
+    refresh() {
+        try {
+            if (fs.existsSync(this.filePath) && fs.statSync(this.filePath).mtimeMs > this.loadedMtime) {
+                this.load();
+            }
+        } catch (error) {
+            console.error(`Failed to check API key store ${this.filePath}:`, error.message);
+        }
+    }
+
+    // Apply a change in memory and keep it for the next save
+    change(id, update) {
+        const change = { created: null, revokedAt: null, lastUsedAt: null, usage: {}, ...update };
+        this.applyChanges(this.keys, new Map([[id, change]]));
+        this.changes.set(id, this.changes.has(id) ? combineChanges(this.changes.get(id), change) : change);
+    }
+
+    /**
+     * Merge the unsaved changes into the file under its lock. Saves queue behind each
+     * other; one that finds nothing left to write returns without touching the file.
+     * Failures are logged and the changes are kept for the next save.
+     */
+    save() {
+        this.pendingWrite = this.pendingWrite
+            .then(() => withFileLock(this.filePath, () => this.writeMerged()))
+            .catch(error => console.error('Failed to save API keys:', error.message));
+        return this.pendingWrite;
+    }
+
+    async writeMerged() {
+        if (this.changes.size === 0) return;
+
+        const saving = this.changes;
+        this.changes = new Map();
+        try {
+            const records = this.applyChanges(this.readFile(), saving);
+            const text = JSON.stringify({ keys: Array.from(records.values()), savedAt: new Date().toISOString() }, null, 2);
+            await writeFileAtomic(this.filePath, text, { mode: 0o600 });
+        } catch (error) {
+            // Changes made while this write was running came later than the ones it held
+            this.changes.forEach((change, id) => {
+                saving.set(id, saving.has(id) ? combineChanges(saving.get(id), change) : change);
+            });
+            this.changes = saving;
+            throw error;
+        }
+        this.load();
+    }
+
+    issue({ name, dailyTokenLimit, dailyCostLimit }) {
+        this.refresh();
+
+        const key = `ak_${crypto.randomBytes(24).toString('hex')}`;
+        const record = {
+            id: generateId('key'),
+            name: name || 'unnamed',
+            keyHash: hashKey(key),
+            keyPrefix: key.substring(0, 10),
+            dailyTokenLimit,
+            dailyCostLimit,
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            lastUsedAt: null,
+            usage: {}
+        };
+
+        this.change(record.id, { created: record });
+        this.save();
+        return { key, record: this.keys.get(record.id) };
+    }
+
+    findByKey(key) {
+        this.refresh();
+        const keyHash = hashKey(key);
+        return Array.from(this.keys.values()).find(record => (
+            crypto.timingSafeEqual(Buffer.from(record.keyHash, 'hex'), Buffer.from(keyHash, 'hex'))
+        )) || null;
+    }
+
+    revoke(id) {
+        this.refresh();
+        const record = this.keys.get(id);
+        if (!record) return null;
+
+        if (!record.revokedAt) {
+            this.change(id, { revokedAt: new Date().toISOString() });
+            this.save();
+        }
+        return record;
+    }
+
+    usageToday(record) {
+        return record.usage[today()] || { ...EMPTY_USAGE };
+    }
+
+    recordUsage(id, { requests = 0, inputTokens = 0, outputTokens = 0, cost = 0 }) {
+        this.refresh();
+        if (!this.keys.has(id)) return;
+
+        this.change(id, {
+            lastUsedAt: new Date().toISOString(),
+            usage: { [today()]: { requests, inputTokens, outputTokens, cost } }
+        });
+        this.save();
+    }
+
+    // What key holders and admins get to see; never includes the hash
+    summarize(record) {
+        const usage = this.usageToday(record);
+        const tokens = usage.inputTokens + usage.outputTokens;
+
+        return {
+            id: record.id,
+            name: record.name,
+            keyPrefix: record.keyPrefix,
+            status: record.revokedAt ? 'revoked' : 'active',
+            createdAt: record.createdAt,
+            revokedAt: record.revokedAt,
+            lastUsedAt: record.lastUsedAt,
+            quota: {
+                dailyTokenLimit: record.dailyTokenLimit,
+                dailyCostLimit: record.dailyCostLimit,
+                tokensRemaining: record.dailyTokenLimit === null ? null : Math.max(record.dailyTokenLimit - tokens, 0),
+                costRemaining: record.dailyCostLimit === null ? null : parseFloat(Math.max(record.dailyCostLimit - usage.cost, 0).toFixed(6)),
+                resetsInSeconds: secondsUntilReset()
+            },
+            today: { ...usage, tokens }
+        };
+    }
+
+    list() {
+        this.refresh();
+        return Array.from(this.keys.values())
+            .map(record => this.summarize(record))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+/**
+ * Usage context for work that outlives its request, such as a sweep answered with 202.
+ * The request's own context is recorded when the response closes, so provider calls
+ * made afterwards run here instead and are charged to the key as they complete.
+ */
+class KeyJob {
+    constructor(auth, keyId) {
+        this.auth = auth;
+        this.keyId = keyId;
+        this.context = { keyId, metered: false, inputTokens: 0, outputTokens: 0, cost: 0 };
+        this.recorded = { inputTokens: 0, outputTokens: 0, cost: 0 };
+    }
+
+    run(fn) {
+        return this.auth.requestContext.run(this.context, fn);
+    }
+
+    // Charge what was used since the last flush, so quota checks and the key's other requests see it
+    flush() {
+        const delta = {
+            inputTokens: this.context.inputTokens - this.recorded.inputTokens,
+            outputTokens: this.context.outputTokens - this.recorded.outputTokens,
+            cost: this.context.cost - this.recorded.cost
+        };
+        if (delta.inputTokens === 0 && delta.outputTokens === 0 && delta.cost === 0) return;
+
+        this.auth.store.recordUsage(this.keyId, delta);
+        this.recorded = { inputTokens: this.context.inputTokens, outputTokens: this.context.outputTokens, cost: this.context.cost };
+    }
+
+    record() {
+        this.flush();
+        this.auth.store.refresh();
+        return this.auth.store.keys.get(this.keyId) || null;
+    }
+
+    quota() {
+        const record = this.record();
+        return record ? this.auth.store.summarize(record).quota : null;
+    }
+
+    // Why the job must stop: 'revoked', or 'token' / 'cost' once a daily quota is used up
+    exhausted() {
+        const record = this.record();
+        if (!record || record.revokedAt) return 'revoked';
+
+        const { quota } = this.auth.store.summarize(record);
+        if (quota.tokensRemaining === 0) return 'token';
+        if (quota.costRemaining === 0) return 'cost';
+        return null;
+    }
+}
+
+class ApiAuth {
+    constructor(options = {}) {
+        this.service = options.service || 'agent';
+        this.enabled = options.enabled ?? process.env.API_AUTH_ENABLED === 'true';
+        this.adminKey = options.adminKey ?? process.env.ADMIN_API_KEY ?? null;
+        this.exemptPaths = options.exemptPaths || EXEMPT_PATHS;
+        // Only for servers outside the provider layer: stored usage in a GET body would be charged too
+        this.meterResponseBodies = options.meterResponseBodies ?? false;
+        this.defaultLimits = {
+            dailyTokenLimit: parseLimit(process.env.API_KEY_DAILY_TOKENS ?? 200000),
+            dailyCostLimit: parseLimit(process.env.API_KEY_DAILY_COST)
+        };
+
+        this.store = new KeyStore(options.filePath || process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json'));
+        this.store.load();
+
+        // Provider calls made while handling a request are charged to that request's key
+        this.requestContext = new AsyncLocalStorage();
+        onUsage(event => {
+            const context = this.requestContext.getStore();
+            if (!context) return;
+            context.metered = true;
+            context.inputTokens += event.usage.input_tokens || 0;
+            context.outputTokens += event.usage.output_tokens || 0;
+            context.cost += estimateCost(event.model, event.usage);
+        });
+
+        console.log(this.enabled
+            ? `🔐 API keys required for /api routes (${this.service}, ${this.store.keys.size} keys in ${this.store.filePath})`
+            : `🔓 API auth disabled for ${this.service} (set API_AUTH_ENABLED=true to require keys)`);
+    }
+
+    static readKey(req) {
+        const authorization = req.get('authorization') || '';
+        const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+        return bearer ? bearer[1].trim() : (req.get('x-api-key') || '').trim() || null;
+    }
+
+    isAdmin(req) {
+        const key = ApiAuth.readKey(req);
+        if (!this.adminKey || !key) return false;
+        return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(this.adminKey), 'hex'));
+    }
+
+    unauthorized(res, error, type, hint = 'Send your API key as "Authorization: Bearer <key>" or "X-API-Key: <key>". Keys are issued through POST /api/admin/keys.') {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error, type, hint });
+    }
+
+    quotaExceeded(res, summary, reason) {
+        const retryAfter = summary.quota.resetsInSeconds;
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            error: `Daily ${reason} quota exceeded`,
+            type: 'quota_exceeded',
+            quota: summary.quota,
+            today: summary.today,
+            retryAfter,
+            hint: `Quotas reset at midnight UTC (in ${Math.ceil(retryAfter / 60)} minutes). Ask an admin to raise the limit or issue another key.`
+        });
+    }
+
+    setQuotaHeaders(res, summary) {
+        if (summary.quota.dailyTokenLimit !== null) {
+            res.set('X-Quota-Tokens-Limit', String(summary.quota.dailyTokenLimit));
+            res.set('X-Quota-Tokens-Remaining', String(summary.quota.tokensRemaining));
+        }
+        if (summary.quota.dailyCostLimit !== null) {
+            res.set('X-Quota-Cost-Limit', String(summary.quota.dailyCostLimit));
+            res.set('X-Quota-Cost-Remaining', String(summary.quota.costRemaining));
+        }
+        res.set('X-Quota-Reset', String(summary.quota.resetsInSeconds));
+    }
+
+    requireAdmin(req, res, next) {
+        if (!this.adminKey) {
+            return res.status(503).json({
+                error: 'Admin API is disabled',
+                type: 'admin_disabled',
+                hint: 'Set ADMIN_API_KEY and restart the server to manage API keys.'
+            });
+        }
+        if (!this.isAdmin(req)) {
+            return this.unauthorized(res, 'Admin key required', 'authentication_error', 'Send ADMIN_API_KEY as "Authorization: Bearer <key>" or "X-API-Key: <key>".');
+        }
+        next();
+    }
+
+    /**
+     * Express middleware. Mount it after express.json() so request handlers run inside
+     * the usage context it opens.
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!req.path.startsWith('/api/') || this.exemptPaths.includes(req.path)) {
+                return next();
+            }
+
+            // Key management is always admin-only; other admin routes only once auth is on
+            if (req.path.startsWith('/api/admin/keys') || (this.enabled && req.path.startsWith('/api/admin/'))) {
+                return this.requireAdmin(req, res, next);
+            }
+
+            if (!this.enabled || this.isAdmin(req)) {
+                return next();
+            }
+
+            const key = ApiAuth.readKey(req);
+            if (!key) {
+                return this.unauthorized(res, 'API key required', 'authentication_error');
+            }
+
+            const record = this.store.findByKey(key);
+            if (!record) {
+                return this.unauthorized(res, 'Invalid API key', 'authentication_error');
+            }
+            if (record.revokedAt) {
+                return this.unauthorized(res, 'API key has been revoked', 'key_revoked');
+            }
+
+            const summary = this.store.summarize(record);
+            if (summary.quota.tokensRemaining === 0) {
+                return this.quotaExceeded(res, summary, 'token');
+            }
+            if (summary.quota.costRemaining === 0) {
+                return this.quotaExceeded(res, summary, 'cost');
+            }
+
+            this.setQuotaHeaders(res, summary);
+            req.apiKey = { id: record.id, name: record.name };
+
+            const context = { keyId: record.id, metered: false, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+            if (this.meterResponseBodies) {
+                const json = res.json.bind(res);
+                res.json = body => {
+                    if (!context.metered) {
+                        const found = collectUsage(body);
+                        context.inputTokens += found.inputTokens;
+                        context.outputTokens += found.outputTokens;
+                        context.cost += found.cost;
+                    }
+                    return json(body);
+                };
+            }
+
+            // 'close' also fires for streamed responses and clients that disconnect mid-request
+            res.once('close', () => {
+                this.store.recordUsage(record.id, {
+                    requests: 1,
+                    inputTokens: context.inputTokens,
+                    outputTokens: context.outputTokens,
+                    cost: context.cost
+                });
+            });
+
+            this.requestContext.run(context, next);
+        };
+    }
+
+    /**
+     * Open a usage context for background work started by `req`. Returns null when the
+     * request carries no metered key (auth off, or the admin key).
+     */
+    startJob(req) {
+        return req.apiKey ? new KeyJob(this, req.apiKey.id) : null;
+    }
+
+    registerRoutes(app) {
+        app.get('/api/admin/keys', (req, res) => {
+            res.json({ keys: this.store.list() });
+        });
+
+        app.post('/api/admin/keys', (req, res) => {
+            const { name } = req.body || {};
+            const dailyTokenLimit = req.body?.dailyTokenLimit !== undefined ? parseLimit(req.body.dailyTokenLimit) : this.defaultLimits.dailyTokenLimit;
+            const dailyCostLimit = req.body?.dailyCostLimit !== undefined ? parseLimit(req.body.dailyCostLimit) : this.defaultLimits.dailyCostLimit;
+
+            const { key, record } = this.store.issue({ name, dailyTokenLimit, dailyCostLimit });
+            res.status(201).json({
+                ...this.store.summarize(record),
+                key,
+                warning: 'Store this key now - it cannot be shown again.'
+            });
+        });
+
+        app.delete('/api/admin/keys/:id', (req, res) => {
+            const record = this.store.revoke(req.params.id);
+            if (!record) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+            res.json({ success: true, key: this.store.summarize(record) });
+        });
+    }
+}
+
+module.exports = { ApiAuth, KeyJob, KeyStore, MODEL_PRICING, DEFAULT_PRICING, estimateCost, collectUsage };
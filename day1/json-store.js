@@ -0,0 +1,98 @@
+/**
+ * JSON Store - Saving in-memory state to a JSON file, shared by every day's stores
+ *
+ * Each store keeps its records in memory and writes a snapshot of them after a change.
+ * JsonFileWriter chains those writes so two saves never run at once, and each write
+ * goes to a temporary file that is then renamed over the real one, so a crash or a
+ * concurrent reader never sees half a file.
+ *
+ * Files that several servers update, like the API key store, also take a lock around
+ * their read-merge-write with withFileLock, so one server's write never drops another's.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function generateId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Write `text` next to `filePath` and rename it into place (atomic on the same filesystem)
+async function writeFileAtomic(filePath, text, { mode } = {}) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+        await fs.promises.writeFile(tempPath, text, mode ? { mode } : undefined);
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Run `fn` while holding `${filePath}.lock`, so processes sharing the file take turns.
+ * A lock older than `staleMs` belongs to a process that died mid-write and is taken over.
+ */
+async function withFileLock(filePath, fn, { staleMs = 10000, retryMs = 20, timeoutMs = 5000 } = {}) {
+    const lockPath = `${filePath}.lock`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const started = Date.now();
+    let handle = null;
+    while (!handle) {
+        try {
+            handle = await fs.promises.open(lockPath, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            const stat = await fs.promises.stat(lockPath).catch(() => null);
+            if (stat && Date.now() - stat.mtimeMs > staleMs) {
+                await fs.promises.rm(lockPath, { force: true });
+            } else if (Date.now() - started > timeoutMs) {
+                throw new Error(`Timed out waiting for ${lockPath}`);
+            } else {
+                await new Promise(resolve => setTimeout(resolve, retryMs));
+            }
+        }
+    }
+
+    try {
+        return await fn();
+    } finally {
+        await handle.close();
+        await fs.promises.rm(lockPath, { force: true });
+    }
+}
+
+class JsonFileWriter {
+    /**
+     * `label` names the contents in error messages ("Failed to save <label>");
+     * `mode` sets the file permissions, e.g. 0o600 for secrets.
+     */
+    constructor(filePath, { label = 'data', mode } = {}) {
+        this.filePath = filePath;
+        this.label = label;
+        this.mode = mode;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Queue a write of `data` plus a `savedAt` timestamp. The snapshot is taken now,
+     * so later changes to the store don't leak into it. Resolves once it is on disk;
+     * failures are logged, not thrown.
+     */
+    save(data) {
+        const snapshot = JSON.stringify({ ...data, savedAt: new Date().toISOString() }, null, 2);
+
+        this.pendingWrite = this.pendingWrite
+            .then(() => writeFileAtomic(this.filePath, snapshot, { mode: this.mode }))
+            .catch(error => console.error(`Failed to save ${this.label}:`, error.message));
+
+        return this.pendingWrite;
+    }
+}
+
+module.exports = { JsonFileWriter, writeFileAtomic, withFileLock, generateId };
@@ -0,0 +1,600 @@
+/**
+ * LLM Providers - Pluggable backends behind makeClaudeRequest / callClaude
+ *
+ * Every provider exposes the same two calls:
+ *   complete(options) -> { text, usage, model, stopReason, provider, headers }
+ *   stream(options)   -> async iterator of { type: 'start'|'delta'|'usage'|'stop'|'error', ... }
+ *                        ('start' carries the response headers)
+ *
+ * Usage is always reported in the Anthropic shape ({ input_tokens, output_tokens }, plus
+ * cache_read_input_tokens / cache_creation_input_tokens when Anthropic prompt caching
+ * is used) and failures are always thrown as LLMProviderError, whatever the backend.
+ *
+ * Configuration (environment):
+ *   LLM_PROVIDER        anthropic | openai | mock (default: anthropic)
+ *   LLM_MODEL           force a model for every request
+ *   ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL
+ *   OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL   (any OpenAI-compatible server, e.g. Ollama)
+ *   LLM_MOCK_SCRIPT     path to a JSON script for the offline mock provider
+ */
+
+const fs = require('fs');
+const { requireShared } = require('./shared-require');
+const { estimateTokens } = require('./tokenizer');
+
+const axios = requireShared('axios');
+
+const DEFAULT_PROVIDER = 'anthropic';
+
+const ERROR_TYPES_BY_STATUS = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    413: 'request_too_large',
+    429: 'rate_limit_error',
+    529: 'overloaded_error'
+};
+
+// Prompt-cache reads and writes are billed at their own rates, so they're passed on when present
+function anthropicUsage(raw = {}) {
+    const usage = {
+        input_tokens: raw?.input_tokens || 0,
+        output_tokens: raw?.output_tokens || 0
+    };
+    if (raw?.cache_read_input_tokens) usage.cache_read_input_tokens = raw.cache_read_input_tokens;
+    if (raw?.cache_creation_input_tokens) usage.cache_creation_input_tokens = raw.cache_creation_input_tokens;
+    return usage;
+}
+
+class LLMProviderError extends Error {
+    constructor(message, { provider, status = null, type = 'api_error', retryAfter = null, headers = {}, details = null } = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.type = type;
+        this.retryAfter = retryAfter;
+        this.headers = headers;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            type: this.type,
+            status: this.status,
+            provider: this.provider,
+            retryAfter: this.retryAfter
+        };
+    }
+}
+
+function normalizeHeaders(headers = {}) {
+    const normalized = {};
+    Object.entries(headers || {}).forEach(([key, value]) => {
+        normalized[key.toLowerCase()] = value;
+    });
+    return normalized;
+}
+
+// Turn an axios failure into an LLMProviderError with a stable type
+function toProviderError(provider, error) {
+    if (error instanceof LLMProviderError) return error;
+
+    if (axios.isCancel(error) || error.name === 'AbortError' || error.name === 'CanceledError') {
+        return new LLMProviderError('Request cancelled', { provider, type: 'aborted' });
+    }
+
+    if (!error.response) {
+        return new LLMProviderError(error.message, { provider, type: 'network_error', details: error.code || null });
+    }
+
+    const { status, data } = error.response;
+    const headers = normalizeHeaders(error.response.headers);
+    const retryAfterHeader = headers['retry-after'];
+    const retryAfter = retryAfterHeader ? parseInt(retryAfterHeader, 10) : null;
+
+    const message = data?.error?.message ||
+        (typeof data?.error === 'string' ? data.error : null) ||
+        error.message;
+
+    return new LLMProviderError(message, {
+        provider,
+        status,
+        type: data?.error?.type || ERROR_TYPES_BY_STATUS[status] || 'api_error',
+        retryAfter: Number.isNaN(retryAfter) ? null : retryAfter,
+        headers,
+        details: data || null
+    });
+}
+
+// Streamed error bodies have to be drained before they can be reported
+async function readErrorStream(error) {
+    const body = error.response?.data;
+    if (!body || typeof body.on !== 'function') return error;
+
+    try {
+        let text = '';
+        for await (const chunk of body) text += chunk.toString('utf8');
+        error.response.data = JSON.parse(text);
+    } catch (e) {
+        error.response.data = null;
+    }
+    return error;
+}
+
+// Split an incoming SSE byte stream into { event, data } frames
+async function* readSseFrames(stream) {
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8').replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawFrame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const dataLines = [];
+            rawFrame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+            });
+
+            if (dataLines.length > 0) {
+                yield { event, data: dataLines.join('\n') };
+            }
+        }
+    }
+}
+
+// Anthropic Messages API
+class AnthropicProvider {
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+        this.baseUrl = (options.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1').replace(/\/$/, '');
+        this.defaultModel = options.defaultModel || 'claude-3-haiku-20240307';
+        this.modelOverride = options.modelOverride || null;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    resolveModel(model) {
+        return this.modelOverride || model || this.defaultModel;
+    }
+
+    buildBody(options) {
+        const body = {
+            model: this.resolveModel(options.model),
+            max_tokens: options.maxTokens || 1024,
+            messages: options.messages
+        };
+        if (options.system) body.system = options.system;
+        if (options.temperature !== undefined) body.temperature = options.temperature;
+        if (options.topP !== undefined) body.top_p = options.topP;
+        if (options.topK !== undefined) body.top_k = options.topK;
+        if (options.stopSequences) body.stop_sequences = options.stopSequences;
+        return body;
+    }
+
+    headers() {
+        return {
+            'x-api-key': this.apiKey,
+            'Content-Type': 'application/json',
+            'anthropic-version': '2023-06-01'
+        };
+    }
+
+    async complete(options) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/messages`,
+                this.buildBody(options),
+                { headers: this.headers(), signal: options.signal }
+            );
+
+            return {
+                text: response.data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+                usage: anthropicUsage(response.data.usage),
+                model: response.data.model,
+                stopReason: response.data.stop_reason,
+                provider: this.name,
+                headers: normalizeHeaders(response.headers)
+            };
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+    }
+
+    async* stream(options) {
+        let response;
+        try {
+            response = await axios.post(
+                `${this.baseUrl}/messages`,
+                { ...this.buildBody(options), stream: true },
+                { headers: this.headers(), responseType: 'stream', signal: options.signal }
+            );
+        } catch (error) {
+            throw toProviderError(this.name, await readErrorStream(error));
+        }
+
+        const usage = { input_tokens: 0, output_tokens: 0 };
+
+        try {
+            for await (const frame of readSseFrames(response.data)) {
+                const payload = JSON.parse(frame.data);
+
+                switch (payload.type) {
+                    case 'message_start':
+                        usage.input_tokens = payload.message.usage?.input_tokens || 0;
+                        usage.output_tokens = payload.message.usage?.output_tokens || 0;
+                        yield { type: 'start', model: payload.message.model, headers: normalizeHeaders(response.headers) };
+                        yield { type: 'usage', usage: { ...usage } };
+                        break;
+                    case 'content_block_delta':
+                        if (payload.delta.type === 'text_delta') {
+                            yield { type: 'delta', text: payload.delta.text };
+                        }
+                        break;
+                    case 'message_delta':
+                        if (payload.usage) {
+                            usage.output_tokens = payload.usage.output_tokens;
+                            yield { type: 'usage', usage: { ...usage } };
+                        }
+                        if (payload.delta?.stop_reason) {
+                            yield { type: 'stop', stopReason: payload.delta.stop_reason };
+                        }
+                        break;
+                    case 'error':
+                        yield {
+                            type: 'error',
+                            error: payload.error?.message || 'Stream error',
+                            errorType: payload.error?.type || 'api_error'
+                        };
+                        break;
+                    default:
+                        // ping, content_block_start/stop and message_stop carry nothing to relay
+                        break;
+                }
+            }
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+    }
+}
+
+// OpenAI Chat Completions API and compatible servers (Ollama, vLLM, LM Studio, ...)
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.defaultModel = options.defaultModel || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+        this.modelOverride = options.modelOverride || null;
+    }
+
+    isConfigured() {
+        // Local servers usually run without a key; only the hosted API needs one
+        return !!this.apiKey || !this.baseUrl.includes('api.openai.com');
+    }
+
+    resolveModel(model) {
+        if (this.modelOverride) return this.modelOverride;
+        // Callers across the days default to Claude model ids, which mean nothing here
+        if (!model || model.startsWith('claude-')) return this.defaultModel;
+        return model;
+    }
+
+    buildBody(options) {
+        const messages = options.system
+            ? [{ role: 'system', content: options.system }, ...options.messages]
+            : [...options.messages];
+
+        const body = {
+            model: this.resolveModel(options.model),
+            max_tokens: options.maxTokens || 1024,
+            messages
+        };
+        if (options.temperature !== undefined) body.temperature = options.temperature;
+        if (options.topP !== undefined) body.top_p = options.topP;
+        if (options.stopSequences) body.stop = options.stopSequences;
+        // top_k has no equivalent in the Chat Completions API
+        return body;
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        return headers;
+    }
+
+    async complete(options) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/chat/completions`,
+                this.buildBody(options),
+                { headers: this.headers(), signal: options.signal }
+            );
+
+            const choice = response.data.choices?.[0] || {};
+            return {
+                text: choice.message?.content || '',
+                usage: {
+                    input_tokens: response.data.usage?.prompt_tokens || 0,
+                    output_tokens: response.data.usage?.completion_tokens || 0
+                },
+                model: response.data.model,
+                stopReason: choice.finish_reason || null,
+                provider: this.name,
+                headers: normalizeHeaders(response.headers)
+            };
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+    }
+
+    async* stream(options) {
+        let response;
+        try {
+            response = await axios.post(
+                `${this.baseUrl}/chat/completions`,
+                { ...this.buildBody(options), stream: true, stream_options: { include_usage: true } },
+                { headers: this.headers(), responseType: 'stream', signal: options.signal }
+            );
+        } catch (error) {
+            throw toProviderError(this.name, await readErrorStream(error));
+        }
+
+        let started = false;
+
+        try {
+            for await (const frame of readSseFrames(response.data)) {
+                if (frame.data === '[DONE]') break;
+
+                const payload = JSON.parse(frame.data);
+                if (!started) {
+                    started = true;
+                    yield { type: 'start', model: payload.model, headers: normalizeHeaders(response.headers) };
+                }
+
+                const choice = payload.choices?.[0];
+                if (choice?.delta?.content) {
+                    yield { type: 'delta', text: choice.delta.content };
+                }
+                if (choice?.finish_reason) {
+                    yield { type: 'stop', stopReason: choice.finish_reason };
+                }
+                if (payload.usage) {
+                    yield {
+                        type: 'usage',
+                        usage: {
+                            input_tokens: payload.usage.prompt_tokens || 0,
+                            output_tokens: payload.usage.completion_tokens || 0
+                        }
+                    };
+                }
+            }
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+    }
+}
+
+/**
+ * Deterministic offline provider for demos and tests.
+ *
+ * A script is a list of steps, consumed in order (and cycled when exhausted):
+ *   "plain reply text"
+ *   { "match": "regex", "response": "...", "usage": { ... }, "stopReason": "end_turn", "headers": { ... } }
+ *   { "error": { "status": 429, "type": "rate_limit_error", "message": "...", "retryAfter": 1, "headers": { ... } } }
+ * Steps with `match` are only used when the last user message matches them. Without a
+ * script (or with no applicable step) the provider echoes the last user message.
+ */
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.defaultModel = options.defaultModel || 'mock-model';
+        this.modelOverride = options.modelOverride || null;
+        this.script = options.script || MockProvider.loadScript(options.scriptPath || process.env.LLM_MOCK_SCRIPT);
+        this.position = 0;
+        this.calls = [];
+    }
+
+    static loadScript(scriptPath) {
+        if (!scriptPath) return [];
+        return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    resolveModel(model) {
+        return this.modelOverride || model || this.defaultModel;
+    }
+
+    nextStep(prompt) {
+        const isMatchStep = step => typeof step === 'object' && step !== null && typeof step.match === 'string';
+
+        const matching = this.script.find(step => isMatchStep(step) && new RegExp(step.match, 'i').test(prompt));
+        if (matching) return matching;
+
+        const sequential = this.script.filter(step => !isMatchStep(step));
+        if (sequential.length === 0) return null;
+
+        const step = sequential[this.position % sequential.length];
+        this.position++;
+        return step;
+    }
+
+    async complete(options) {
+        return this.respond(options);
+    }
+
+    async respond(options) {
+        const lastUser = [...options.messages].reverse().find(message => message.role === 'user');
+        const prompt = typeof lastUser?.content === 'string' ? lastUser.content : JSON.stringify(lastUser?.content || '');
+        this.calls.push({ ...options, signal: undefined });
+
+        const step = this.nextStep(prompt);
+
+        if (step && step.error) {
+            throw new LLMProviderError(step.error.message || 'Mock error', {
+                provider: this.name,
+                status: step.error.status || 500,
+                type: step.error.type || ERROR_TYPES_BY_STATUS[step.error.status] || 'api_error',
+                retryAfter: step.error.retryAfter || null,
+                headers: step.error.headers || {}
+            });
+        }
+
+        const text = typeof step === 'string'
+            ? step
+            : step?.response ?? `Mock response to: ${prompt}`;
+
+        const inputText = [options.system || '', ...options.messages.map(message => (
+            typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+        ))].join('\n');
+
+        return {
+            text,
+            usage: step?.usage || {
+                input_tokens: estimateTokens(inputText, options.model),
+                output_tokens: estimateTokens(text, options.model)
+            },
+            model: this.resolveModel(options.model),
+            stopReason: step?.stopReason || 'end_turn',
+            provider: this.name,
+            headers: step?.headers || {}
+        };
+    }
+
+    async* stream(options) {
+        const result = await this.respond(options);
+
+        yield { type: 'start', model: result.model, headers: result.headers };
+        yield { type: 'usage', usage: { input_tokens: result.usage.input_tokens, output_tokens: 0 } };
+        for (const piece of result.text.match(/\S+\s*|\s+/g) || []) {
+            if (options.signal?.aborted) {
+                throw new LLMProviderError('Request cancelled', { provider: this.name, type: 'aborted' });
+            }
+            yield { type: 'delta', text: piece };
+        }
+        yield { type: 'usage', usage: result.usage };
+        yield { type: 'stop', stopReason: result.stopReason };
+    }
+}
+
+const PROVIDERS = {
+    anthropic: AnthropicProvider,
+    openai: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+const providerCache = new Map();
+const usageListeners = new Set();
+
+// Register a callback for the token usage of every completed or streamed call;
+// returns a function that removes it
+function onUsage(listener) {
+    usageListeners.add(listener);
+    return () => usageListeners.delete(listener);
+}
+
+function emitUsage(event) {
+    usageListeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Usage listener failed:', error.message);
+        }
+    });
+}
+
+// Wrap complete/stream so usage is reported the same way for every backend.
+// Streams report in `finally`, so a cancelled stream still counts what it used.
+function instrument(provider) {
+    const complete = provider.complete.bind(provider);
+    const stream = provider.stream.bind(provider);
+
+    provider.complete = async options => {
+        const result = await complete(options);
+        emitUsage({ provider: provider.name, model: result.model, usage: result.usage });
+        return result;
+    };
+
+    provider.stream = async function* (options) {
+        let model = provider.resolveModel(options.model);
+        let usage = null;
+        try {
+            for await (const event of stream(options)) {
+                if (event.type === 'start' && event.model) model = event.model;
+                if (event.type === 'usage') usage = event.usage;
+                yield event;
+            }
+        } finally {
+            if (usage) emitUsage({ provider: provider.name, model, usage });
+        }
+    };
+
+    return provider;
+}
+
+function createProvider(name, options = {}) {
+    // Names come from request bodies, so "constructor" and friends must not reach the prototype
+    const Provider = Object.hasOwn(PROVIDERS, name) ? PROVIDERS[name] : null;
+    if (!Provider) {
+        throw new LLMProviderError(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`, {
+            provider: name,
+            status: 400,
+            type: 'unknown_provider'
+        });
+    }
+    return instrument(new Provider({ modelOverride: process.env.LLM_MODEL, ...options }));
+}
+
+// Shared, lazily created provider instances; `name` falls back to LLM_PROVIDER
+function getProvider(name) {
+    const providerName = name || process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+    if (!providerCache.has(providerName)) {
+        providerCache.set(providerName, createProvider(providerName));
+    }
+    return providerCache.get(providerName);
+}
+
+function listProviders() {
+    return Object.keys(PROVIDERS).map(name => {
+        const provider = getProvider(name);
+        return {
+            name,
+            configured: provider.isConfigured(),
+            defaultModel: provider.defaultModel,
+            isDefault: name === (process.env.LLM_PROVIDER || DEFAULT_PROVIDER)
+        };
+    });
+}
+
+// Convenience wrappers: options.provider picks the backend for this call only
+function complete(options) {
+    return getProvider(options.provider).complete(options);
+}
+
+function stream(options) {
+    return getProvider(options.provider).stream(options);
+}
+
+module.exports = {
+    LLMProviderError,
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    createProvider,
+    getProvider,
+    listProviders,
+    complete,
+    stream,
+    onUsage
+};
@@ -0,0 +1,321 @@
+/**
+ * Rate Limiter - Request and token budgets shared by every caller of a provider
+ *
+ * One limiter per provider (see getRateLimiter) keeps two token buckets that refill
+ * continuously: one for requests per minute and one for tokens per minute. A caller
+ * acquires a slot with an estimate of the tokens it will use, runs its request and
+ * releases the slot with the real usage and the response headers:
+ *
+ *   const ticket = await limiter.acquire({ tokens: 2500, priority: 1, signal, onWait });
+ *   ...
+ *   limiter.release(ticket, { usage, headers, status });
+ *
+ * Waiting requests are queued by priority (highest first, then first come), and at most
+ * maxConcurrent run at once. The provider's own limits win over the local ones:
+ * `anthropic-ratelimit-*` and `x-ratelimit-*` headers lower what is left in each bucket,
+ * and a 429 pauses the whole queue for the provider's `retry-after` or, without one, an
+ * exponential backoff with jitter (see backoff).
+ *
+ * Configuration (environment):
+ *   RATE_LIMIT_REQUESTS_PER_MINUTE  request bucket size and refill (default: 50)
+ *   RATE_LIMIT_TOKENS_PER_MINUTE    token bucket size and refill (default: 40000)
+ *   RATE_LIMIT_MAX_CONCURRENT       requests in flight at once (default: 4)
+ *   RATE_LIMIT_MAX_RETRIES          retries after a 429 (default: 3; 0 turns retries off)
+ *   RATE_LIMIT_BACKOFF_MS           first backoff without retry-after (default: 1000, doubling up to 60000)
+ */
+
+const { LLMProviderError } = require('./llm-providers');
+
+const MINUTE = 60000;
+
+// Rates, sizes and delays must be positive; counts such as retries may also be 0
+function envNumber(name, fallback, { allowZero = false } = {}) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && (value > 0 || (allowZero && value === 0)) ? value : fallback;
+}
+
+const RATE_LIMIT_DEFAULTS = {
+    requestsPerMinute: envNumber('RATE_LIMIT_REQUESTS_PER_MINUTE', 50),
+    tokensPerMinute: envNumber('RATE_LIMIT_TOKENS_PER_MINUTE', 40000),
+    maxConcurrent: envNumber('RATE_LIMIT_MAX_CONCURRENT', 4),
+    maxRetries: envNumber('RATE_LIMIT_MAX_RETRIES', 3, { allowZero: true }),
+    backoffMs: envNumber('RATE_LIMIT_BACKOFF_MS', 1000),
+    maxBackoffMs: 60000
+};
+
+// Reset times: RFC 3339 timestamps from Anthropic, durations such as "1s" or "6m0s" from OpenAI
+function parseReset(value, now = Date.now()) {
+    if (!value) return null;
+    const duration = String(value).match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+    if (duration && duration.slice(1).some(Boolean)) {
+        const [hours, minutes, seconds, millis] = duration.slice(1).map(part => parseFloat(part || 0));
+        return now + ((hours * 60 + minutes) * 60 + seconds) * 1000 + millis;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : date;
+}
+
+// Remaining / reset / limit for one bucket, from whichever header family the provider sends
+function readBucketHeaders(headers, kind, now) {
+    const anthropic = kind === 'requests' ? ['requests'] : ['tokens', 'input-tokens'];
+    for (const name of anthropic) {
+        const remaining = headers[`anthropic-ratelimit-${name}-remaining`];
+        if (remaining !== undefined) {
+            return {
+                remaining: Number(remaining),
+                resetAt: parseReset(headers[`anthropic-ratelimit-${name}-reset`], now),
+                limit: Number(headers[`anthropic-ratelimit-${name}-limit`]) || null
+            };
+        }
+    }
+
+    const remaining = headers[`x-ratelimit-remaining-${kind}`];
+    if (remaining === undefined) return null;
+    return {
+        remaining: Number(remaining),
+        resetAt: parseReset(headers[`x-ratelimit-reset-${kind}`], now),
+        limit: Number(headers[`x-ratelimit-limit-${kind}`]) || null
+    };
+}
+
+// Holds up to `capacity` and refills at capacity per minute
+class TokenBucket {
+    constructor(capacity, now = Date.now()) {
+        this.capacity = capacity;
+        this.available = capacity;
+        this.updatedAt = now;
+        this.emptyUntil = 0;
+        this.server = null;
+    }
+
+    refill(now) {
+        this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.capacity / MINUTE);
+        this.updatedAt = now;
+    }
+
+    // Milliseconds until `amount` can be taken; anything over capacity only needs a full bucket
+    waitFor(amount, now) {
+        this.refill(now);
+        const needed = Math.min(amount, this.capacity);
+        const refillWait = needed > this.available ? (needed - this.available) * MINUTE / this.capacity : 0;
+        return Math.max(refillWait, this.emptyUntil - now, 0);
+    }
+
+    take(amount, now) {
+        this.refill(now);
+        this.available -= amount;
+    }
+
+    give(amount, now) {
+        this.refill(now);
+        this.available = Math.min(this.capacity, this.available + amount);
+    }
+
+    // The provider knows better: never assume more is left than it reports
+    sync({ remaining, resetAt, limit }, now) {
+        if (!Number.isFinite(remaining)) return;
+        this.refill(now);
+        this.available = Math.min(this.available, remaining);
+        // Limits reset within a minute, so a later reset time is clock skew
+        if (remaining < 1 && resetAt) this.emptyUntil = Math.max(this.emptyUntil, Math.min(resetAt, now + MINUTE));
+        this.server = { remaining, limit, resetAt: resetAt ? new Date(resetAt).toISOString() : null, seenAt: new Date(now).toISOString() };
+    }
+
+    snapshot(now) {
+        this.refill(now);
+        return {
+            capacity: this.capacity,
+            available: Math.floor(this.available),
+            emptyUntil: this.emptyUntil > now ? new Date(this.emptyUntil).toISOString() : null,
+            server: this.server
+        };
+    }
+}
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.limits = { ...RATE_LIMIT_DEFAULTS, ...options.limits };
+        this.now = options.now || Date.now;
+
+        const now = this.now();
+        this.requests = new TokenBucket(this.limits.requestsPerMinute, now);
+        this.tokens = new TokenBucket(this.limits.tokensPerMinute, now);
+        this.active = new Set();
+        this.queue = [];
+        this.sequence = 0;
+        this.pausedUntil = 0;   // set by backoff() after a 429
+        this.timer = null;
+        this.stats = { granted: 0, rateLimited: 0, waits: 0, waitedMs: 0 };
+    }
+
+    /**
+     * Wait for a slot. `tokens` is the estimated cost of the request, `priority` puts it
+     * ahead of lower ones, `onWait({ reason, waitMs })` hears about every timed pause and
+     * `signal` gives up waiting. Resolves to a ticket to hand back to release().
+     */
+    acquire({ tokens = 0, priority = 0, signal, onWait = () => {} } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(new LLMProviderError('Request cancelled', { provider: this.name, type: 'aborted' }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                id: ++this.sequence,
+                tokens: Math.max(0, Math.ceil(tokens)),
+                priority,
+                queuedAt: this.now(),
+                onWait,
+                notified: null,
+                resolve,
+                reject
+            };
+
+            if (signal) {
+                waiter.onAbort = () => {
+                    this.queue = this.queue.filter(queued => queued !== waiter);
+                    reject(new LLMProviderError('Request cancelled', { provider: this.name, type: 'aborted' }));
+                    this.pump();
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+                waiter.signal = signal;
+            }
+
+            // Highest priority first, first come first served within a priority
+            const index = this.queue.findIndex(queued => queued.priority < priority);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, waiter);
+            this.pump();
+        });
+    }
+
+    /**
+     * Hand a slot back. `usage` settles the token estimate against what was really used,
+     * `headers` bring the buckets in line with the provider, and `status` 429 counts
+     * as rate limited.
+     */
+    release(ticket, { usage = null, headers = {}, status = null } = {}) {
+        if (!this.active.delete(ticket)) return;
+        const now = this.now();
+
+        const used = usage ? (usage.input_tokens || 0) + (usage.output_tokens || 0) : 0;
+        if (ticket.tokens > used) this.tokens.give(ticket.tokens - used, now);
+        else this.tokens.take(used - ticket.tokens, now);
+
+        if (status === 429) this.stats.rateLimited++;
+        this.observe(headers || {}, now);
+        this.pump();
+    }
+
+    // Bring the buckets in line with rate-limit headers from any response
+    observe(headers, now = this.now()) {
+        const requests = readBucketHeaders(headers, 'requests', now);
+        const tokens = readBucketHeaders(headers, 'tokens', now);
+        if (requests) this.requests.sync(requests, now);
+        if (tokens) this.tokens.sync(tokens, now);
+    }
+
+    /**
+     * Pause everyone after a 429 and return the delay: `retryAfter` seconds when the
+     * provider sent one, otherwise backoffMs * 2^attempt (capped at maxBackoffMs) with
+     * full jitter so that callers that failed together don't retry together.
+     */
+    backoff(attempt, retryAfter = null) {
+        const exponential = Math.min(this.limits.maxBackoffMs, this.limits.backoffMs * 2 ** attempt);
+        const delay = retryAfter !== null && retryAfter !== undefined
+            ? retryAfter * 1000
+            : Math.round(exponential / 2 + Math.random() * exponential / 2);
+        const until = this.now() + delay;
+        if (this.pausedUntil < until) this.pausedUntil = until;
+        this.pump();
+        return delay;
+    }
+
+    // How long the first waiter still has to wait, and why
+    blockedFor(waiter, now) {
+        const waits = [
+            ['provider-429', this.pausedUntil - now],
+            ['requests-per-minute', this.requests.waitFor(1, now)],
+            ['tokens-per-minute', this.tokens.waitFor(waiter.tokens, now)]
+        ];
+        return waits.reduce((longest, wait) => (wait[1] > longest[1] ? wait : longest), [null, 0]);
+    }
+
+    // Start whatever can start; otherwise sleep until the head of the queue can
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length > 0 && this.active.size < this.limits.maxConcurrent) {
+            const waiter = this.queue[0];
+            const now = this.now();
+            const [reason, waitMs] = this.blockedFor(waiter, now);
+
+            if (waitMs > 0) {
+                const until = now + Math.ceil(waitMs);
+                // Everyone behind the head waits at least as long
+                this.queue.forEach(queued => {
+                    if (queued.notified === until) return;
+                    queued.notified = until;
+                    this.stats.waits++;
+                    queued.onWait({ reason, waitMs: until - now });
+                });
+                this.timer = setTimeout(() => this.pump(), until - now);
+                this.timer.unref?.();
+                return;
+            }
+
+            this.queue.shift();
+            this.requests.take(1, now);
+            this.tokens.take(waiter.tokens, now);
+            if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+
+            const ticket = { id: waiter.id, tokens: waiter.tokens, priority: waiter.priority, startedAt: now };
+            this.active.add(ticket);
+            this.stats.granted++;
+            this.stats.waitedMs += now - waiter.queuedAt;
+            waiter.resolve(ticket);
+        }
+    }
+
+    status() {
+        const now = this.now();
+        return {
+            name: this.name,
+            limits: this.limits,
+            requests: this.requests.snapshot(now),
+            tokens: this.tokens.snapshot(now),
+            pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+            active: this.active.size,
+            queued: this.queue.map(waiter => ({
+                priority: waiter.priority,
+                tokens: waiter.tokens,
+                waitingMs: now - waiter.queuedAt
+            })),
+            stats: {
+                ...this.stats,
+                averageWaitMs: this.stats.granted > 0 ? Math.round(this.stats.waitedMs / this.stats.granted) : 0
+            }
+        };
+    }
+}
+
+// One limiter per provider name, shared by everything in the process that calls it
+const limiters = new Map();
+
+function getRateLimiter(name = 'default') {
+    if (!limiters.has(name)) limiters.set(name, new RateLimiter({ name }));
+    return limiters.get(name);
+}
+
+function rateLimitStatus() {
+    return Object.fromEntries([...limiters].map(([name, limiter]) => [name, limiter.status()]));
+}
+
+module.exports = {
+    RATE_LIMIT_DEFAULTS,
+    parseReset,
+    TokenBucket,
+    RateLimiter,
+    getRateLimiter,
+    rateLimitStatus
+};
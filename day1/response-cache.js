@@ -0,0 +1,350 @@
+/**
+ * Response Cache - Reuse model answers for repeated questions
+ *
+ * Sits in front of makeClaudeRequest. Entries are keyed on the normalized prompt plus
+ * provider, model and request parameters, expire after a TTL and are evicted least
+ * recently used first once the cache is full.
+ *
+ * When there is no exact match, the prompt is compared against cached prompts with the
+ * same context using the Day 13 TF-IDF embeddings, so "What's the capital of France?"
+ * can be answered from "what is the capital of france". TF-IDF ignores word order, so a
+ * near-duplicate must also use its content words in the same order: "Is Python faster
+ * than Java?" is not answered from "Is Java faster than Python?".
+ *
+ * Configuration (environment):
+ *   RESPONSE_CACHE_ENABLED      set to "false" to bypass the cache entirely
+ *   RESPONSE_CACHE_TTL_SECONDS  entry lifetime (default: 3600)
+ *   RESPONSE_CACHE_MAX_ENTRIES  size limit (default: 500)
+ *   RESPONSE_CACHE_SIMILARITY   similarity needed for a near-duplicate hit (default: 0.85, 0 disables)
+ */
+
+const crypto = require('crypto');
+const { EmbeddingGenerator } = require('../day13/embedding-generator');
+
+const PROMPT_PLACEHOLDER = '{{prompt}}';
+
+function hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').substring(0, 16);
+}
+
+// Case, runs of whitespace and trailing punctuation do not change the question
+function normalizePrompt(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[\s?!.]+$/, '');
+}
+
+function messageText(message) {
+    return typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+}
+
+// Longest common subsequence of two term lists, over the longer list's length
+function sequenceSimilarity(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+
+    let previous = new Array(b.length + 1).fill(0);
+    for (const term of a) {
+        const row = [0];
+        for (let j = 0; j < b.length; j++) {
+            row.push(term === b[j] ? previous[j] + 1 : Math.max(previous[j + 1], row[j]));
+        }
+        previous = row;
+    }
+    return previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * TF-IDF over the cached prompts themselves, kept up to date as entries come and go
+ * instead of being refitted on every lookup. Vectors are sparse Maps of term -> weight.
+ * The IDF is smoothed because the plain log(N / df) gives every term shared by all
+ * prompts a weight of zero, which for a cache holding a single prompt means every
+ * vector is empty.
+ */
+class PromptEmbedder extends EmbeddingGenerator {
+    constructor() {
+        super({ dimensions: 5000 });
+        this.documentCounts = new Map();
+        this.documentCount = 0;
+    }
+
+    // Content words in prompt order
+    terms(text) {
+        return this.tokenize(text).filter(term => !this.stopWords.has(term) && term.length > 2);
+    }
+
+    add(terms) {
+        this.documentCount++;
+        new Set(terms).forEach(term => this.documentCounts.set(term, (this.documentCounts.get(term) || 0) + 1));
+    }
+
+    remove(terms) {
+        this.documentCount--;
+        new Set(terms).forEach(term => {
+            const count = this.documentCounts.get(term) - 1;
+            if (count > 0) this.documentCounts.set(term, count);
+            else this.documentCounts.delete(term);
+        });
+    }
+
+    clear() {
+        this.documentCounts.clear();
+        this.documentCount = 0;
+    }
+
+    vector(terms) {
+        const counts = new Map();
+        terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+        const vector = new Map();
+        for (const [term, count] of counts) {
+            const idf = Math.log((1 + this.documentCount) / (1 + (this.documentCounts.get(term) || 0))) + 1;
+            vector.set(term, (count / terms.length) * idf);
+        }
+        return vector;
+    }
+
+    similarity(a, b) {
+        let dot = 0;
+        for (const [term, weight] of a) dot += weight * (b.get(term) || 0);
+        const magnitude = vector => Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0));
+        const magnitudes = magnitude(a) * magnitude(b);
+        return magnitudes === 0 ? 0 : dot / magnitudes;
+    }
+}
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? process.env.RESPONSE_CACHE_ENABLED !== 'false';
+        this.ttlMs = options.ttlMs ?? parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS || '3600', 10) * 1000;
+        this.maxEntries = options.maxEntries ?? parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '500', 10);
+        this.similarityThreshold = options.similarityThreshold ?? parseFloat(process.env.RESPONSE_CACHE_SIMILARITY || '0.85');
+
+        // Map iteration order doubles as the LRU order: hits are moved to the end
+        this.entries = new Map();
+        this.embedder = new PromptEmbedder();
+        this.stats = { hits: 0, similarHits: 0, misses: 0, evictions: 0, expirations: 0 };
+    }
+
+    /**
+     * Describe a request as cache keys.
+     * `key` identifies the exact request; `group` identifies everything except the
+     * question itself (provider, model, params, earlier messages and any prompt template
+     * around `semanticText`), so near-duplicates are only searched within the same group.
+     */
+    describe({ messages, provider, model, params = {}, semanticText }) {
+        const normalizedMessages = messages.map(message => ({
+            role: message.role,
+            content: normalizePrompt(messageText(message))
+        }));
+
+        const last = messages[messages.length - 1];
+        const lastText = messageText(last);
+        const prompt = semanticText && lastText.includes(semanticText) ? semanticText : lastText;
+        const template = normalizePrompt(lastText.replace(prompt, PROMPT_PLACEHOLDER));
+
+        return {
+            key: hash({ provider, model, params, messages: normalizedMessages }),
+            group: hash({ provider, model, params, context: normalizedMessages.slice(0, -1), template }),
+            prompt
+        };
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return now - entry.createdAt > this.ttlMs;
+    }
+
+    // Remove an entry and its terms from the embedder's document counts
+    drop(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.entries.delete(key);
+        this.embedder.remove(entry.terms);
+        return true;
+    }
+
+    pruneExpired() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (this.isExpired(entry, now)) {
+                this.drop(key);
+                this.stats.expirations++;
+            }
+        }
+    }
+
+    /**
+     * Best cached prompt in the same group. Its similarity is the lower of the TF-IDF
+     * cosine and the share of content words used in the same order, so a reordered
+     * question scores low even though its words are identical.
+     */
+    findSimilar(description) {
+        if (!(this.similarityThreshold > 0)) return null;
+
+        const terms = this.embedder.terms(description.prompt);
+        const queryVector = this.embedder.vector(terms);
+
+        let best = null;
+        for (const entry of this.entries.values()) {
+            if (entry.group !== description.group) continue;
+
+            const cosine = this.embedder.similarity(queryVector, this.embedder.vector(entry.terms));
+            if (cosine < this.similarityThreshold) continue;
+
+            const similarity = Math.min(cosine, sequenceSimilarity(terms, entry.terms));
+            if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+                best = { entry, similarity };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Look a request up; returns { entry, match: 'exact'|'similar', similarity } or null
+     */
+    lookup(request) {
+        if (!this.enabled) return null;
+
+        this.pruneExpired();
+        const description = this.describe(request);
+
+        let match = null;
+        const exact = this.entries.get(description.key);
+        if (exact) {
+            match = { entry: exact, match: 'exact', similarity: 1 };
+        } else {
+            const similar = this.findSimilar(description);
+            if (similar) {
+                match = { entry: similar.entry, match: 'similar', similarity: parseFloat(similar.similarity.toFixed(3)) };
+                this.stats.similarHits++;
+            }
+        }
+
+        if (!match) {
+            this.stats.misses++;
+            return null;
+        }
+
+        this.stats.hits++;
+        match.entry.hits++;
+        match.entry.lastHitAt = Date.now();
+        this.entries.delete(match.entry.key);
+        this.entries.set(match.entry.key, match.entry);
+        return match;
+    }
+
+    store(request, response) {
+        if (!this.enabled || this.maxEntries <= 0) return null;
+
+        const description = this.describe(request);
+        const entry = {
+            ...description,
+            terms: this.embedder.terms(description.prompt),
+            provider: request.provider,
+            model: request.model,
+            params: request.params || {},
+            response,
+            createdAt: Date.now(),
+            lastHitAt: null,
+            hits: 0
+        };
+
+        this.drop(entry.key);
+        this.entries.set(entry.key, entry);
+        this.embedder.add(entry.terms);
+
+        while (this.entries.size > this.maxEntries) {
+            this.drop(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Cache-through wrapper: answers from the cache when possible, otherwise calls
+     * `fetchResponse` and stores its result. The returned response carries a `cache`
+     * field; hits report zero usage and the tokens they saved.
+     */
+    async getOrFetch(request, fetchResponse, { bypass = false } = {}) {
+        if (!bypass) {
+            const cached = this.lookup(request);
+            if (cached) {
+                const { entry } = cached;
+                return {
+                    ...entry.response,
+                    usage: { input_tokens: 0, output_tokens: 0 },
+                    cache: {
+                        hit: true,
+                        match: cached.match,
+                        similarity: cached.similarity,
+                        key: entry.key,
+                        cachedPrompt: entry.prompt,
+                        ageSeconds: Math.round((Date.now() - entry.createdAt) / 1000),
+                        hits: entry.hits,
+                        savedUsage: entry.response.usage
+                    }
+                };
+            }
+        }
+
+        const response = await fetchResponse();
+        const entry = bypass ? null : this.store(request, response);
+        return { ...response, cache: { hit: false, key: entry ? entry.key : null, bypassed: bypass } };
+    }
+
+    summarizeEntry(entry) {
+        return {
+            key: entry.key,
+            prompt: entry.prompt,
+            provider: entry.provider,
+            model: entry.model,
+            params: entry.params,
+            hits: entry.hits,
+            createdAt: new Date(entry.createdAt).toISOString(),
+            expiresAt: new Date(entry.createdAt + this.ttlMs).toISOString(),
+            lastHitAt: entry.lastHitAt ? new Date(entry.lastHitAt).toISOString() : null,
+            usage: entry.response.usage
+        };
+    }
+
+    get(key) {
+        this.pruneExpired();
+        const entry = this.entries.get(key);
+        return entry ? { ...this.summarizeEntry(entry), response: entry.response } : null;
+    }
+
+    list() {
+        this.pruneExpired();
+        return Array.from(this.entries.values()).reverse().map(entry => this.summarizeEntry(entry));
+    }
+
+    delete(key) {
+        return this.drop(key);
+    }
+
+    purge() {
+        const purged = this.entries.size;
+        this.entries.clear();
+        this.embedder.clear();
+        return purged;
+    }
+
+    getStats() {
+        this.pruneExpired();
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            enabled: this.enabled,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlSeconds: this.ttlMs / 1000,
+            similarityThreshold: this.similarityThreshold,
+            ...this.stats,
+            hitRate: lookups > 0 ? parseFloat((this.stats.hits / lookups).toFixed(3)) : null
+        };
+    }
+}
+
+module.exports = { ResponseCache, normalizePrompt };
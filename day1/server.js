@@ -1,8 +1,10 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
+const { getProvider, listProviders } = require('./llm-providers');
+const { ResponseCache } = require('./response-cache');
+const { ApiAuth } = require('./api-auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,39 +13,44 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day1' });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-if (!ANTHROPIC_API_KEY) {
-    console.warn('Warning: ANTHROPIC_API_KEY environment variable not set');
+if (!getProvider().isConfigured()) {
+    console.warn(`Warning: LLM provider "${getProvider().name}" is not configured (set ANTHROPIC_API_KEY or LLM_PROVIDER)`);
 }
 
-async function makeClaudeRequest(question, retries = 3) {
+const responseCache = new ResponseCache();
+
+async function makeClaudeRequest(question, { provider, retries = 3, cache = true } = {}) {
+    const llm = getProvider(provider);
+    const model = 'claude-3-haiku-20240307';
+    const maxTokens = 200;
+    const messages = [
+        {
+            role: 'user',
+            content: question
+        }
+    ];
+
+    return responseCache.getOrFetch(
+        { messages, provider: llm.name, model, params: { maxTokens } },
+        () => completeWithRetries(llm, { model, maxTokens, messages }, retries),
+        { bypass: !cache }
+    );
+}
+
+async function completeWithRetries(llm, options, retries) {
     for (let i = 0; i < retries; i++) {
         try {
-            const response = await axios.post(
-                'https://api.anthropic.com/v1/messages',
-                {
-                    model: 'claude-3-haiku-20240307',
-                    max_tokens: 200,
-                    messages: [
-                        {
-                            role: 'user',
-                            content: question
-                        }
-                    ]
-                },
-                {
-                    headers: {
-                        'x-api-key': ANTHROPIC_API_KEY,
-                        'Content-Type': 'application/json',
-                        'anthropic-version': '2023-06-01'
-                    }
-                }
-            );
-            return response;
+            return await llm.complete(options);
         } catch (error) {
-            if (error.response?.status === 429 && i < retries - 1) {
-                const delay = Math.pow(2, i) * 1000;
+            if (error.status === 429 && i < retries - 1) {
+                const delay = error.retryAfter ? error.retryAfter * 1000 : Math.pow(2, i) * 1000;
                 console.log(`Rate limited, retrying in ${delay}ms...`);
                 await new Promise(resolve => setTimeout(resolve, delay));
                 continue;
@@ -53,43 +60,170 @@ async function makeClaudeRequest(question, retries = 3) {
     }
 }
 
+// Resolve the provider for a request, answering 400/500 itself when it cannot be used
+function resolveProvider(name, res) {
+    let llm;
+    try {
+        llm = getProvider(name);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return null;
+    }
+
+    if (!llm.isConfigured()) {
+        res.status(500).json({
+            error: `LLM provider "${llm.name}" not configured`,
+            answer: 'I need a configured LLM provider to function. Please set the ANTHROPIC_API_KEY environment variable or choose another provider with LLM_PROVIDER.'
+        });
+        return null;
+    }
+
+    return llm;
+}
+
 app.post('/api/ask', async (req, res) => {
     try {
-        const { question } = req.body;
-        
+        const { question, provider, cache } = req.body;
+
         if (!question) {
             return res.status(400).json({ error: 'Question is required' });
         }
 
-        if (!ANTHROPIC_API_KEY) {
-            return res.status(500).json({ 
-                error: 'Anthropic API key not configured',
-                answer: 'I need an Anthropic API key to function. Please set the ANTHROPIC_API_KEY environment variable.' 
-            });
+        const llm = resolveProvider(provider, res);
+        if (!llm) return;
+
+        const response = await makeClaudeRequest(question, { provider: llm.name, cache: cache !== false });
+
+        res.json({ answer: response.text, question, provider: response.provider, usage: response.usage, cache: response.cache });
+
+    } catch (error) {
+        console.error('Error calling LLM provider:', error.details || error.message);
+
+        if (error.status === 401) {
+            res.status(401).json({ error: 'Invalid API key', provider: error.provider });
+        } else if (error.status === 429) {
+            res.status(429).json({ error: 'Rate limit exceeded', provider: error.provider, retryAfter: error.retryAfter });
+        } else {
+            res.status(500).json({ error: 'Failed to get AI response', provider: error.provider });
         }
+    }
+});
 
-        const response = await makeClaudeRequest(question);
+// Streaming variant of /api/ask: relays the model's output as Server-Sent Events
+app.post('/api/ask/stream', async (req, res) => {
+    const { question, provider } = req.body;
 
-        const answer = response.data.content[0].text;
-        res.json({ answer, question });
+    if (!question) {
+        return res.status(400).json({ error: 'Question is required' });
+    }
+
+    const llm = resolveProvider(provider, res);
+    if (!llm) return;
 
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Abort the upstream request when the client cancels or disconnects
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let answer = '';
+    let stopReason = null;
+    let usage = { input_tokens: 0, output_tokens: 0 };
+
+    try {
+        const events = llm.stream({
+            model: 'claude-3-haiku-20240307',
+            maxTokens: 200,
+            messages: [{ role: 'user', content: question }],
+            signal: controller.signal
+        });
+
+        for await (const event of events) {
+            switch (event.type) {
+                case 'start':
+                    sendEvent('start', { model: event.model, provider: llm.name, question });
+                    break;
+                case 'delta':
+                    answer += event.text;
+                    sendEvent('delta', { text: event.text });
+                    break;
+                case 'usage':
+                    usage = event.usage;
+                    sendEvent('usage', usage);
+                    break;
+                case 'stop':
+                    stopReason = event.stopReason;
+                    sendEvent('stop', { stop_reason: stopReason });
+                    break;
+                case 'error':
+                    sendEvent('error', { error: event.error, type: event.errorType });
+                    break;
+            }
+        }
+
+        sendEvent('done', { question, answer, usage, stop_reason: stopReason });
     } catch (error) {
-        console.error('Error calling Claude API:', error.response?.data || error.message);
-        
-        if (error.response?.status === 401) {
-            res.status(401).json({ error: 'Invalid Anthropic API key' });
-        } else if (error.response?.status === 429) {
-            res.status(429).json({ error: 'Rate limit exceeded' });
+        if (controller.signal.aborted) {
+            console.log('Stream cancelled by client');
+            return;
+        }
+
+        console.error('Error streaming from LLM provider:', error.details || error.message);
+
+        if (error.status === 401) {
+            sendEvent('error', { error: 'Invalid API key', type: 'authentication_error' });
+        } else if (error.status === 429) {
+            sendEvent('error', { error: 'Rate limit exceeded', type: 'rate_limit_error', retryAfter: error.retryAfter });
         } else {
-            res.status(500).json({ error: 'Failed to get AI response' });
+            sendEvent('error', { error: 'Failed to get AI response', type: error.type || 'api_error', details: error.message });
         }
+    } finally {
+        res.end();
     }
 });
 
+// Response cache administration
+app.get('/api/admin/cache', (req, res) => {
+    res.json({ stats: responseCache.getStats(), entries: responseCache.list() });
+});
+
+app.get('/api/admin/cache/:key', (req, res) => {
+    const entry = responseCache.get(req.params.key);
+    if (!entry) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json(entry);
+});
+
+app.delete('/api/admin/cache/:key', (req, res) => {
+    if (!responseCache.delete(req.params.key)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true });
+});
+
+app.delete('/api/admin/cache', (req, res) => {
+    res.json({ success: true, purged: responseCache.purge() });
+});
+
+app.get('/api/providers', (req, res) => {
+    res.json({ providers: listProviders() });
+});
+
 app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        hasApiKey: !!ANTHROPIC_API_KEY,
+    res.json({
+        status: 'ok',
+        hasApiKey: getProvider().isConfigured(),
+        provider: getProvider().name,
         timestamp: new Date().toISOString()
     });
 });
@@ -101,5 +235,6 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
     console.log(`AI Agent server running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to interact with the agent`);
+    console.log(`LLM provider: ${getProvider().name} (configured: ${getProvider().isConfigured()})`);
     console.log(`API Key configured: ${!!ANTHROPIC_API_KEY}`);
-});
\ No newline at end of file
+});
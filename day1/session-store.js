@@ -0,0 +1,217 @@
+/**
+ * Session Store - SQLite persistence for conversation sessions
+ *
+ * Servers that keep sessions in an in-process Map (day3 interviews, day7 chats) lose
+ * them on restart. This store keeps one row per session: a few columns to list and
+ * filter by, plus the full session as JSON. Several servers can share a database
+ * file; each uses its own `namespace`.
+ *
+ * The schema is versioned with PRAGMA user_version and upgraded on open, so later
+ * columns are added by appending to MIGRATIONS. Existing in-memory sessions can be
+ * moved over once with importSessions().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { requireShared } = require('./shared-require');
+
+const Database = requireShared('better-sqlite3');
+
+// Applied in order; the database's user_version is the number already applied
+const MIGRATIONS = [
+    `CREATE TABLE sessions (
+        namespace TEXT NOT NULL,
+        id TEXT NOT NULL,
+        status TEXT,
+        category TEXT,
+        is_complete INTEGER NOT NULL DEFAULT 0,
+        message_count INTEGER NOT NULL DEFAULT 0,
+        summary TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (namespace, id)
+    );
+    CREATE INDEX sessions_updated ON sessions (namespace, updated_at)`
+];
+
+function migrate(db) {
+    const version = db.pragma('user_version', { simple: true });
+    if (version > MIGRATIONS.length) {
+        throw new Error(`Session database schema version ${version} is newer than this code (${MIGRATIONS.length})`);
+    }
+
+    MIGRATIONS.slice(version).forEach((sql, index) => {
+        db.transaction(() => {
+            db.exec(sql);
+            db.pragma(`user_version = ${version + index + 1}`);
+        })();
+    });
+    return MIGRATIONS.length;
+}
+
+function toRecord(row, includeData = true) {
+    const record = {
+        id: row.id,
+        status: row.status,
+        category: row.category,
+        isComplete: row.is_complete === 1,
+        messageCount: row.message_count,
+        summary: row.summary,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+    if (includeData) {
+        record.data = JSON.parse(row.data);
+    }
+    return record;
+}
+
+class SessionStore {
+    constructor({ filePath, namespace }) {
+        if (!namespace) throw new Error('SessionStore needs a namespace');
+
+        if (filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+        this.filePath = filePath;
+        this.namespace = namespace;
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.schemaVersion = migrate(this.db);
+    }
+
+    /**
+     * Insert or update a session. `data` is the full session as a JSON-serializable
+     * object; the other fields are the columns used for listing and filtering.
+     */
+    save(id, { data, status = null, category = null, isComplete = false, messageCount = 0, summary = null, createdAt, updatedAt }) {
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO sessions (namespace, id, status, category, is_complete, message_count, summary, data, created_at, updated_at)
+            VALUES (@namespace, @id, @status, @category, @isComplete, @messageCount, @summary, @data, @createdAt, @updatedAt)
+            ON CONFLICT (namespace, id) DO UPDATE SET
+                status = excluded.status,
+                category = excluded.category,
+                is_complete = excluded.is_complete,
+                message_count = excluded.message_count,
+                summary = excluded.summary,
+                data = excluded.data,
+                updated_at = excluded.updated_at
+        `).run({
+            namespace: this.namespace,
+            id,
+            status,
+            category,
+            isComplete: isComplete ? 1 : 0,
+            messageCount,
+            summary,
+            data: JSON.stringify(data),
+            createdAt: createdAt || now,
+            updatedAt: updatedAt || now
+        });
+    }
+
+    load(id) {
+        const row = this.db.prepare('SELECT * FROM sessions WHERE namespace = ? AND id = ?').get(this.namespace, id);
+        return row ? toRecord(row) : null;
+    }
+
+    /**
+     * Newest first. Filters: status, category, isComplete, updatedAfter/updatedBefore
+     * (ISO timestamps) and search (substring of the summary). Returns { sessions, total }
+     * without the session data.
+     */
+    list({ status, category, isComplete, updatedAfter, updatedBefore, search, limit = 50, offset = 0 } = {}) {
+        const conditions = ['namespace = @namespace'];
+        const params = { namespace: this.namespace };
+
+        if (status) {
+            conditions.push('status = @status');
+            params.status = status;
+        }
+        if (category) {
+            conditions.push('category = @category');
+            params.category = category;
+        }
+        if (isComplete !== undefined) {
+            conditions.push('is_complete = @isComplete');
+            params.isComplete = isComplete ? 1 : 0;
+        }
+        if (updatedAfter) {
+            conditions.push('updated_at >= @updatedAfter');
+            params.updatedAfter = updatedAfter;
+        }
+        if (updatedBefore) {
+            conditions.push('updated_at < @updatedBefore');
+            params.updatedBefore = updatedBefore;
+        }
+        if (search) {
+            conditions.push("summary LIKE @search ESCAPE '\\'");
+            params.search = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+        }
+
+        const where = conditions.join(' AND ');
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM sessions WHERE ${where}`).get(params).count;
+        const rows = this.db.prepare(`
+            SELECT id, status, category, is_complete, message_count, summary, created_at, updated_at
+            FROM sessions WHERE ${where}
+            ORDER BY updated_at DESC
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit, offset });
+
+        return { sessions: rows.map(row => toRecord(row, false)), total };
+    }
+
+    delete(id) {
+        return this.db.prepare('DELETE FROM sessions WHERE namespace = ? AND id = ?').run(this.namespace, id).changes > 0;
+    }
+
+    /**
+     * Delete sessions idle for longer than `maxIdleMs`. Completed sessions are kept
+     * unless `includeCompleted` is set. Returns the ids that were removed.
+     */
+    expire(maxIdleMs, { includeCompleted = false } = {}) {
+        const cutoff = new Date(Date.now() - maxIdleMs).toISOString();
+        const completedClause = includeCompleted ? '' : 'AND is_complete = 0';
+
+        const ids = this.db.prepare(`SELECT id FROM sessions WHERE namespace = ? AND updated_at < ? ${completedClause}`)
+            .all(this.namespace, cutoff)
+            .map(row => row.id);
+
+        if (ids.length > 0) {
+            this.db.prepare(`DELETE FROM sessions WHERE namespace = ? AND updated_at < ? ${completedClause}`).run(this.namespace, cutoff);
+        }
+        return ids;
+    }
+
+    /**
+     * One-off migration from an in-memory Map or array of [id, session] pairs.
+     * `describe(session)` returns the save() fields for a session. Existing rows win.
+     */
+    importSessions(entries, describe) {
+        let imported = 0;
+        this.db.transaction(() => {
+            for (const [id, session] of entries) {
+                if (this.load(id)) continue;
+                this.save(id, describe(session));
+                imported++;
+            }
+        })();
+        return imported;
+    }
+
+    stats() {
+        const row = this.db.prepare(`
+            SELECT COUNT(*) AS total, COALESCE(SUM(is_complete), 0) AS completed
+            FROM sessions WHERE namespace = ?
+        `).get(this.namespace);
+        return { file: this.filePath, schemaVersion: this.schemaVersion, total: row.total, completed: row.completed };
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { SessionStore, MIGRATIONS, migrate };
@@ -0,0 +1,25 @@
+/**
+ * Shared Require - load a package for a module that other days import from day1
+ *
+ * `require('../day1/api-auth')` from day8 runs api-auth with day1 as its directory, so a
+ * plain require('axios') there only finds day1/node_modules. Each day declares the
+ * packages the shared modules need in its own package.json; this looks next to the
+ * running script (or the working directory) first and falls back to day1's.
+ */
+
+const { createRequire } = require('module');
+const path = require('path');
+
+function requireShared(name) {
+    const bases = [require.main?.filename, path.join(process.cwd(), 'index.js')].filter(Boolean);
+    for (const base of bases) {
+        try {
+            return createRequire(base)(name);
+        } catch (error) {
+            if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        }
+    }
+    return require(name);
+}
+
+module.exports = { requireShared };
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the shared JSON Store
+ *
+ * Writes into a fresh temporary directory and removes it afterwards.
+ *
+ *   node test-json-store.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileWriter, writeFileAtomic, withFileLock, generateId } = require('./json-store');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+async function testWrites(record) {
+    console.log('\n💾 JsonFileWriter');
+
+    await record('Writes the data with a savedAt timestamp, creating the directory', async () => {
+        const filePath = path.join(tempDir, 'nested', 'store.json');
+        await new JsonFileWriter(filePath).save({ items: [1, 2] });
+
+        const data = readJson(filePath);
+        assert.deepStrictEqual(data.items, [1, 2]);
+        assert.ok(!Number.isNaN(Date.parse(data.savedAt)));
+    });
+
+    await record('The snapshot is taken when save is called', async () => {
+        const filePath = path.join(tempDir, 'snapshot.json');
+        const items = ['a'];
+        const saving = new JsonFileWriter(filePath).save({ items });
+        items.push('b');
+        await saving;
+        assert.deepStrictEqual(readJson(filePath).items, ['a']);
+    });
+
+    await record('Saves land in the order they were made', async () => {
+        const filePath = path.join(tempDir, 'order.json');
+        const writer = new JsonFileWriter(filePath);
+        const saves = Array.from({ length: 20 }, (_, i) => writer.save({ version: i }));
+        await Promise.all(saves);
+        assert.strictEqual(readJson(filePath).version, 19);
+    });
+
+    await record('No temporary files are left behind', async () => {
+        const files = fs.readdirSync(tempDir).filter(file => file.endsWith('.tmp'));
+        assert.deepStrictEqual(files, []);
+    });
+
+    await record('mode sets the file permissions', async () => {
+        const filePath = path.join(tempDir, 'secret.json');
+        await new JsonFileWriter(filePath, { mode: 0o600 }).save({ keys: [] });
+        assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+    });
+
+    await record('A failed write is logged, keeps the old file and does not block later saves', async () => {
+        const filePath = path.join(tempDir, 'kept.json');
+        await writeFileAtomic(filePath, '{"version":1}');
+
+        const writer = new JsonFileWriter(filePath, { label: 'test data' });
+        const errors = [];
+        const originalError = console.error;
+        console.error = (...args) => errors.push(args.join(' '));
+        try {
+            // A directory where the temporary file should go makes the write fail
+            writer.filePath = path.join(tempDir, 'kept.json', 'child.json');
+            await writer.save({ version: 2 });
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0].startsWith('Failed to save test data:'));
+        assert.deepStrictEqual(readJson(filePath), { version: 1 });
+
+        writer.filePath = filePath;
+        await writer.save({ version: 3 });
+        assert.strictEqual(readJson(filePath).version, 3);
+    });
+}
+
+async function testLocks(record) {
+    console.log('\n🔒 withFileLock');
+
+    await record('Holders of the same lock take turns', async () => {
+        const filePath = path.join(tempDir, 'locked.json');
+        const events = [];
+        const hold = name => withFileLock(filePath, async () => {
+            events.push(`${name} start`);
+            await new Promise(resolve => setTimeout(resolve, 30));
+            events.push(`${name} end`);
+        }, { retryMs: 5 });
+
+        await Promise.all([hold('a'), hold('b')]);
+        // Either may go first, but neither starts while the other holds the lock
+        const first = events[0].split(' ')[0];
+        const second = first === 'a' ? 'b' : 'a';
+        assert.deepStrictEqual(events, [`${first} start`, `${first} end`, `${second} start`, `${second} end`]);
+        assert.ok(!fs.existsSync(`${filePath}.lock`));
+    });
+
+    await record('The lock is released when fn throws, and the error is passed on', async () => {
+        const filePath = path.join(tempDir, 'throws.json');
+        await assert.rejects(withFileLock(filePath, async () => { throw new Error('boom'); }), /boom/);
+        assert.ok(!fs.existsSync(`${filePath}.lock`));
+    });
+
+    await record('A stale lock is taken over; a live one times out', async () => {
+        const filePath = path.join(tempDir, 'stale.json');
+        fs.writeFileSync(`${filePath}.lock`, '');
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(`${filePath}.lock`, old, old);
+        assert.strictEqual(await withFileLock(filePath, () => 'ran'), 'ran');
+
+        fs.writeFileSync(`${filePath}.lock`, '');
+        await assert.rejects(withFileLock(filePath, () => 'ran', { retryMs: 5, timeoutMs: 30 }), /Timed out waiting/);
+        fs.rmSync(`${filePath}.lock`);
+    });
+}
+
+async function testIds(record) {
+    console.log('\n🏷️  generateId');
+
+    await record('Ids carry the prefix and are unique', () => {
+        const ids = Array.from({ length: 1000 }, () => generateId('exp'));
+        assert.ok(ids.every(id => /^exp_\d+_[a-z0-9]+$/.test(id)));
+        assert.strictEqual(new Set(ids).size, ids.length);
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting JSON Store Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    try {
+        await testWrites(record);
+        await testLocks(record);
+        await testIds(record);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the API Key Store
+ *
+ * Two KeyStore instances on one file stand in for two servers sharing the key store.
+ * Writes into a fresh temporary directory and removes it afterwards.
+ *
+ *   node test-key-store.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeyStore } = require('./api-auth');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-store-'));
+let fileCount = 0;
+
+function openStores(count) {
+    const filePath = path.join(tempDir, `keys-${++fileCount}.json`);
+    return Array.from({ length: count }, () => {
+        const store = new KeyStore(filePath);
+        store.load();
+        return store;
+    });
+}
+
+function readRecord(store, id) {
+    const data = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+    return data.keys.find(record => record.id === id);
+}
+
+async function issueShared(a, b) {
+    const { record } = a.issue({ name: 'shared', dailyTokenLimit: 1000, dailyCostLimit: null });
+    await a.save();
+    b.load();
+    return record.id;
+}
+
+async function testMerging(record) {
+    console.log('\n🔀 Two servers, one file');
+
+    await record('Usage recorded by both servers is added up, not overwritten', async () => {
+        const [a, b] = openStores(2);
+        const id = await issueShared(a, b);
+
+        a.recordUsage(id, { requests: 1, inputTokens: 100, outputTokens: 50, cost: 0.01 });
+        b.recordUsage(id, { requests: 1, inputTokens: 200, outputTokens: 25, cost: 0.02 });
+        await Promise.all([a.save(), b.save()]);
+
+        const usage = a.usageToday(readRecord(a, id));
+        assert.deepStrictEqual(usage, { requests: 2, inputTokens: 300, outputTokens: 75, cost: 0.03 });
+    });
+
+    await record('Many interleaved requests on both servers are all counted', async () => {
+        const [a, b] = openStores(2);
+        const id = await issueShared(a, b);
+
+        for (let i = 0; i < 20; i++) {
+            (i % 2 ? a : b).recordUsage(id, { requests: 1, inputTokens: 10, outputTokens: 5 });
+        }
+        await Promise.all([a.save(), b.save()]);
+
+        const usage = a.usageToday(readRecord(a, id));
+        assert.strictEqual(usage.requests, 20);
+        assert.strictEqual(usage.inputTokens, 200);
+        assert.strictEqual(usage.outputTokens, 100);
+    });
+
+    await record('Each server sees the other\'s usage after saving', async () => {
+        const [a, b] = openStores(2);
+        const id = await issueShared(a, b);
+
+        a.recordUsage(id, { requests: 1, inputTokens: 400 });
+        await a.save();
+        b.recordUsage(id, { requests: 1, inputTokens: 500 });
+        await b.save();
+
+        assert.strictEqual(b.summarize(b.keys.get(id)).quota.tokensRemaining, 100);
+        a.load();
+        assert.strictEqual(a.summarize(a.keys.get(id)).quota.tokensRemaining, 100);
+    });
+
+    await record('A revocation survives the other server\'s next save', async () => {
+        const [a, b] = openStores(2);
+        const id = await issueShared(a, b);
+
+        a.revoke(id);
+        b.recordUsage(id, { requests: 1, inputTokens: 10 });
+        await Promise.all([a.save(), b.save()]);
+
+        const saved = readRecord(a, id);
+        assert.ok(saved.revokedAt);
+        assert.strictEqual(saved.usage[Object.keys(saved.usage)[0]].requests, 1);
+    });
+
+    await record('Keys issued on different servers are both kept', async () => {
+        const [a, b] = openStores(2);
+        const first = a.issue({ name: 'first', dailyTokenLimit: null, dailyCostLimit: null }).record.id;
+        const second = b.issue({ name: 'second', dailyTokenLimit: null, dailyCostLimit: null }).record.id;
+        await Promise.all([a.save(), b.save()]);
+
+        assert.ok(readRecord(a, first));
+        assert.ok(readRecord(a, second));
+        a.load();
+        assert.deepStrictEqual([a.keys.has(first), a.keys.has(second)], [true, true]);
+    });
+
+    await record('Unsaved usage stays visible when another server\'s write is loaded', async () => {
+        const [a, b] = openStores(2);
+        const id = await issueShared(a, b);
+
+        b.recordUsage(id, { requests: 1, inputTokens: 30 });
+        a.recordUsage(id, { requests: 1, inputTokens: 70 });
+        await a.save();
+        b.load();
+        assert.strictEqual(b.usageToday(b.keys.get(id)).inputTokens, 100);
+        await b.save();
+        assert.strictEqual(b.usageToday(readRecord(b, id)).inputTokens, 100);
+    });
+}
+
+async function testFailures(record) {
+    console.log('\n💥 Failed saves');
+
+    await record('Usage from a failed save is kept and written by the next one', async () => {
+        const [a] = openStores(1);
+        const { record: key } = a.issue({ name: 'kept', dailyTokenLimit: null, dailyCostLimit: null });
+        await a.save();
+
+        const saved = fs.readFileSync(a.filePath, 'utf8');
+        const errors = [];
+        const originalError = console.error;
+        console.error = (...args) => errors.push(args.join(' '));
+        try {
+            // Another server's half-written file can't be merged into
+            fs.writeFileSync(a.filePath, '{"keys": [');
+            a.recordUsage(key.id, { requests: 1, inputTokens: 10 });
+            await a.save();
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.ok(errors.some(error => error.startsWith('Failed to save API keys:')));
+        assert.strictEqual(a.changes.size, 1);
+
+        fs.writeFileSync(a.filePath, saved);
+        await a.save();
+        assert.strictEqual(a.changes.size, 0);
+        assert.strictEqual(a.usageToday(readRecord(a, key.id)).inputTokens, 10);
+    });
+
+    await record('The key file is readable only by its owner', async () => {
+        const [a] = openStores(1);
+        a.issue({ name: 'secret', dailyTokenLimit: null, dailyCostLimit: null });
+        await a.save();
+        assert.strictEqual(fs.statSync(a.filePath).mode & 0o777, 0o600);
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Key Store Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    try {
+        await testMerging(record);
+        await testFailures(record);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
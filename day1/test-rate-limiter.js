@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the shared Rate Limiter
+ *
+ * Runs offline against a fake clock: every limiter gets a `now` function the test
+ * moves forward, and queued requests are re-checked with pump() instead of waiting
+ * for real timers.
+ *
+ *   node test-rate-limiter.js
+ */
+
+const assert = require('assert');
+const { parseReset, TokenBucket, RateLimiter, getRateLimiter } = require('./rate-limiter');
+
+const MINUTE = 60000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+function createClock() {
+    const clock = { time: START };
+    clock.now = () => clock.time;
+    clock.advance = ms => { clock.time += ms; };
+    return clock;
+}
+
+function createLimiter(limits = {}) {
+    const clock = createClock();
+    const limiter = new RateLimiter({
+        name: 'test',
+        now: clock.now,
+        limits: { requestsPerMinute: 100, tokensPerMinute: 10000, maxConcurrent: 1, backoffMs: 1000, maxBackoffMs: 8000, ...limits }
+    });
+    return { limiter, clock };
+}
+
+// Let resolved acquire() promises run their callbacks
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+async function testParseReset(record) {
+    console.log('\n⏱️  parseReset');
+
+    await record('Reads RFC 3339 timestamps from Anthropic', () => {
+        assert.strictEqual(parseReset('2026-01-01T00:00:30Z', START), START + 30000);
+    });
+
+    await record('Reads OpenAI durations', () => {
+        assert.strictEqual(parseReset('6m0s', START), START + 6 * MINUTE);
+        assert.strictEqual(parseReset('1s', START), START + 1000);
+        assert.strictEqual(parseReset('250ms', START), START + 250);
+        assert.strictEqual(parseReset('1h2m3s', START), START + (62 * 60 + 3) * 1000);
+        assert.strictEqual(parseReset('1.5s', START), START + 1500);
+    });
+
+    await record('"2m" is minutes, not milliseconds', () => {
+        assert.strictEqual(parseReset('2m', START), START + 2 * MINUTE);
+    });
+
+    await record('Missing or unreadable values give null', () => {
+        assert.strictEqual(parseReset(null, START), null);
+        assert.strictEqual(parseReset('', START), null);
+        assert.strictEqual(parseReset('soon', START), null);
+    });
+}
+
+async function testTokenBucket(record) {
+    console.log('\n🪣 TokenBucket');
+
+    await record('Refills at capacity per minute, up to capacity', () => {
+        const bucket = new TokenBucket(100, START);
+        bucket.take(100, START);
+        assert.strictEqual(bucket.snapshot(START + 30000).available, 50);
+        assert.strictEqual(bucket.snapshot(START + 5 * MINUTE).available, 100);
+    });
+
+    await record('waitFor is the refill time, and a full bucket for oversized requests', () => {
+        const bucket = new TokenBucket(1000, START);
+        bucket.take(1000, START);
+        assert.strictEqual(bucket.waitFor(500, START), 30000);
+        assert.strictEqual(bucket.waitFor(5000, START), MINUTE);
+    });
+
+    await record('sync lowers what is left but never raises it', () => {
+        const bucket = new TokenBucket(100, START);
+        bucket.sync({ remaining: 500, resetAt: null, limit: 500 }, START);
+        assert.strictEqual(bucket.snapshot(START).available, 100);
+        bucket.sync({ remaining: 10, resetAt: null, limit: 500 }, START);
+        assert.strictEqual(bucket.snapshot(START).available, 10);
+        assert.strictEqual(bucket.server.remaining, 10);
+    });
+
+    await record('sync with nothing left blocks until the reset', () => {
+        const bucket = new TokenBucket(100, START);
+        bucket.sync({ remaining: 0, resetAt: START + 5000, limit: 100 }, START);
+        assert.strictEqual(bucket.waitFor(1, START), 5000);
+    });
+
+    await record('A reset more than a minute away is treated as clock skew', () => {
+        const bucket = new TokenBucket(100, START);
+        bucket.sync({ remaining: 0, resetAt: START + 3600000, limit: 100 }, START);
+        assert.strictEqual(bucket.waitFor(1, START), MINUTE);
+    });
+
+    await record('Non-numeric remaining values are ignored', () => {
+        const bucket = new TokenBucket(100, START);
+        bucket.sync({ remaining: NaN, resetAt: null, limit: null }, START);
+        assert.strictEqual(bucket.snapshot(START).available, 100);
+        assert.strictEqual(bucket.server, null);
+    });
+}
+
+async function testQueue(record) {
+    console.log('\n🚦 Queue and pump');
+
+    await record('Higher priority goes first, first come first served within a priority', async () => {
+        const { limiter } = createLimiter();
+        const order = [];
+        const tickets = [await limiter.acquire({ tokens: 10 })];
+
+        [['low-1', 0], ['high', 5], ['low-2', 0], ['mid', 2]].forEach(([name, priority]) => {
+            limiter.acquire({ tokens: 10, priority }).then(ticket => {
+                order.push(name);
+                tickets.push(ticket);
+            });
+        });
+        await settle();
+        assert.deepStrictEqual(order, [], 'nothing starts while the only slot is taken');
+
+        // Each release lets exactly one waiter start
+        while (tickets.length > 0) {
+            limiter.release(tickets.shift(), { usage: { input_tokens: 5, output_tokens: 5 } });
+            await settle();
+        }
+
+        assert.deepStrictEqual(order, ['high', 'mid', 'low-1', 'low-2']);
+        assert.strictEqual(limiter.status().stats.granted, 5);
+    });
+
+    await record('Waits for the token bucket and reports why', async () => {
+        const { limiter, clock } = createLimiter({ tokensPerMinute: 1000, maxConcurrent: 4 });
+        const waits = [];
+        await limiter.acquire({ tokens: 800 });
+
+        let granted = false;
+        const second = limiter.acquire({ tokens: 800, onWait: wait => waits.push(wait) }).then(ticket => {
+            granted = true;
+            return ticket;
+        });
+        await settle();
+        assert.strictEqual(granted, false);
+        assert.deepStrictEqual(waits, [{ reason: 'tokens-per-minute', waitMs: 36000 }]);
+
+        clock.advance(36000);
+        limiter.pump();
+        await second;
+        assert.strictEqual(granted, true);
+    });
+
+    await record('release settles the estimate against the real usage', async () => {
+        const { limiter } = createLimiter({ tokensPerMinute: 1000 });
+        const ticket = await limiter.acquire({ tokens: 800 });
+        assert.strictEqual(limiter.status().tokens.available, 200);
+
+        limiter.release(ticket, { usage: { input_tokens: 150, output_tokens: 50 } });
+        assert.strictEqual(limiter.status().tokens.available, 800);
+        assert.strictEqual(limiter.status().active, 0);
+    });
+
+    await record('Provider headers on release hold the queue until their reset', async () => {
+        const { limiter, clock } = createLimiter({ maxConcurrent: 4 });
+        const waits = [];
+        const ticket = await limiter.acquire({ tokens: 100 });
+        limiter.release(ticket, {
+            usage: { input_tokens: 60, output_tokens: 40 },
+            headers: {
+                'anthropic-ratelimit-tokens-remaining': '0',
+                'anthropic-ratelimit-tokens-reset': new Date(START + 2000).toISOString(),
+                'anthropic-ratelimit-tokens-limit': '10000'
+            }
+        });
+
+        const next = limiter.acquire({ tokens: 100, onWait: wait => waits.push(wait) });
+        await settle();
+        assert.deepStrictEqual(waits, [{ reason: 'tokens-per-minute', waitMs: 2000 }]);
+        assert.strictEqual(limiter.status().tokens.server.remaining, 0);
+
+        clock.advance(2000);
+        limiter.pump();
+        limiter.release(await next);
+    });
+
+    await record('OpenAI x-ratelimit headers are read too', () => {
+        const { limiter } = createLimiter();
+        limiter.observe({ 'x-ratelimit-remaining-requests': '3', 'x-ratelimit-reset-requests': '6m0s', 'x-ratelimit-limit-requests': '500' });
+        assert.strictEqual(limiter.status().requests.available, 3);
+        assert.strictEqual(limiter.status().requests.server.limit, 500);
+    });
+
+    await record('backoff uses retry-after and pauses everyone', async () => {
+        const { limiter, clock } = createLimiter({ maxConcurrent: 4 });
+        const waits = [];
+        assert.strictEqual(limiter.backoff(0, 3), 3000);
+
+        const waiting = limiter.acquire({ tokens: 10, onWait: wait => waits.push(wait) });
+        await settle();
+        assert.deepStrictEqual(waits, [{ reason: 'provider-429', waitMs: 3000 }]);
+
+        clock.advance(3000);
+        limiter.pump();
+        limiter.release(await waiting);
+    });
+
+    await record('backoff without retry-after doubles with jitter, up to the cap', () => {
+        const { limiter } = createLimiter();
+        for (let i = 0; i < 50; i++) {
+            const delay = limiter.backoff(2);
+            assert.ok(delay >= 2000 && delay <= 4000, `attempt 2 waited ${delay}ms`);
+            const capped = limiter.backoff(10);
+            assert.ok(capped >= 4000 && capped <= 8000, `attempt 10 waited ${capped}ms`);
+        }
+    });
+}
+
+async function testAborts(record) {
+    console.log('\n🛑 Aborts');
+
+    await record('An already aborted signal is rejected straight away', async () => {
+        const { limiter } = createLimiter();
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(limiter.acquire({ signal: controller.signal }), error => error.type === 'aborted');
+        assert.strictEqual(limiter.status().queued.length, 0);
+    });
+
+    await record('Aborting a queued request removes it and lets the next one through', async () => {
+        const { limiter } = createLimiter();
+        const first = await limiter.acquire({ tokens: 10 });
+        const controller = new AbortController();
+
+        const aborted = limiter.acquire({ tokens: 10, priority: 5, signal: controller.signal });
+        const other = limiter.acquire({ tokens: 10 });
+        await settle();
+        assert.strictEqual(limiter.status().queued.length, 2);
+
+        controller.abort();
+        await assert.rejects(aborted, error => error.type === 'aborted');
+        assert.strictEqual(limiter.status().queued.length, 1);
+
+        limiter.release(first);
+        limiter.release(await other);
+        assert.strictEqual(limiter.status().stats.granted, 2);
+    });
+
+    await record('Aborting after the slot was granted changes nothing', async () => {
+        const { limiter } = createLimiter();
+        const controller = new AbortController();
+        const ticket = await limiter.acquire({ tokens: 10, signal: controller.signal });
+        controller.abort();
+        assert.strictEqual(limiter.status().active, 1);
+        limiter.release(ticket);
+        limiter.release(ticket);
+        assert.strictEqual(limiter.status().active, 0);
+    });
+}
+
+async function testRegistry(record) {
+    console.log('\n📚 getRateLimiter');
+
+    await record('One shared limiter per provider name', () => {
+        assert.strictEqual(getRateLimiter('anthropic'), getRateLimiter('anthropic'));
+        assert.notStrictEqual(getRateLimiter('anthropic'), getRateLimiter('openai'));
+    });
+
+    await record('RATE_LIMIT_MAX_RETRIES=0 turns retries off; a zero rate falls back to the default', () => {
+        // The defaults are read from the environment when the module loads
+        const modulePath = require.resolve('./rate-limiter');
+        const loaded = require.cache[modulePath];
+        process.env.RATE_LIMIT_MAX_RETRIES = '0';
+        process.env.RATE_LIMIT_REQUESTS_PER_MINUTE = '0';
+        delete require.cache[modulePath];
+        try {
+            const { RATE_LIMIT_DEFAULTS } = require('./rate-limiter');
+            assert.strictEqual(RATE_LIMIT_DEFAULTS.maxRetries, 0);
+            assert.strictEqual(RATE_LIMIT_DEFAULTS.requestsPerMinute, 50);
+        } finally {
+            delete process.env.RATE_LIMIT_MAX_RETRIES;
+            delete process.env.RATE_LIMIT_REQUESTS_PER_MINUTE;
+            require.cache[modulePath] = loaded;
+        }
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Rate Limiter Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testParseReset(record);
+    await testTokenBucket(record);
+    await testQueue(record);
+    await testAborts(record);
+    await testRegistry(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
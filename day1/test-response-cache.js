@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the shared Response Cache
+ *
+ * Runs offline: responses are plain objects and getOrFetch gets a stub fetcher that
+ * counts how often the "model" was called.
+ *
+ *   node test-response-cache.js
+ */
+
+const assert = require('assert');
+const { ResponseCache, normalizePrompt } = require('./response-cache');
+
+function createCache(options = {}) {
+    return new ResponseCache({ enabled: true, ttlMs: 60000, maxEntries: 10, similarityThreshold: 0.85, ...options });
+}
+
+function request(prompt, overrides = {}) {
+    return { messages: [{ role: 'user', content: prompt }], provider: 'mock', model: 'mock-1', params: { temperature: 0 }, ...overrides };
+}
+
+function reply(content, tokens = 10) {
+    return { content, usage: { input_tokens: tokens, output_tokens: tokens } };
+}
+
+async function testExactMatches(record) {
+    console.log('\n🎯 Exact matches');
+
+    await record('Case, whitespace and trailing punctuation are ignored', () => {
+        assert.strictEqual(normalizePrompt('  What is   the Capital of France?! '), 'what is the capital of france');
+
+        const cache = createCache();
+        cache.store(request('What is the capital of France?'), reply('Paris'));
+        const match = cache.lookup(request('what is the capital   of france'));
+        assert.strictEqual(match.match, 'exact');
+        assert.strictEqual(match.entry.response.content, 'Paris');
+    });
+
+    await record('Provider, model, parameters and earlier messages are part of the key', () => {
+        const cache = createCache({ similarityThreshold: 0 });
+        cache.store(request('What is the capital of France?'), reply('Paris'));
+
+        assert.strictEqual(cache.lookup(request('What is the capital of France?', { model: 'mock-2' })), null);
+        assert.strictEqual(cache.lookup(request('What is the capital of France?', { params: { temperature: 1 } })), null);
+        assert.strictEqual(cache.lookup(request('What is the capital of France?', {
+            messages: [
+                { role: 'user', content: 'Answer in German.' },
+                { role: 'user', content: 'What is the capital of France?' }
+            ]
+        })), null);
+    });
+}
+
+async function testNearDuplicates(record) {
+    console.log('\n🔍 Near-duplicates');
+
+    await record('A rephrased question with the same content words is a similar hit', () => {
+        const cache = createCache();
+        cache.store(request('What is the capital of France?'), reply('Paris'));
+        const match = cache.lookup(request("What's the capital of France?"));
+        assert.strictEqual(match.match, 'similar');
+        assert.strictEqual(match.entry.response.content, 'Paris');
+    });
+
+    await record('A reordered question is not answered from the original', () => {
+        const cache = createCache();
+        cache.store(request('Is Python faster than Java?'), reply('Usually, yes'));
+        assert.strictEqual(cache.lookup(request('Is Java faster than Python?')), null);
+        assert.strictEqual(cache.lookup(request('Should I move from London to Paris?')), null);
+        assert.strictEqual(cache.getStats().similarHits, 0);
+    });
+
+    await record('Reordering within the same words still ranks the right entry first', () => {
+        const cache = createCache();
+        cache.store(request('Is Python faster than Java?'), reply('python'));
+        cache.store(request('Is Java faster than Python?'), reply('java'));
+        assert.strictEqual(cache.lookup(request('Java: is it faster than Python?')).entry.response.content, 'java');
+    });
+
+    await record('Near-duplicates are only searched within the same context', () => {
+        const cache = createCache();
+        cache.store(request('What is the capital of France?'), reply('Paris'));
+        assert.strictEqual(cache.lookup(request("What's the capital of France?", { model: 'mock-2' })), null);
+    });
+
+    await record('A threshold of 0 turns near-duplicate lookup off', () => {
+        const cache = createCache({ similarityThreshold: 0 });
+        cache.store(request('What is the capital of France?'), reply('Paris'));
+        assert.strictEqual(cache.lookup(request("What's the capital of France?")), null);
+    });
+
+    await record('Document counts follow stores, evictions, deletes and purges', () => {
+        const cache = createCache({ maxEntries: 2 });
+        cache.store(request('Explain photosynthesis'), reply('a'));
+        cache.store(request('Explain photosynthesis'), reply('b'));
+        assert.strictEqual(cache.embedder.documentCount, 1);
+
+        cache.store(request('Explain gravity'), reply('c'));
+        cache.store(request('Explain magnetism'), reply('d'));
+        assert.strictEqual(cache.embedder.documentCount, 2);
+        assert.strictEqual(cache.embedder.documentCounts.get('photosynthesis'), undefined);
+        assert.strictEqual(cache.embedder.documentCounts.get('explain'), 2);
+
+        cache.delete(cache.list()[0].key);
+        assert.strictEqual(cache.embedder.documentCount, 1);
+        cache.purge();
+        assert.strictEqual(cache.embedder.documentCount, 0);
+        assert.strictEqual(cache.embedder.documentCounts.size, 0);
+    });
+}
+
+async function testLifecycle(record) {
+    console.log('\n♻️  Expiry, eviction and getOrFetch');
+
+    await record('Expired entries are not served', () => {
+        const cache = createCache();
+        const entry = cache.store(request('What is the capital of France?'), reply('Paris'));
+        entry.createdAt -= 61000;
+        assert.strictEqual(cache.lookup(request('What is the capital of France?')), null);
+        assert.strictEqual(cache.getStats().expirations, 1);
+        assert.strictEqual(cache.embedder.documentCount, 0);
+    });
+
+    await record('The least recently used entry is evicted first', () => {
+        const cache = createCache({ maxEntries: 2, similarityThreshold: 0 });
+        cache.store(request('first question'), reply('1'));
+        cache.store(request('second question'), reply('2'));
+        cache.lookup(request('first question'));
+        cache.store(request('third question'), reply('3'));
+
+        assert.deepStrictEqual(cache.list().map(entry => entry.prompt), ['third question', 'first question']);
+        assert.strictEqual(cache.getStats().evictions, 1);
+    });
+
+    await record('getOrFetch calls the model once and reports saved usage on hits', async () => {
+        const cache = createCache();
+        let calls = 0;
+        const fetchResponse = async () => {
+            calls++;
+            return reply('Paris', 12);
+        };
+
+        const first = await cache.getOrFetch(request('What is the capital of France?'), fetchResponse);
+        const second = await cache.getOrFetch(request('What is the capital of France?'), fetchResponse);
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(first.cache.hit, false);
+        assert.strictEqual(second.cache.hit, true);
+        assert.deepStrictEqual(second.usage, { input_tokens: 0, output_tokens: 0 });
+        assert.deepStrictEqual(second.cache.savedUsage, { input_tokens: 12, output_tokens: 12 });
+    });
+
+    await record('bypass skips the lookup and does not store', async () => {
+        const cache = createCache();
+        let calls = 0;
+        const fetchResponse = async () => reply(`answer ${++calls}`);
+
+        await cache.getOrFetch(request('What is the capital of France?'), fetchResponse, { bypass: true });
+        await cache.getOrFetch(request('What is the capital of France?'), fetchResponse, { bypass: true });
+        assert.strictEqual(calls, 2);
+        assert.strictEqual(cache.list().length, 0);
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Response Cache Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testExactMatches(record);
+    await testNearDuplicates(record);
+    await testLifecycle(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
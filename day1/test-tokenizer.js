@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the shared BPE Tokenizer
+ *
+ * Expected ids come from the reference tokenizers: @anthropic-ai/tokenizer for the
+ * bundled `claude` vocabulary and js-tiktoken for cl100k_base / o200k_base. The OpenAI
+ * cases run only when those vocabularies have been added to tokenizers/ (see README).
+ *
+ *   node test-tokenizer.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getTokenizer, resolveModel, countTokens, tokenizeText } = require('./tokenizer');
+
+const KNOWN_ENCODINGS = {
+    claude: [
+        ['hello world', [9381, 2253]],
+        ['Hello, world!', [10002, 16, 2253, 5]],
+        ['The quick brown fox jumps over the lazy dog.', [773, 4647, 9095, 33480, 37944, 985, 279, 17247, 6527, 18]],
+        ['  indented\n\tcode();', [225, 60400, 203, 202, 934, 4370]],
+        ['I\'m sure they\'ll say it\'s fine.', [45, 2338, 2860, 884, 2785, 2236, 444, 562, 6680, 18]],
+        ['naïve café 日本語 🚀', [2626, 33350, 357, 54057, 225, 12956, 12163, 23598, 257, 41270, 253, 227]],
+        ['supercalifragilisticexpialidocious', [5530, 1687, 390, 3837, 333, 364, 604, 15421, 539, 335, 514, 1354]],
+        ['12345678901234567890', [41238, 25479, 20520]]
+    ],
+    cl100k_base: [
+        ['hello world', [15339, 1917]],
+        ['tiktoken is great!', [83, 1609, 5963, 374, 2294, 0]],
+        ['I\'M DONE, aren\'t you?', [40, 28703, 55785, 11, 7784, 956, 499, 30]],
+        ['naïve café 日本語 🚀', [3458, 38672, 588, 53050, 76502, 22656, 45918, 252, 11410, 248, 222]]
+    ],
+    o200k_base: [
+        ['hello world', [24912, 2375]],
+        ['tiktoken is great!', [83, 8251, 2488, 382, 2212, 0]],
+        ['I\'M DONE, aren\'t you?', [40, 95346, 113799, 11, 23236, 481, 30]],
+        ['naïve café 日本語 🚀', [1503, 9954, 737, 30469, 17428, 40909, 169883, 222]]
+    ]
+};
+
+async function testKnownEncodings(record) {
+    console.log('\n🔢 Counts against the reference tokenizers');
+
+    for (const [encoding, cases] of Object.entries(KNOWN_ENCODINGS)) {
+        const tokenizer = getTokenizer(encoding);
+        if (!tokenizer) {
+            console.log(`  ⏭️  ${encoding}: vocabulary not installed, skipped`);
+            continue;
+        }
+
+        await record(`${encoding}: ${cases.length} texts encode to the reference ids`, () => {
+            cases.forEach(([text, ids]) => {
+                assert.deepStrictEqual(tokenizer.encode(text), ids, JSON.stringify(text));
+                assert.strictEqual(tokenizer.count(text), ids.length, JSON.stringify(text));
+            });
+        });
+    }
+
+    await record('claude: a 3000-character run of one letter is 95 tokens', () => {
+        assert.strictEqual(getTokenizer('claude').count('x'.repeat(3000)), 95);
+    });
+}
+
+async function testTokenizer(record) {
+    console.log('\n🧩 Tokenizer');
+    const tokenizer = getTokenizer('claude');
+
+    await record('Special tokens stand alone', () => {
+        assert.deepStrictEqual(tokenizer.encode('<EOT>'), [0]);
+        assert.deepStrictEqual(tokenizer.encode('hello<EOT>world').filter(id => id === 0), [0]);
+    });
+
+    await record('decode reverses encode, special tokens included', () => {
+        ['hello <EOT> world', 'naïve café 日本語 🚀', '  indented\n\tcode();'].forEach(text => {
+            assert.strictEqual(tokenizer.decode(tokenizer.encode(text)), text);
+        });
+    });
+
+    await record('Token offsets cover the text, whole characters only', () => {
+        const text = 'naïve café 日本語 🚀';
+        const tokens = tokenizer.tokenize(text);
+        assert.strictEqual(tokens[0].start, 0);
+        assert.strictEqual(tokens[tokens.length - 1].end, text.length);
+        tokens.forEach((token, i) => {
+            if (i > 0) assert.ok(token.start <= tokens[i - 1].end, `gap before token ${i}`);
+            assert.ok(token.end > token.start, `empty span for token ${i}`);
+        });
+    });
+
+    await record('Long words merge in well under a second', () => {
+        const word = Array.from({ length: 20000 }, (_, i) => String.fromCharCode(97 + (i * 7) % 26)).join('');
+        const started = Date.now();
+        const count = tokenizer.count(word);
+        const elapsed = Date.now() - started;
+        assert.ok(count > 0 && count < word.length, `count was ${count}`);
+        assert.ok(elapsed < 1000, `took ${elapsed}ms`);
+    });
+}
+
+async function testModels(record) {
+    console.log('\n🤖 Models and fallbacks');
+
+    await record('Claude 2 counts are exact, Claude 3+ are flagged approximate', () => {
+        const claude2 = resolveModel('claude-2.1');
+        const claude3 = resolveModel('claude-3-haiku-20240307');
+        assert.deepStrictEqual([claude2.encoding, claude2.exact], ['claude', true]);
+        assert.deepStrictEqual([claude3.encoding, claude3.exact], ['claude', false]);
+    });
+
+    await record('OpenAI models use their encoding when it is installed', () => {
+        const gpt4o = resolveModel('gpt-4o-mini');
+        if (getTokenizer('o200k_base')) {
+            assert.deepStrictEqual([gpt4o.encoding, gpt4o.exact], ['o200k_base', true]);
+        } else {
+            assert.deepStrictEqual([gpt4o.encoding, gpt4o.exact], ['claude', false]);
+        }
+    });
+
+    await record('Text is NFKC-normalized before counting', () => {
+        assert.strictEqual(countTokens('ﬁne', 'claude-2.1').tokens, countTokens('fine', 'claude-2.1').tokens);
+        assert.strictEqual(tokenizeText('ﬁne', 'claude-2.1').text, 'fine');
+    });
+
+    await record('tokenizeText lists at most `limit` tokens', () => {
+        const result = tokenizeText('The quick brown fox jumps over the lazy dog.', 'claude-2.1', { limit: 3 });
+        assert.strictEqual(result.count, 10);
+        assert.strictEqual(result.tokens.length, 3);
+        assert.strictEqual(result.truncated, true);
+    });
+
+    await record('Without a vocabulary, counts fall back to length / 4', () => {
+        const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenizers-'));
+        try {
+            const output = execFileSync(process.execPath, ['-e', `
+                const { countTokens } = require(${JSON.stringify(path.join(__dirname, 'tokenizer'))});
+                process.stdout.write(JSON.stringify(countTokens('hello world', 'claude-3-haiku-20240307')));
+            `], { env: { ...process.env, TOKENIZER_VOCAB_DIR: emptyDir } });
+            assert.deepStrictEqual(JSON.parse(output), { tokens: 3, encoding: null, exact: false, method: 'estimate' });
+        } finally {
+            fs.rmSync(emptyDir, { recursive: true, force: true });
+        }
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Tokenizer Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    if (!getTokenizer('claude')) {
+        console.error('❌ tokenizers/claude.json is missing');
+        process.exit(1);
+    }
+
+    await testKnownEncodings(record);
+    await testTokenizer(record);
+    await testModels(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
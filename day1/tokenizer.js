@@ -0,0 +1,373 @@
+/**
+ * Tokenizer - Byte-level BPE token counting shared by the day servers
+ *
+ * Several days guess token counts from characters (length / 4). This module counts
+ * with a real BPE vocabulary instead. Vocabularies are tiktoken rank files in JSON
+ * ({ pat_str, special_tokens, bpe_ranks }) loaded from `day1/tokenizers/`; the
+ * legacy Claude vocabulary ships with the repo, and OpenAI encodings such as
+ * cl100k_base or o200k_base are picked up when their files are added.
+ *
+ * Models are mapped to an encoding by family. Counts are exact when the model uses
+ * that vocabulary and flagged `exact: false` otherwise (Claude 3+ uses a newer,
+ * unpublished vocabulary, so its counts are approximations). When no vocabulary can
+ * be loaded, counts fall back to the length / 4 estimate.
+ *
+ * Configuration (environment):
+ *   TOKENIZER_VOCAB_DIR  directory with <encoding>.json files (default: ./tokenizers)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VOCAB_DIR = process.env.TOKENIZER_VOCAB_DIR || path.join(__dirname, 'tokenizers');
+
+// First matching family wins; `exact` says whether the encoding is the model's own
+const MODEL_FAMILIES = [
+    { pattern: /^claude-(2|instant)/, encoding: 'claude', exact: true },
+    { pattern: /^claude/, encoding: 'claude', exact: false },
+    { pattern: /^(gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4)/, encoding: 'o200k_base', exact: true },
+    { pattern: /^(gpt-4|gpt-3\.5|text-embedding-3|text-embedding-ada-002)/, encoding: 'cl100k_base', exact: true }
+];
+
+const DEFAULT_ENCODING = 'claude';
+
+// Pieces repeat a lot (" the", " and"), so their merges are cached per encoding
+const PIECE_CACHE_SIZE = 20000;
+
+/**
+ * JavaScript before V8 12.5 has no inline modifiers, so "(?i:'s|'t)" in the cl100k and
+ * o200k patterns becomes "(?:'[sS]|'[tT])".
+ */
+function toJsPattern(pattern) {
+    return pattern.replace(/\(\?i:([^)]*)\)/g, (match, body) =>
+        `(?:${body.replace(/[a-zA-Z]/g, letter => `[${letter.toLowerCase()}${letter.toUpperCase()}]`)})`);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Ranks keyed by the token's bytes as a latin1 string, which makes Map lookups cheap
+function parseRanks(bpeRanks) {
+    const encoder = new Map();
+    const decoder = new Map();
+
+    bpeRanks.split('\n').forEach(line => {
+        if (!line) return;
+        const [, offset, ...tokens] = line.split(' ');
+        tokens.forEach((token, i) => {
+            const bytes = Buffer.from(token, 'base64').toString('latin1');
+            const rank = parseInt(offset, 10) + i;
+            encoder.set(bytes, rank);
+            decoder.set(rank, bytes);
+        });
+    });
+
+    return { encoder, decoder };
+}
+
+// Binary min-heap of { rank, start } ordered by rank, then by position
+class PairHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    static less(a, b) {
+        return a.rank < b.rank || (a.rank === b.rank && a.start < b.start);
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!PairHeap.less(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && PairHeap.less(items[left], items[smallest])) smallest = left;
+                if (right < items.length && PairHeap.less(items[right], items[smallest])) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+class Tokenizer {
+    constructor(name, { pat_str, special_tokens = {}, bpe_ranks }) {
+        this.name = name;
+        this.pattern = new RegExp(toJsPattern(pat_str), 'gu');
+        this.specialTokens = new Map(Object.entries(special_tokens));
+        this.specialTexts = new Map(Array.from(this.specialTokens, ([text, id]) => [id, text]));
+        this.specialPattern = this.specialTokens.size > 0
+            ? new RegExp(Array.from(this.specialTokens.keys()).map(escapeRegExp).join('|'), 'g')
+            : null;
+
+        const { encoder, decoder } = parseRanks(bpe_ranks);
+        this.encoder = encoder;
+        this.decoder = decoder;
+        this.vocabularySize = encoder.size + this.specialTokens.size;
+        this.cache = new Map();
+    }
+
+    /**
+     * Merge the lowest-ranked adjacent pair (leftmost on ties) until no pair is in the
+     * vocabulary. Parts form a linked list and candidate pairs sit in a min-heap, so a
+     * long piece costs O(n log n) rather than a rescan of every pair per merge; heap
+     * entries whose pair has since changed are skipped when popped.
+     */
+    bytePairMerge(bytes) {
+        const n = bytes.length;
+        const next = Int32Array.from({ length: n }, (_, i) => i + 1);
+        const prev = Int32Array.from({ length: n }, (_, i) => i - 1);
+        const alive = new Uint8Array(n).fill(1);
+        const heap = new PairHeap();
+
+        // The pair starting at part `start` spans it and the part after it
+        const pushPair = (start) => {
+            if (start < 0 || next[start] >= n) return;
+            const end = next[next[start]];
+            const rank = this.encoder.get(bytes.slice(start, end));
+            if (rank !== undefined) heap.push({ rank, start, end });
+        };
+
+        for (let i = 0; i < n - 1; i++) pushPair(i);
+
+        while (heap.size > 0) {
+            const { start, end } = heap.pop();
+            if (!alive[start] || next[start] >= n || next[next[start]] !== end) continue;
+
+            const removed = next[start];
+            alive[removed] = 0;
+            next[start] = next[removed];
+            if (next[start] < n) prev[next[start]] = start;
+
+            pushPair(start);
+            pushPair(prev[start]);
+        }
+
+        const spans = [];
+        for (let i = 0; i < n; i = next[i]) {
+            spans.push([i, next[i]]);
+        }
+        return spans;
+    }
+
+    // Byte spans and ids for one pre-tokenized piece
+    encodePiece(piece) {
+        const cached = this.cache.get(piece);
+        if (cached) return cached;
+
+        const bytes = Buffer.from(piece, 'utf8').toString('latin1');
+        const direct = this.encoder.get(bytes);
+        const tokens = direct !== undefined
+            ? [{ id: direct, start: 0, end: bytes.length }]
+            : this.bytePairMerge(bytes).map(([start, end]) => ({ id: this.encoder.get(bytes.slice(start, end)), start, end }));
+
+        if (this.cache.size >= PIECE_CACHE_SIZE) this.cache.clear();
+        this.cache.set(piece, tokens);
+        return tokens;
+    }
+
+    // [{ text, index, special }] segments: special tokens stand alone, the rest is ordinary text
+    segments(text) {
+        if (!this.specialPattern) return [{ text, index: 0, special: false }];
+
+        const result = [];
+        let last = 0;
+        for (const match of text.matchAll(this.specialPattern)) {
+            if (match.index > last) result.push({ text: text.slice(last, match.index), index: last, special: false });
+            result.push({ text: match[0], index: match.index, special: true });
+            last = match.index + match[0].length;
+        }
+        if (last < text.length) result.push({ text: text.slice(last), index: last, special: false });
+        return result;
+    }
+
+    /**
+     * Token ids with their text and [start, end) character offsets in `text`.
+     * A token that splits a multi-byte character covers the whole character.
+     */
+    tokenize(text) {
+        const tokens = [];
+
+        this.segments(text).forEach(segment => {
+            if (segment.special) {
+                tokens.push({ id: this.specialTokens.get(segment.text), text: segment.text, start: segment.index, end: segment.index + segment.text.length, special: true });
+                return;
+            }
+
+            for (const match of segment.text.matchAll(this.pattern)) {
+                const piece = match[0];
+                const pieceStart = segment.index + match.index;
+
+                // Start and end character offset of the character each UTF-8 byte belongs to
+                const charStart = [];
+                const charEnd = [];
+                let offset = 0;
+                for (const char of piece) {
+                    const length = Buffer.byteLength(char, 'utf8');
+                    for (let b = 0; b < length; b++) {
+                        charStart.push(offset);
+                        charEnd.push(offset + char.length);
+                    }
+                    offset += char.length;
+                }
+
+                this.encodePiece(piece).forEach(token => {
+                    tokens.push({
+                        id: token.id,
+                        text: this.decode([token.id]),
+                        start: pieceStart + charStart[token.start],
+                        end: pieceStart + charEnd[token.end - 1]
+                    });
+                });
+            }
+        });
+
+        return tokens;
+    }
+
+    encode(text) {
+        return this.tokenize(text).map(token => token.id);
+    }
+
+    count(text) {
+        let count = 0;
+        this.segments(text).forEach(segment => {
+            if (segment.special) {
+                count++;
+                return;
+            }
+            for (const match of segment.text.matchAll(this.pattern)) {
+                count += this.encodePiece(match[0]).length;
+            }
+        });
+        return count;
+    }
+
+    decode(ids) {
+        const bytes = ids.map(id => this.specialTexts.get(id) ?? this.decoder.get(id) ?? '').join('');
+        return Buffer.from(bytes, 'latin1').toString('utf8');
+    }
+}
+
+const loaded = new Map();
+
+/**
+ * The tokenizer for an encoding name, or null when its vocabulary file is missing.
+ * Vocabularies are parsed once and kept for the life of the process.
+ */
+function getTokenizer(encoding = DEFAULT_ENCODING) {
+    if (loaded.has(encoding)) return loaded.get(encoding);
+
+    const filePath = path.join(VOCAB_DIR, `${encoding}.json`);
+    let tokenizer = null;
+    if (fs.existsSync(filePath)) {
+        try {
+            tokenizer = new Tokenizer(encoding, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        } catch (error) {
+            console.error(`Failed to load tokenizer vocabulary ${filePath}:`, error.message);
+        }
+    }
+
+    loaded.set(encoding, tokenizer);
+    return tokenizer;
+}
+
+function availableEncodings() {
+    if (!fs.existsSync(VOCAB_DIR)) return [];
+    return fs.readdirSync(VOCAB_DIR).filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json')).sort();
+}
+
+/**
+ * The encoding used for a model: { encoding, tokenizer, exact }. Unknown models and
+ * models whose vocabulary is missing get the default vocabulary with exact: false,
+ * or tokenizer: null when even that is unavailable.
+ */
+function resolveModel(model = '') {
+    const family = MODEL_FAMILIES.find(entry => entry.pattern.test(model));
+    if (family) {
+        const tokenizer = getTokenizer(family.encoding);
+        if (tokenizer) return { encoding: family.encoding, tokenizer, exact: family.exact };
+    }
+
+    const fallback = getTokenizer(DEFAULT_ENCODING);
+    return { encoding: fallback ? DEFAULT_ENCODING : null, tokenizer: fallback, exact: false };
+}
+
+function normalize(text) {
+    return (text || '').normalize('NFKC');
+}
+
+/**
+ * Token count for `text` under `model`:
+ * { tokens, encoding, exact, method: 'bpe' | 'estimate' }
+ */
+function countTokens(text, model) {
+    const { encoding, tokenizer, exact } = resolveModel(model);
+    if (!tokenizer) {
+        return { tokens: Math.ceil((text || '').length / 4), encoding: null, exact: false, method: 'estimate' };
+    }
+    return { tokens: tokenizer.count(normalize(text)), encoding, exact, method: 'bpe' };
+}
+
+// Just the number, for call sites that used length / 4
+function estimateTokens(text, model) {
+    return countTokens(text, model).tokens;
+}
+
+/**
+ * Token boundaries for visualization. Offsets refer to the NFKC-normalized text,
+ * which is returned as `text`. At most `limit` tokens are listed; `count` is the total.
+ */
+function tokenizeText(text, model, { limit = Infinity } = {}) {
+    const normalized = normalize(text);
+    const { encoding, tokenizer, exact } = resolveModel(model);
+    if (!tokenizer) {
+        return { text: normalized, encoding: null, exact: false, method: 'estimate', count: Math.ceil(normalized.length / 4), tokens: [], truncated: false };
+    }
+
+    const tokens = tokenizer.tokenize(normalized);
+    return {
+        text: normalized,
+        encoding,
+        exact,
+        method: 'bpe',
+        count: tokens.length,
+        tokens: tokens.slice(0, limit),
+        truncated: tokens.length > limit
+    };
+}
+
+module.exports = {
+    Tokenizer,
+    MODEL_FAMILIES,
+    getTokenizer,
+    availableEncodings,
+    resolveModel,
+    countTokens,
+    estimateTokens,
+    tokenizeText
+};
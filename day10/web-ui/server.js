@@ -4,6 +4,7 @@ const express = require('express');
 const path = require('path');
 const { IntelligentMCPAgent } = require('../llm-orchestrator/intelligent-mcp-agent.js');
 const { AdaptiveWorkflowAgent } = require('../llm-orchestrator/adaptive-workflow-agent.js');
+const { ApiAuth } = require('../../day1/api-auth');
 
 /**
  * Web UI Server for LLM-Driven MCP Orchestration Testing
@@ -16,6 +17,7 @@ class WebUIServer {
         this.intelligentAgent = null;
         this.adaptiveAgent = null;
         
+        this.apiAuth = new ApiAuth({ service: 'day10', meterResponseBodies: true });
         this.setupMiddleware();
         this.setupRoutes();
         this.initializeAgents();
@@ -38,9 +40,14 @@ class WebUIServer {
             console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
             next();
         });
+
+        // API keys and per-key daily quotas
+        this.app.use(this.apiAuth.middleware());
     }
 
     setupRoutes() {
+        this.apiAuth.registerRoutes(this.app);
+
         // Serve the main UI
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, 'index.html'));
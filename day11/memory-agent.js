@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const { MemoryManager } = require('./memory-manager');
+const { estimateTokens } = require('../day1/tokenizer');
 
 /**
  * Memory-Enabled Agent
@@ -498,8 +499,8 @@ class MemoryAgent {
     }
 
     estimateTokens(text) {
-        // Rough token estimation (actual tokenization would be more accurate)
-        return Math.ceil(text.length / 4);
+        // BPE count with the default (Claude) vocabulary; the agent has no fixed model
+        return estimateTokens(text);
     }
 
     async getMemoryStats() {
@@ -4,6 +4,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { MemoryAgent } = require('./memory-agent');
+const { ApiAuth } = require('../day1/api-auth');
 
 /**
  * Web Server for Memory Agent Demo
@@ -19,6 +20,7 @@ class MemoryAgentWebServer {
         this.agent = null;
         this.sessions = new Map(); // Track multiple agent instances
         
+        this.apiAuth = new ApiAuth({ service: 'day11', meterResponseBodies: true });
         this.setupMiddleware();
         this.setupRoutes();
     }
@@ -33,9 +35,14 @@ class MemoryAgentWebServer {
             console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
             next();
         });
+
+        // API keys and per-key daily quotas
+        this.app.use(this.apiAuth.middleware());
     }
 
     setupRoutes() {
+        this.apiAuth.registerRoutes(this.app);
+
         // Serve the web interface
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
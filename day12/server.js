@@ -4,6 +4,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { VoiceAgent } = require('./voice-agent');
+const { ApiAuth } = require('../day1/api-auth');
 
 /**
  * Voice Agent Web Server
@@ -26,6 +27,7 @@ class VoiceAgentServer {
             }
         });
         
+        this.apiAuth = new ApiAuth({ service: 'day12', meterResponseBodies: true });
         this.setupMiddleware();
         this.setupRoutes();
     }
@@ -42,9 +44,14 @@ class VoiceAgentServer {
             }
             next();
         });
+
+        // API keys and per-key daily quotas
+        this.app.use(this.apiAuth.middleware());
     }
 
     setupRoutes() {
+        this.apiAuth.registerRoutes(this.app);
+
         // Serve the main voice interface
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -5,6 +5,7 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs-extra');
 const { ImageGenerator } = require('./image-generator');
+const { ApiAuth } = require('../day1/api-auth');
 
 /**
  * Web Server for Day 17 Image Generation
@@ -26,6 +27,11 @@ app.use(express.json());
 app.use(express.static('public'));
 app.use('/images', express.static('generated-images'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day17', meterResponseBodies: true });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 // Initialize image generator
 const generator = new ImageGenerator({
     outputDir: './generated-images',
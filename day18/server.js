@@ -6,6 +6,7 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs-extra');
 const { StyleSystem } = require('./style-system');
+const { ApiAuth } = require('../day1/api-auth');
 
 /**
  * Day 18: Prompt & Style Systems Web Server
@@ -24,6 +25,11 @@ app.use(express.static('public'));
 // Serve generated images
 app.use('/generated-styles', express.static(path.join(__dirname, 'generated-styles')));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day18', meterResponseBodies: true });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 // Initialize Style System
 const styleSystem = new StyleSystem({ 
     verbose: false  // Reduce console output for web server
@@ -0,0 +1,155 @@
+/**
+ * Calibration Store - Confidence vs. outcome tracking for Day 2 answers
+ *
+ * Every structured answer is recorded with its stated confidence and type. Users mark
+ * answers correct or incorrect, and the report shows how often each confidence level
+ * actually turned out right (a reliability table), overall and per answer type.
+ */
+
+const fs = require('fs');
+const { JsonFileWriter } = require('../day1/json-store');
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// What each label is taken to promise; used for the calibration gap and Brier score
+const NOMINAL_ACCURACY = {
+    high: 0.9,
+    medium: 0.7,
+    low: 0.4
+};
+
+function round(value, digits = 3) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+class CalibrationStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.answers = new Map();
+        this.writer = new JsonFileWriter(filePath, { label: 'calibration records' });
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            (data.answers || []).forEach(answer => this.answers.set(answer.id, answer));
+            console.log(`📂 Loaded ${this.answers.size} calibration records from ${this.filePath}`);
+        } catch (error) {
+            console.error(`Failed to load calibration records from ${this.filePath}:`, error.message);
+        }
+    }
+
+    save() {
+        return this.writer.save({ answers: Array.from(this.answers.values()) });
+    }
+
+    record({ id, question, confidence, type, conversationId = null, cacheKey = null }) {
+        const answer = {
+            id,
+            question,
+            confidence: CONFIDENCE_LEVELS.includes(confidence) ? confidence : 'unknown',
+            type: type || 'unknown',
+            conversationId,
+            cacheKey,
+            outcome: null,
+            note: null,
+            answeredAt: new Date().toISOString(),
+            ratedAt: null
+        };
+
+        this.answers.set(id, answer);
+        this.save();
+        return answer;
+    }
+
+    get(id) {
+        return this.answers.get(id) || null;
+    }
+
+    setOutcome(id, correct, note = null) {
+        const answer = this.get(id);
+        if (!answer) return null;
+
+        answer.outcome = correct ? 'correct' : 'incorrect';
+        answer.note = note;
+        answer.ratedAt = new Date().toISOString();
+        this.save();
+        return answer;
+    }
+
+    summarize(answers) {
+        const rated = answers.filter(answer => answer.outcome !== null);
+        const correct = rated.filter(answer => answer.outcome === 'correct').length;
+
+        return {
+            answers: answers.length,
+            rated: rated.length,
+            correct,
+            incorrect: rated.length - correct,
+            accuracy: rated.length > 0 ? round(correct / rated.length) : null
+        };
+    }
+
+    // One row per confidence bucket: observed accuracy next to what the label promises
+    reliabilityTable(answers) {
+        return [...CONFIDENCE_LEVELS, 'unknown'].map(confidence => {
+            const row = this.summarize(answers.filter(answer => answer.confidence === confidence));
+            const nominal = NOMINAL_ACCURACY[confidence] ?? null;
+
+            return {
+                confidence,
+                ...row,
+                nominalAccuracy: nominal,
+                gap: row.accuracy !== null && nominal !== null ? round(row.accuracy - nominal) : null
+            };
+        });
+    }
+
+    getReport() {
+        const answers = Array.from(this.answers.values());
+        const scored = answers.filter(answer => answer.outcome !== null && NOMINAL_ACCURACY[answer.confidence] !== undefined);
+
+        // Brier score: mean squared error between the nominal probability and the outcome (0 is perfect)
+        const brierScore = scored.length > 0
+            ? round(scored.reduce((sum, answer) => {
+                const outcome = answer.outcome === 'correct' ? 1 : 0;
+                return sum + Math.pow(NOMINAL_ACCURACY[answer.confidence] - outcome, 2);
+            }, 0) / scored.length)
+            : null;
+
+        const buckets = this.reliabilityTable(answers);
+
+        // Expected calibration error: bucket gaps weighted by how many rated answers fall in them
+        const expectedCalibrationError = scored.length > 0
+            ? round(buckets
+                .filter(bucket => bucket.gap !== null)
+                .reduce((sum, bucket) => sum + Math.abs(bucket.gap) * bucket.rated, 0) / scored.length)
+            : null;
+
+        const types = [...new Set(answers.map(answer => answer.type))].sort();
+        const byType = types.map(type => {
+            const typeAnswers = answers.filter(answer => answer.type === type);
+            return {
+                type,
+                ...this.summarize(typeAnswers),
+                buckets: this.reliabilityTable(typeAnswers).filter(bucket => bucket.answers > 0)
+            };
+        });
+
+        return {
+            overall: {
+                ...this.summarize(answers),
+                brierScore,
+                expectedCalibrationError
+            },
+            buckets,
+            byType,
+            nominalAccuracy: NOMINAL_ACCURACY,
+            generatedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = { CalibrationStore, NOMINAL_ACCURACY };
@@ -0,0 +1,103 @@
+/**
+ * Conversation Store - Persisted multi-turn history for the Day 2 structured agent
+ *
+ * Conversations live in memory and are written to a JSON file after every change,
+ * so follow-up questions survive a server restart.
+ */
+
+const fs = require('fs');
+const { JsonFileWriter, generateId } = require('../day1/json-store');
+
+class ConversationStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.conversations = new Map();
+        this.writer = new JsonFileWriter(filePath, { label: 'conversations' });
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            (data.conversations || []).forEach(conversation => {
+                this.conversations.set(conversation.id, conversation);
+            });
+            console.log(`📂 Loaded ${this.conversations.size} conversations from ${this.filePath}`);
+        } catch (error) {
+            console.error(`Failed to load conversations from ${this.filePath}:`, error.message);
+        }
+    }
+
+    save() {
+        return this.writer.save({ conversations: Array.from(this.conversations.values()) });
+    }
+
+    create() {
+        const now = new Date().toISOString();
+        const conversation = {
+            id: generateId('conv'),
+            createdAt: now,
+            updatedAt: now,
+            turns: []
+        };
+
+        this.conversations.set(conversation.id, conversation);
+        this.save();
+        return conversation;
+    }
+
+    get(id) {
+        return this.conversations.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.conversations.values())
+            .map(conversation => ({
+                id: conversation.id,
+                createdAt: conversation.createdAt,
+                updatedAt: conversation.updatedAt,
+                turnCount: conversation.turns.length,
+                firstQuestion: conversation.turns[0]?.question || null
+            }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    delete(id) {
+        const deleted = this.conversations.delete(id);
+        if (deleted) this.save();
+        return deleted;
+    }
+
+    addTurn(id, turn) {
+        const conversation = this.get(id);
+        if (!conversation) return null;
+
+        const storedTurn = {
+            id: generateId('ans'),
+            ...turn,
+            timestamp: new Date().toISOString()
+        };
+
+        conversation.turns.push(storedTurn);
+        conversation.updatedAt = storedTurn.timestamp;
+        this.save();
+        return storedTurn;
+    }
+
+    /**
+     * Prior turns as model messages: the question, then the structured answer as JSON
+     * (confidence, sources etc. included) so the model can build on what it said before.
+     */
+    buildHistory(id, maxTurns = 10) {
+        const conversation = this.get(id);
+        if (!conversation) return [];
+
+        return conversation.turns.slice(-maxTurns).flatMap(turn => [
+            { role: 'user', content: turn.question },
+            { role: 'assistant', content: turn.structured ? JSON.stringify(turn.response) : String(turn.response.answer || '') }
+        ]);
+    }
+}
+
+module.exports = { ConversationStore };
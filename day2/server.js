@@ -1,8 +1,21 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
+const { getProvider } = require('../day1/llm-providers');
+const { ResponseCache } = require('../day1/response-cache');
+const { ApiAuth } = require('../day1/api-auth');
+const {
+    DEFAULT_RESPONSE_SCHEMA,
+    StructuredOutputError,
+    validateSchemaDefinition,
+    parseStructuredResponse,
+    buildStructuredPrompt,
+    buildRepairPrompt
+} = require('./structured-output');
+const { ConversationStore } = require('./conversation-store');
+const { generateId } = require('../day1/json-store');
+const { CalibrationStore } = require('./calibration-store');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,51 +24,74 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day2' });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-if (!ANTHROPIC_API_KEY) {
-    console.warn('Warning: ANTHROPIC_API_KEY environment variable not set');
+if (!getProvider().isConfigured()) {
+    console.warn(`Warning: LLM provider "${getProvider().name}" is not configured (set ANTHROPIC_API_KEY or LLM_PROVIDER)`);
 }
 
-async function makeClaudeRequest(question, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await axios.post(
-                'https://api.anthropic.com/v1/messages',
-                {
-                    model: 'claude-3-haiku-20240307',
-                    max_tokens: 300,
-                    messages: [
-                        {
-                            role: 'user',
-                            content: `Please respond to the following question in a structured JSON format. Your response must be valid JSON with the following structure:
-
-{
-  "answer": "Your main response to the question",
-  "confidence": "high|medium|low",
-  "type": "factual|opinion|creative|unknown",
-  "sources": ["list of any relevant sources or 'general knowledge'"],
-  "follow_up": "A suggested follow-up question or null"
+// Repair rounds allowed after the first answer fails schema validation
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPAIR_ATTEMPTS = 3;
+
+// Prior turns sent along with a follow-up question
+const MAX_HISTORY_TURNS = 10;
+
+const conversationStore = new ConversationStore(
+    process.env.CONVERSATIONS_FILE || path.join(__dirname, 'data', 'conversations.json')
+);
+conversationStore.load();
+
+const calibrationStore = new CalibrationStore(
+    process.env.CALIBRATION_FILE || path.join(__dirname, 'data', 'calibration.json')
+);
+calibrationStore.load();
+
+const responseCache = new ResponseCache();
+
+// Answers served from the cache, by answerId, so feedback on them can still evict the entry
+const CACHED_ANSWERS_LIMIT = 1000;
+const cachedAnswers = new Map();
+
+// Default-schema answers carry a confidence label, so they are tracked for calibration.
+// A cache hit repeats an answer that was already recorded, so it is only remembered for feedback.
+function recordForCalibration(answerId, turn, cache, conversationId = null) {
+    if (turn.schema !== 'default') return;
+
+    if (cache?.hit) {
+        cachedAnswers.set(answerId, cache.key);
+        if (cachedAnswers.size > CACHED_ANSWERS_LIMIT) cachedAnswers.delete(cachedAnswers.keys().next().value);
+        return;
+    }
+
+    calibrationStore.record({
+        id: answerId,
+        question: turn.question,
+        confidence: turn.response.confidence,
+        type: turn.response.type,
+        conversationId,
+        cacheKey: cache?.key || null
+    });
 }
 
-Question: ${question}
-
-Remember to respond ONLY with valid JSON in the exact format above.`
-                        }
-                    ]
-                },
-                {
-                    headers: {
-                        'x-api-key': ANTHROPIC_API_KEY,
-                        'Content-Type': 'application/json',
-                        'anthropic-version': '2023-06-01'
-                    }
-                }
-            );
-            return response;
+const MODEL = 'claude-3-haiku-20240307';
+
+async function makeClaudeRequest(messages, { provider, maxTokens = 300, retries = 3 } = {}) {
+    return completeWithRetries(getProvider(provider), { model: MODEL, maxTokens, messages }, retries);
+}
+
+async function completeWithRetries(llm, options, retries) {
+    for (let i = 0; i < retries; i++) {
+        try {
+            return await llm.complete(options);
         } catch (error) {
-            if (error.response?.status === 429 && i < retries - 1) {
-                const delay = Math.pow(2, i) * 1000;
+            if (error.status === 429 && i < retries - 1) {
+                const delay = error.retryAfter ? error.retryAfter * 1000 : Math.pow(2, i) * 1000;
                 console.log(`Rate limited, retrying in ${delay}ms...`);
                 await new Promise(resolve => setTimeout(resolve, delay));
                 continue;
@@ -65,72 +101,323 @@ Remember to respond ONLY with valid JSON in the exact format above.`
     }
 }
 
-app.post('/api/ask', async (req, res) => {
-    try {
-        const { question } = req.body;
-        
-        if (!question) {
-            return res.status(400).json({ error: 'Question is required' });
+// Feed validation errors back until the response matches the schema; `messages` grows with each repair
+async function repairUntilValid(messages, schema, { provider, maxRepairs, maxTokens }) {
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let lastErrors = [];
+    let rawResponse = null;
+
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+        const response = await makeClaudeRequest(messages, { provider, maxTokens });
+        rawResponse = response.text;
+        usage.input_tokens += response.usage.input_tokens;
+        usage.output_tokens += response.usage.output_tokens;
+
+        const { errors } = parseStructuredResponse(rawResponse, schema);
+        if (errors.length === 0) {
+            return { text: rawResponse, usage, provider: response.provider, attempts: attempt };
         }
 
-        if (!ANTHROPIC_API_KEY) {
-            return res.status(500).json({ 
-                error: 'Anthropic API key not configured',
-                answer: 'I need an Anthropic API key to function. Please set the ANTHROPIC_API_KEY environment variable.' 
-            });
+        console.warn(`Structured response failed validation (attempt ${attempt}):`, errors.map(e => `${e.path} ${e.message}`).join('; '));
+        lastErrors = errors;
+        messages.push({ role: 'assistant', content: rawResponse });
+        messages.push({ role: 'user', content: buildRepairPrompt(errors) });
+    }
+
+    throw new StructuredOutputError('Structured response failed schema validation', {
+        validationErrors: lastErrors,
+        attempts: maxRepairs + 1,
+        rawResponse
+    });
+}
+
+/**
+ * Ask for a structured answer. The cache holds only final, valid answers, keyed by the
+ * question's own request (near-duplicates are matched on the bare question): replies that
+ * failed validation are never replayed, and evicting that key removes a repaired answer too.
+ */
+async function requestStructuredAnswer(question, schema, { provider, maxRepairs = DEFAULT_REPAIR_ATTEMPTS, maxTokens = 300, history = [], cache = true } = {}) {
+    const messages = [...history, { role: 'user', content: buildStructuredPrompt(question, schema, { hasHistory: history.length > 0 }) }];
+    const request = { messages: [...messages], provider: getProvider(provider).name, model: MODEL, params: { maxTokens }, semanticText: question };
+
+    let response;
+    try {
+        response = await responseCache.getOrFetch(
+            request,
+            () => repairUntilValid(messages, schema, { provider, maxRepairs, maxTokens }),
+            { bypass: !cache }
+        );
+    } catch (error) {
+        if (error instanceof StructuredOutputError) error.cache = { hit: false, key: null, bypassed: !cache };
+        throw error;
+    }
+
+    // A hit replays the stored answer without calling the model
+    const attempts = response.cache.hit ? 1 : response.attempts;
+    const { value } = parseStructuredResponse(response.text, schema);
+    return { value, attempts, repaired: attempts > 1, usage: response.usage, provider: response.provider, cache: response.cache };
+}
+
+// Validate the request options shared by /api/ask and /api/conversations/:id/ask;
+// answers the error itself and returns null when the request cannot proceed
+function parseAskOptions(req, res) {
+    const { question, provider, schema, cache } = req.body;
+
+    if (!question) {
+        res.status(400).json({ error: 'Question is required' });
+        return null;
+    }
+
+    if (schema !== undefined) {
+        const schemaErrors = validateSchemaDefinition(schema);
+        if (schemaErrors.length > 0) {
+            res.status(400).json({ error: 'Invalid schema', schemaErrors });
+            return null;
         }
+    }
 
-        const response = await makeClaudeRequest(question);
+    const maxRepairs = Math.min(
+        Math.max(parseInt(req.body.maxRepairs ?? DEFAULT_REPAIR_ATTEMPTS, 10) || 0, 0),
+        MAX_REPAIR_ATTEMPTS
+    );
 
-        const rawResponse = response.data.content[0].text;
-        
-        try {
-            // Try to parse as JSON first
-            const parsedResponse = JSON.parse(rawResponse);
-            
-            // Validate required fields
-            const validatedResponse = {
-                answer: parsedResponse.answer || rawResponse,
-                confidence: parsedResponse.confidence || 'unknown',
-                type: parsedResponse.type || 'unknown',
-                sources: Array.isArray(parsedResponse.sources) ? parsedResponse.sources : ['general knowledge'],
-                follow_up: parsedResponse.follow_up || null,
+    const llm = getProvider(provider);
+
+    if (!llm.isConfigured()) {
+        res.status(500).json({ 
+            error: `LLM provider "${llm.name}" not configured`,
+            answer: 'I need a configured LLM provider to function. Please set the ANTHROPIC_API_KEY environment variable or choose another provider with LLM_PROVIDER.' 
+        });
+        return null;
+    }
+
+    return { question, schema, maxRepairs, provider: llm.name, cache: cache !== false };
+}
+
+/**
+ * Answer one question; returns { payload, turn } where payload is the JSON response
+ * and turn is what a conversation stores for it.
+ * Caller-supplied schemas get the structured value back as `data` and fail with a
+ * StructuredOutputError; the default schema falls back to the raw text instead.
+ */
+async function answerQuestion({ question, schema, maxRepairs, provider, cache }, history = []) {
+    if (schema !== undefined) {
+        const result = await requestStructuredAnswer(question, schema, { provider, maxRepairs, maxTokens: 1000, history, cache });
+        return {
+            payload: {
+                data: result.value,
+                question,
+                structured: true,
+                attempts: result.attempts,
+                repaired: result.repaired,
+                usage: result.usage,
+                cache: result.cache
+            },
+            turn: { question, schema: 'custom', response: result.value, structured: true, attempts: result.attempts, repaired: result.repaired, usage: result.usage }
+        };
+    }
+
+    try {
+        const result = await requestStructuredAnswer(question, DEFAULT_RESPONSE_SCHEMA, { provider, maxRepairs, history, cache });
+        const response = {
+            answer: result.value.answer,
+            confidence: result.value.confidence,
+            type: result.value.type,
+            sources: result.value.sources,
+            follow_up: result.value.follow_up
+        };
+
+        return {
+            payload: {
+                ...response,
                 question: question,
-                structured: true
-            };
-            
-            res.json(validatedResponse);
-        } catch (jsonError) {
-            // Fallback to plain text if JSON parsing fails
-            console.warn('Failed to parse structured response, using fallback:', jsonError.message);
-            res.json({ 
-                answer: rawResponse,
-                confidence: 'unknown',
-                type: 'unknown', 
-                sources: ['general knowledge'],
-                follow_up: null,
+                structured: true,
+                attempts: result.attempts,
+                repaired: result.repaired,
+                cache: result.cache
+            },
+            turn: { question, schema: 'default', response, structured: true, attempts: result.attempts, repaired: result.repaired, usage: result.usage }
+        };
+    } catch (validationError) {
+        if (!(validationError instanceof StructuredOutputError)) throw validationError;
+
+        // Fallback to plain text if the answer never matched the schema
+        console.warn('Failed to get a valid structured response, using fallback');
+        const response = {
+            answer: validationError.rawResponse,
+            confidence: 'unknown',
+            type: 'unknown', 
+            sources: ['general knowledge'],
+            follow_up: null
+        };
+
+        return {
+            payload: {
+                ...response,
                 question: question,
-                structured: false
-            });
-        }
+                structured: false,
+                attempts: validationError.attempts,
+                validationErrors: validationError.validationErrors,
+                cache: validationError.cache
+            },
+            turn: { question, schema: 'default', response, structured: false, attempts: validationError.attempts, repaired: false }
+        };
+    }
+}
+
+function handleAskError(error, res) {
+    if (error instanceof StructuredOutputError) {
+        return res.status(422).json({
+            error: error.message,
+            type: error.type,
+            validationErrors: error.validationErrors,
+            attempts: error.attempts,
+            rawResponse: error.rawResponse
+        });
+    }
+
+    console.error('Error calling LLM provider:', error.details || error.message);
+    
+    if (error.type === 'unknown_provider') {
+        res.status(400).json({ error: error.message });
+    } else if (error.status === 401) {
+        res.status(401).json({ error: 'Invalid API key', provider: error.provider });
+    } else if (error.status === 429) {
+        res.status(429).json({ error: 'Rate limit exceeded', provider: error.provider, retryAfter: error.retryAfter });
+    } else {
+        res.status(500).json({ error: 'Failed to get AI response' });
+    }
+}
+
+app.post('/api/ask', async (req, res) => {
+    try {
+        const options = parseAskOptions(req, res);
+        if (!options) return;
+
+        const { payload, turn } = await answerQuestion(options);
+        const answerId = generateId('ans');
+        recordForCalibration(answerId, turn, payload.cache);
+
+        res.json({ ...payload, answerId });
 
     } catch (error) {
-        console.error('Error calling Claude API:', error.response?.data || error.message);
-        
-        if (error.response?.status === 401) {
-            res.status(401).json({ error: 'Invalid Anthropic API key' });
-        } else if (error.response?.status === 429) {
-            res.status(429).json({ error: 'Rate limit exceeded' });
-        } else {
-            res.status(500).json({ error: 'Failed to get AI response' });
+        handleAskError(error, res);
+    }
+});
+
+// Multi-turn conversations: follow-ups are answered with the prior turns in context
+app.post('/api/conversations', (req, res) => {
+    const conversation = conversationStore.create();
+    res.status(201).json({ conversationId: conversation.id, createdAt: conversation.createdAt });
+});
+
+app.get('/api/conversations', (req, res) => {
+    res.json({ conversations: conversationStore.list() });
+});
+
+app.get('/api/conversations/:id', (req, res) => {
+    const conversation = conversationStore.get(req.params.id);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+});
+
+app.delete('/api/conversations/:id', (req, res) => {
+    if (!conversationStore.delete(req.params.id)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true });
+});
+
+app.post('/api/conversations/:id/ask', async (req, res) => {
+    try {
+        const conversation = conversationStore.get(req.params.id);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
         }
+
+        const options = parseAskOptions(req, res);
+        if (!options) return;
+
+        const history = conversationStore.buildHistory(conversation.id, MAX_HISTORY_TURNS);
+        const { payload, turn } = await answerQuestion(options, history);
+        const storedTurn = conversationStore.addTurn(conversation.id, turn);
+        recordForCalibration(storedTurn.id, turn, payload.cache, conversation.id);
+
+        res.json({
+            ...payload,
+            conversationId: conversation.id,
+            answerId: storedTurn.id,
+            turn: conversation.turns.length
+        });
+
+    } catch (error) {
+        handleAskError(error, res);
+    }
+});
+
+// Mark an answer correct or incorrect so confidence can be checked against outcomes
+app.post('/api/answers/:answerId/feedback', (req, res) => {
+    const { correct, note } = req.body;
+
+    if (typeof correct !== 'boolean') {
+        return res.status(400).json({ error: '`correct` must be true or false' });
+    }
+
+    // A wrong answer must not be served again from the cache
+    const evict = cacheKey => !correct && cacheKey ? responseCache.delete(cacheKey) : false;
+
+    const answer = calibrationStore.setOutcome(req.params.answerId, correct, note || null);
+    if (answer) {
+        return res.json({ success: true, answer, evicted: evict(answer.cacheKey) });
+    }
+
+    // Cached repeats aren't calibration records, but marking one wrong still evicts it
+    if (cachedAnswers.has(req.params.answerId)) {
+        return res.json({ success: true, answer: null, cached: true, evicted: evict(cachedAnswers.get(req.params.answerId)) });
+    }
+
+    res.status(404).json({ error: 'Answer not found' });
+});
+
+app.get('/api/calibration', (req, res) => {
+    res.json(calibrationStore.getReport());
+});
+
+// Response cache administration
+app.get('/api/admin/cache', (req, res) => {
+    res.json({ stats: responseCache.getStats(), entries: responseCache.list() });
+});
+
+app.get('/api/admin/cache/:key', (req, res) => {
+    const entry = responseCache.get(req.params.key);
+    if (!entry) {
+        return res.status(404).json({ error: 'Cache entry not found' });
     }
+    res.json(entry);
+});
+
+app.delete('/api/admin/cache/:key', (req, res) => {
+    if (!responseCache.delete(req.params.key)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true });
+});
+
+app.delete('/api/admin/cache', (req, res) => {
+    res.json({ success: true, purged: responseCache.purge() });
+});
+
+app.get('/api/schema', (req, res) => {
+    res.json({ schema: DEFAULT_RESPONSE_SCHEMA, maxRepairAttempts: MAX_REPAIR_ATTEMPTS });
 });
 
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'ok', 
-        hasApiKey: !!ANTHROPIC_API_KEY,
+        hasApiKey: getProvider().isConfigured(),
+        provider: getProvider().name,
         timestamp: new Date().toISOString()
     });
 });
@@ -142,5 +429,6 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
     console.log(`AI Agent server running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to interact with the agent`);
+    console.log(`LLM provider: ${getProvider().name} (configured: ${getProvider().isConfigured()})`);
     console.log(`API Key configured: ${!!ANTHROPIC_API_KEY}`);
 });
\ No newline at end of file
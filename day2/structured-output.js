@@ -0,0 +1,398 @@
+/**
+ * Structured Output - JSON Schema validation and repair prompts for Day 2
+ *
+ * Supports the subset of JSON Schema that structured answers need:
+ * type (single or list), enum, const, properties, required, additionalProperties,
+ * items, minItems/maxItems, minLength/maxLength, pattern, minimum/maximum.
+ *
+ * Also used by Day 3's slot extractor, Day 4's judge and Day 6's agents; Day 6 asks
+ * extractJson to repair malformed or truncated replies as a last resort.
+ */
+
+const SUPPORTED_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+const SUPPORTED_KEYWORDS = new Set([
+    'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items',
+    'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum',
+    'title', 'description', '$schema'
+]);
+
+// The shape Day 2 has always asked for, now declared instead of described
+const DEFAULT_RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['answer', 'confidence', 'type', 'sources', 'follow_up'],
+    properties: {
+        answer: { type: 'string', minLength: 1, description: 'Your main response to the question' },
+        confidence: { enum: ['high', 'medium', 'low'] },
+        type: { enum: ['factual', 'opinion', 'creative', 'unknown'] },
+        sources: {
+            type: 'array',
+            items: { type: 'string' },
+            description: "List of any relevant sources or 'general knowledge'"
+        },
+        follow_up: { type: ['string', 'null'], description: 'A suggested follow-up question or null' }
+    }
+};
+
+class StructuredOutputError extends Error {
+    constructor(message, { validationErrors = [], attempts = 0, rawResponse = null } = {}) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.type = 'schema_validation_error';
+        this.validationErrors = validationErrors;
+        this.attempts = attempts;
+        this.rawResponse = rawResponse;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a schema; returns a list of { path, message } (empty when valid)
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            if (Object.hasOwn(properties, key)) {
+                errors.push(...validateAgainstSchema(propertyValue, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Check that a caller-supplied schema only uses keywords this validator understands
+ */
+function validateSchemaDefinition(schema, path = '$') {
+    const errors = [];
+
+    if (typeOf(schema) !== 'object') {
+        return [{ path, message: 'schema must be an object' }];
+    }
+
+    Object.keys(schema).forEach(keyword => {
+        if (!SUPPORTED_KEYWORDS.has(keyword)) {
+            errors.push({ path, message: `unsupported keyword "${keyword}"` });
+        }
+    });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        types.filter(type => !SUPPORTED_TYPES.includes(type)).forEach(type => {
+            errors.push({ path, message: `unknown type "${type}"` });
+        });
+    }
+
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+        errors.push({ path, message: 'enum must be a non-empty array' });
+    }
+
+    if (schema.required !== undefined && !Array.isArray(schema.required)) {
+        errors.push({ path, message: 'required must be an array of property names' });
+    }
+
+    if (schema.pattern !== undefined) {
+        try {
+            new RegExp(schema.pattern);
+        } catch (error) {
+            errors.push({ path, message: `invalid pattern: ${error.message}` });
+        }
+    }
+
+    if (schema.properties !== undefined) {
+        if (typeOf(schema.properties) !== 'object') {
+            errors.push({ path, message: 'properties must be an object' });
+        } else {
+            Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+                errors.push(...validateSchemaDefinition(propertySchema, `${path}.properties.${key}`));
+            });
+        }
+    }
+
+    if (schema.items !== undefined) {
+        errors.push(...validateSchemaDefinition(schema.items, `${path}.items`));
+    }
+
+    if (typeOf(schema.additionalProperties) === 'object') {
+        errors.push(...validateSchemaDefinition(schema.additionalProperties, `${path}.additionalProperties`));
+    }
+
+    return errors;
+}
+
+// Complete a literal or number cut off at the end of the text, e.g. `tr` -> `true`, `12.` -> `12`
+function completeScalar(output) {
+    if (/\d[\d.eE+-]*$/.test(output)) return output.replace(/[-+.eE]+$/, '');
+
+    const word = output.match(/[a-z]+$/i);
+    if (word) {
+        const literal = ['true', 'false', 'null'].find(candidate => candidate.startsWith(word[0].toLowerCase()));
+        return output.slice(0, word.index) + (literal || 'null');
+    }
+    return output.replace(/[-+]$/, '');
+}
+
+/**
+ * Repair common defects in model-written JSON. Starts at the first `{` or `[`, ignores
+ * anything after the top-level value, and closes whatever truncation left open.
+ * Returns the repaired text, or null when there is no object or array to repair.
+ */
+function repairJson(text) {
+    const start = text.search(/[{[]/);
+    if (start === -1) return null;
+
+    let output = '';
+    let inString = false;
+    let escaped = false;
+    // One frame per open bracket; objects track whether a key, colon, value or comma comes next
+    const stack = [];
+    const top = () => stack[stack.length - 1];
+
+    const valueWritten = () => {
+        const frame = top();
+        if (frame) frame.expect = 'comma';
+    };
+
+    for (let i = start; i < text.length && !(stack.length === 0 && output); i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) {
+                output += char;
+                escaped = false;
+            } else if (char === '\\') {
+                output += char;
+                escaped = true;
+            } else if (char === '"') {
+                output += char;
+                inString = false;
+                const frame = top();
+                if (frame.type === '{' && frame.expect === 'key') frame.expect = 'colon';
+                else valueWritten();
+            } else if (char === '\n') {
+                output += '\\n';
+            } else if (char === '\r') {
+                output += '\\r';
+            } else if (char === '\t') {
+                output += '\\t';
+            } else {
+                output += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            const frame = top();
+            if (frame && frame.type === '{' && frame.expect === 'key') frame.keyStart = output.length;
+            output += char;
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            output += char;
+            stack.push({ type: char, expect: char === '{' ? 'key' : 'value' });
+        } else if (char === '}' || char === ']') {
+            output = output.replace(/[\s,]+$/, '');
+            const frame = stack.pop();
+            output += frame.type === '{' ? '}' : ']';
+            valueWritten();
+        } else if (char === ':') {
+            output += char;
+            if (top()?.type === '{') top().expect = 'value';
+        } else if (char === ',') {
+            output += char;
+            const frame = top();
+            if (frame) frame.expect = frame.type === '{' ? 'key' : 'value';
+        } else if (/\s/.test(char)) {
+            output += char === '\n' || char === '\r' || char === '\t' ? char : ' ';
+        } else {
+            output += char;
+            // A literal or number continues until the next structural character
+            if (!/[\s,\]}]/.test(text[i + 1] || '')) continue;
+            valueWritten();
+        }
+    }
+
+    if (stack.length === 0) return output;
+
+    // Truncated: finish the string, then whatever the innermost object was waiting for
+    if (inString) {
+        if (escaped) output = output.slice(0, -1);
+        output += '"';
+        const frame = top();
+        if (frame.type === '{' && frame.expect === 'key') frame.expect = 'colon';
+        else valueWritten();
+    }
+    output = completeScalar(output.replace(/\s+$/, '')).replace(/\s+$/, '');
+    if (/[\w]$/.test(output)) valueWritten();
+
+    const frame = top();
+    if (frame.type === '{' && frame.expect === 'colon') {
+        output = output.slice(0, frame.keyStart);
+    } else if (frame.type === '{' && frame.expect === 'value') {
+        output += ' null';
+    }
+    output = output.replace(/[\s,]+$/, '');
+
+    while (stack.length > 0) {
+        output += stack.pop().type === '{' ? '}' : ']';
+    }
+    return output;
+}
+
+/**
+ * Pull a JSON value out of a model reply: bare JSON (`direct`), a ```json fence
+ * (`fenced`) or the outermost braces (`extracted`), and with `repair` the output of
+ * repairJson (`repaired`). Returns { value, error, path }.
+ */
+function extractJson(text, { repair = false } = {}) {
+    const candidates = [['direct', text.trim()]];
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (fenced) candidates.push(['fenced', fenced[1]]);
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) candidates.push(['extracted', text.substring(start, end + 1)]);
+
+    if (repair) {
+        const repaired = repairJson(text);
+        if (repaired !== null) candidates.push(['repaired', repaired]);
+    }
+
+    let lastError = null;
+    for (const [path, candidate] of candidates) {
+        try {
+            return { value: JSON.parse(candidate), error: null, path };
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    return { value: undefined, error: lastError ? lastError.message : 'No JSON found', path: null };
+}
+
+/**
+ * Parse and validate a reply in one step; returns { value, errors }
+ */
+function parseStructuredResponse(text, schema) {
+    const { value, error } = extractJson(text);
+    if (error) {
+        return { value: undefined, errors: [{ path: '$', message: `invalid JSON: ${error}` }] };
+    }
+    return { value, errors: validateAgainstSchema(value, schema) };
+}
+
+function buildStructuredPrompt(question, schema, { hasHistory = false } = {}) {
+    const context = hasHistory
+        ? 'This is a follow-up in an ongoing conversation. Your earlier answers above (including their confidence and sources) are context - build on them and stay consistent unless you are correcting a mistake.\n\n'
+        : '';
+
+    return `${context}Please respond to the following question in a structured JSON format. Your response must be valid JSON that conforms to this JSON Schema:
+
+${JSON.stringify(schema, null, 2)}
+
+Question: ${question}
+
+Remember to respond ONLY with valid JSON that matches the schema above - no markdown, no explanations.`;
+}
+
+// `schema` is repeated in the prompt when the original request didn't include it
+function buildRepairPrompt(errors, { schema = null } = {}) {
+    const errorList = errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+    const reminder = schema ? `\n\nThe JSON Schema it must match:\n${JSON.stringify(schema, null, 2)}` : '';
+
+    return `Your previous response did not match the required JSON Schema:
+
+${errorList}${reminder}
+
+Respond again with ONLY the corrected JSON object. Keep the content of your answer, fix only what the errors above describe.`;
+}
+
+module.exports = {
+    DEFAULT_RESPONSE_SCHEMA,
+    StructuredOutputError,
+    validateAgainstSchema,
+    validateSchemaDefinition,
+    repairJson,
+    extractJson,
+    parseStructuredResponse,
+    buildStructuredPrompt,
+    buildRepairPrompt
+};
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Structured Output
+ *
+ * Covers repairJson on the defects models actually produce (truncation at max_tokens,
+ * trailing commas, raw newlines), the order of extractJson's attempts, and the schema
+ * checks shared with Days 3, 4 and 6. Runs offline, no provider needed.
+ *
+ *   node test-structured-output.js
+ */
+
+const assert = require('assert');
+const {
+    validateAgainstSchema,
+    validateSchemaDefinition,
+    repairJson,
+    extractJson,
+    buildRepairPrompt
+} = require('./structured-output');
+
+const VALIDATOR_SCHEMA = {
+    type: 'object',
+    required: ['quality_score', 'approved'],
+    properties: {
+        quality_score: { type: 'number', minimum: 0, maximum: 100 },
+        approved: { type: 'boolean' },
+        verdict: { enum: ['pass', 'revise', 'reject'] },
+        issues: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// [broken input, repaired text]
+const REPAIRS = [
+    ['{"title": "Hel', '{"title": "Hel"}'],
+    ['{"a": 1, "b": [1, 2,', '{"a": 1, "b": [1, 2]}'],
+    ['[{"a": {"b": [1', '[{"a": {"b": [1]}}]'],
+    ['{"a": tr', '{"a": true}'],
+    ['{"a": nu', '{"a": null}'],
+    ['{"a": 12.', '{"a": 12}'],
+    ['{"a": -', '{"a": null}'],
+    ['{"a": 1, "b"', '{"a": 1}'],
+    ['{"a": 1, "b":', '{"a": 1, "b": null}'],
+    ['{"a": 1, "b": "x\\', '{"a": 1, "b": "x"}'],
+    ['{"a": "}{", "b": [', '{"a": "}{", "b": []}']
+];
+
+async function testRepairJson(record) {
+    console.log('\n🔧 repairJson');
+
+    await record(`Closes ${REPAIRS.length} truncated responses`, () => {
+        REPAIRS.forEach(([broken, repaired]) => {
+            assert.strictEqual(repairJson(broken), repaired, JSON.stringify(broken));
+            JSON.parse(repaired);
+        });
+    });
+
+    await record('Drops trailing commas', () => {
+        assert.deepStrictEqual(JSON.parse(repairJson('{"a": [1, 2,], "b": {"c": 3,},}')), { a: [1, 2], b: { c: 3 } });
+    });
+
+    await record('Escapes raw newlines and tabs inside strings only', () => {
+        const repaired = repairJson('{\n  "text": "line1\nline2\tend"\n}');
+        assert.deepStrictEqual(JSON.parse(repaired), { text: 'line1\nline2\tend' });
+    });
+
+    await record('Keeps the first top-level value and ignores the chatter around it', () => {
+        assert.strictEqual(repairJson('Sure! {"a": 1} hope that helps {"b": 2}'), '{"a": 1}');
+    });
+
+    await record('Returns null when there is no object or array', () => {
+        assert.strictEqual(repairJson('no json here'), null);
+        assert.strictEqual(repairJson(''), null);
+    });
+}
+
+async function testExtractJson(record) {
+    console.log('\n🧾 extractJson');
+
+    await record('Tries direct, fenced, extracted, then repaired', () => {
+        const paths = [
+            '{"a": 1}',
+            'Here you go:\n```json\n{"a": 1}\n```',
+            'The answer is {"a": 1}, as requested.',
+            '```json\n{"a": 1, "b": [2'
+        ].map(text => extractJson(text, { repair: true }).path);
+        assert.deepStrictEqual(paths, ['direct', 'fenced', 'extracted', 'repaired']);
+    });
+
+    await record('Repair is only tried when asked for', () => {
+        const result = extractJson('{"title": "Draft", "content": "It was a dark and');
+        assert.strictEqual(result.value, undefined);
+        assert.strictEqual(result.path, null);
+        assert.ok(result.error);
+    });
+
+    await record('A truncated fence is repaired from its contents', () => {
+        const result = extractJson('```json\n{"title": "Draft", "content": "It was a dark and', { repair: true });
+        assert.deepStrictEqual(result.value, { title: 'Draft', content: 'It was a dark and' });
+        assert.strictEqual(result.error, null);
+    });
+
+    await record('Text without JSON is an error even with repair', () => {
+        const result = extractJson('I cannot help with that.', { repair: true });
+        assert.strictEqual(result.value, undefined);
+        assert.match(result.error, /not valid JSON/);
+    });
+}
+
+async function testSchemas(record) {
+    console.log('\n📐 validateAgainstSchema');
+
+    await record('A matching value has no errors', () => {
+        const value = { quality_score: 85, approved: true, verdict: 'pass', issues: ['none'] };
+        assert.deepStrictEqual(validateAgainstSchema(value, VALIDATOR_SCHEMA), []);
+    });
+
+    await record('Reports the wrong type at the top level', () => {
+        assert.deepStrictEqual(validateAgainstSchema([1], VALIDATOR_SCHEMA), [{ path: '$', message: 'expected object, got array' }]);
+        assert.deepStrictEqual(validateAgainstSchema(null, { type: ['string', 'null'] }), []);
+    });
+
+    await record('Integers count as numbers, not the other way round', () => {
+        assert.deepStrictEqual(validateAgainstSchema(3, { type: 'number' }), []);
+        assert.deepStrictEqual(validateAgainstSchema(3.5, { type: 'integer' }), [{ path: '$', message: 'expected integer, got number' }]);
+    });
+
+    await record('Reports missing required keys, enum, range and item problems together', () => {
+        const errors = validateAgainstSchema({ quality_score: 140, verdict: 'maybe', issues: ['ok', 3] }, VALIDATOR_SCHEMA);
+        assert.deepStrictEqual(errors.map(error => `${error.path} ${error.message}`), [
+            '$.approved is required',
+            '$.quality_score must be <= 100',
+            '$.verdict must be one of "pass", "revise", "reject"',
+            '$.issues[1] expected string, got integer'
+        ]);
+    });
+
+    await record('Property names inherited from Object.prototype are not schema properties', () => {
+        const schema = { type: 'object', properties: { name: { type: 'string' } }, additionalProperties: false };
+        assert.deepStrictEqual(validateAgainstSchema({ constructor: 1 }, schema), [{ path: '$.constructor', message: 'is not an allowed property' }]);
+    });
+
+    await record('validateSchemaDefinition reports problems with the schema itself', () => {
+        assert.deepStrictEqual(validateSchemaDefinition(VALIDATOR_SCHEMA), []);
+        const errors = validateSchemaDefinition({ type: 'text', required: 'a', properties: { b: { enum: 'x' } }, format: 'email' });
+        assert.deepStrictEqual(errors.map(error => `${error.path}: ${error.message}`), [
+            '$: unsupported keyword "format"',
+            '$: unknown type "text"',
+            '$: required must be an array of property names',
+            '$.properties.b: enum must be a non-empty array'
+        ]);
+    });
+
+    await record('buildRepairPrompt lists the errors and, when given, the schema', () => {
+        const errors = [{ path: '$.quality_score', message: 'is required' }];
+        assert.ok(buildRepairPrompt(errors).includes('- $.quality_score: is required'));
+        assert.ok(!buildRepairPrompt(errors).includes('"minimum"'));
+        assert.ok(buildRepairPrompt(errors, { schema: VALIDATOR_SCHEMA }).includes('"minimum": 0'));
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Structured Output Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testRepairJson(record);
+    await testExtractJson(record);
+    await testSchemas(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,197 @@
+/**
+ * Interview Templates - Loadable definitions for the Day 3 interviewer
+ *
+ * A template defines the slots to collect (type, required flag, validation rules),
+ * the system prompt for each conversation phase and how the final document is
+ * recognized and exported. Templates are JSON or YAML files in `templates/`, so the
+ * same interviewer can take a bug report, a hiring brief or a software spec.
+ *
+ * Configuration (environment):
+ *   INTERVIEW_TEMPLATES_DIR  directory to load templates from (default: ./templates)
+ *   INTERVIEW_TEMPLATE       id of the default template (default: software-project)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SLOT_TYPES = ['text', 'list'];
+const PROMPT_PHASES = ['greeting', 'gathering', 'finalizing'];
+const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Structural checks for a parsed template; returns a list of problems
+ */
+function validateTemplate(template) {
+    const errors = [];
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return ['template must be an object'];
+    }
+
+    if (typeof template.id !== 'string' || !/^[a-z0-9-]+$/.test(template.id)) {
+        errors.push('id must be lowercase letters, digits and dashes');
+    }
+    ['name', 'role', 'greeting'].forEach(field => {
+        if (typeof template[field] !== 'string' || !template[field].trim()) errors.push(`${field} is required`);
+    });
+
+    const slots = template.slots && typeof template.slots === 'object' ? Object.entries(template.slots) : [];
+    if (slots.length === 0) errors.push('slots must define at least one slot');
+    if (!slots.some(([, slot]) => slot && slot.required)) errors.push('at least one slot must be required');
+
+    slots.forEach(([name, slot]) => {
+        if (!slot || typeof slot !== 'object') {
+            errors.push(`slots.${name} must be an object`);
+            return;
+        }
+        if (!SLOT_TYPES.includes(slot.type)) errors.push(`slots.${name}.type must be one of ${SLOT_TYPES.join(', ')}`);
+        if (typeof slot.label !== 'string') errors.push(`slots.${name}.label is required`);
+        if (typeof slot.description !== 'string') errors.push(`slots.${name}.description is required`);
+        if (slot.enum !== undefined && (!Array.isArray(slot.enum) || slot.enum.length === 0)) {
+            errors.push(`slots.${name}.enum must be a non-empty list`);
+        }
+        if (slot.pattern !== undefined) {
+            try {
+                new RegExp(slot.pattern);
+            } catch (error) {
+                errors.push(`slots.${name}.pattern is not a valid regular expression: ${error.message}`);
+            }
+        }
+        ['minLength', 'maxLength', 'maxItems'].forEach(rule => {
+            if (slot[rule] !== undefined && !(Number.isInteger(slot[rule]) && slot[rule] >= 0)) {
+                errors.push(`slots.${name}.${rule} must be a non-negative integer`);
+            }
+        });
+    });
+
+    PROMPT_PHASES.forEach(phase => {
+        if (typeof template.prompts?.[phase] !== 'string') errors.push(`prompts.${phase} is required`);
+    });
+
+    if (template.finalMarkers !== undefined && !Array.isArray(template.finalMarkers)) {
+        errors.push('finalMarkers must be a list');
+    }
+    ['titleSlot', 'userStories'].forEach(field => {
+        const slot = template.spec?.[field];
+        if (slot !== undefined && !template.slots?.[slot]) errors.push(`spec.${field} refers to unknown slot "${slot}"`);
+    });
+
+    return errors;
+}
+
+function parseTemplateFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+}
+
+// Requirements object with every slot empty: lists start as [], everything else as null
+function emptyRequirements(template) {
+    return Object.fromEntries(
+        Object.entries(template.slots).map(([name, slot]) => [name, slot.type === 'list' ? [] : null])
+    );
+}
+
+function missingSlots(template, requirements) {
+    return Object.entries(template.slots)
+        .filter(([name, slot]) => slot.required && isEmpty(requirements[name]))
+        .map(([name]) => name);
+}
+
+// "{{progress}}" style placeholders; unknown placeholders are left as they are
+function renderPrompt(text, values) {
+    return text.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// The model's reply counts as the final document if it has one of the markers or is long
+function isFinalDocument(template, text) {
+    const markers = template.finalMarkers || [];
+    return markers.some(marker => text.includes(marker)) || text.length > 500;
+}
+
+class TemplateRegistry {
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.INTERVIEW_TEMPLATES_DIR || path.join(__dirname, 'templates');
+        this.defaultId = options.defaultId || process.env.INTERVIEW_TEMPLATE || 'software-project';
+        this.templates = new Map();
+    }
+
+    // Invalid templates are skipped with a warning so one bad file doesn't stop the server
+    load() {
+        this.templates.clear();
+
+        const files = fs.existsSync(this.directory)
+            ? fs.readdirSync(this.directory).filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file))).sort()
+            : [];
+
+        files.forEach(file => {
+            const filePath = path.join(this.directory, file);
+            let template;
+            try {
+                template = parseTemplateFile(filePath);
+            } catch (error) {
+                console.error(`Skipping template ${file}: ${error.message}`);
+                return;
+            }
+
+            const errors = validateTemplate(template);
+            if (errors.length > 0) {
+                console.error(`Skipping template ${file}: ${errors.join('; ')}`);
+                return;
+            }
+            if (this.templates.has(template.id)) {
+                console.error(`Skipping template ${file}: id "${template.id}" is already defined`);
+                return;
+            }
+
+            this.templates.set(template.id, { ...template, file });
+        });
+
+        if (this.templates.size === 0) {
+            throw new Error(`No valid interview templates found in ${this.directory}`);
+        }
+        if (!this.templates.has(this.defaultId)) {
+            const fallback = this.templates.keys().next().value;
+            console.warn(`Default template "${this.defaultId}" not found, using "${fallback}"`);
+            this.defaultId = fallback;
+        }
+
+        console.log(`📋 Loaded ${this.templates.size} interview templates from ${this.directory}`);
+        return this;
+    }
+
+    get(id) {
+        return this.templates.get(id) || null;
+    }
+
+    getDefault() {
+        return this.templates.get(this.defaultId);
+    }
+
+    list() {
+        return Array.from(this.templates.values()).map(template => ({
+            id: template.id,
+            name: template.name,
+            description: template.description || '',
+            isDefault: template.id === this.defaultId,
+            slots: Object.entries(template.slots).map(([name, slot]) => ({
+                name,
+                label: slot.label,
+                type: slot.type,
+                required: !!slot.required
+            }))
+        }));
+    }
+}
+
+module.exports = {
+    TemplateRegistry,
+    validateTemplate,
+    emptyRequirements,
+    missingSlots,
+    renderPrompt,
+    isFinalDocument
+};
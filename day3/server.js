@@ -1,8 +1,13 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
+const { getProvider } = require('../day1/llm-providers');
+const { ApiAuth } = require('../day1/api-auth');
+const { SessionStore } = require('../day1/session-store');
+const { SPEC_FORMATS, buildSpec, renderSpec, diffRequirements, renderDiff } = require('./spec-export');
+const { SlotExtractor } = require('./slot-extractor');
+const { TemplateRegistry, emptyRequirements, missingSlots, renderPrompt, isFinalDocument } = require('./interview-templates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,201 +16,234 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day3' });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-if (!ANTHROPIC_API_KEY) {
-    console.warn('Warning: ANTHROPIC_API_KEY environment variable not set');
+if (!getProvider().isConfigured()) {
+    console.warn(`Warning: LLM provider "${getProvider().name}" is not configured (set ANTHROPIC_API_KEY or LLM_PROVIDER)`);
 }
 
-// In-memory storage for conversation sessions
+// Sessions are persisted to SQLite; live ones are also cached in memory
+const sessionStore = new SessionStore({
+    filePath: process.env.SESSIONS_DB_FILE || path.join(__dirname, 'data', 'sessions.db'),
+    namespace: 'day3'
+});
 const conversations = new Map();
 
+// Unfinished sessions idle for longer than this are deleted
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || '72');
+
+// Interview templates (slots, validation rules and phase prompts) from ./templates
+const templates = new TemplateRegistry().load();
+
+// One slot extractor per template, created on first use
+const slotExtractors = new Map();
+
+function extractorFor(template) {
+    if (!slotExtractors.has(template.id)) {
+        slotExtractors.set(template.id, new SlotExtractor({ slots: template.slots }));
+    }
+    return slotExtractors.get(template.id);
+}
+
 class ConversationSession {
-    constructor() {
-        this.requirements = {
-            projectName: null,
-            projectType: null,
-            functionality: [],
-            techStack: [],
-            timeline: null,
-            budget: null,
-            teamSize: null,
-            deployment: null
-        };
+    constructor(template = templates.getDefault()) {
+        this.template = template;
+        this.requirements = emptyRequirements(template);
         this.messages = [];
         this.phase = 'greeting'; // greeting, gathering, finalizing, complete
         this.isComplete = false;
+        this.revisions = []; // requirement snapshots, taken on completion and reopening
+        this.slotSources = {}; // confidence and source message behind each extracted value
+        this.pendingConfirmations = []; // low-confidence extractions waiting for the user
     }
 
     addMessage(role, content) {
         this.messages.push({ role, content, timestamp: new Date() });
     }
 
-    hasRequiredInfo() {
-        const req = this.requirements;
-        return req.projectName && 
-               req.projectType && 
-               req.functionality.length > 0 && 
-               req.techStack.length > 0 && 
-               req.timeline;
+    // Snapshot the requirements unless they are unchanged since the last snapshot
+    saveRevision(reason) {
+        const last = this.revisions[this.revisions.length - 1];
+        if (last && JSON.stringify(last.requirements) === JSON.stringify(this.requirements)) {
+            return last;
+        }
+
+        const revision = {
+            revision: this.revisions.length + 1,
+            reason,
+            requirements: JSON.parse(JSON.stringify(this.requirements)),
+            createdAt: new Date().toISOString()
+        };
+        this.revisions.push(revision);
+        return revision;
     }
 
-    extractRequirements(response) {
-        const text = response.toLowerCase();
-        
-        // Extract project name - only from explicit mentions
-        if (!this.requirements.projectName) {
-            const nameMatches = response.match(/(?:called|named|project name is)\s+["']?([^"',.!?\n]+)["']?/i) ||
-                               response.match(/(?:build|create|develop)\s+(?:a|an|the)?\s+([a-zA-Z]+(?:\s+[a-zA-Z]+){0,2})(?:\s+app|\s+game|\s+system)?/i);
-            if (nameMatches) {
-                this.requirements.projectName = nameMatches[1].trim();
+    // Columns and JSON for the session store
+    toRecord() {
+        const titleSlot = this.template.spec?.titleSlot;
+        const firstMessage = this.messages.find(message => message.role === 'user');
+
+        return {
+            status: this.phase,
+            category: this.template.id,
+            isComplete: this.isComplete,
+            messageCount: this.messages.length,
+            summary: [titleSlot && this.requirements[titleSlot], firstMessage && firstMessage.content].filter(Boolean).join(' - ') || null,
+            data: {
+                template: this.template.id,
+                requirements: this.requirements,
+                messages: this.messages,
+                phase: this.phase,
+                isComplete: this.isComplete,
+                revisions: this.revisions,
+                slotSources: this.slotSources,
+                pendingConfirmations: this.pendingConfirmations
             }
-        }
-
-        // Extract project type - be more specific
-        if (!this.requirements.projectType) {
-            if (text.includes('android') || text.includes('mobile app')) this.requirements.projectType = 'mobile';
-            else if (text.includes('web app') || text.includes('website')) this.requirements.projectType = 'web';
-            else if (text.includes('desktop') || text.includes('windows') || text.includes('macos')) this.requirements.projectType = 'desktop';
-        }
+        };
+    }
 
-        // Extract functionality - only when explicitly mentioned
-        const features = text.match(/(?:features?|functionality|should|can|will)\s+[^.!?]*(?:login|authentication|user|dashboard|timer|score|grid|level)/gi);
-        if (features && this.requirements.functionality.length === 0) {
-            this.requirements.functionality = features.slice(0, 3); // Limit to prevent over-extraction
+    static fromRecord(data) {
+        let template = templates.get(data.template);
+        if (!template) {
+            console.warn(`Template "${data.template}" no longer exists, resuming with "${templates.defaultId}"`);
+            template = templates.getDefault();
         }
 
-        // Extract tech stack - be more selective
-        const technologies = ['kotlin', 'java', 'react', 'vue', 'angular', 'node', 'python', 'javascript', 'typescript', 'android sdk'];
-        technologies.forEach(tech => {
-            if (text.includes(tech) && !this.requirements.techStack.includes(tech)) {
-                this.requirements.techStack.push(tech);
-            }
+        const session = new ConversationSession(template);
+        Object.assign(session, {
+            requirements: { ...session.requirements, ...data.requirements },
+            messages: data.messages || [],
+            phase: data.phase,
+            isComplete: data.isComplete,
+            revisions: data.revisions || [],
+            slotSources: data.slotSources || {},
+            pendingConfirmations: data.pendingConfirmations || []
         });
+        return session;
+    }
 
-        // Extract timeline
-        const timelineMatch = response.match(/(\d+)\s+(days?|weeks?|months?)/i);
-        if (timelineMatch && !this.requirements.timeline) {
-            this.requirements.timeline = timelineMatch[0];
-        }
+    getRevision(number) {
+        return this.revisions.find(revision => revision.revision === number) || null;
     }
+
+    // Go back to gathering after completion; later changes can be diffed against the snapshot
+    reopen() {
+        const revision = this.saveRevision('reopened');
+        this.phase = 'gathering';
+        this.isComplete = false;
+        return revision;
+    }
+
+    hasRequiredInfo() {
+        return missingSlots(this.template, this.requirements).length === 0 &&
+               this.pendingConfirmations.length === 0;
+    }
+}
+
+function generateSessionId() {
+    return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-async function makeClaudeRequest(messages, systemPrompt, maxTokens = 400) {
+// From the memory cache, or loaded from the store when resuming after a restart
+function getSession(sessionId) {
+    if (!sessionId) return null;
+    if (conversations.has(sessionId)) return conversations.get(sessionId);
+
+    const record = sessionStore.load(sessionId);
+    if (!record) return null;
+
+    const session = ConversationSession.fromRecord(record.data);
+    conversations.set(sessionId, session);
+    return session;
+}
+
+function saveSession(sessionId, session) {
     try {
-        const response = await axios.post(
-            'https://api.anthropic.com/v1/messages',
-            {
-                model: 'claude-3-haiku-20240307',
-                max_tokens: maxTokens,
-                system: systemPrompt,
-                messages: messages
-            },
-            {
-                headers: {
-                    'x-api-key': ANTHROPIC_API_KEY,
-                    'Content-Type': 'application/json',
-                    'anthropic-version': '2023-06-01'
-                }
-            }
-        );
-        return response;
+        sessionStore.save(sessionId, session.toRecord());
     } catch (error) {
-        throw error;
+        console.error(`Failed to save session ${sessionId}:`, error.message);
     }
 }
 
+async function makeClaudeRequest(messages, systemPrompt, maxTokens = 400, provider = null) {
+    return getProvider(provider).complete({
+        model: 'claude-3-haiku-20240307',
+        maxTokens,
+        system: systemPrompt,
+        messages
+    });
+}
+
+function formatSlotValue(value) {
+    return Array.isArray(value) ? value.join(', ') : value;
+}
+
 function getSystemPrompt(session) {
-    const basePrompt = `You are a technical requirements analyst helping gather information for a software project specification. Your goal is to collect all necessary requirements through conversation.`;
-
-    switch (session.phase) {
-        case 'greeting':
-            return `${basePrompt}
-
-This is the initial greeting. Ask a simple, open-ended question about their project.
-
-Guidelines:
-- Be friendly and professional
-- Ask open-ended questions to understand their project vision
-- Move to gathering detailed requirements after understanding the basic project idea
-- Respond conversationally, not in structured format yet`;
-
-        case 'gathering':
-            const missing = [];
-            if (!session.requirements.projectName) missing.push('project name');
-            if (!session.requirements.projectType) missing.push('platform type');
-            if (session.requirements.functionality.length === 0) missing.push('key features');
-            if (session.requirements.techStack.length === 0) missing.push('technology preferences');
-            if (!session.requirements.timeline) missing.push('timeline');
-            
-            return `${basePrompt}
-
-You are gathering requirements step by step. Ask focused questions to collect missing information.
-
-Current progress:
-- Project name: ${session.requirements.projectName || 'NOT SET'}
-- Platform: ${session.requirements.projectType || 'NOT SET'}
-- Features: ${session.requirements.functionality.length > 0 ? 'SET' : 'NOT SET'}
-- Technology: ${session.requirements.techStack.length > 0 ? session.requirements.techStack.join(', ') : 'NOT SET'}
-- Timeline: ${session.requirements.timeline || 'NOT SET'}
-
-Still missing: ${missing.join(', ')}
-
-Guidelines:
-- Ask ONE focused question about the first missing requirement
-- Do NOT provide assumptions or fill in details yourself
-- Keep responses short and conversational
-- Only ask for what's specifically missing
-- Do not list out all requirements - just ask the next question`;
-
-        case 'finalizing':
-            return `${basePrompt}
-
-IMPORTANT: Generate a final technical specification document. You have gathered enough requirements.
-
-Requirements collected: ${JSON.stringify(session.requirements, null, 2)}
-Conversation history: ${session.messages.slice(-5).map(m => `${m.role}: ${m.content}`).join('\\n')}
-
-Generate a comprehensive technical specification document with these sections:
-1. Project Overview
-2. Functional Requirements
-3. Technical Architecture
-4. Technology Stack
-5. Timeline & Milestones
-6. Team & Resources
-7. Deployment Strategy
-
-Format as a professional technical specification document. This is your FINAL response - do not ask for more information.`;
-
-        default:
-            return basePrompt;
+    const { template, requirements } = session;
+    const basePrompt = template.role;
+    const phasePrompt = template.prompts[session.phase];
+
+    if (!phasePrompt) {
+        return basePrompt;
     }
+
+    const unconfirmed = session.phase === 'gathering' && session.pendingConfirmations.length > 0
+        ? `\n\nUnconfirmed details - before anything else, ask the user to confirm or correct these in one short question:\n${session.pendingConfirmations.map(item => `- ${template.slots[item.slot].label}: ${item.operation === 'remove' ? 'remove ' : ''}${formatSlotValue(item.value)}`).join('\n')}`
+        : '';
+
+    const prompt = renderPrompt(phasePrompt, {
+        progress: Object.entries(template.slots)
+            .map(([name, slot]) => `- ${slot.label}: ${formatSlotValue(requirements[name]) || 'NOT SET'}`)
+            .join('\n'),
+        missing: missingSlots(template, requirements).map(name => template.slots[name].label.toLowerCase()).join(', ') || 'nothing',
+        requirements: JSON.stringify(requirements, null, 2),
+        conversation: session.messages.slice(-5).map(m => `${m.role}: ${m.content}`).join('\n')
+    });
+
+    return `${basePrompt}
+
+${prompt}${unconfirmed}`;
 }
 
 app.post('/api/conversation', async (req, res) => {
+    let session = null;
+    const sessionId = req.body.sessionId || generateSessionId();
+
     try {
-        const { message, sessionId } = req.body;
+        const { message, provider, template: templateId } = req.body;
         
         if (!message) {
             return res.status(400).json({ error: 'Message is required' });
         }
 
-        if (!ANTHROPIC_API_KEY) {
+        const template = templateId ? templates.get(templateId) : templates.getDefault();
+        if (!template) {
+            return res.status(400).json({ error: `Unknown template "${templateId}"`, templates: templates.list().map(t => t.id) });
+        }
+
+        const llm = getProvider(provider);
+
+        if (!llm.isConfigured()) {
             return res.status(500).json({ 
-                error: 'Anthropic API key not configured',
-                response: 'I need an Anthropic API key to function. Please set the ANTHROPIC_API_KEY environment variable.' 
+                error: `LLM provider "${llm.name}" not configured`,
+                response: 'I need a configured LLM provider to function. Please set the ANTHROPIC_API_KEY environment variable or choose another provider with LLM_PROVIDER.' 
             });
         }
 
-        // Get or create conversation session
-        let session = conversations.get(sessionId) || new ConversationSession();
+        // Get, resume or create conversation session
+        session = getSession(sessionId) || new ConversationSession(template);
         conversations.set(sessionId, session);
 
         // Add user message to conversation
         session.addMessage('user', message);
 
-        // Extract requirements from user message
-        session.extractRequirements(message);
+        // Fill and correct requirement slots from the user's message
+        const extraction = await extractorFor(session.template).extract(session, message, { provider: llm.name });
 
         // Determine conversation phase
         if (session.phase === 'greeting' && message.trim().length > 10) {
@@ -227,77 +265,274 @@ app.post('/api/conversation', async (req, res) => {
         const response = await makeClaudeRequest(
             contextMessages,
             systemPrompt,
-            session.phase === 'finalizing' ? 800 : 400
+            session.phase === 'finalizing' ? 800 : 400,
+            llm.name
         );
 
-        const aiResponse = response.data.content[0].text;
+        const aiResponse = response.text;
 
         // Add AI response to conversation
         session.addMessage('assistant', aiResponse);
 
         // Check if this is a final specification
-        const isFinalSpec = session.phase === 'finalizing' && 
-                           (aiResponse.includes('Technical Specification') || 
-                            aiResponse.includes('Project Overview') ||
-                            aiResponse.length > 500);
+        const isFinalSpec = session.phase === 'finalizing' && isFinalDocument(session.template, aiResponse);
 
         if (isFinalSpec) {
             session.phase = 'complete';
             session.isComplete = true;
+            session.saveRevision('completed');
         }
 
+        saveSession(sessionId, session);
+
         res.json({
             response: aiResponse,
             sessionId: sessionId,
+            template: session.template.id,
             phase: session.phase,
             isComplete: session.isComplete,
             requirements: session.requirements,
-            isFinalSpecification: isFinalSpec
+            isFinalSpecification: isFinalSpec,
+            extraction: {
+                applied: extraction.applied,
+                pending: extraction.pending,
+                confirmed: extraction.confirmed,
+                rejected: extraction.rejected,
+                error: extraction.error
+            },
+            pendingConfirmations: session.pendingConfirmations,
+            slotSources: session.slotSources
         });
 
     } catch (error) {
-        console.error('Error in conversation:', error.response?.data || error.message);
+        console.error('Error in conversation:', error.details || error.message);
+
+        // Keep the user's message and any extracted requirements
+        if (session) {
+            saveSession(sessionId, session);
+        }
         
-        if (error.response?.status === 401) {
-            res.status(401).json({ error: 'Invalid Anthropic API key' });
-        } else if (error.response?.status === 429) {
-            res.status(429).json({ error: 'Rate limit exceeded' });
+        if (error.type === 'unknown_provider') {
+            res.status(400).json({ error: error.message });
+        } else if (error.status === 401) {
+            res.status(401).json({ error: 'Invalid API key', provider: error.provider });
+        } else if (error.status === 429) {
+            res.status(429).json({ error: 'Rate limit exceeded', provider: error.provider, retryAfter: error.retryAfter });
         } else {
             res.status(500).json({ error: 'Failed to get AI response' });
         }
     }
 });
 
+// Start a session; `template` picks the interview template (default: INTERVIEW_TEMPLATE)
 app.post('/api/new-conversation', (req, res) => {
-    const sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    const session = new ConversationSession();
+    const templateId = req.body.template;
+    const template = templateId ? templates.get(templateId) : templates.getDefault();
+    if (!template) {
+        return res.status(400).json({ error: `Unknown template "${templateId}"`, templates: templates.list().map(t => t.id) });
+    }
+
+    const sessionId = generateSessionId();
+    const session = new ConversationSession(template);
     conversations.set(sessionId, session);
+    saveSession(sessionId, session);
     
     res.json({
         sessionId: sessionId,
-        message: "I'm ready to help you create a technical specification for your software project! What kind of project are you planning to build?"
+        template: template.id,
+        requirements: session.requirements,
+        message: template.greeting
     });
 });
 
+app.get('/api/templates', (req, res) => {
+    res.json({ templates: templates.list(), default: templates.defaultId });
+});
+
+app.get('/api/templates/:id', (req, res) => {
+    const template = templates.get(req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+});
+
+// Session state, including the messages so a client can resume the interview
 app.get('/api/conversation/:sessionId', (req, res) => {
-    const session = conversations.get(req.params.sessionId);
+    const session = getSession(req.params.sessionId);
     if (!session) {
         return res.status(404).json({ error: 'Session not found' });
     }
     
     res.json({
+        sessionId: req.params.sessionId,
+        template: session.template.id,
         phase: session.phase,
         isComplete: session.isComplete,
         requirements: session.requirements,
-        messageCount: session.messages.length
+        messageCount: session.messages.length,
+        messages: session.messages,
+        revisions: session.revisions.length,
+        pendingConfirmations: session.pendingConfirmations,
+        slotSources: session.slotSources
+    });
+});
+
+app.delete('/api/conversation/:sessionId', (req, res) => {
+    conversations.delete(req.params.sessionId);
+    if (!sessionStore.delete(req.params.sessionId)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ deleted: req.params.sessionId });
+});
+
+// Stored sessions, newest first (?phase=, ?template=, ?complete=true|false, ?since=, ?until=, ?q=, ?limit=, ?offset=)
+app.get('/api/conversations', (req, res) => {
+    const { phase, template, complete, since, until, q } = req.query;
+
+    const result = sessionStore.list({
+        status: phase,
+        category: template,
+        isComplete: complete === undefined ? undefined : complete === 'true',
+        updatedAfter: since,
+        updatedBefore: until,
+        search: q,
+        limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+        offset: parseInt(req.query.offset, 10) || 0
+    });
+
+    res.json({
+        sessions: result.sessions.map(({ status, category, ...session }) => ({ ...session, phase: status, template: category })),
+        total: result.total
+    });
+});
+
+// Confirm, reject or correct a low-confidence slot value
+app.post('/api/conversation/:sessionId/confirm', (req, res) => {
+    const session = getSession(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { confirmationId, accept, value } = req.body;
+    if (typeof accept !== 'boolean') {
+        return res.status(400).json({ error: '`accept` must be true or false' });
+    }
+
+    const resolved = extractorFor(session.template).resolveConfirmation(session, confirmationId, accept, value);
+    if (!resolved) {
+        return res.status(404).json({ error: 'Confirmation not found' });
+    }
+    saveSession(req.params.sessionId, session);
+
+    res.json({
+        resolved,
+        requirements: session.requirements,
+        pendingConfirmations: session.pendingConfirmations,
+        slotSources: session.slotSources
+    });
+});
+
+function sendDocument(res, format, body, filename, download) {
+    const contentTypes = {
+        markdown: 'text/markdown; charset=utf-8',
+        html: 'text/html; charset=utf-8',
+        json: 'application/json; charset=utf-8'
+    };
+    const extensions = { markdown: 'md', html: 'html', json: 'json' };
+
+    res.type(contentTypes[format]);
+    if (download) {
+        res.attachment(`${filename}.${extensions[format]}`);
+    }
+    res.send(body);
+}
+
+function parseFormat(req, res) {
+    const format = (req.query.format || 'markdown').toLowerCase();
+    if (!SPEC_FORMATS.includes(format)) {
+        res.status(400).json({ error: `Unknown format "${format}". Use one of: ${SPEC_FORMATS.join(', ')}` });
+        return null;
+    }
+    return format;
+}
+
+// Export the gathered requirements as a specification (?format=markdown|json|html, ?download=true)
+app.get('/api/conversation/:sessionId/spec', (req, res) => {
+    const session = getSession(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const format = parseFormat(req, res);
+    if (!format) return;
+
+    const spec = buildSpec(session, req.params.sessionId);
+    sendDocument(res, format, renderSpec(spec, format), 'requirements-specification', req.query.download === 'true');
+});
+
+// What changed between two revisions (?from=N, default the latest; ?to=N or current)
+app.get('/api/conversation/:sessionId/spec/diff', (req, res) => {
+    const session = getSession(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const format = parseFormat(req, res);
+    if (!format) return;
+
+    if (session.revisions.length === 0) {
+        return res.status(404).json({ error: 'No saved revision yet - revisions are saved when a session completes or is reopened' });
+    }
+
+    const fromNumber = req.query.from ? parseInt(req.query.from, 10) : session.revisions.length;
+    const from = session.getRevision(fromNumber);
+    if (!from) {
+        return res.status(404).json({ error: `Revision ${req.query.from} not found`, revisions: session.revisions.length });
+    }
+
+    let to = { revision: 'current', requirements: session.requirements };
+    if (req.query.to && req.query.to !== 'current') {
+        to = session.getRevision(parseInt(req.query.to, 10));
+        if (!to) {
+            return res.status(404).json({ error: `Revision ${req.query.to} not found`, revisions: session.revisions.length });
+        }
+    }
+
+    const diff = {
+        sessionId: req.params.sessionId,
+        from: from.revision,
+        to: to.revision,
+        changes: diffRequirements(from.requirements, to.requirements, session.template.slots),
+        generatedAt: new Date().toISOString()
+    };
+    sendDocument(res, format, renderDiff(diff, format), 'requirements-changes', req.query.download === 'true');
+});
+
+app.post('/api/conversation/:sessionId/reopen', (req, res) => {
+    const session = getSession(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const revision = session.reopen();
+    saveSession(req.params.sessionId, session);
+    res.json({
+        phase: session.phase,
+        isComplete: session.isComplete,
+        requirements: session.requirements,
+        revision: revision.revision
     });
 });
 
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'ok', 
-        hasApiKey: !!ANTHROPIC_API_KEY,
+        hasApiKey: getProvider().isConfigured(),
+        provider: getProvider().name,
         conversationSessions: conversations.size,
+        sessionStore: sessionStore.stats(),
+        templates: templates.templates.size,
         timestamp: new Date().toISOString()
     });
 });
@@ -306,21 +541,32 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Cleanup old sessions every hour
 const oneHour = 60 * 60 * 1000;
-setInterval(() => {
+
+// Delete abandoned sessions from the store, and drop idle ones from memory (they can be resumed)
+function cleanupSessions() {
+    const expired = sessionStore.expire(SESSION_TTL_HOURS * oneHour);
+    expired.forEach(sessionId => conversations.delete(sessionId));
+    if (expired.length > 0) {
+        console.log(`🧹 Expired ${expired.length} abandoned sessions`);
+    }
+
     const now = Date.now();
-    
     for (const [sessionId, session] of conversations.entries()) {
         const lastMessage = session.messages[session.messages.length - 1];
         if (lastMessage && (now - new Date(lastMessage.timestamp).getTime()) > oneHour) {
             conversations.delete(sessionId);
         }
     }
-}, oneHour);
+}
+
+// Cleanup old sessions every hour
+cleanupSessions();
+setInterval(cleanupSessions, oneHour);
 
 app.listen(PORT, () => {
     console.log(`Day 3 - AI Interaction Agent running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to start gathering requirements`);
+    console.log(`LLM provider: ${getProvider().name} (configured: ${getProvider().isConfigured()})`);
     console.log(`API Key configured: ${!!ANTHROPIC_API_KEY}`);
 });
\ No newline at end of file
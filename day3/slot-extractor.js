@@ -0,0 +1,373 @@
+/**
+ * Slot Extractor - LLM-based requirement extraction for Day 3
+ *
+ * After every user message the model is asked for a tool call,
+ *   { "tool": "update_requirements", "input": { "updates": [...], "confirmations": [...] } }
+ * that sets, adds to, removes from or corrects requirement slots. Each update carries a
+ * confidence and a quote from the user's message. Updates whose quote cannot be found
+ * in that message are rejected, so the model's own questions never become requirements.
+ * Low-confidence updates wait for the user to confirm them instead of being applied.
+ *
+ * Slots come from the session's interview template (see interview-templates.js) and
+ * may carry validation rules: enum, pattern, minLength, maxLength and maxItems.
+ */
+
+const { getProvider } = require('../day1/llm-providers');
+const { extractJson, validateAgainstSchema, buildRepairPrompt } = require('../day2/structured-output');
+const { generateId } = require('../day1/json-store');
+
+// Slots of the software-project template, for callers without a template
+const DEFAULT_SLOTS = {
+    projectName: { type: 'text', label: 'Project name', description: 'What the project or product is called' },
+    projectType: { type: 'text', label: 'Platform', description: 'Target platform', enum: ['web', 'mobile', 'desktop', 'cli', 'api', 'embedded', 'other'] },
+    functionality: { type: 'list', label: 'Features', description: 'Features the product must offer, one short phrase per item' },
+    techStack: { type: 'list', label: 'Technology stack', description: 'Languages, frameworks, databases and services to use' },
+    timeline: { type: 'text', label: 'Timeline', description: 'Delivery timeline or deadline, in the user\'s words (e.g. "6 weeks")' },
+    budget: { type: 'text', label: 'Budget', description: 'Available budget' },
+    teamSize: { type: 'text', label: 'Team size', description: 'How many people work on the project' },
+    deployment: { type: 'text', label: 'Deployment', description: 'Where and how it will be deployed or distributed' }
+};
+
+// Updates below this confidence are held back until the user confirms them
+const CONFIRMATION_THRESHOLD = 0.7;
+
+const TOOL_NAME = 'update_requirements';
+
+const TOOL_CALL_SCHEMA = {
+    type: 'object',
+    required: ['tool', 'input'],
+    properties: {
+        tool: { const: TOOL_NAME },
+        input: {
+            type: 'object',
+            required: ['updates'],
+            properties: {
+                updates: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['slot', 'operation', 'value', 'confidence', 'source'],
+                        properties: {
+                            slot: { type: 'string' },
+                            operation: { enum: ['set', 'add', 'remove'] },
+                            value: { type: ['string', 'array', 'null'], items: { type: 'string' } },
+                            confidence: { type: 'number', minimum: 0, maximum: 1 },
+                            source: { type: 'string', minLength: 1 }
+                        }
+                    }
+                },
+                confirmations: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'accept'],
+                        properties: {
+                            id: { type: 'string' },
+                            accept: { type: 'boolean' },
+                            value: { type: ['string', 'array', 'null'], items: { type: 'string' } }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+function normalizeText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[‘’“”"'`]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * A quote counts when it appears in the message, allowing for case, quote marks and
+ * whitespace, or when every word of it does (models tend to trim filler words)
+ */
+function quoteMatches(quote, message) {
+    const normalizedQuote = normalizeText(quote).replace(/[.,!?;:]+$/, '');
+    const normalizedMessage = normalizeText(message);
+    if (!normalizedQuote) return false;
+    if (normalizedMessage.includes(normalizedQuote)) return true;
+
+    const messageWords = new Set(normalizedMessage.split(/[^\w+#.-]+/).filter(Boolean));
+    const quoteWords = normalizedQuote.split(/[^\w+#.-]+/).filter(Boolean);
+    return quoteWords.length > 0 && quoteWords.every(word => messageWords.has(word));
+}
+
+function toList(value) {
+    if (value === null || value === undefined) return [];
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+function sameItem(a, b) {
+    return normalizeText(a) === normalizeText(b);
+}
+
+// Case-insensitive match against a slot's allowed values, returning the canonical spelling
+function matchEnum(slot, value) {
+    return slot.enum.find(option => String(option).toLowerCase() === value.toLowerCase()) ?? null;
+}
+
+// Validation rules from the slot definition; returns the reason a value fails or null
+function checkValue(slot, value) {
+    if (slot.pattern && !new RegExp(slot.pattern).test(value)) return `"${value}" does not match ${slot.pattern}`;
+    if (slot.minLength !== undefined && value.length < slot.minLength) return `"${value}" is shorter than ${slot.minLength} characters`;
+    if (slot.maxLength !== undefined && value.length > slot.maxLength) return `"${value}" is longer than ${slot.maxLength} characters`;
+    return null;
+}
+
+class SlotExtractor {
+    constructor(options = {}) {
+        this.slots = options.slots || DEFAULT_SLOTS;
+        this.confirmationThreshold = options.confirmationThreshold ?? CONFIRMATION_THRESHOLD;
+        this.model = options.model || 'claude-3-haiku-20240307';
+        this.maxRepairs = options.maxRepairs ?? 1;
+        this.llm = options.llm || null; // fixed provider instance, e.g. a scripted mock in tests
+    }
+
+    buildPrompt(session, message) {
+        const slotLines = Object.entries(this.slots).map(([name, slot]) => {
+            const kind = slot.type === 'list' ? 'list' : 'single value';
+            const options = slot.enum ? ` One of: ${slot.enum.join(', ')}.` : '';
+            return `- ${name} (${kind}): ${slot.description}.${options}`;
+        }).join('\n');
+
+        const previousAssistant = [...session.messages].reverse().find(entry => entry.role === 'assistant');
+        const pending = session.pendingConfirmations.map(item => ({ id: item.id, slot: item.slot, operation: item.operation, value: item.value }));
+
+        return `Requirement slots:
+${slotLines}
+
+Current values:
+${JSON.stringify(session.requirements, null, 2)}
+
+Awaiting the user's confirmation:
+${pending.length > 0 ? JSON.stringify(pending, null, 2) : 'nothing'}
+
+Last thing the analyst said (context only - never extract from it):
+"""${previousAssistant ? previousAssistant.content : ''}"""
+
+Latest user message:
+"""${message}"""
+
+Call the ${TOOL_NAME} tool by replying with ONLY this JSON:
+{"tool": "${TOOL_NAME}", "input": {"updates": [{"slot": "...", "operation": "set|add|remove", "value": "...", "confidence": 0.0, "source": "..."}], "confirmations": [{"id": "...", "accept": true}]}}
+
+Rules:
+- Extract only what the user states or clearly implies in the latest message. Short answers like "Vue" or "six weeks" answer the analyst's last question.
+- "source" is the exact words from the latest user message that support the update.
+- Use "set" for single-value slots, including corrections ("actually it's called X"). Use "add" and "remove" for list slots; "remove" also covers negations ("no Java", "drop React").
+- Use "set" with null to clear a single-value slot the user retracts.
+- confidence: 0.9 or more when stated explicitly, 0.7-0.9 when clearly implied, below 0.7 when you are guessing.
+- If the user answers a pending confirmation ("yes", "no, it's 8 weeks"), add it to "confirmations" with "accept" and, for corrections, the corrected "value".
+- Return empty lists when the message contains no requirements.`;
+    }
+
+    async requestToolCall(session, message, provider) {
+        const llm = this.llm || getProvider(provider);
+        const messages = [{ role: 'user', content: this.buildPrompt(session, message) }];
+        const usage = { input_tokens: 0, output_tokens: 0 };
+        let errors = [];
+
+        for (let attempt = 1; attempt <= this.maxRepairs + 1; attempt++) {
+            const response = await llm.complete({
+                model: this.model,
+                maxTokens: 600,
+                temperature: 0,
+                system: 'You extract requirements from a conversation for an interviewer. You never talk to the user; you only reply with tool calls as JSON.',
+                messages
+            });
+            usage.input_tokens += response.usage.input_tokens;
+            usage.output_tokens += response.usage.output_tokens;
+
+            const { value, error } = extractJson(response.text);
+            errors = error
+                ? [{ path: '$', message: `invalid JSON: ${error}` }]
+                : validateAgainstSchema(value, TOOL_CALL_SCHEMA);
+
+            if (errors.length === 0) {
+                return { call: value.input, usage, attempts: attempt };
+            }
+
+            messages.push({ role: 'assistant', content: response.text });
+            messages.push({ role: 'user', content: buildRepairPrompt(errors) });
+        }
+
+        const error = new Error(`Slot extraction returned an invalid tool call: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        error.usage = usage;
+        throw error;
+    }
+
+    /**
+     * Check one update against the slot definitions and the user's message;
+     * returns { update } with a normalized value or { reason } when it must be rejected.
+     * `current` is the slot's current value, needed for maxItems.
+     */
+    validateUpdate(update, message, current) {
+        // Slot names come from model output, so "constructor" or "toString" must not resolve
+        const slot = Object.hasOwn(this.slots, update.slot) ? this.slots[update.slot] : null;
+        if (!slot) return { reason: `unknown slot "${update.slot}"` };
+        if (!quoteMatches(update.source, message)) return { reason: 'source quote not found in the user message' };
+
+        if (slot.type === 'list') {
+            let items = toList(update.value);
+            if (items.length === 0) return { reason: 'empty value for a list slot' };
+            if (update.operation === 'remove') return { update: { ...update, value: items } };
+
+            if (slot.enum) {
+                const invalid = items.find(item => !matchEnum(slot, item));
+                if (invalid) return { reason: `"${invalid}" is not one of ${slot.enum.join(', ')}` };
+                items = items.map(item => matchEnum(slot, item));
+            }
+            for (const item of items) {
+                const reason = checkValue(slot, item);
+                if (reason) return { reason };
+            }
+            if (slot.maxItems !== undefined) {
+                const existing = update.operation === 'add' && Array.isArray(current) ? current : [];
+                const total = new Set([...existing, ...items].map(item => normalizeText(item))).size;
+                if (total > slot.maxItems) return { reason: `more than ${slot.maxItems} items` };
+            }
+            return { update: { ...update, value: items } };
+        }
+
+        if (update.operation !== 'set' && update.operation !== 'remove') {
+            return { reason: `"${update.operation}" is not valid for a single-value slot` };
+        }
+
+        let value = update.operation === 'remove' || update.value === null ? null : toList(update.value).join(', ');
+        if (value !== null && slot.enum) {
+            const option = matchEnum(slot, value);
+            if (!option) return { reason: `"${value}" is not one of ${slot.enum.join(', ')}` };
+            value = option;
+        }
+        if (value !== null) {
+            const reason = checkValue(slot, value);
+            if (reason) return { reason };
+        }
+        return { update: { ...update, operation: 'set', value } };
+    }
+
+    // Apply an update to session.requirements and record where each value came from
+    apply(session, update, source) {
+        if (!Object.hasOwn(this.slots, update.slot)) return;
+        const slot = this.slots[update.slot];
+        const current = session.requirements[update.slot];
+        const provenance = {
+            confidence: update.confidence,
+            source: update.source,
+            messageIndex: source.messageIndex,
+            confirmed: !!source.confirmed,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (slot.type !== 'list') {
+            session.requirements[update.slot] = update.value;
+            session.slotSources[update.slot] = update.value === null ? null : { value: update.value, ...provenance };
+            return;
+        }
+
+        let items = Array.isArray(current) ? [...current] : [];
+        if (update.operation === 'set') {
+            items = [];
+        }
+        if (update.operation === 'remove') {
+            items = items.filter(item => !update.value.some(value => sameItem(item, value)));
+        } else {
+            update.value.forEach(value => {
+                if (!items.some(item => sameItem(item, value))) items.push(value);
+            });
+        }
+        session.requirements[update.slot] = items;
+
+        const sources = (session.slotSources[update.slot] || []).filter(entry => items.some(item => sameItem(item, entry.value)));
+        if (update.operation !== 'remove') {
+            update.value.forEach(value => {
+                const existing = sources.findIndex(entry => sameItem(entry.value, value));
+                if (existing !== -1) sources.splice(existing, 1);
+                sources.push({ value, ...provenance });
+            });
+        }
+        session.slotSources[update.slot] = sources;
+    }
+
+    /**
+     * Resolve a pending confirmation; `value` replaces the proposed value when given.
+     * Returns the resolved item or null if there is no such confirmation.
+     */
+    resolveConfirmation(session, id, accept, value) {
+        const index = session.pendingConfirmations.findIndex(item => item.id === id);
+        if (index === -1) return null;
+
+        const [item] = session.pendingConfirmations.splice(index, 1);
+        if (!accept && (value === undefined || value === null)) {
+            return { ...item, status: 'rejected' };
+        }
+
+        const corrected = value !== undefined && value !== null;
+        const update = {
+            ...item,
+            value: corrected ? value : item.value,
+            confidence: 1,
+            operation: corrected && this.slots[item.slot].type !== 'list' ? 'set' : item.operation
+        };
+        const { update: checked, reason } = this.validateUpdate({ ...update, source: item.source }, item.source, session.requirements[item.slot]);
+        if (!checked) return { ...item, status: 'rejected', reason };
+
+        this.apply(session, checked, { messageIndex: item.messageIndex, confirmed: true });
+        return { ...item, value: checked.value, status: corrected ? 'corrected' : 'confirmed' };
+    }
+
+    /**
+     * Run the extraction pass for the latest user message (already added to the session).
+     * Returns what was applied, held for confirmation, confirmed and rejected.
+     */
+    async extract(session, message, { provider } = {}) {
+        const messageIndex = session.messages.length - 1;
+        const result = { applied: [], pending: [], confirmed: [], rejected: [], usage: null, error: null };
+
+        let call;
+        try {
+            const response = await this.requestToolCall(session, message, provider);
+            call = response.call;
+            result.usage = response.usage;
+        } catch (error) {
+            if (error.status) throw error;
+            console.warn('Slot extraction failed:', error.message);
+            result.error = error.message;
+            result.usage = error.usage || null;
+            return result;
+        }
+
+        (call.confirmations || []).forEach(confirmation => {
+            const resolved = this.resolveConfirmation(session, confirmation.id, confirmation.accept, confirmation.value);
+            if (resolved) result.confirmed.push(resolved);
+        });
+
+        call.updates.forEach(rawUpdate => {
+            const { update, reason } = this.validateUpdate(rawUpdate, message, session.requirements[rawUpdate.slot]);
+            if (!update) {
+                result.rejected.push({ ...rawUpdate, reason });
+                return;
+            }
+
+            if (update.confidence < this.confirmationThreshold) {
+                const pending = { id: generateId('confirm'), ...update, messageIndex, createdAt: new Date().toISOString() };
+                // A newer guess for the same slot replaces the older one
+                session.pendingConfirmations = session.pendingConfirmations.filter(item => !(item.slot === update.slot && this.slots[item.slot].type !== 'list'));
+                session.pendingConfirmations.push(pending);
+                result.pending.push(pending);
+                return;
+            }
+
+            this.apply(session, update, { messageIndex });
+            result.applied.push(update);
+        });
+
+        return result;
+    }
+}
+
+module.exports = { SlotExtractor, DEFAULT_SLOTS, CONFIRMATION_THRESHOLD, TOOL_CALL_SCHEMA, quoteMatches };
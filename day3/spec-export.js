@@ -0,0 +1,322 @@
+/**
+ * Spec Export - Turn gathered requirements into a specification document
+ *
+ * Builds a structured spec (overview, user stories with acceptance criteria, open
+ * questions) from a ConversationSession's requirements and renders it as Markdown,
+ * JSON or HTML. Labels, open questions and the optional sections come from the
+ * session's interview template. Requirement revisions can be diffed to show what
+ * changed after a session was reopened.
+ */
+
+const SPEC_FORMATS = ['markdown', 'json', 'html'];
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function labelFor(field, slots = {}) {
+    return slots[field]?.label || field.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+
+function formatValue(value) {
+    if (isEmpty(value)) return '—';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * "users should be able to create tasks" -> "create tasks"
+ */
+function featureAction(feature) {
+    return String(feature)
+        .trim()
+        .replace(/[.!?]+$/, '')
+        .replace(/^(?:the\s+)?(?:features?|functionality)\s*(?:is|are|:|includes?|should be)?\s*/i, '')
+        .replace(/^(?:users?|people|players?|customers?)\s+/i, '')
+        .replace(/^(?:should|can|will|must|need to|needs to)\s+/i, '')
+        .replace(/^(?:be able to|have)\s+/i, '')
+        .trim();
+}
+
+function buildUserStories(requirements, featureSlot) {
+    const platform = requirements.projectType ? `${requirements.projectType} app` : 'application';
+
+    return (requirements[featureSlot] || []).map((feature, index) => {
+        const action = featureAction(feature) || String(feature);
+        return {
+            id: `US-${index + 1}`,
+            role: 'user',
+            action,
+            story: `As a user, I want to ${action}.`,
+            source: feature,
+            acceptanceCriteria: [
+                `Given a user of the ${platform}, when they ${action}, then the action completes and its result is visible to them.`,
+                `Given invalid or incomplete input, when a user tries to ${action}, then they see a clear error and no partial data is saved.`
+            ]
+        };
+    });
+}
+
+// Criteria that apply to the project as a whole rather than a single story
+function buildProjectCriteria(requirements) {
+    const criteria = [];
+    if (requirements.projectType) criteria.push(`Runs as a ${requirements.projectType} application.`);
+    if (!isEmpty(requirements.techStack)) criteria.push(`Built with ${formatValue(requirements.techStack)}.`);
+    if (requirements.timeline) criteria.push(`First release delivered within ${requirements.timeline}.`);
+    if (requirements.deployment) criteria.push(`Deployed to ${requirements.deployment}.`);
+    return criteria;
+}
+
+// One question for every slot that is still empty when the spec is exported
+function buildOpenQuestions(requirements, slots, userStories, featureSlot) {
+    const questions = Object.keys(requirements)
+        .filter(field => isEmpty(requirements[field]))
+        .map(field => ({ field, question: slots[field]?.question || `What is the ${labelFor(field, slots).toLowerCase()}?` }));
+
+    if (userStories && userStories.length > 0) {
+        questions.push({ field: featureSlot, question: 'Which user roles exist, and what does each feature achieve for them?' });
+    }
+
+    return questions;
+}
+
+/**
+ * Structured spec for a session; `revision` is the number of the last saved snapshot.
+ * The template's `spec` block picks the title, the slot user stories are built from
+ * (userStories is null when it has none) and whether project criteria are added.
+ */
+function buildSpec(session, sessionId) {
+    const { requirements, template } = session;
+    const options = template.spec || {};
+    const userStories = options.userStories ? buildUserStories(requirements, options.userStories) : null;
+    const baseTitle = options.title || template.name;
+    const name = options.titleSlot ? requirements[options.titleSlot] : null;
+
+    return {
+        sessionId,
+        template: template.id,
+        title: name ? `${name} - ${baseTitle}` : baseTitle,
+        status: session.isComplete ? 'complete' : 'draft',
+        phase: session.phase,
+        revision: (session.revisions || []).length,
+        overview: Object.keys(requirements).map(field => ({
+            field,
+            label: labelFor(field, template.slots),
+            value: requirements[field]
+        })),
+        userStories,
+        projectCriteria: options.projectCriteria ? buildProjectCriteria(requirements) : [],
+        openQuestions: buildOpenQuestions(requirements, template.slots, userStories, options.userStories),
+        requirements,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+function renderMarkdown(spec) {
+    const lines = [
+        `# ${spec.title}`,
+        '',
+        `_Status: ${spec.status} · revision ${spec.revision} · generated ${spec.generatedAt}_`,
+        '',
+        '## Overview',
+        '',
+        '| Requirement | Value |',
+        '|-------------|-------|',
+        ...spec.overview.map(item => `| ${item.label} | ${formatValue(item.value).replace(/\|/g, '\\|')} |`),
+        ''
+    ];
+
+    if (spec.userStories) {
+        lines.push('## User Stories', '');
+    }
+    if (spec.userStories && spec.userStories.length === 0) {
+        lines.push('_No features collected yet._', '');
+    }
+
+    (spec.userStories || []).forEach(story => {
+        lines.push(`### ${story.id}: ${story.action}`, '', story.story, '', '**Acceptance criteria:**', '');
+        story.acceptanceCriteria.forEach(criterion => lines.push(`- [ ] ${criterion}`));
+        lines.push('');
+    });
+
+    if (spec.projectCriteria.length > 0) {
+        lines.push('## Project Acceptance Criteria', '');
+        spec.projectCriteria.forEach(criterion => lines.push(`- [ ] ${criterion}`));
+        lines.push('');
+    }
+
+    lines.push('## Open Questions', '');
+    if (spec.openQuestions.length === 0) {
+        lines.push('_None._');
+    }
+    spec.openQuestions.forEach(item => lines.push(`- ${item.question}`));
+    lines.push('');
+
+    return lines.join('\n');
+}
+
+function htmlPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 860px; margin: 40px auto; padding: 0 20px; color: #1f2937; line-height: 1.5; }
+    h1 { border-bottom: 2px solid #8b5cf6; padding-bottom: 8px; }
+    h2 { margin-top: 32px; color: #4c1d95; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #e5e7eb; padding: 8px 12px; text-align: left; vertical-align: top; }
+    th { background: #f9fafb; }
+    .meta { color: #6b7280; font-size: 14px; }
+    .story { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; margin-bottom: 12px; }
+    .added { background: #ecfdf5; color: #065f46; }
+    .removed { background: #fef2f2; color: #991b1b; text-decoration: line-through; }
+    .changed { background: #fffbeb; color: #92400e; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function renderHtml(spec) {
+    const overviewRows = spec.overview
+        .map(item => `<tr><th>${escapeHtml(item.label)}</th><td>${escapeHtml(formatValue(item.value))}</td></tr>`)
+        .join('\n');
+
+    let stories = '';
+    if (spec.userStories) {
+        const storyCards = spec.userStories.length === 0
+            ? '<p><em>No features collected yet.</em></p>'
+            : spec.userStories.map(story => `<div class="story">
+<h3>${escapeHtml(story.id)}: ${escapeHtml(story.action)}</h3>
+<p>${escapeHtml(story.story)}</p>
+<strong>Acceptance criteria</strong>
+<ul>${story.acceptanceCriteria.map(criterion => `<li>${escapeHtml(criterion)}</li>`).join('')}</ul>
+</div>`).join('\n');
+        stories = `<h2>User Stories</h2>\n${storyCards}`;
+    }
+
+    const projectCriteria = spec.projectCriteria.length === 0 ? '' : `<h2>Project Acceptance Criteria</h2>
+<ul>${spec.projectCriteria.map(criterion => `<li>${escapeHtml(criterion)}</li>`).join('')}</ul>`;
+
+    const questions = spec.openQuestions.length === 0
+        ? '<p><em>None.</em></p>'
+        : `<ul>${spec.openQuestions.map(item => `<li>${escapeHtml(item.question)}</li>`).join('')}</ul>`;
+
+    return htmlPage(spec.title, `<h1>${escapeHtml(spec.title)}</h1>
+<p class="meta">Status: ${escapeHtml(spec.status)} · revision ${spec.revision} · generated ${escapeHtml(spec.generatedAt)}</p>
+<h2>Overview</h2>
+<table>${overviewRows}</table>
+${stories}
+${projectCriteria}
+<h2>Open Questions</h2>
+${questions}`);
+}
+
+function renderSpec(spec, format) {
+    if (format === 'json') return JSON.stringify(spec, null, 2);
+    if (format === 'html') return renderHtml(spec);
+    return renderMarkdown(spec);
+}
+
+/**
+ * Field-by-field changes between two requirement snapshots.
+ * Lists report added and removed items; single values report before/after.
+ * `slots` (the template's slot definitions) provides the labels.
+ */
+function diffRequirements(before, after, slots = {}) {
+    const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changes = [];
+
+    fields.forEach(field => {
+        const oldValue = before?.[field];
+        const newValue = after?.[field];
+
+        if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+            const oldItems = oldValue || [];
+            const newItems = newValue || [];
+            const added = newItems.filter(item => !oldItems.includes(item));
+            const removed = oldItems.filter(item => !newItems.includes(item));
+            if (added.length > 0 || removed.length > 0) {
+                changes.push({ field, label: labelFor(field, slots), type: 'list', added, removed });
+            }
+        } else if ((oldValue ?? null) !== (newValue ?? null)) {
+            const type = isEmpty(oldValue) ? 'added' : isEmpty(newValue) ? 'removed' : 'changed';
+            changes.push({ field, label: labelFor(field, slots), type, before: oldValue ?? null, after: newValue ?? null });
+        }
+    });
+
+    return changes;
+}
+
+function renderDiffMarkdown(diff) {
+    const lines = [
+        `# Requirement changes: revision ${diff.from} → ${diff.to}`,
+        ''
+    ];
+
+    if (diff.changes.length === 0) {
+        lines.push('_No changes._', '');
+        return lines.join('\n');
+    }
+
+    diff.changes.forEach(change => {
+        lines.push(`## ${change.label}`, '');
+        if (change.type === 'list') {
+            change.added.forEach(item => lines.push(`+ ${item}`));
+            change.removed.forEach(item => lines.push(`- ${item}`));
+        } else {
+            if (change.before !== null) lines.push(`- ${change.before}`);
+            if (change.after !== null) lines.push(`+ ${change.after}`);
+        }
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+function renderDiffHtml(diff) {
+    const sections = diff.changes.length === 0
+        ? '<p><em>No changes.</em></p>'
+        : diff.changes.map(change => {
+            const rows = change.type === 'list'
+                ? [
+                    ...change.added.map(item => `<li class="added">+ ${escapeHtml(item)}</li>`),
+                    ...change.removed.map(item => `<li class="removed">${escapeHtml(item)}</li>`)
+                ]
+                : [
+                    change.before !== null ? `<li class="removed">${escapeHtml(change.before)}</li>` : '',
+                    change.after !== null ? `<li class="${change.type === 'changed' ? 'changed' : 'added'}">${escapeHtml(change.after)}</li>` : ''
+                ];
+            return `<h2>${escapeHtml(change.label)}</h2>\n<ul>${rows.join('')}</ul>`;
+        }).join('\n');
+
+    return htmlPage(`Requirement changes ${diff.from} → ${diff.to}`, `<h1>Requirement changes: revision ${diff.from} → ${diff.to}</h1>
+<p class="meta">Generated ${escapeHtml(diff.generatedAt)}</p>
+${sections}`);
+}
+
+function renderDiff(diff, format) {
+    if (format === 'json') return JSON.stringify(diff, null, 2);
+    if (format === 'html') return renderDiffHtml(diff);
+    return renderDiffMarkdown(diff);
+}
+
+module.exports = {
+    SPEC_FORMATS,
+    buildSpec,
+    renderSpec,
+    diffRequirements,
+    renderDiff
+};
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the Day 3 Slot Extractor and Interview Templates
+ *
+ * Each case is a piece of tricky phrasing (corrections, negations, quoted names,
+ * vague answers) plus the tool call a well-behaved model would return for it.
+ * By default the tool calls are replayed through the mock provider, so the suite
+ * runs offline and checks how updates are validated, applied and confirmed.
+ *
+ *   node test-slot-extraction.js          # offline, scripted tool calls
+ *   node test-slot-extraction.js --live   # phrasing cases against LLM_PROVIDER
+ */
+
+require('dotenv').config();
+const assert = require('assert');
+const { createProvider, getProvider } = require('../day1/llm-providers');
+const { SlotExtractor, quoteMatches } = require('./slot-extractor');
+const { TemplateRegistry, validateTemplate, emptyRequirements, missingSlots } = require('./interview-templates');
+
+const LIVE = process.argv.includes('--live');
+
+function createSession(requirements = {}, messages = []) {
+    return {
+        requirements: {
+            projectName: null,
+            projectType: null,
+            functionality: [],
+            techStack: [],
+            timeline: null,
+            budget: null,
+            teamSize: null,
+            deployment: null,
+            ...requirements
+        },
+        messages: [...messages],
+        slotSources: {},
+        pendingConfirmations: []
+    };
+}
+
+function toolCall(updates, confirmations = []) {
+    return JSON.stringify({ tool: 'update_requirements', input: { updates, confirmations } });
+}
+
+function lower(list) {
+    return (list || []).map(item => String(item).toLowerCase());
+}
+
+// `script` is what the mock replies; `live: false` marks cases that only make sense scripted
+const CASES = [
+    {
+        name: 'Quoted project name and implied platform',
+        message: 'We\'re calling it "Pocket Chef" for now - a recipe app for Android phones.',
+        script: [toolCall([
+            { slot: 'projectName', operation: 'set', value: 'Pocket Chef', confidence: 0.95, source: 'calling it \'Pocket Chef\'' },
+            { slot: 'projectType', operation: 'set', value: 'Mobile', confidence: 0.85, source: 'a recipe app for Android phones' }
+        ])],
+        check(session) {
+            assert.strictEqual(session.requirements.projectName, 'Pocket Chef');
+            assert.strictEqual(session.requirements.projectType, 'mobile');
+        }
+    },
+    {
+        name: 'Correction replaces a list item',
+        requirements: { techStack: ['React', 'Node.js'] },
+        message: 'Actually, scratch React - the team only knows Vue.',
+        script: [toolCall([
+            { slot: 'techStack', operation: 'remove', value: 'React', confidence: 0.95, source: 'scratch React' },
+            { slot: 'techStack', operation: 'add', value: ['Vue'], confidence: 0.9, source: 'the team only knows Vue' }
+        ])],
+        check(session) {
+            const stack = lower(session.requirements.techStack);
+            assert.ok(!stack.some(item => item.includes('react')), 'React should be removed');
+            assert.ok(stack.some(item => item.includes('vue')), 'Vue should be added');
+            assert.ok(stack.some(item => item.includes('node')), 'Node.js should be kept');
+        }
+    },
+    {
+        name: 'Corrected single value',
+        requirements: { timeline: '3 months' },
+        message: 'Sorry, I misspoke earlier - it\'s 6 weeks, not 3 months.',
+        script: [toolCall([
+            { slot: 'timeline', operation: 'set', value: '6 weeks', confidence: 0.95, source: 'it\'s 6 weeks, not 3 months' }
+        ])],
+        check(session) {
+            assert.ok(/6 weeks|six weeks/i.test(session.requirements.timeline), `timeline was ${session.requirements.timeline}`);
+        }
+    },
+    {
+        name: 'Negation is not extracted as a requirement',
+        message: 'Please no Java. Kotlin is fine though.',
+        script: [toolCall([
+            { slot: 'techStack', operation: 'add', value: 'Kotlin', confidence: 0.9, source: 'Kotlin is fine' }
+        ])],
+        check(session) {
+            const stack = lower(session.requirements.techStack);
+            assert.ok(!stack.includes('java'), 'Java must not be added');
+            assert.ok(stack.includes('kotlin'), 'Kotlin should be added');
+        }
+    },
+    {
+        name: 'Short answer to the analyst\'s question',
+        messages: [{ role: 'assistant', content: 'What is your timeline for the first release?' }],
+        message: 'six weeks',
+        script: [toolCall([
+            { slot: 'timeline', operation: 'set', value: 'six weeks', confidence: 0.9, source: 'six weeks' }
+        ])],
+        check(session) {
+            assert.ok(/six weeks|6 weeks/i.test(session.requirements.timeline), `timeline was ${session.requirements.timeline}`);
+        }
+    },
+    {
+        name: 'Analyst\'s own suggestions are not requirements',
+        messages: [{ role: 'assistant', content: 'Would you like to use React or Vue for the frontend?' }],
+        message: 'Honestly no idea yet, what would you suggest?',
+        script: [toolCall([
+            { slot: 'techStack', operation: 'add', value: 'React', confidence: 0.8, source: 'use React or Vue' }
+        ])],
+        check(session, result) {
+            assert.deepStrictEqual(session.requirements.techStack, []);
+            if (!LIVE) assert.strictEqual(result.rejected[0].reason, 'source quote not found in the user message');
+        }
+    },
+    {
+        name: 'Vague answer waits for confirmation',
+        message: 'Hopefully before the summer, maybe?',
+        script: [toolCall([
+            { slot: 'timeline', operation: 'set', value: 'before summer', confidence: 0.5, source: 'Hopefully before the summer' }
+        ])],
+        check(session, result) {
+            assert.strictEqual(session.requirements.timeline, null, 'a guess must not be applied');
+            if (!LIVE) {
+                assert.strictEqual(result.pending.length, 1);
+                assert.strictEqual(session.pendingConfirmations[0].slot, 'timeline');
+            }
+        }
+    },
+    {
+        name: 'Fenced JSON surrounded by prose',
+        message: 'It\'s a CLI for managing dotfiles.',
+        live: false,
+        script: ['Here is the tool call:\n```json\n' + toolCall([
+            { slot: 'projectType', operation: 'set', value: 'cli', confidence: 0.95, source: 'It\'s a CLI' },
+            { slot: 'functionality', operation: 'add', value: 'manage dotfiles', confidence: 0.85, source: 'managing dotfiles' }
+        ]) + '\n```\nLet me know if you need anything else.'],
+        check(session) {
+            assert.strictEqual(session.requirements.projectType, 'cli');
+            assert.deepStrictEqual(session.requirements.functionality, ['manage dotfiles']);
+        }
+    },
+    {
+        name: 'Value outside the enum and unknown slots are rejected',
+        message: 'It should run on a smartwatch and cost nothing to host.',
+        live: false,
+        script: [toolCall([
+            { slot: 'projectType', operation: 'set', value: 'smartwatch', confidence: 0.9, source: 'run on a smartwatch' },
+            { slot: 'hostingCost', operation: 'set', value: '0', confidence: 0.9, source: 'cost nothing to host' },
+            { slot: 'timeline', operation: 'add', value: 'soon', confidence: 0.9, source: 'It should run' }
+        ])],
+        check(session, result) {
+            assert.strictEqual(session.requirements.projectType, null);
+            assert.strictEqual(result.rejected.length, 3);
+            assert.ok(result.rejected[0].reason.includes('not one of'));
+            assert.ok(result.rejected[1].reason.includes('unknown slot'));
+            assert.ok(result.rejected[2].reason.includes('not valid for a single-value slot'));
+        }
+    },
+    {
+        name: 'Invalid tool call is repaired',
+        message: 'Three developers, budget around $20k.',
+        live: false,
+        script: [
+            'Sure! The team has three developers and the budget is $20k.',
+            toolCall([
+                { slot: 'teamSize', operation: 'set', value: '3 developers', confidence: 0.95, source: 'Three developers' },
+                { slot: 'budget', operation: 'set', value: '$20k', confidence: 0.8, source: 'budget around $20k' }
+            ])
+        ],
+        check(session, result, provider) {
+            assert.strictEqual(session.requirements.teamSize, '3 developers');
+            assert.strictEqual(session.requirements.budget, '$20k');
+            assert.strictEqual(provider.calls.length, 2, 'expected one repair round');
+            assert.ok(result.usage.input_tokens > 0);
+        }
+    },
+    {
+        name: 'Unrepairable output leaves the session unchanged',
+        message: 'Deploy it on AWS.',
+        live: false,
+        script: ['I cannot help with that.', '{"tool": "update_requirements"'],
+        check(session, result) {
+            assert.ok(result.error && result.error.includes('invalid tool call'));
+            assert.strictEqual(session.requirements.deployment, null);
+        }
+    }
+];
+
+async function runCase(testCase, extractor, provider) {
+    const session = createSession(testCase.requirements, testCase.messages);
+    session.messages.push({ role: 'user', content: testCase.message });
+    const result = await extractor.extract(session, testCase.message);
+    testCase.check(session, result, provider);
+    return { session, result };
+}
+
+async function testPhrasing(record) {
+    console.log(`\n🗣️  Phrasing cases (${LIVE ? `live: ${process.env.LLM_PROVIDER || 'default provider'}` : 'scripted mock'})`);
+
+    for (const testCase of CASES) {
+        if (LIVE && testCase.live === false) continue;
+
+        const provider = LIVE ? getProvider() : createProvider('mock', { script: testCase.script });
+        const extractor = new SlotExtractor({ llm: provider });
+
+        await record(testCase.name, async () => {
+            const { result } = await runCase(testCase, extractor, provider);
+            if (LIVE && result.error) throw new Error(result.error);
+        });
+    }
+}
+
+async function testConfirmations(record) {
+    console.log('\n✅ Confirmation flow');
+
+    await record('User confirms a pending guess in chat', async () => {
+        const provider = createProvider('mock', { script: [] });
+        const extractor = new SlotExtractor({ llm: provider });
+        const session = createSession();
+
+        provider.script = [toolCall([
+            { slot: 'timeline', operation: 'set', value: 'before summer', confidence: 0.5, source: 'before the summer' }
+        ])];
+        session.messages.push({ role: 'user', content: 'Before the summer, I guess' });
+        const first = await extractor.extract(session, 'Before the summer, I guess');
+        const pendingId = first.pending[0].id;
+
+        provider.script = [toolCall([], [{ id: pendingId, accept: true }])];
+        provider.position = 0;
+        session.messages.push({ role: 'assistant', content: 'Just to confirm: the timeline is "before summer"?' });
+        session.messages.push({ role: 'user', content: 'Yes, that works' });
+        const second = await extractor.extract(session, 'Yes, that works');
+
+        assert.strictEqual(second.confirmed[0].status, 'confirmed');
+        assert.strictEqual(session.requirements.timeline, 'before summer');
+        assert.strictEqual(session.slotSources.timeline.confirmed, true);
+        assert.strictEqual(session.slotSources.timeline.messageIndex, 0, 'source stays the original message');
+        assert.strictEqual(session.pendingConfirmations.length, 0);
+    });
+
+    await record('User corrects a pending guess through the API', async () => {
+        const extractor = new SlotExtractor({ llm: createProvider('mock', { script: [] }) });
+        const session = createSession();
+        session.pendingConfirmations.push({
+            id: 'confirm_test', slot: 'timeline', operation: 'set', value: 'before summer',
+            confidence: 0.5, source: 'before the summer', messageIndex: 0
+        });
+
+        const resolved = extractor.resolveConfirmation(session, 'confirm_test', false, '8 weeks');
+        assert.strictEqual(resolved.status, 'corrected');
+        assert.strictEqual(session.requirements.timeline, '8 weeks');
+        assert.strictEqual(session.slotSources.timeline.confidence, 1);
+    });
+
+    await record('Rejected guesses are dropped', async () => {
+        const extractor = new SlotExtractor({ llm: createProvider('mock', { script: [] }) });
+        const session = createSession();
+        session.pendingConfirmations.push({
+            id: 'confirm_test', slot: 'techStack', operation: 'add', value: ['PHP'],
+            confidence: 0.4, source: 'something simple', messageIndex: 0
+        });
+
+        assert.strictEqual(extractor.resolveConfirmation(session, 'confirm_test', false).status, 'rejected');
+        assert.deepStrictEqual(session.requirements.techStack, []);
+        assert.strictEqual(extractor.resolveConfirmation(session, 'confirm_missing', true), null);
+    });
+
+    await record('A newer guess replaces the pending one for the same slot', async () => {
+        const provider = createProvider('mock', {
+            script: [
+                toolCall([{ slot: 'budget', operation: 'set', value: '$10k', confidence: 0.4, source: 'maybe 10k' }]),
+                toolCall([{ slot: 'budget', operation: 'set', value: '$15k', confidence: 0.5, source: 'or 15k' }])
+            ]
+        });
+        const extractor = new SlotExtractor({ llm: provider });
+        const session = createSession();
+
+        session.messages.push({ role: 'user', content: 'maybe 10k' });
+        await extractor.extract(session, 'maybe 10k');
+        session.messages.push({ role: 'user', content: 'or 15k' });
+        await extractor.extract(session, 'or 15k');
+
+        assert.strictEqual(session.pendingConfirmations.length, 1);
+        assert.strictEqual(session.pendingConfirmations[0].value, '$15k');
+    });
+}
+
+async function testQuoteMatching(record) {
+    console.log('\n🔎 Source quote matching');
+
+    const cases = [
+        ['calling it \'Pocket Chef\'', 'We\'re calling it "Pocket Chef" for now', true],
+        ['Three developers.', 'three   developers, budget 20k', true],
+        ['team knows Vue', 'the team only knows Vue', true],
+        ['built with C#', 'It will be built with C# and .NET', true],
+        ['use React', 'Would you like to use React or Vue?', true],
+        ['React', 'Honestly no idea yet', false],
+        ['', 'anything', false]
+    ];
+
+    for (const [quote, message, expected] of cases) {
+        await record(`quoteMatches(${JSON.stringify(quote)}) is ${expected}`, async () => {
+            assert.strictEqual(quoteMatches(quote, message), expected);
+        });
+    }
+}
+
+async function testTemplates(record) {
+    console.log('\n📋 Interview templates and validation rules');
+
+    const registry = new TemplateRegistry({ defaultId: 'software-project' }).load();
+
+    await record('Shipped JSON and YAML templates load', async () => {
+        const ids = registry.list().map(template => template.id);
+        ['software-project', 'bug-report', 'hiring-brief', 'marketing-brief'].forEach(id => assert.ok(ids.includes(id), `${id} missing`));
+        assert.deepStrictEqual(emptyRequirements(registry.get('bug-report')).stepsToReproduce, []);
+    });
+
+    await record('Broken templates are reported', async () => {
+        const errors = validateTemplate({
+            id: 'Bad Id',
+            name: 'Broken',
+            role: 'x',
+            greeting: 'x',
+            slots: { a: { type: 'number', label: 'A', description: 'a', pattern: '(' } },
+            prompts: { greeting: 'x' },
+            spec: { titleSlot: 'missing' }
+        });
+        ['id must be', 'at least one slot must be required', 'slots.a.type', 'slots.a.pattern', 'prompts.gathering', 'spec.titleSlot'].forEach(expected => {
+            assert.ok(errors.some(error => error.includes(expected)), `expected an error about ${expected}`);
+        });
+    });
+
+    await record('Required slots decide when gathering is done', async () => {
+        const template = registry.get('bug-report');
+        const requirements = { ...emptyRequirements(template), title: 'Crash on save', severity: 'major' };
+        assert.deepStrictEqual(missingSlots(template, requirements), ['stepsToReproduce', 'expectedBehavior', 'actualBehavior', 'environment']);
+    });
+
+    await record('Pattern, enum and length rules reject bad values', async () => {
+        const message = 'Pay is competitive. We advertise on Social and TikTok. The title is Senior Principal Staff Distinguished Lead Engineer of Everything Backend And Frontend Combined';
+        const hiring = new SlotExtractor({ slots: registry.get('hiring-brief').slots, llm: createProvider('mock', { script: [] }) });
+        const marketing = new SlotExtractor({ slots: registry.get('marketing-brief').slots, llm: createProvider('mock', { script: [] }) });
+
+        const salary = hiring.validateUpdate({ slot: 'salaryRange', operation: 'set', value: 'competitive', confidence: 0.9, source: 'Pay is competitive' }, message);
+        assert.ok(salary.reason && salary.reason.includes('does not match'));
+
+        const title = hiring.validateUpdate({ slot: 'roleTitle', operation: 'set', value: message.split('The title is ')[1], confidence: 0.9, source: 'The title is' }, message);
+        assert.ok(title.reason && title.reason.includes('longer than 80'));
+
+        const social = marketing.validateUpdate({ slot: 'channels', operation: 'add', value: 'Social', confidence: 0.9, source: 'advertise on Social' }, message);
+        assert.deepStrictEqual(social.update.value, ['social']);
+
+        const tiktok = marketing.validateUpdate({ slot: 'channels', operation: 'add', value: 'TikTok', confidence: 0.9, source: 'TikTok' }, message);
+        assert.ok(tiktok.reason && tiktok.reason.includes('not one of'));
+    });
+
+    await record('maxItems counts the items already collected', async () => {
+        const extractor = new SlotExtractor({
+            slots: { tags: { type: 'list', label: 'Tags', description: 'Tags', maxItems: 2 } },
+            llm: createProvider('mock', { script: [] })
+        });
+        const update = { slot: 'tags', operation: 'add', value: ['c'], confidence: 0.9, source: 'c' };
+        assert.ok(extractor.validateUpdate(update, 'c', ['a']).update);
+        assert.ok(extractor.validateUpdate(update, 'c', ['a', 'b']).reason.includes('more than 2'));
+    });
+
+    await record('Slot names inherited from Object.prototype are unknown', async () => {
+        const extractor = new SlotExtractor({ llm: createProvider('mock', { script: [] }) });
+        ['constructor', 'toString', '__proto__'].forEach(slot => {
+            const { reason } = extractor.validateUpdate({ slot, operation: 'set', value: 'x', confidence: 0.9, source: 'x' }, 'x');
+            assert.strictEqual(reason, `unknown slot "${slot}"`);
+        });
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Slot Extractor Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testPhrasing(record);
+    if (!LIVE) {
+        await testConfirmations(record);
+        await testQuoteMatching(record);
+        await testTemplates(record);
+    }
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
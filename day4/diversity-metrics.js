@@ -0,0 +1,189 @@
+/**
+ * Diversity Metrics - How different are the samples at one temperature from each other?
+ *
+ * analyzeResponse scores a single response; these metrics compare a group of responses
+ * to the same prompt:
+ *   - distinct-n: unique n-grams / total n-grams across the group (higher = more varied)
+ *   - self-BLEU: mean BLEU of each sample against the others (higher = more repetitive)
+ *   - pairwise distance: 1 - cosine similarity of TF-IDF embeddings (Day 13 generator)
+ *   - clusters: groups of samples whose embeddings are at least `clusterThreshold` similar
+ *
+ * All groups of a request share one TF-IDF vocabulary, so distances are comparable
+ * across temperatures.
+ */
+
+const { EmbeddingGenerator } = require('../day13/embedding-generator');
+
+const DIVERSITY_DEFAULTS = {
+    maxN: 4,                 // longest n-gram used by BLEU
+    clusterThreshold: 0.5,   // cosine similarity at which two samples count as the same answer
+    dimensions: 2000         // TF-IDF vocabulary cap
+};
+
+function round(value, digits = 3) {
+    return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+}
+
+function words(text) {
+    return text.toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+function ngrams(tokens, n) {
+    const grams = [];
+    for (let i = 0; i + n <= tokens.length; i++) {
+        grams.push(tokens.slice(i, i + n).join(' '));
+    }
+    return grams;
+}
+
+function countNgrams(tokens, n) {
+    const counts = new Map();
+    ngrams(tokens, n).forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+    return counts;
+}
+
+// Unique n-grams over all n-grams in the group; null when no sample is n words long
+function distinctN(texts, n) {
+    const all = texts.flatMap(text => ngrams(words(text), n));
+    return all.length > 0 ? round(new Set(all).size / all.length) : null;
+}
+
+/**
+ * Sentence BLEU of `candidate` against `references` (token arrays), with add-one
+ * smoothing for n > 1 so short samples without 4-gram overlap don't score zero.
+ */
+function bleu(candidate, references, maxN = DIVERSITY_DEFAULTS.maxN) {
+    if (candidate.length === 0 || references.length === 0) return 0;
+
+    let logPrecision = 0;
+    for (let n = 1; n <= maxN; n++) {
+        const candidateCounts = countNgrams(candidate, n);
+        const maxReferenceCounts = new Map();
+        references.forEach(reference => {
+            countNgrams(reference, n).forEach((count, gram) => {
+                maxReferenceCounts.set(gram, Math.max(maxReferenceCounts.get(gram) || 0, count));
+            });
+        });
+
+        let total = 0;
+        let clipped = 0;
+        candidateCounts.forEach((count, gram) => {
+            total += count;
+            clipped += Math.min(count, maxReferenceCounts.get(gram) || 0);
+        });
+
+        const precision = n === 1 ? clipped / total : (clipped + 1) / (total + 1);
+        if (precision === 0) return 0;
+        logPrecision += Math.log(precision) / maxN;
+    }
+
+    // Brevity penalty against the reference closest in length
+    const closest = references.reduce((best, reference) =>
+        Math.abs(reference.length - candidate.length) < Math.abs(best.length - candidate.length) ? reference : best);
+    const brevity = candidate.length >= closest.length ? 1 : Math.exp(1 - closest.length / candidate.length);
+
+    return brevity * Math.exp(logPrecision);
+}
+
+// Mean BLEU of every sample against the rest of the group; needs two samples
+function selfBleu(texts, maxN = DIVERSITY_DEFAULTS.maxN) {
+    if (texts.length < 2) return null;
+    const tokenized = texts.map(words);
+    const scores = tokenized.map((candidate, i) => bleu(candidate, tokenized.filter((_, j) => j !== i), maxN));
+    return round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
+// Two empty vectors only contain terms every sample shares, so they count as identical
+function similarity(generator, a, b) {
+    if (generator.calculateMagnitude(a) === 0 && generator.calculateMagnitude(b) === 0) return 1;
+    return generator.calculateSimilarity(a, b);
+}
+
+function similarityMatrix(generator, vectors) {
+    return vectors.map((a, i) => vectors.map((b, j) => (i === j ? 1 : similarity(generator, a, b))));
+}
+
+function pairwiseDistance(matrix) {
+    const distances = [];
+    for (let i = 0; i < matrix.length; i++) {
+        for (let j = i + 1; j < matrix.length; j++) {
+            distances.push(1 - matrix[i][j]);
+        }
+    }
+    if (distances.length === 0) return null;
+
+    return {
+        mean: round(distances.reduce((sum, distance) => sum + distance, 0) / distances.length),
+        min: round(Math.min(...distances)),
+        max: round(Math.max(...distances)),
+        pairs: distances.length
+    };
+}
+
+// Single-linkage clustering: samples joined by any pair above the threshold share a cluster
+function clusterSamples(matrix, threshold = DIVERSITY_DEFAULTS.clusterThreshold) {
+    const parent = matrix.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < matrix.length; i++) {
+        for (let j = i + 1; j < matrix.length; j++) {
+            if (matrix[i][j] >= threshold) parent[find(i)] = find(j);
+        }
+    }
+
+    const sizes = new Map();
+    matrix.forEach((_, i) => sizes.set(find(i), (sizes.get(find(i)) || 0) + 1));
+    return Array.from(sizes.values()).sort((a, b) => b - a);
+}
+
+/**
+ * Cross-sample metrics for each group of responses.
+ * `groups` maps a key (e.g. the temperature) to an array of response texts.
+ * Returns { groups: { [key]: metrics }, settings }.
+ */
+async function measureDiversity(groups, options = {}) {
+    const settings = { ...DIVERSITY_DEFAULTS, ...options };
+    const entries = Object.entries(groups).filter(([, texts]) => texts.length > 0);
+
+    const generator = new EmbeddingGenerator({ dimensions: settings.dimensions });
+    const documents = entries.flatMap(([key, texts]) => texts.map((content, i) => ({ id: `${key}-${i}`, content })));
+    if (documents.length > 0) {
+        await generator.buildVocabulary(documents);
+    }
+
+    const result = {};
+    entries.forEach(([key, texts]) => {
+        const matrix = similarityMatrix(generator, texts.map(text => generator.generateTFIDFEmbedding(text)));
+        const clusterSizes = texts.length > 1 ? clusterSamples(matrix, settings.clusterThreshold) : null;
+
+        result[key] = {
+            samples: texts.length,
+            distinct1: distinctN(texts, 1),
+            distinct2: distinctN(texts, 2),
+            selfBleu: selfBleu(texts, settings.maxN),
+            pairwiseDistance: pairwiseDistance(matrix),
+            clusters: clusterSizes ? clusterSizes.length : null,
+            clusterSizes
+        };
+    });
+
+    return {
+        groups: result,
+        settings: {
+            embedding: 'tfidf',
+            vocabularySize: generator.vocabulary.size,
+            clusterThreshold: settings.clusterThreshold,
+            bleuMaxN: settings.maxN
+        }
+    };
+}
+
+module.exports = {
+    DIVERSITY_DEFAULTS,
+    distinctN,
+    bleu,
+    selfBleu,
+    pairwiseDistance,
+    clusterSamples,
+    measureDiversity
+};
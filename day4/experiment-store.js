@@ -0,0 +1,233 @@
+/**
+ * Experiment Store - Saved temperature comparisons for Day 4
+ *
+ * Every /api/compare-temperatures run is kept as an experiment: the prompt and
+ * settings, raw outputs, metrics, judge scores and usage. Experiments are written to
+ * a JSON file and can be compared pairwise or exported as CSV/JSON, one row per
+ * response, for analysis in a notebook. Only the newest `maxExperiments` are kept, so
+ * the file (rewritten on every save) stays bounded.
+ */
+
+const fs = require('fs');
+const { JsonFileWriter, generateId } = require('../day1/json-store');
+
+const MAX_EXPERIMENTS = 200;
+
+// Per-temperature means stored with each experiment and used by compareExperiments
+const SUMMARY_METRICS = ['wordCount', 'sentenceCount', 'lexicalDiversity', 'creativityScore'];
+
+const CSV_COLUMNS = [
+    'experiment_id', 'experiment_name', 'created_at', 'provider', 'prompt', 'max_tokens',
+    'temperature', 'temperature_name', 'run', 'error', 'response',
+    'word_count', 'sentence_count', 'avg_words_per_sentence', 'lexical_diversity',
+    'adjective_count', 'exclamation_count', 'question_count', 'is_word_list', 'creativity_score',
+    'judge_overall', 'judge_scores', 'input_tokens', 'output_tokens'
+];
+
+function average(values) {
+    const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+    return numbers.length > 0 ? parseFloat((numbers.reduce((a, b) => a + b, 0) / numbers.length).toFixed(3)) : null;
+}
+
+function totalUsage(results, judge) {
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    [...results.map(result => result.usage), judge?.usage].forEach(entry => {
+        usage.input_tokens += entry?.input_tokens || 0;
+        usage.output_tokens += entry?.output_tokens || 0;
+    });
+    return usage;
+}
+
+// Mean metrics per temperature, plus the judge score and diversity when available
+function summarizeExperiment(experiment) {
+    const byTemperature = {};
+    experiment.results.filter(result => !result.error).forEach(result => {
+        (byTemperature[result.temperature] = byTemperature[result.temperature] || []).push(result);
+    });
+
+    return Object.fromEntries(Object.entries(byTemperature).map(([temp, results]) => {
+        const diversity = experiment.diversity?.groups?.[temp];
+        return [temp, {
+            samples: results.length,
+            ...Object.fromEntries(SUMMARY_METRICS.map(metric => [metric, average(results.map(r => r.analysis[metric]))])),
+            judgeOverall: average(results.map(r => r.judge?.overall)),
+            selfBleu: diversity ? diversity.selfBleu : null,
+            pairwiseDistance: diversity?.pairwiseDistance ? diversity.pairwiseDistance.mean : null
+        }];
+    }));
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Model-written text starting with = + - @ would run as a formula in a spreadsheet
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One flat row per response, in CSV_COLUMNS order
+function experimentRows(experiment) {
+    return experiment.results.map(result => ({
+        experiment_id: experiment.id,
+        experiment_name: experiment.name,
+        created_at: experiment.createdAt,
+        provider: experiment.config.provider,
+        prompt: experiment.prompt,
+        max_tokens: experiment.config.maxTokens,
+        temperature: result.temperature,
+        temperature_name: result.name,
+        run: result.run,
+        error: result.error || null,
+        response: result.response ?? null,
+        word_count: result.analysis?.wordCount ?? null,
+        sentence_count: result.analysis?.sentenceCount ?? null,
+        avg_words_per_sentence: result.analysis?.avgWordsPerSentence ?? null,
+        lexical_diversity: result.analysis?.lexicalDiversity ?? null,
+        adjective_count: result.analysis?.adjectiveCount ?? null,
+        exclamation_count: result.analysis?.exclamationCount ?? null,
+        question_count: result.analysis?.questionCount ?? null,
+        is_word_list: result.analysis?.isWordList ?? null,
+        creativity_score: result.analysis?.creativityScore ?? null,
+        judge_overall: result.judge?.overall ?? null,
+        judge_scores: result.judge?.scores ?? null,
+        input_tokens: result.usage?.input_tokens ?? null,
+        output_tokens: result.usage?.output_tokens ?? null
+    }));
+}
+
+function toCsv(experiments) {
+    const lines = [CSV_COLUMNS.join(',')];
+    experiments.forEach(experiment => {
+        experimentRows(experiment).forEach(row => lines.push(CSV_COLUMNS.map(column => csvValue(row[column])).join(',')));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Side-by-side per-temperature summaries of two experiments, with b - a deltas
+ */
+function compareExperiments(a, b) {
+    const temperatures = Array.from(new Set([...Object.keys(a.summary), ...Object.keys(b.summary)]))
+        .sort((x, y) => parseFloat(x) - parseFloat(y));
+    const metrics = [...SUMMARY_METRICS, 'judgeOverall', 'selfBleu', 'pairwiseDistance'];
+
+    const describe = experiment => ({
+        id: experiment.id,
+        name: experiment.name,
+        prompt: experiment.prompt,
+        config: experiment.config,
+        usage: experiment.usage,
+        createdAt: experiment.createdAt
+    });
+
+    return {
+        a: describe(a),
+        b: describe(b),
+        samePrompt: a.prompt === b.prompt,
+        temperatures: temperatures.map(temp => {
+            const left = a.summary[temp] || null;
+            const right = b.summary[temp] || null;
+            return {
+                temperature: parseFloat(temp),
+                a: left,
+                b: right,
+                delta: Object.fromEntries(metrics.map(metric => {
+                    const delta = left && right && left[metric] !== null && right[metric] !== null
+                        ? parseFloat((right[metric] - left[metric]).toFixed(3))
+                        : null;
+                    return [metric, delta];
+                }))
+            };
+        })
+    };
+}
+
+class ExperimentStore {
+    constructor(filePath, { maxExperiments = MAX_EXPERIMENTS } = {}) {
+        this.filePath = filePath;
+        this.maxExperiments = maxExperiments;
+        this.experiments = new Map();
+        this.writer = new JsonFileWriter(filePath, { label: 'experiments' });
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            (data.experiments || []).forEach(experiment => this.experiments.set(experiment.id, experiment));
+            this.prune();
+            console.log(`📂 Loaded ${this.experiments.size} experiments from ${this.filePath}`);
+        } catch (error) {
+            console.error(`Failed to load experiments from ${this.filePath}:`, error.message);
+        }
+    }
+
+    save() {
+        return this.writer.save({ experiments: Array.from(this.experiments.values()) });
+    }
+
+    /**
+     * Save a comparison. `comparison` is the /api/compare-temperatures payload and
+     * `config` the settings it ran with ({ provider, maxTokens, runs, temperatures, judge }).
+     */
+    create(comparison, config, name = null) {
+        const experiment = {
+            id: generateId('exp'),
+            name: name || comparison.prompt.slice(0, 60),
+            config,
+            ...comparison,
+            usage: totalUsage(comparison.results, comparison.judge),
+            createdAt: comparison.timestamp || new Date().toISOString()
+        };
+        experiment.summary = summarizeExperiment(experiment);
+
+        this.experiments.set(experiment.id, experiment);
+        this.prune();
+        this.save();
+        return experiment;
+    }
+
+    // Drop the oldest experiments beyond maxExperiments
+    prune() {
+        const oldestFirst = Array.from(this.experiments.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        oldestFirst.slice(0, Math.max(this.experiments.size - this.maxExperiments, 0)).forEach(experiment => this.experiments.delete(experiment.id));
+    }
+
+    get(id) {
+        return this.experiments.get(id) || null;
+    }
+
+    delete(id) {
+        const deleted = this.experiments.delete(id);
+        if (deleted) this.save();
+        return deleted;
+    }
+
+    // Newest first; `search` matches the name or prompt
+    list({ search, limit = 50, offset = 0 } = {}) {
+        const query = search ? search.toLowerCase() : null;
+        const matching = Array.from(this.experiments.values())
+            .filter(experiment => !query || experiment.name.toLowerCase().includes(query) || experiment.prompt.toLowerCase().includes(query))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return {
+            total: matching.length,
+            experiments: matching.slice(offset, offset + limit).map(experiment => ({
+                id: experiment.id,
+                name: experiment.name,
+                prompt: experiment.prompt,
+                provider: experiment.config.provider,
+                maxTokens: experiment.config.maxTokens,
+                runs: experiment.config.runs,
+                judged: !!experiment.judge && !experiment.judge.error,
+                responses: experiment.results.length,
+                errors: experiment.results.filter(result => result.error).length,
+                usage: experiment.usage,
+                createdAt: experiment.createdAt
+            }))
+        };
+    }
+}
+
+module.exports = { ExperimentStore, CSV_COLUMNS, experimentRows, toCsv, compareExperiments };
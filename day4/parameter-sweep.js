@@ -0,0 +1,322 @@
+/**
+ * Parameter Sweep - Run a prompt over a grid of sampling parameters
+ *
+ * The grid is the cross product of temperature, topP, topK, maxTokens and system
+ * prompt variants. Every cell is sampled N times with a bounded number of requests
+ * in flight, and each cell reports the mean, variance and 95% confidence interval
+ * of the analyzeResponse metrics.
+ */
+
+const GRID_PARAMETERS = ['temperature', 'topP', 'topK', 'maxTokens', 'systemPrompt'];
+
+// snake_case names are accepted as well, matching the provider APIs
+const PARAMETER_ALIASES = {
+    top_p: 'topP',
+    top_k: 'topK',
+    max_tokens: 'maxTokens',
+    system_prompt: 'systemPrompt',
+    systemPrompts: 'systemPrompt',
+    system_prompts: 'systemPrompt',
+    temperatures: 'temperature'
+};
+
+const SWEEP_LIMITS = {
+    maxCells: 48,
+    maxSamplesPerCell: 20,
+    maxTotalSamples: 240,
+    maxConcurrency: 8,
+    defaultSamples: 3,
+    defaultConcurrency: 3
+};
+
+// Metrics from analyzeResponse (plus usage and latency) that are aggregated per cell
+const SWEEP_METRICS = [
+    'wordCount',
+    'sentenceCount',
+    'avgWordsPerSentence',
+    'lexicalDiversity',
+    'adjectiveCount',
+    'creativityScore',
+    'outputTokens',
+    'latencyMs'
+];
+
+// Two-sided 95% critical values of Student's t for 1-30 degrees of freedom
+const T_CRITICAL_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+function round(value, digits = 3) {
+    return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Mean, sample variance, standard deviation and a 95% t-interval for the mean.
+ * With a single value the variance and interval are null.
+ */
+function summarize(values) {
+    const n = values.length;
+    if (n === 0) {
+        return { n: 0, mean: null, variance: null, stdDev: null, min: null, max: null, ci95: null };
+    }
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    if (n === 1) {
+        return { n, mean: round(mean), variance: null, stdDev: null, min: round(values[0]), max: round(values[0]), ci95: null };
+    }
+
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (n - 1);
+    const stdDev = Math.sqrt(variance);
+    const t = T_CRITICAL_95[n - 2] || 1.96;
+    const margin = t * stdDev / Math.sqrt(n);
+
+    return {
+        n,
+        mean: round(mean),
+        variance: round(variance),
+        stdDev: round(stdDev),
+        min: round(Math.min(...values)),
+        max: round(Math.max(...values)),
+        ci95: [round(mean - margin), round(mean + margin)]
+    };
+}
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function normalizeSystemPrompts(values) {
+    return values.map((value, index) => {
+        if (value && typeof value === 'object') {
+            return { name: value.name || `system-${index + 1}`, text: String(value.text || '') };
+        }
+        const text = value === null || value === undefined ? '' : String(value);
+        return { name: text ? `system-${index + 1}` : 'none', text };
+    });
+}
+
+function checkNumbers(errors, name, values, { min, max, integer = false, nullable = false }) {
+    values.forEach(value => {
+        if (value === null && nullable) return;
+        const valid = typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max &&
+            (!integer || Number.isInteger(value));
+        if (!valid) {
+            errors.push(`${name} values must be ${integer ? 'integers' : 'numbers'} between ${min} and ${max}${nullable ? ' (or null)' : ''}, got ${JSON.stringify(value)}`);
+        }
+    });
+}
+
+/**
+ * Validate a sweep request body and fill in defaults.
+ * Returns { sweep } or { errors }.
+ */
+function normalizeSweepRequest(body = {}, limits = SWEEP_LIMITS) {
+    const errors = [];
+
+    if (typeof body.prompt !== 'string' || !body.prompt.trim()) {
+        errors.push('prompt is required');
+    }
+
+    const rawGrid = body.grid && typeof body.grid === 'object' ? body.grid : {};
+    const grid = {};
+    Object.entries(rawGrid).forEach(([key, value]) => {
+        const name = PARAMETER_ALIASES[key] || key;
+        if (!GRID_PARAMETERS.includes(name)) {
+            errors.push(`unknown grid parameter "${key}"; use ${GRID_PARAMETERS.join(', ')}`);
+            return;
+        }
+        grid[name] = toArray(value);
+    });
+
+    // Unset parameters have a single value: the provider default (null) or 300 tokens
+    grid.temperature = grid.temperature || [0.7];
+    grid.topP = grid.topP || [null];
+    grid.topK = grid.topK || [null];
+    grid.maxTokens = grid.maxTokens || [300];
+    grid.systemPrompt = normalizeSystemPrompts(grid.systemPrompt || ['']);
+
+    checkNumbers(errors, 'temperature', grid.temperature, { min: 0, max: 2 });
+    checkNumbers(errors, 'topP', grid.topP, { min: 0, max: 1, nullable: true });
+    checkNumbers(errors, 'topK', grid.topK, { min: 1, max: 500, integer: true, nullable: true });
+    checkNumbers(errors, 'maxTokens', grid.maxTokens, { min: 1, max: 4096, integer: true });
+    GRID_PARAMETERS.forEach(name => {
+        if (grid[name].length === 0) errors.push(`${name} needs at least one value`);
+    });
+
+    const samples = body.samples ?? limits.defaultSamples;
+    const concurrency = body.concurrency ?? limits.defaultConcurrency;
+    if (!Number.isInteger(samples) || samples < 1 || samples > limits.maxSamplesPerCell) {
+        errors.push(`samples must be an integer between 1 and ${limits.maxSamplesPerCell}`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > limits.maxConcurrency) {
+        errors.push(`concurrency must be an integer between 1 and ${limits.maxConcurrency}`);
+    }
+
+    const cellCount = GRID_PARAMETERS.reduce((count, name) => count * grid[name].length, 1);
+    if (cellCount > limits.maxCells) {
+        errors.push(`grid has ${cellCount} cells; the limit is ${limits.maxCells}`);
+    } else if (Number.isInteger(samples) && cellCount * samples > limits.maxTotalSamples) {
+        errors.push(`${cellCount} cells x ${samples} samples = ${cellCount * samples} requests; the limit is ${limits.maxTotalSamples}`);
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    return {
+        sweep: {
+            name: typeof body.name === 'string' && body.name.trim() ? body.name.trim() : null,
+            prompt: body.prompt,
+            grid,
+            samples,
+            concurrency
+        }
+    };
+}
+
+// Cross product of the grid, one cell per parameter combination
+function expandGrid(grid) {
+    let combinations = [{}];
+    GRID_PARAMETERS.forEach(name => {
+        combinations = combinations.flatMap(combination => grid[name].map(value => ({ ...combination, [name]: value })));
+    });
+
+    return combinations.map((params, index) => ({ id: `cell-${index + 1}`, params }));
+}
+
+function describeCell(params) {
+    const parts = [`T=${params.temperature}`];
+    if (params.topP !== null) parts.push(`top_p=${params.topP}`);
+    if (params.topK !== null) parts.push(`top_k=${params.topK}`);
+    parts.push(`max=${params.maxTokens}`);
+    if (params.systemPrompt.text) parts.push(`system=${params.systemPrompt.name}`);
+    return parts.join(' · ');
+}
+
+// Upper bound on the tokens a sweep can use: every sample reads the prompt and writes up to maxTokens
+function projectSweepTokens(prompt, cells, samples) {
+    return cells.reduce((total, cell) => {
+        const inputTokens = Math.ceil((prompt.length + cell.params.systemPrompt.text.length) / 4);
+        return total + samples * (inputTokens + cell.params.maxTokens);
+    }, 0);
+}
+
+/**
+ * Run `worker(item, index)` for every item with at most `limit` calls in flight.
+ * Results keep the input order.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+    return results;
+}
+
+// Per-metric summaries over a cell's successful samples
+function aggregateSamples(samples) {
+    const successful = samples.filter(sample => !sample.error);
+    const metrics = {};
+
+    SWEEP_METRICS.forEach(metric => {
+        const values = successful
+            .map(sample => metric === 'outputTokens' ? sample.usage?.output_tokens
+                : metric === 'latencyMs' ? sample.latencyMs
+                    : sample.analysis[metric])
+            .filter(value => typeof value === 'number' && Number.isFinite(value));
+        metrics[metric] = summarize(values);
+    });
+
+    return {
+        samples: samples.length,
+        successful: successful.length,
+        errorRate: samples.length > 0 ? round((samples.length - successful.length) / samples.length) : null,
+        wordListRate: successful.length > 0 ? round(successful.filter(sample => sample.analysis.isWordList).length / successful.length) : null,
+        metrics
+    };
+}
+
+// Cells with the highest mean creativity and the most consistent length
+function findHighlights(cells) {
+    const scored = cells.filter(cell => cell.aggregate && cell.aggregate.successful > 0);
+    if (scored.length === 0) return null;
+
+    const byMean = metric => scored.reduce((best, cell) =>
+        cell.aggregate.metrics[metric].mean > best.aggregate.metrics[metric].mean ? cell : best);
+    const withSpread = scored.filter(cell => cell.aggregate.metrics.wordCount.stdDev !== null);
+    const mostConsistent = withSpread.length > 0
+        ? withSpread.reduce((best, cell) => cell.aggregate.metrics.wordCount.stdDev < best.aggregate.metrics.wordCount.stdDev ? cell : best)
+        : null;
+
+    return {
+        mostCreative: { cell: byMean('creativityScore').id, mean: byMean('creativityScore').aggregate.metrics.creativityScore.mean },
+        mostDiverse: { cell: byMean('lexicalDiversity').id, mean: byMean('lexicalDiversity').aggregate.metrics.lexicalDiversity.mean },
+        mostConsistentLength: mostConsistent
+            ? { cell: mostConsistent.id, stdDev: mostConsistent.aggregate.metrics.wordCount.stdDev }
+            : null
+    };
+}
+
+/**
+ * Run every cell of `run.cells` `run.samples` times.
+ * `sample(params, index)` performs one request and returns { text, usage, latencyMs } or
+ * { error }; `analyze(text)` scores a response. `onProgress(run)` is called after every
+ * sample so callers can persist partial results. Cells get `samples` and `aggregate`.
+ */
+async function executeSweep(run, { sample, analyze, onProgress = () => {}, isCancelled = () => false }) {
+    const jobs = run.cells.flatMap(cell => Array.from({ length: run.samples }, (_, index) => ({ cell, index })));
+    run.progress = { completed: 0, total: jobs.length, errors: 0 };
+    run.cells.forEach(cell => {
+        cell.samples = [];
+        cell.aggregate = null;
+    });
+
+    await runWithConcurrency(jobs, run.concurrency, async ({ cell, index }) => {
+        if (isCancelled()) return;
+
+        const result = await sample(cell.params, index);
+        const entry = result.error
+            ? { index: index + 1, error: result.error, errorType: result.errorType || 'unknown' }
+            : {
+                index: index + 1,
+                response: result.text,
+                analysis: analyze(result.text),
+                usage: result.usage,
+                latencyMs: result.latencyMs
+            };
+
+        cell.samples.push(entry);
+        cell.samples.sort((a, b) => a.index - b.index);
+        cell.aggregate = aggregateSamples(cell.samples);
+
+        run.progress.completed++;
+        if (entry.error) run.progress.errors++;
+        onProgress(run);
+    });
+
+    run.highlights = findHighlights(run.cells);
+    return run;
+}
+
+module.exports = {
+    GRID_PARAMETERS,
+    SWEEP_LIMITS,
+    SWEEP_METRICS,
+    summarize,
+    normalizeSweepRequest,
+    expandGrid,
+    describeCell,
+    projectSweepTokens,
+    runWithConcurrency,
+    aggregateSamples,
+    executeSweep
+};
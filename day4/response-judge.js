@@ -0,0 +1,295 @@
+/**
+ * Response Judge - LLM-as-judge scoring for Day 4
+ *
+ * analyzeResponse's creativityScore counts words like "amazing" and "like", so it
+ * rewards fluff. In judge mode a second model grades every response on a rubric
+ * (creativity, coherence and task adherence by default), 1-10 per criterion, with
+ * reasoning. All responses are graded together in a shuffled order without their
+ * temperatures; with several passes each pass uses a new order and the scores are
+ * averaged, which evens out position bias.
+ */
+
+const { getProvider } = require('../day1/llm-providers');
+const { extractJson, validateAgainstSchema, buildRepairPrompt } = require('../day2/structured-output');
+
+const DEFAULT_RUBRIC = [
+    { id: 'creativity', description: 'Original ideas, fresh wording and imagery. Enthusiastic adjectives alone are not creative.', weight: 1 },
+    { id: 'coherence', description: 'Clear structure and logical flow; reads as a finished, well-formed piece.', weight: 1 },
+    { id: 'taskAdherence', description: 'Does what the prompt asks, in the requested form, scope and length.', weight: 1 }
+];
+
+const JUDGE_DEFAULTS = {
+    model: 'claude-3-haiku-20240307',
+    passes: 1,
+    maxPasses: 3,
+    maxCriteria: 6,
+    maxRepairs: 1,
+    maxTokens: 2000
+};
+
+const SCORE_RANGE = { min: 1, max: 10 };
+
+const JUDGE_SYSTEM_PROMPT = 'You are a strict, impartial evaluator of writing. You grade each response on its merits, never on its position in the list or its length alone, and you reply only with JSON.';
+
+function round(value, digits = 2) {
+    return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Validate the `judge` field of a compare request. `true` uses the defaults; an object
+ * may set rubric, passes, model and provider. Returns { options } or { errors }; an
+ * unknown provider throws the provider layer's `unknown_provider` error, like the
+ * request's own `provider` field.
+ */
+function normalizeJudgeOptions(judge) {
+    if (!judge) return { options: null };
+    const raw = judge === true ? {} : judge;
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { errors: ['judge must be true or an object'] };
+    }
+
+    const errors = [];
+    const rubric = raw.rubric === undefined ? DEFAULT_RUBRIC : raw.rubric;
+    if (!Array.isArray(rubric) || rubric.length === 0 || rubric.length > JUDGE_DEFAULTS.maxCriteria) {
+        errors.push(`judge.rubric must be a list of 1-${JUDGE_DEFAULTS.maxCriteria} criteria`);
+    } else {
+        const ids = new Set();
+        rubric.forEach((criterion, index) => {
+            if (!criterion || typeof criterion.id !== 'string' || !/^[A-Za-z][\w-]*$/.test(criterion.id)) {
+                errors.push(`judge.rubric[${index}].id must be a word like "creativity"`);
+            } else if (ids.has(criterion.id)) {
+                errors.push(`judge.rubric[${index}].id "${criterion.id}" is used twice`);
+            } else {
+                ids.add(criterion.id);
+            }
+            if (!criterion || typeof criterion.description !== 'string' || !criterion.description.trim()) {
+                errors.push(`judge.rubric[${index}].description is required`);
+            }
+            if (criterion && criterion.weight !== undefined && !(typeof criterion.weight === 'number' && criterion.weight > 0)) {
+                errors.push(`judge.rubric[${index}].weight must be a positive number`);
+            }
+        });
+    }
+
+    const passes = raw.passes ?? JUDGE_DEFAULTS.passes;
+    if (!Number.isInteger(passes) || passes < 1 || passes > JUDGE_DEFAULTS.maxPasses) {
+        errors.push(`judge.passes must be an integer between 1 and ${JUDGE_DEFAULTS.maxPasses}`);
+    }
+
+    if (raw.provider !== undefined && raw.provider !== null && typeof raw.provider !== 'string') {
+        errors.push('judge.provider must be a provider name');
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        options: {
+            rubric: rubric.map(criterion => ({ id: criterion.id, description: criterion.description, weight: criterion.weight ?? 1 })),
+            passes,
+            model: raw.model || JUDGE_DEFAULTS.model,
+            provider: raw.provider ? getProvider(raw.provider).name : null
+        }
+    };
+}
+
+// Fisher-Yates; `random` is injectable so tests can fix the order
+function shuffledOrder(length, random = Math.random) {
+    const order = Array.from({ length }, (_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+function buildJudgeSchema(rubric, count) {
+    return {
+        type: 'object',
+        required: ['evaluations'],
+        properties: {
+            evaluations: {
+                type: 'array',
+                minItems: count,
+                maxItems: count,
+                items: {
+                    type: 'object',
+                    required: ['response', 'scores', 'reasoning'],
+                    properties: {
+                        response: { type: 'integer', minimum: 1, maximum: count },
+                        reasoning: { type: 'string', minLength: 1 },
+                        scores: {
+                            type: 'object',
+                            required: rubric.map(criterion => criterion.id),
+                            properties: Object.fromEntries(rubric.map(criterion =>
+                                [criterion.id, { type: 'number', minimum: SCORE_RANGE.min, maximum: SCORE_RANGE.max }]))
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+function buildJudgePrompt(prompt, texts, rubric) {
+    const responses = texts.map((text, i) => `Response ${i + 1}:\n"""\n${text}\n"""`).join('\n\n');
+    const criteria = rubric.map(criterion => `- ${criterion.id}: ${criterion.description}`).join('\n');
+    const example = rubric.map(criterion => `"${criterion.id}": 7`).join(', ');
+
+    return `These ${texts.length} responses answer the same prompt. They are in random order.
+
+Prompt:
+"""
+${prompt}
+"""
+
+${responses}
+
+Score every response from ${SCORE_RANGE.min} (poor) to ${SCORE_RANGE.max} (excellent) on each criterion:
+${criteria}
+
+Reply with only this JSON, one evaluation per response:
+{"evaluations": [{"response": 1, "scores": {${example}}, "reasoning": "One or two sentences explaining the scores."}]}`;
+}
+
+// Schema errors plus the one rule a schema can't express: every response graded exactly once
+function checkEvaluations(value, schema, count) {
+    const errors = validateAgainstSchema(value, schema);
+    if (errors.length > 0) return errors;
+
+    const graded = value.evaluations.map(evaluation => evaluation.response);
+    const missing = Array.from({ length: count }, (_, i) => i + 1).filter(number => !graded.includes(number));
+    return missing.length > 0
+        ? [{ path: '$.evaluations', message: `every response needs exactly one evaluation; missing ${missing.join(', ')}` }]
+        : [];
+}
+
+/**
+ * One judging pass over `texts` in the given order. Invalid JSON is sent back to the
+ * judge with the errors up to `maxRepairs` times. Returns evaluations in input order.
+ */
+async function runPass(llm, prompt, texts, order, options) {
+    const shown = order.map(index => texts[index]);
+    const schema = buildJudgeSchema(options.rubric, texts.length);
+    const messages = [{ role: 'user', content: buildJudgePrompt(prompt, shown, options.rubric) }];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let errors = [];
+
+    for (let attempt = 1; attempt <= JUDGE_DEFAULTS.maxRepairs + 1; attempt++) {
+        const response = await llm.complete({
+            model: options.model,
+            maxTokens: JUDGE_DEFAULTS.maxTokens,
+            temperature: 0,
+            system: JUDGE_SYSTEM_PROMPT,
+            messages
+        });
+        usage.input_tokens += response.usage.input_tokens;
+        usage.output_tokens += response.usage.output_tokens;
+
+        const { value, error } = extractJson(response.text);
+        errors = error
+            ? [{ path: '$', message: `invalid JSON: ${error}` }]
+            : checkEvaluations(value, schema, texts.length);
+
+        if (errors.length === 0) {
+            const evaluations = new Array(texts.length);
+            value.evaluations.forEach(evaluation => {
+                evaluations[order[evaluation.response - 1]] = {
+                    scores: evaluation.scores,
+                    reasoning: evaluation.reasoning,
+                    position: evaluation.response
+                };
+            });
+            return { order, evaluations, usage, attempts: attempt };
+        }
+
+        messages.push({ role: 'assistant', content: response.text });
+        messages.push({ role: 'user', content: buildRepairPrompt(errors) });
+    }
+
+    const error = new Error(`Judge returned invalid scores: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    error.usage = usage;
+    throw error;
+}
+
+function weightedOverall(scores, rubric) {
+    const totalWeight = rubric.reduce((sum, criterion) => sum + criterion.weight, 0);
+    return rubric.reduce((sum, criterion) => sum + scores[criterion.id] * criterion.weight, 0) / totalWeight;
+}
+
+/**
+ * Grade `texts` (responses to `prompt`) with `options` from normalizeJudgeOptions.
+ * Returns { evaluations, passes, usage, ... } with evaluations in input order:
+ * { scores: { criterion: mean score }, overall, reasoning: [one per pass], positions }.
+ */
+async function judgeResponses(prompt, texts, options, { llm = null, random = Math.random } = {}) {
+    const provider = llm || getProvider(options.provider);
+    const passes = [];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    for (let pass = 0; pass < options.passes; pass++) {
+        const result = await runPass(provider, prompt, texts, shuffledOrder(texts.length, random), options);
+        usage.input_tokens += result.usage.input_tokens;
+        usage.output_tokens += result.usage.output_tokens;
+        passes.push(result);
+    }
+
+    const evaluations = texts.map((_, index) => {
+        const perPass = passes.map(pass => pass.evaluations[index]);
+        const scores = Object.fromEntries(options.rubric.map(criterion =>
+            [criterion.id, round(mean(perPass.map(evaluation => evaluation.scores[criterion.id])))]));
+        return {
+            scores,
+            overall: round(weightedOverall(scores, options.rubric)),
+            reasoning: perPass.map(evaluation => evaluation.reasoning),
+            positions: perPass.map(evaluation => evaluation.position)
+        };
+    });
+
+    return {
+        provider: provider.name,
+        model: options.model,
+        rubric: options.rubric,
+        passes: passes.map(pass => ({ order: pass.order, attempts: pass.attempts, usage: pass.usage })),
+        evaluations,
+        usage
+    };
+}
+
+// Spearman's rank correlation (average ranks for ties); null with fewer than 3 pairs
+function rankCorrelation(xs, ys) {
+    if (xs.length < 3) return null;
+
+    const ranks = values => {
+        const sorted = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+        const result = new Array(values.length);
+        for (let i = 0; i < sorted.length;) {
+            let j = i;
+            while (j + 1 < sorted.length && sorted[j + 1].value === sorted[i].value) j++;
+            for (let k = i; k <= j; k++) result[sorted[k].index] = (i + j) / 2 + 1;
+            i = j + 1;
+        }
+        return result;
+    };
+
+    const rx = ranks(xs);
+    const ry = ranks(ys);
+    const mx = mean(rx);
+    const my = mean(ry);
+    const covariance = rx.reduce((sum, r, i) => sum + (r - mx) * (ry[i] - my), 0);
+    const spread = Math.sqrt(rx.reduce((sum, r) => sum + Math.pow(r - mx, 2), 0) * ry.reduce((sum, r) => sum + Math.pow(r - my, 2), 0));
+    return spread === 0 ? null : round(covariance / spread, 3);
+}
+
+module.exports = {
+    DEFAULT_RUBRIC,
+    JUDGE_DEFAULTS,
+    normalizeJudgeOptions,
+    shuffledOrder,
+    buildJudgePrompt,
+    judgeResponses,
+    rankCorrelation
+};
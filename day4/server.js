@@ -1,8 +1,14 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
+const { getProvider } = require('../day1/llm-providers');
+const { ApiAuth } = require('../day1/api-auth');
+const { SWEEP_LIMITS, normalizeSweepRequest, expandGrid, describeCell, projectSweepTokens, executeSweep } = require('./parameter-sweep');
+const { SweepStore } = require('./sweep-store');
+const { measureDiversity } = require('./diversity-metrics');
+const { normalizeJudgeOptions, judgeResponses, rankCorrelation } = require('./response-judge');
+const { ExperimentStore, toCsv, compareExperiments } = require('./experiment-store');
 
 const app = express();
 const PORT = process.env.PORT || 3004;
@@ -11,10 +17,15 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day4' });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-if (!ANTHROPIC_API_KEY) {
-    console.warn('Warning: ANTHROPIC_API_KEY environment variable not set');
+if (!getProvider().isConfigured()) {
+    console.warn(`Warning: LLM provider "${getProvider().name}" is not configured (set ANTHROPIC_API_KEY or LLM_PROVIDER)`);
 }
 
 // Temperature configurations to test
@@ -24,41 +35,51 @@ const TEMPERATURE_CONFIGS = [
     { value: 1.0, name: 'Creative', description: 'Maximum creativity and variation' }
 ];
 
-async function makeClaudeRequest(prompt, temperature, maxTokens = 300) {
+// Parameter sweep runs, persisted to disk
+const sweepStore = new SweepStore(process.env.SWEEPS_FILE || path.join(__dirname, 'data', 'sweeps.json'), {
+    maxRuns: parseInt(process.env.SWEEPS_MAX_RUNS, 10) || undefined
+});
+sweepStore.load();
+const cancelledSweeps = new Set();
+
+// Saved temperature comparisons
+const experimentStore = new ExperimentStore(process.env.EXPERIMENTS_FILE || path.join(__dirname, 'data', 'experiments.json'), {
+    maxExperiments: parseInt(process.env.EXPERIMENTS_MAX, 10) || undefined
+});
+experimentStore.load();
+
+// `sampling` adds optional topP, topK and a system prompt for parameter sweeps
+async function makeClaudeRequest(prompt, temperature, maxTokens = 300, provider = null, sampling = {}) {
     console.log(`Making request with temperature: ${temperature}`);
+    const startTime = Date.now();
     try {
-        const response = await axios.post(
-            'https://api.anthropic.com/v1/messages',
-            {
-                model: 'claude-3-haiku-20240307',
-                max_tokens: maxTokens,
-                temperature: temperature,
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ]
-            },
-            {
-                headers: {
-                    'x-api-key': ANTHROPIC_API_KEY,
-                    'Content-Type': 'application/json',
-                    'anthropic-version': '2023-06-01'
+        const response = await getProvider(provider).complete({
+            model: 'claude-3-haiku-20240307',
+            maxTokens,
+            temperature,
+            topP: sampling.topP ?? undefined,
+            topK: sampling.topK ?? undefined,
+            system: sampling.system || undefined,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
                 }
-            }
-        );
+            ]
+        });
         return {
             success: true,
-            text: response.data.content[0].text,
-            usage: response.data.usage
+            text: response.text,
+            usage: response.usage,
+            provider: response.provider,
+            latencyMs: Date.now() - startTime
         };
     } catch (error) {
-        console.error('Claude API error:', error.response?.data || error.message);
-        console.error('Full error:', error);
+        console.error('LLM provider error:', error.details || error.message);
         return {
             success: false,
-            error: error.response?.data?.error?.message || error.message
+            error: error.message,
+            errorType: error.type || 'unknown'
         };
     }
 }
@@ -111,17 +132,71 @@ function analyzeResponse(text) {
     };
 }
 
+function average(values) {
+    return values.length > 0 ? parseFloat((values.reduce((a, b) => a + b, 0) / values.length).toFixed(2)) : null;
+}
+
+/**
+ * Grade the successful results with the judge model and attach `judge` to each one,
+ * next to the heuristic `analysis`. A failing judge is reported, not fatal.
+ */
+async function judgeResults(prompt, results, options) {
+    if (results.length === 0) return null;
+
+    let judged;
+    try {
+        judged = await judgeResponses(prompt, results.map(r => r.response), options);
+    } catch (error) {
+        console.error('Judge failed:', error.details || error.message);
+        return { error: error.message, usage: error.usage || null };
+    }
+
+    results.forEach((result, i) => {
+        result.judge = judged.evaluations[i];
+    });
+
+    // The judge's creativity score when the rubric has one, otherwise its overall score
+    const judgeScore = result => result.judge.scores.creativity ?? result.judge.overall;
+
+    const byTemperature = {};
+    TEMPERATURE_CONFIGS.forEach(config => {
+        const group = results.filter(r => r.temperature === config.value);
+        if (group.length === 0) return;
+        byTemperature[config.value] = {
+            heuristicCreativity: average(group.map(r => r.analysis.creativityScore)),
+            judgeOverall: average(group.map(r => r.judge.overall)),
+            judgeScores: Object.fromEntries(options.rubric.map(criterion =>
+                [criterion.id, average(group.map(r => r.judge.scores[criterion.id]))]))
+        };
+    });
+
+    const { evaluations, ...summary } = judged;
+    return {
+        ...summary,
+        byTemperature,
+        // Spearman correlation of heuristic creativityScore with the judge; near 0 means they disagree
+        agreement: rankCorrelation(results.map(r => r.analysis.creativityScore), results.map(judgeScore))
+    };
+}
+
 app.post('/api/compare-temperatures', async (req, res) => {
     try {
-        const { prompt, maxTokens = 300, runs = 1 } = req.body;
+        const { prompt, maxTokens = 300, runs = 1, provider, name, save = true } = req.body;
         
         if (!prompt) {
             return res.status(400).json({ error: 'Prompt is required' });
         }
 
-        if (!ANTHROPIC_API_KEY) {
+        const { options: judgeOptions, errors: judgeErrors } = normalizeJudgeOptions(req.body.judge);
+        if (judgeErrors) {
+            return res.status(400).json({ error: 'Invalid judge options', details: judgeErrors });
+        }
+
+        const llm = getProvider(provider);
+
+        if (!llm.isConfigured()) {
             return res.status(500).json({ 
-                error: 'Anthropic API key not configured' 
+                error: `LLM provider "${llm.name}" not configured` 
             });
         }
 
@@ -131,7 +206,7 @@ app.post('/api/compare-temperatures', async (req, res) => {
         for (let run = 0; run < Math.min(runs, 3); run++) {
             const results = await Promise.all(
                 TEMPERATURE_CONFIGS.map(async (config) => {
-                    const response = await makeClaudeRequest(prompt, config.value, maxTokens);
+                    const response = await makeClaudeRequest(prompt, config.value, maxTokens, llm.name);
                     
                     if (!response.success) {
                         return {
@@ -187,30 +262,275 @@ app.post('/api/compare-temperatures', async (req, res) => {
             }
         });
 
+        // How much the samples at each temperature differ from one another
+        const diversity = await measureDiversity(Object.fromEntries(
+            Object.entries(groupedResults).map(([temp, results]) => [temp, results.map(r => r.response)])
+        ));
+
         // Create comparison using all results
         const validResults = allResults.filter(r => !r.error);
+        const judgeConfig = judgeOptions ? { ...judgeOptions, provider: judgeOptions.provider || llm.name } : null;
+        const judge = judgeConfig ? await judgeResults(prompt, validResults, judgeConfig) : null;
         const comparison = {
             mostWordy: validResults.reduce((a, b) => (a.analysis?.wordCount || 0) > (b.analysis?.wordCount || 0) ? a : b),
             mostCreative: validResults.reduce((a, b) => (a.analysis?.creativityScore || 0) > (b.analysis?.creativityScore || 0) ? a : b),
             mostDiverse: validResults.reduce((a, b) => (a.analysis?.lexicalDiversity || 0) > (b.analysis?.lexicalDiversity || 0) ? a : b),
             mostConcise: validResults.reduce((a, b) => (a.analysis?.avgWordsPerSentence || Infinity) < (b.analysis?.avgWordsPerSentence || Infinity) ? a : b)
         };
+        if (judge && !judge.error) {
+            comparison.judgeBest = validResults.reduce((a, b) => a.judge.overall >= b.judge.overall ? a : b);
+        }
 
-        res.json({
+        const payload = {
             prompt,
             results: allResults,
             varianceAnalysis,
+            diversity,
+            judge,
             comparison,
             totalRuns: runs,
             timestamp: new Date().toISOString()
-        });
+        };
+
+        if (save) {
+            const experiment = experimentStore.create(payload, {
+                provider: llm.name,
+                maxTokens,
+                runs: Math.min(runs, 3),
+                temperatures: TEMPERATURE_CONFIGS.map(config => config.value),
+                judge: judgeConfig
+            }, name);
+            payload.experimentId = experiment.id;
+        }
+
+        res.json(payload);
 
     } catch (error) {
         console.error('Error in temperature comparison:', error);
+        if (error.type === 'unknown_provider') {
+            return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to compare temperatures' });
     }
 });
 
+// Newest first. Query: q (search name/prompt), limit, offset
+app.get('/api/experiments', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    res.json(experimentStore.list({ search: req.query.q, limit, offset }));
+});
+
+// Download experiments as CSV (one row per response) or JSON. Query: ids=a,b (default all), format
+app.get('/api/experiments/export', (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const ids = req.query.ids ? req.query.ids.split(',').map(id => id.trim()).filter(Boolean) : null;
+    const experiments = ids
+        ? ids.map(id => experimentStore.get(id))
+        : experimentStore.list({ limit: Infinity }).experiments.map(summary => experimentStore.get(summary.id));
+    const missing = ids ? ids.filter((id, i) => !experiments[i]) : [];
+    if (missing.length > 0) {
+        return res.status(404).json({ error: `Experiments not found: ${missing.join(', ')}` });
+    }
+
+    const filename = `day4-experiments-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+        return res.json({ exportedAt: new Date().toISOString(), experiments });
+    }
+    res.type('text/csv').send(toCsv(experiments));
+});
+
+// Per-temperature metrics of two experiments side by side. Query: a, b
+app.get('/api/experiments/compare', (req, res) => {
+    if (!req.query.a || !req.query.b) {
+        return res.status(400).json({ error: 'Query parameters a and b (experiment ids) are required' });
+    }
+
+    const a = experimentStore.get(req.query.a);
+    const b = experimentStore.get(req.query.b);
+    if (!a || !b) {
+        return res.status(404).json({ error: `Experiment not found: ${!a ? req.query.a : req.query.b}` });
+    }
+    res.json(compareExperiments(a, b));
+});
+
+app.get('/api/experiments/:id', (req, res) => {
+    const experiment = experimentStore.get(req.params.id);
+    if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+    }
+    res.json(experiment);
+});
+
+app.delete('/api/experiments/:id', (req, res) => {
+    if (!experimentStore.delete(req.params.id)) {
+        return res.status(404).json({ error: 'Experiment not found' });
+    }
+    res.json({ success: true });
+});
+
+function sweepTotals(run) {
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    run.cells.forEach(cell => (cell.samples || []).forEach(sample => {
+        usage.input_tokens += sample.usage?.input_tokens || 0;
+        usage.output_tokens += sample.usage?.output_tokens || 0;
+    }));
+    return usage;
+}
+
+// `job` is the key's usage context (null without auth); the sweep outlives the request that started it
+async function runSweep(run, job) {
+    let quotaStop = null;
+    const work = () => executeSweep(run, {
+        sample: async params => {
+            const response = await makeClaudeRequest(run.prompt, params.temperature, params.maxTokens, run.provider, {
+                topP: params.topP,
+                topK: params.topK,
+                system: params.systemPrompt.text
+            });
+            return response.success ? response : { error: response.error, errorType: response.errorType };
+        },
+        analyze: analyzeResponse,
+        onProgress: () => sweepStore.scheduleSave(),
+        isCancelled: () => {
+            quotaStop = quotaStop || job?.exhausted() || null;
+            return quotaStop !== null || cancelledSweeps.has(run.id);
+        }
+    });
+
+    try {
+        await (job ? job.run(work) : work());
+        if (quotaStop) {
+            run.status = 'quota_exceeded';
+            run.error = quotaStop === 'revoked' ? 'API key was revoked' : `Daily ${quotaStop} quota of the API key ran out`;
+        } else {
+            run.status = cancelledSweeps.has(run.id) ? 'cancelled' : 'complete';
+        }
+    } catch (error) {
+        console.error(`Sweep ${run.id} failed:`, error.message);
+        run.status = 'failed';
+        run.error = error.message;
+    } finally {
+        cancelledSweeps.delete(run.id);
+        job?.flush();
+        run.usage = sweepTotals(run);
+        run.completedAt = new Date().toISOString();
+        sweepStore.save();
+    }
+}
+
+/**
+ * Start a parameter sweep. Body: { prompt, grid: { temperature, topP, topK, maxTokens,
+ * systemPrompt }, samples, concurrency, name?, provider? }. Runs in the background;
+ * poll GET /api/sweeps/:id for progress and per-cell aggregates.
+ */
+app.post('/api/sweeps', (req, res) => {
+    try {
+        const { sweep, errors } = normalizeSweepRequest(req.body);
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid sweep', details: errors, limits: SWEEP_LIMITS });
+        }
+
+        const llm = getProvider(req.body.provider);
+        if (!llm.isConfigured()) {
+            return res.status(500).json({ error: `LLM provider "${llm.name}" not configured` });
+        }
+
+        const cells = expandGrid(sweep.grid).map(cell => ({ ...cell, label: describeCell(cell.params) }));
+
+        const job = apiAuth.startJob(req);
+        const projectedTokens = projectSweepTokens(sweep.prompt, cells, sweep.samples);
+        const quota = job?.quota();
+        if (quota && quota.tokensRemaining !== null && projectedTokens > quota.tokensRemaining) {
+            res.set('Retry-After', String(quota.resetsInSeconds));
+            return res.status(429).json({
+                error: `Sweep could use up to ${projectedTokens} tokens but the API key has ${quota.tokensRemaining} left today`,
+                type: 'quota_exceeded',
+                projectedTokens,
+                quota,
+                hint: 'Use fewer cells or samples, or a lower maxTokens.'
+            });
+        }
+
+        const run = sweepStore.create({ ...sweep, provider: llm.name, cells, ownerKeyId: req.apiKey ? req.apiKey.id : null });
+        runSweep(run, job);
+
+        res.status(202).json({
+            id: run.id,
+            status: run.status,
+            cells: cells.length,
+            totalSamples: cells.length * sweep.samples,
+            poll: `/api/sweeps/${run.id}`
+        });
+    } catch (error) {
+        console.error('Error starting sweep:', error);
+        if (error.type === 'unknown_provider') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to start sweep' });
+    }
+});
+
+app.get('/api/sweeps', (req, res) => {
+    res.json({ sweeps: sweepStore.list(), limits: SWEEP_LIMITS });
+});
+
+// Full run with per-cell aggregates; ?samples=false leaves out the individual responses
+app.get('/api/sweeps/:id', (req, res) => {
+    const run = sweepStore.get(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Sweep not found' });
+    }
+
+    if (req.query.samples === 'false') {
+        return res.json({ ...run, cells: run.cells.map(({ samples, ...cell }) => cell) });
+    }
+    res.json(run);
+});
+
+// With API keys on, only the key that started a sweep (or the admin key) may stop or delete it
+function ownsSweep(req, run) {
+    return !apiAuth.enabled || apiAuth.isAdmin(req) || (Boolean(req.apiKey) && run.ownerKeyId === req.apiKey.id);
+}
+
+app.post('/api/sweeps/:id/cancel', (req, res) => {
+    const run = sweepStore.get(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Sweep not found' });
+    }
+    if (!ownsSweep(req, run)) {
+        return res.status(403).json({ error: 'Sweep was started with another API key' });
+    }
+    if (run.status !== 'running') {
+        return res.status(409).json({ error: `Sweep is already ${run.status}` });
+    }
+
+    // Requests already in flight finish; no new ones are started
+    cancelledSweeps.add(run.id);
+    res.json({ id: run.id, status: 'cancelling' });
+});
+
+// Deleting a running sweep cancels it first
+app.delete('/api/sweeps/:id', (req, res) => {
+    const run = sweepStore.get(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Sweep not found' });
+    }
+    if (!ownsSweep(req, run)) {
+        return res.status(403).json({ error: 'Sweep was started with another API key' });
+    }
+    if (run.status === 'running') {
+        cancelledSweeps.add(run.id);
+    }
+    sweepStore.delete(run.id);
+    res.json({ success: true });
+});
+
 app.get('/api/prompt-suggestions', (req, res) => {
     const suggestions = [
         {
@@ -263,7 +583,8 @@ app.get('/api/prompt-suggestions', (req, res) => {
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'ok', 
-        hasApiKey: !!ANTHROPIC_API_KEY,
+        hasApiKey: getProvider().isConfigured(),
+        provider: getProvider().name,
         temperatureConfigs: TEMPERATURE_CONFIGS,
         timestamp: new Date().toISOString()
     });
@@ -276,5 +597,6 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
     console.log(`Day 4 - Temperature Comparison running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to test different temperatures`);
+    console.log(`LLM provider: ${getProvider().name} (configured: ${getProvider().isConfigured()})`);
     console.log(`API Key configured: ${!!ANTHROPIC_API_KEY}`);
 });
\ No newline at end of file
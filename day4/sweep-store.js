@@ -0,0 +1,110 @@
+/**
+ * Sweep Store - Persisted parameter-sweep runs for Day 4
+ *
+ * Runs live in memory and are written to a JSON file, so results survive a restart.
+ * While a sweep is running, progress saves are batched to at most one write per
+ * second; runs that were still going when the server stopped are marked interrupted.
+ * Only the newest `maxRuns` runs are kept; older finished runs are dropped when a new
+ * one starts.
+ */
+
+const fs = require('fs');
+const { JsonFileWriter, generateId } = require('../day1/json-store');
+
+const SAVE_DELAY_MS = 1000;
+const MAX_RUNS = 50;
+
+class SweepStore {
+    constructor(filePath, { maxRuns = MAX_RUNS } = {}) {
+        this.filePath = filePath;
+        this.maxRuns = maxRuns;
+        this.runs = new Map();
+        this.writer = new JsonFileWriter(filePath, { label: 'sweep runs' });
+        this.saveTimer = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            (data.runs || []).forEach(run => {
+                if (run.status === 'running') {
+                    run.status = 'interrupted';
+                }
+                this.runs.set(run.id, run);
+            });
+            this.prune();
+            console.log(`📂 Loaded ${this.runs.size} sweep runs from ${this.filePath}`);
+        } catch (error) {
+            console.error(`Failed to load sweep runs from ${this.filePath}:`, error.message);
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        return this.writer.save({ runs: Array.from(this.runs.values()) });
+    }
+
+    // Batch frequent progress updates into one write
+    scheduleSave() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+        }
+    }
+
+    create(fields) {
+        const run = {
+            id: generateId('sweep'),
+            status: 'running',
+            ...fields,
+            createdAt: new Date().toISOString(),
+            completedAt: null
+        };
+
+        this.runs.set(run.id, run);
+        this.prune();
+        this.save();
+        return run;
+    }
+
+    // Drop the oldest finished runs beyond maxRuns; running sweeps are never dropped
+    prune() {
+        const finished = Array.from(this.runs.values())
+            .filter(run => run.status !== 'running')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const excess = this.runs.size - this.maxRuns;
+        finished.slice(0, Math.max(excess, 0)).forEach(run => this.runs.delete(run.id));
+    }
+
+    get(id) {
+        return this.runs.get(id) || null;
+    }
+
+    delete(id) {
+        const deleted = this.runs.delete(id);
+        if (deleted) this.save();
+        return deleted;
+    }
+
+    list() {
+        return Array.from(this.runs.values())
+            .map(run => ({
+                id: run.id,
+                name: run.name,
+                status: run.status,
+                prompt: run.prompt,
+                provider: run.provider,
+                cells: run.cells.length,
+                samples: run.samples,
+                progress: run.progress,
+                createdAt: run.createdAt,
+                completedAt: run.completedAt
+            }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+module.exports = { SweepStore, MAX_RUNS };
@@ -0,0 +1,309 @@
+/**
+ * Context Budget Planner - Fit prompt parts into a model's context window
+ *
+ * A prompt is a list of parts (instructions, documents, history, the question), each
+ * with a priority. When the parts don't fit into contextWindow - reservedOutput, the
+ * lowest-priority parts are shortened first, each with its strategy:
+ *
+ *   truncate-tail   keep the beginning, cut the end
+ *   truncate-head   keep the end, cut the beginning
+ *   elide-middle    keep the beginning and the end, cut the middle
+ *   summarize       replace the part with an LLM summary that fits its share
+ *   drop            remove the part entirely
+ *
+ * Parts marked `required` are never changed. Token counts come from the shared BPE
+ * tokenizer, and the report lists what was cut from every part.
+ */
+
+const { countTokens, tokenizeText } = require('../day1/tokenizer');
+
+const STRATEGIES = ['truncate-tail', 'truncate-head', 'elide-middle', 'summarize', 'drop'];
+
+const PLANNER_DEFAULTS = {
+    strategy: 'truncate-tail',
+    separator: '\n\n',
+    safetyMargin: 50,       // chat formatting and tokenizer drift
+    minPartTokens: 16,      // a part shortened below this is dropped instead
+    summaryRatio: 0.15,     // summaries keep at least this share of a part before anything is dropped
+    maxParts: 100,
+    maxRounds: 3
+};
+
+// Why planning stopped, as report.stopReason
+const STOP_REASONS = {
+    fits: 'The prompt fits the budget',
+    'required-exceed-budget': 'Required parts alone exceed the budget',
+    'no-progress': 'A round of reductions made no progress; the prompt is still over the budget',
+    'max-rounds': `Still over the budget after ${PLANNER_DEFAULTS.maxRounds} rounds of reductions`
+};
+
+function generatePartId(index) {
+    return `part-${index + 1}`;
+}
+
+/**
+ * Validate a plan request. `contextWindow` defaults to the model's limit from
+ * `modelLimits`. Returns { plan } or { errors }.
+ */
+function normalizePlanRequest(body = {}, modelLimits = {}) {
+    const errors = [];
+    const model = body.model || 'claude-3-haiku-20240307';
+    const contextWindow = body.contextWindow ?? modelLimits[model]?.contextWindow;
+    const reservedOutput = body.reservedOutput ?? body.maxTokens ?? 1000;
+    const strategy = body.strategy || PLANNER_DEFAULTS.strategy;
+    const safetyMargin = body.safetyMargin ?? PLANNER_DEFAULTS.safetyMargin;
+
+    if (!Number.isInteger(contextWindow) || contextWindow < 1) {
+        errors.push(`contextWindow must be a positive integer (unknown model "${model}" has no default)`);
+    }
+    if (!Number.isInteger(reservedOutput) || reservedOutput < 0) {
+        errors.push('reservedOutput must be a non-negative integer');
+    }
+    if (!Number.isInteger(safetyMargin) || safetyMargin < 0) {
+        errors.push('safetyMargin must be a non-negative integer');
+    }
+    if (Number.isInteger(contextWindow) && contextWindow <= reservedOutput + safetyMargin) {
+        errors.push(`reservedOutput + safetyMargin (${reservedOutput + safetyMargin}) leaves no room in a ${contextWindow}-token context window`);
+    }
+    if (!STRATEGIES.includes(strategy)) {
+        errors.push(`strategy must be one of ${STRATEGIES.join(', ')}`);
+    }
+
+    const rawParts = body.parts;
+    if (!Array.isArray(rawParts) || rawParts.length === 0) {
+        errors.push('parts must be a non-empty list');
+    } else if (rawParts.length > PLANNER_DEFAULTS.maxParts) {
+        errors.push(`at most ${PLANNER_DEFAULTS.maxParts} parts are supported`);
+    }
+
+    const parts = (Array.isArray(rawParts) ? rawParts : []).map((part, index) => {
+        const raw = typeof part === 'string' ? { content: part } : part || {};
+        if (typeof raw.content !== 'string') {
+            errors.push(`parts[${index}].content must be a string`);
+        }
+        if (raw.priority !== undefined && !(typeof raw.priority === 'number' && Number.isFinite(raw.priority))) {
+            errors.push(`parts[${index}].priority must be a number`);
+        }
+        if (raw.strategy !== undefined && !STRATEGIES.includes(raw.strategy)) {
+            errors.push(`parts[${index}].strategy must be one of ${STRATEGIES.join(', ')}`);
+        }
+        return {
+            id: raw.id ? String(raw.id) : generatePartId(index),
+            content: raw.content,
+            priority: raw.priority ?? 0,
+            strategy: raw.strategy || strategy,
+            required: !!raw.required
+        };
+    });
+
+    const ids = parts.map(part => part.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (duplicate) errors.push(`part id "${duplicate}" is used twice`);
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        plan: {
+            model,
+            contextWindow,
+            reservedOutput,
+            safetyMargin,
+            strategy,
+            separator: typeof body.separator === 'string' ? body.separator : PLANNER_DEFAULTS.separator,
+            parts
+        }
+    };
+}
+
+function tokenCount(text, model) {
+    return countTokens(text, model).tokens;
+}
+
+// Token spans of `text`; without a vocabulary, 4-character chunks stand in for tokens
+function tokenSpans(text, model) {
+    const result = tokenizeText(text, model);
+    if (result.method === 'bpe') return { text: result.text, spans: result.tokens };
+
+    const spans = [];
+    for (let start = 0; start < result.text.length; start += 4) {
+        spans.push({ start, end: Math.min(start + 4, result.text.length) });
+    }
+    return { text: result.text, spans };
+}
+
+function marker(removed) {
+    return `[… ${removed} tokens omitted …]`;
+}
+
+/**
+ * Shorten `text` to about `target` tokens with a truncation strategy. The omission
+ * marker counts against the target. Returns { text, removedText }.
+ */
+function cutToTokens(text, target, strategy, model) {
+    const { text: normalized, spans } = tokenSpans(text, model);
+    if (spans.length <= target) return { text: normalized, removedText: '' };
+
+    const removed = spans.length - target;
+    const note = marker(removed);
+    const keep = Math.max(target - tokenCount(note, model) - 2, 0);
+
+    if (strategy === 'truncate-head') {
+        const start = keep > 0 ? spans[spans.length - keep].start : normalized.length;
+        return { text: `${note}\n${normalized.slice(start)}`, removedText: normalized.slice(0, start) };
+    }
+
+    if (strategy === 'elide-middle') {
+        const headCount = Math.ceil(keep / 2);
+        const tailCount = keep - headCount;
+        const headEnd = headCount > 0 ? spans[headCount - 1].end : 0;
+        const tailStart = tailCount > 0 ? spans[spans.length - tailCount].start : normalized.length;
+        return {
+            text: `${normalized.slice(0, headEnd)}\n${note}\n${normalized.slice(tailStart)}`,
+            removedText: normalized.slice(headEnd, tailStart)
+        };
+    }
+
+    // truncate-tail, and the fallback for summaries that came back too long
+    const end = keep > 0 ? spans[keep - 1].end : 0;
+    return { text: `${normalized.slice(0, end)}\n${note}`, removedText: normalized.slice(end) };
+}
+
+function preview(text, length = 160) {
+    const trimmed = text.trim().replace(/\s+/g, ' ');
+    return trimmed.length > length ? `${trimmed.slice(0, length)}…` : trimmed;
+}
+
+// Lowest priority first; among equals the larger part, so fewer parts are touched
+function reductionOrder(parts) {
+    return parts
+        .filter(part => !part.required && !part.dropped)
+        .sort((a, b) => a.priority - b.priority || b.tokens - a.tokens);
+}
+
+/**
+ * Fit `plan` (from normalizePlanRequest) into its budget. `summarize(text, targetTokens)`
+ * returns { text, usage } and is only called for parts with the summarize strategy.
+ * Returns { prompt, report }; report.fits is false when the prompt is still over the
+ * budget, and report.stopReason (a STOP_REASONS key) says why planning stopped.
+ */
+async function planContext(plan, { summarize = null } = {}) {
+    const budget = plan.contextWindow - plan.reservedOutput - plan.safetyMargin;
+    const separatorTokens = tokenCount(plan.separator, plan.model);
+    const parts = plan.parts.map(part => {
+        const tokens = tokenCount(part.content, plan.model);
+        return { ...part, text: part.content, tokens, originalTokens: tokens, actions: [], removed: [], dropped: false };
+    });
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    const assemble = () => parts.filter(part => !part.dropped).map(part => part.text).join(plan.separator);
+    const originalTokens = tokenCount(plan.parts.map(part => part.content).join(plan.separator), plan.model);
+    let promptTokens = originalTokens;
+    let stalled = false;
+
+    for (let round = 0; round < PLANNER_DEFAULTS.maxRounds && promptTokens > budget; round++) {
+        let over = promptTokens - budget;
+
+        for (const part of reductionOrder(parts)) {
+            if (over <= 0) break;
+            const before = part.tokens;
+
+            // In the first round summaries shrink to a floor instead of dropping parts,
+            // so every summarized part keeps something
+            const summarizing = part.strategy === 'summarize' && summarize && round === 0;
+            const floor = summarizing
+                ? Math.max(PLANNER_DEFAULTS.minPartTokens * 2, Math.ceil(part.tokens * PLANNER_DEFAULTS.summaryRatio))
+                : 0;
+            const target = Math.max(part.tokens - over, Math.min(floor, part.tokens));
+
+            if (part.strategy === 'drop' || target < PLANNER_DEFAULTS.minPartTokens) {
+                part.dropped = true;
+                part.actions.push('dropped');
+                part.removed.push(part.text);
+                part.tokens = 0;
+                over -= before + separatorTokens;
+                continue;
+            }
+
+            if (summarizing) {
+                try {
+                    const summary = await summarize(part.text, target);
+                    usage.input_tokens += summary.usage?.input_tokens || 0;
+                    usage.output_tokens += summary.usage?.output_tokens || 0;
+                    part.removed.push(part.text);
+                    part.text = summary.text.trim();
+                    part.actions.push('summarized');
+                } catch (error) {
+                    console.error(`Summarizing ${part.id} failed, truncating instead:`, error.message);
+                    part.actions.push('summary-failed');
+                }
+                part.tokens = tokenCount(part.text, plan.model);
+            }
+
+            if (part.tokens > target) {
+                const cutStrategy = part.strategy === 'summarize' ? 'truncate-tail' : part.strategy;
+                const { text, removedText } = cutToTokens(part.text, target, cutStrategy, plan.model);
+                part.text = text;
+                part.removed.push(removedText);
+                part.actions.push(cutStrategy);
+                part.tokens = tokenCount(part.text, plan.model);
+            }
+
+            over -= before - part.tokens;
+        }
+
+        const next = tokenCount(assemble(), plan.model);
+        if (next >= promptTokens) {
+            promptTokens = next;
+            stalled = true;
+            break;
+        }
+        promptTokens = next;
+    }
+
+    let stopReason = 'fits';
+    if (promptTokens > budget) {
+        if (reductionOrder(parts).length === 0) stopReason = 'required-exceed-budget';
+        else stopReason = stalled ? 'no-progress' : 'max-rounds';
+    }
+
+    const prompt = assemble();
+    return {
+        prompt,
+        report: {
+            fits: promptTokens <= budget,
+            stopReason,
+            model: plan.model,
+            encoding: countTokens('', plan.model).encoding,
+            contextWindow: plan.contextWindow,
+            reservedOutput: plan.reservedOutput,
+            safetyMargin: plan.safetyMargin,
+            budget,
+            originalTokens,
+            finalTokens: promptTokens,
+            savedTokens: originalTokens - promptTokens,
+            parts: parts.map(part => ({
+                id: part.id,
+                priority: part.priority,
+                required: part.required,
+                strategy: part.strategy,
+                actions: part.actions,
+                originalTokens: part.originalTokens,
+                finalTokens: part.tokens,
+                droppedTokens: part.originalTokens - part.tokens,
+                droppedPreview: part.removed.length > 0 ? preview(part.removed.join(' … ')) : null
+            })),
+            dropped: parts.filter(part => part.dropped).map(part => part.id),
+            changed: parts.filter(part => part.actions.length > 0 && !part.dropped).map(part => part.id),
+            summaryUsage: usage
+        }
+    };
+}
+
+module.exports = {
+    STRATEGIES,
+    PLANNER_DEFAULTS,
+    STOP_REASONS,
+    normalizePlanRequest,
+    cutToTokens,
+    planContext
+};
@@ -0,0 +1,374 @@
+/**
+ * Cost Tracker - Prices, spend and budgets for the Day 5 token tests
+ *
+ * Every LLM call made by /api/test-tokens and /api/compare-prompts is priced from
+ * day1's MODEL_PRICING and added to the spend for the current day (UTC) and for the
+ * caller's session. A session is the caller's API key, or its address when API keys
+ * are off, never an id the client picks, so a new id doesn't mean a fresh budget.
+ * Spend is written to a JSON file so it survives restarts.
+ *
+ * A budget caps daily and/or per-session spend. Before a call the worst case (the
+ * prompt plus maxTokens of output) is reserved against what is left, and the reserve
+ * is settled as the call's real cost is recorded, so concurrent requests can't all
+ * pass on the same headroom. In `warn` mode the call goes ahead and the response
+ * carries warnings, in `block` mode it is refused.
+ *
+ * Configuration (environment):
+ *   PRICING_FILE         your own rate table in place of day1 MODEL_PRICING (default: none)
+ *   SPEND_FILE           spend history (default: ./data/spend.json)
+ *   BUDGET_DAILY_USD     daily budget (default: none)
+ *   BUDGET_SESSION_USD   per-session budget (default: none)
+ *   BUDGET_MODE          warn | block (default: warn)
+ *   BUDGET_WARN_AT       share of a budget that triggers a warning (default: 0.8)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MODEL_PRICING, DEFAULT_PRICING } = require('../day1/api-auth');
+const { JsonFileWriter, generateId } = require('../day1/json-store');
+
+const BUDGET_MODES = ['warn', 'block'];
+
+const SPEND_RETENTION_DAYS = 30;
+
+// Rates are per million tokens; cached reads and cache writes default to the input rate
+const FALLBACK_PRICING = {
+    currency: 'USD',
+    unit: 'per million tokens',
+    source: 'day1 MODEL_PRICING',
+    models: MODEL_PRICING,
+    default: DEFAULT_PRICING
+};
+
+function round(value, digits = 6) {
+    return parseFloat(value.toFixed(digits));
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function emptySpend() {
+    return { cost: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, requests: 0, byModel: {} };
+}
+
+function parseAmount(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const amount = Number(value);
+    return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+function validRate(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Read and check a rate table ({ currency, models: [{ pattern, input, output,
+ * cachedInput?, cacheWrite? }], default }). The first model whose pattern occurs in
+ * the model name wins. Without a file, day1's MODEL_PRICING is used; an invalid one
+ * throws, so a typo never silently prices calls at zero.
+ */
+function loadPricing(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return FALLBACK_PRICING;
+
+    const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = [];
+    if (!Array.isArray(table.models)) errors.push('models must be a list');
+    (table.models || []).forEach((entry, index) => {
+        if (!entry || typeof entry.pattern !== 'string' || !entry.pattern) {
+            errors.push(`models[${index}].pattern must be a non-empty string`);
+        }
+        ['input', 'output'].forEach(field => {
+            if (!validRate(entry?.[field])) errors.push(`models[${index}].${field} must be a non-negative number`);
+        });
+        ['cachedInput', 'cacheWrite'].forEach(field => {
+            if (entry?.[field] !== undefined && !validRate(entry[field])) {
+                errors.push(`models[${index}].${field} must be a non-negative number`);
+            }
+        });
+    });
+    if (!table.default || !validRate(table.default.input) || !validRate(table.default.output)) {
+        errors.push('default must have input and output rates');
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid pricing file ${filePath}: ${errors.join('; ')}`);
+    }
+
+    return {
+        currency: table.currency || 'USD',
+        unit: table.unit || 'per million tokens',
+        source: path.basename(filePath),
+        updated: table.updated || null,
+        models: table.models,
+        default: table.default
+    };
+}
+
+// Rates for a model: { pattern, input, output, cachedInput, cacheWrite }; pattern is null for the default
+function ratesFor(pricing, model) {
+    const entry = pricing.models.find(candidate => String(model || '').includes(candidate.pattern));
+    const rates = entry || pricing.default;
+    return {
+        pattern: entry ? entry.pattern : null,
+        input: rates.input,
+        output: rates.output,
+        cachedInput: rates.cachedInput ?? rates.input,
+        cacheWrite: rates.cacheWrite ?? rates.input
+    };
+}
+
+/**
+ * Price one call's usage. Cached reads (cache_read_input_tokens) and cache writes
+ * (cache_creation_input_tokens) are billed on top of input_tokens at their own rates.
+ * The sum is `amount`, not `total`: ApiAuth adds up any `cost.total` it finds in the
+ * response bodies of servers it can't meter directly.
+ */
+function computeCost(usage, model, pricing) {
+    const rates = ratesFor(pricing, model);
+    const input = (usage?.input_tokens || 0) * rates.input / 1000000;
+    const output = (usage?.output_tokens || 0) * rates.output / 1000000;
+    const cachedInput = (usage?.cache_read_input_tokens || 0) * rates.cachedInput / 1000000;
+    const cacheWrite = (usage?.cache_creation_input_tokens || 0) * rates.cacheWrite / 1000000;
+
+    return {
+        input: round(input),
+        output: round(output),
+        cachedInput: round(cachedInput),
+        cacheWrite: round(cacheWrite),
+        amount: round(input + output + cachedInput + cacheWrite),
+        currency: pricing.currency,
+        rates
+    };
+}
+
+// Worst case for a call that hasn't run yet: the whole prompt plus maxTokens of output
+function estimateCallCost(inputTokens, maxTokens, model, pricing) {
+    return computeCost({ input_tokens: inputTokens, output_tokens: maxTokens }, model, pricing).amount;
+}
+
+/**
+ * Validate a budget update ({ daily?, session?, mode?, warnAt? }); null clears a limit.
+ * Returns { budget } with only the given fields, or { errors }.
+ */
+function normalizeBudget(body = {}) {
+    const errors = [];
+    const budget = {};
+
+    ['daily', 'session'].forEach(field => {
+        if (body[field] === undefined) return;
+        if (body[field] === null) {
+            budget[field] = null;
+        } else if (typeof body[field] === 'number' && Number.isFinite(body[field]) && body[field] >= 0) {
+            budget[field] = body[field];
+        } else {
+            errors.push(`${field} must be a non-negative number or null`);
+        }
+    });
+    if (body.mode !== undefined) {
+        if (BUDGET_MODES.includes(body.mode)) budget.mode = body.mode;
+        else errors.push(`mode must be one of ${BUDGET_MODES.join(', ')}`);
+    }
+    if (body.warnAt !== undefined) {
+        if (typeof body.warnAt === 'number' && body.warnAt > 0 && body.warnAt <= 1) budget.warnAt = body.warnAt;
+        else errors.push('warnAt must be a number between 0 (exclusive) and 1');
+    }
+
+    return errors.length > 0 ? { errors } : { budget };
+}
+
+// The session budgets are kept for: the caller's API key, or its address when keys are off
+function sessionIdFrom(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip || 'unknown'}`;
+}
+
+class SpendTracker {
+    constructor(filePath, { pricing = FALLBACK_PRICING, budget = {} } = {}) {
+        this.filePath = filePath;
+        this.pricing = pricing;
+        this.defaultBudget = {
+            daily: parseAmount(process.env.BUDGET_DAILY_USD),
+            session: parseAmount(process.env.BUDGET_SESSION_USD),
+            mode: BUDGET_MODES.includes(process.env.BUDGET_MODE) ? process.env.BUDGET_MODE : 'warn',
+            warnAt: parseAmount(process.env.BUDGET_WARN_AT) || 0.8,
+            ...budget
+        };
+        // Changes made through the API; only these are saved, so the environment still applies to the rest
+        this.budgetOverrides = {};
+        this.days = {};
+        this.sessions = {};
+        // Worst-case cost held for calls still running: id -> { sessionId, day, amount }
+        this.reservations = new Map();
+        this.writer = new JsonFileWriter(filePath, { label: 'spend' });
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.days = data.days || {};
+            this.sessions = data.sessions || {};
+            this.budgetOverrides = data.budgetOverrides || {};
+            console.log(`📂 Loaded spend for ${Object.keys(this.days).length} days and ${Object.keys(this.sessions).length} sessions from ${this.filePath}`);
+        } catch (error) {
+            console.error(`Failed to load spend from ${this.filePath}:`, error.message);
+        }
+    }
+
+    save() {
+        return this.writer.save({
+            days: this.days,
+            sessions: this.sessions,
+            budgetOverrides: this.budgetOverrides
+        });
+    }
+
+    prune() {
+        const cutoff = new Date(Date.now() - SPEND_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+        Object.keys(this.days).filter(day => day < cutoff).forEach(day => delete this.days[day]);
+        Object.keys(this.sessions)
+            .filter(id => this.sessions[id].lastSeen.slice(0, 10) < cutoff)
+            .forEach(id => delete this.sessions[id]);
+    }
+
+    /**
+     * Price a finished call and add it to today's and the session's spend. With a
+     * `reservation` from reserve(), the cost is taken out of what it holds.
+     * Returns the cost breakdown from computeCost.
+     */
+    record(sessionId, model, usage, reservation = null) {
+        const cost = computeCost(usage, model, this.pricing);
+        const held = this.reservations.get(reservation);
+        if (held) held.amount = round(Math.max(held.amount - cost.amount, 0));
+        const now = new Date().toISOString();
+        const day = now.slice(0, 10);
+
+        if (!this.days[day]) this.days[day] = emptySpend();
+        if (!this.sessions[sessionId]) this.sessions[sessionId] = { ...emptySpend(), firstSeen: now };
+        this.sessions[sessionId].lastSeen = now;
+
+        [this.days[day], this.sessions[sessionId]].forEach(spend => {
+            spend.cost = round(spend.cost + cost.amount);
+            spend.inputTokens += usage?.input_tokens || 0;
+            spend.outputTokens += usage?.output_tokens || 0;
+            spend.cachedTokens += (usage?.cache_read_input_tokens || 0) + (usage?.cache_creation_input_tokens || 0);
+            spend.requests++;
+            const byModel = spend.byModel[model] || (spend.byModel[model] = { cost: 0, requests: 0 });
+            byModel.cost = round(byModel.cost + cost.amount);
+            byModel.requests++;
+        });
+
+        this.prune();
+        this.save();
+        return cost;
+    }
+
+    get budget() {
+        return { ...this.defaultBudget, ...this.budgetOverrides };
+    }
+
+    // `update` comes from normalizeBudget
+    setBudget(update) {
+        this.budgetOverrides = { ...this.budgetOverrides, ...update };
+        this.save();
+        return this.budget;
+    }
+
+    // What calls still running have reserved today, overall and for the session
+    reserved(sessionId) {
+        const day = today();
+        let daily = 0;
+        let session = 0;
+        this.reservations.forEach(held => {
+            if (held.day !== day) return;
+            daily += held.amount;
+            if (held.sessionId === sessionId) session += held.amount;
+        });
+        return { daily: round(daily), session: round(session) };
+    }
+
+    // Spend and budget headroom for today and the session; `reserved` is held by calls still running
+    status(sessionId) {
+        const daily = this.days[today()] || emptySpend();
+        const session = this.sessions[sessionId] || emptySpend();
+        const reserved = this.reserved(sessionId);
+        const remaining = (limit, spent) => (limit === null ? null : round(Math.max(limit - spent, 0)));
+
+        return {
+            currency: this.pricing.currency,
+            sessionId,
+            today: {
+                date: today(),
+                ...daily,
+                reserved: reserved.daily,
+                budget: this.budget.daily,
+                remaining: remaining(this.budget.daily, daily.cost + reserved.daily)
+            },
+            session: {
+                ...session,
+                reserved: reserved.session,
+                budget: this.budget.session,
+                remaining: remaining(this.budget.session, session.cost + reserved.session)
+            },
+            budget: this.budget
+        };
+    }
+
+    /**
+     * Check a call that would cost up to `projected` against the budgets, counting
+     * what running calls have reserved. Returns { allowed, warnings, status };
+     * allowed is only false in block mode.
+     */
+    check(sessionId, projected = 0) {
+        const status = this.status(sessionId);
+        const budget = this.budget;
+        const warnings = [];
+        let exceeded = false;
+
+        [['daily', status.today], ['session', status.session]].forEach(([name, spend]) => {
+            const limit = budget[name];
+            if (limit === null) return;
+            const committed = spend.cost + spend.reserved;
+            const after = committed + projected;
+            if (after > limit) {
+                exceeded = true;
+                const held = spend.reserved > 0 ? ` and $${round(spend.reserved, 4)} reserved by calls in progress` : '';
+                const call = projected > 0 ? `, this call may cost up to $${round(projected, 4)}` : '';
+                warnings.push(`${name} budget of $${limit} ${committed >= limit ? 'is used up' : 'would be exceeded'}: $${round(spend.cost, 4)} spent${held}${call}`);
+            } else if (after >= limit * budget.warnAt) {
+                warnings.push(`${name} budget is ${Math.round(after / limit * 100)}% used ($${round(after, 4)} of $${limit})`);
+            }
+        });
+
+        return { allowed: !(exceeded && budget.mode === 'block'), warnings, status };
+    }
+
+    /**
+     * check() and, if the call may go ahead, hold `projected` for it until release().
+     * Returns the check plus `reservation`, which is null when the call is refused.
+     */
+    reserve(sessionId, projected) {
+        const result = this.check(sessionId, projected);
+        if (!result.allowed) return { ...result, reservation: null };
+
+        const reservation = generateId('hold');
+        this.reservations.set(reservation, { sessionId, day: today(), amount: projected });
+        return { ...result, reservation };
+    }
+
+    // Drop what a reservation still holds once its calls are done
+    release(reservation) {
+        this.reservations.delete(reservation);
+    }
+}
+
+module.exports = {
+    BUDGET_MODES,
+    loadPricing,
+    ratesFor,
+    computeCost,
+    estimateCallCost,
+    normalizeBudget,
+    sessionIdFrom,
+    SpendTracker
+};
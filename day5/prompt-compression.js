@@ -0,0 +1,405 @@
+/**
+ * Prompt Compression - Shorter variants of a prompt, checked against the original's answer
+ *
+ * One prompt is compressed several ways:
+ *   whitespace     collapse runs of spaces and blank lines
+ *   stopwords      whitespace, then drop articles, filler and copulas
+ *   extractive     whitespace, then keep the highest-scoring sentences (one variant per ratio)
+ *   llm-rewrite    ask the model to rewrite the prompt as briefly as it can
+ *
+ * The original and every variant then answer the same question at temperature 0, and
+ * each answer is compared with the original's: bag-of-words cosine and ROUGE-L F1,
+ * averaged into one similarity score. Token savings against similarity show how far a
+ * prompt can be compressed before the answer changes.
+ *
+ * Code (fenced blocks and `inline` spans) is never touched by the rule-based methods.
+ */
+
+const { countTokens } = require('../day1/tokenizer');
+
+const COMPRESSION_METHODS = ['whitespace', 'stopwords', 'extractive', 'llm-rewrite'];
+
+const COMPRESSION_DEFAULTS = {
+    methods: COMPRESSION_METHODS,
+    ratios: [0.5],              // share of sentences kept by extractive selection
+    maxTokens: 500,             // per answer
+    similarityThreshold: 0.75,  // a variant below this changed the answer too much to recommend
+    maxRatios: 4,
+    maxPromptLength: 200000
+};
+
+// Removing these rarely changes what is asked; negations and pronouns are deliberately kept
+const STRIPPABLE_WORDS = new Set([
+    'a', 'an', 'the',
+    'is', 'are', 'was', 'were', 'be', 'been', 'being',
+    'very', 'really', 'just', 'quite', 'rather', 'basically', 'actually', 'simply',
+    'literally', 'certainly', 'definitely', 'please', 'kindly'
+]);
+
+// Ignored when scoring sentences and comparing answers
+const COMMON_WORDS = new Set([
+    ...STRIPPABLE_WORDS,
+    'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'as',
+    'it', 'its', 'this', 'that', 'these', 'those', 'have', 'has', 'had', 'do', 'does', 'did',
+    'will', 'would', 'should', 'could', 'can', 'may', 'might', 'you', 'your', 'we', 'our', 'i'
+]);
+
+const REWRITE_SYSTEM_PROMPT = 'You compress prompts. You keep every instruction, constraint, name, number and fact that is needed to answer, drop everything else, and reply with only the compressed prompt.';
+
+function round(value, digits = 3) {
+    return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+}
+
+function words(text) {
+    return text.toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+function contentWords(text) {
+    return words(text).filter(word => !COMMON_WORDS.has(word) && word.length > 1);
+}
+
+/**
+ * Validate an experiment request. The prompt is `prompt`, or the example named by
+ * `promptType` from `examples`. Returns { experiment } or { errors }.
+ */
+function normalizeCompressionRequest(body = {}, examples = {}) {
+    const errors = [];
+    const prompt = typeof body.prompt === 'string' && body.prompt.trim()
+        ? body.prompt
+        : examples[body.promptType]?.prompt;
+    const methods = body.methods ?? COMPRESSION_DEFAULTS.methods;
+    const ratios = body.ratios ?? COMPRESSION_DEFAULTS.ratios;
+    const maxTokens = body.maxTokens ?? COMPRESSION_DEFAULTS.maxTokens;
+    const similarityThreshold = body.similarityThreshold ?? COMPRESSION_DEFAULTS.similarityThreshold;
+
+    if (!prompt) {
+        errors.push('prompt (or a known promptType) is required');
+    } else if (prompt.length > COMPRESSION_DEFAULTS.maxPromptLength) {
+        errors.push(`prompt must be at most ${COMPRESSION_DEFAULTS.maxPromptLength} characters`);
+    }
+    if (body.question !== undefined && typeof body.question !== 'string') {
+        errors.push('question must be a string');
+    }
+    if (!Array.isArray(methods) || methods.length === 0 || methods.some(method => !COMPRESSION_METHODS.includes(method))) {
+        errors.push(`methods must be a non-empty list of ${COMPRESSION_METHODS.join(', ')}`);
+    }
+    if (!Array.isArray(ratios) || ratios.length === 0 || ratios.length > COMPRESSION_DEFAULTS.maxRatios ||
+        ratios.some(ratio => typeof ratio !== 'number' || ratio <= 0 || ratio >= 1)) {
+        errors.push(`ratios must be a list of 1-${COMPRESSION_DEFAULTS.maxRatios} numbers between 0 and 1`);
+    }
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 4096) {
+        errors.push('maxTokens must be an integer between 1 and 4096');
+    }
+    if (typeof similarityThreshold !== 'number' || similarityThreshold < 0 || similarityThreshold > 1) {
+        errors.push('similarityThreshold must be a number between 0 and 1');
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        experiment: {
+            prompt,
+            question: body.question ? body.question.trim() : '',
+            model: body.model || 'claude-3-haiku-20240307',
+            methods: Array.from(new Set(methods)),
+            ratios: Array.from(new Set(ratios)).sort((a, b) => b - a),
+            maxTokens,
+            similarityThreshold
+        }
+    };
+}
+
+/**
+ * Apply `transform` to the prose of `text` only; fenced code blocks and inline code
+ * spans pass through unchanged.
+ */
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]+`)/g;
+
+function mapProse(text, transform) {
+    return text.split(CODE_PATTERN)
+        .map((segment, i) => (i % 2 === 1 ? segment : transform(segment)))
+        .join('');
+}
+
+function stripWhitespace(text) {
+    return mapProse(text, prose => prose
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')).trim();
+}
+
+// A dropped capitalized word passes its capital on ("The team" -> "Team")
+function stripStopwords(text) {
+    return mapProse(stripWhitespace(text), prose => prose
+        .replace(/\b[A-Za-z]+\b/g, word => {
+            if (!STRIPPABLE_WORDS.has(word.toLowerCase())) return word;
+            return /^[A-Z]/.test(word) ? '\u0000' : '';
+        })
+        .replace(/\u0000\s*([a-z])/g, (match, letter) => letter.toUpperCase())
+        .replace(/\u0000/g, '')
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/ ([,.;:!?])/g, '$1')
+        .replace(/\n +| +\n/g, '\n')).trim();
+}
+
+const ABBREVIATION = /\b(?:e\.g|i\.e|etc|vs|cf|approx|Mr|Mrs|Ms|Dr|No)\.$/i;
+
+/**
+ * Sentences in order. Line breaks end a sentence too, so list items stay separate;
+ * punctuation inside a word ("config.json") or after an abbreviation ("e.g.") doesn't,
+ * and a fenced code block is one unit.
+ */
+function splitSentences(text) {
+    const sentences = [];
+    text.split(/(```[\s\S]*?```)/g).forEach((segment, i) => {
+        if (i % 2 === 1) {
+            sentences.push({ text: segment, code: true });
+            return;
+        }
+        segment.split('\n').forEach(line => {
+            let pending = '';
+            for (const match of line.matchAll(/(?:[^.!?]|[.!?]+(?=[^\s.!?]))+[.!?]*/g)) {
+                pending = pending ? `${pending} ${match[0].trim()}` : match[0].trim();
+                if (pending && !ABBREVIATION.test(pending)) {
+                    sentences.push({ text: pending, code: false });
+                    pending = '';
+                }
+            }
+            if (pending) sentences.push({ text: pending, code: false });
+        });
+    });
+    return sentences;
+}
+
+/**
+ * Keep the best `ratio` of sentences, in their original order. A sentence scores the
+ * mean document frequency of its content words, doubled for words in the question.
+ * Code blocks and the first and last sentences, which usually carry the instructions,
+ * are always kept.
+ */
+function selectSentences(text, ratio, question = '') {
+    const sentences = splitSentences(stripWhitespace(text));
+    const keep = Math.max(1, Math.round(sentences.length * ratio));
+    const join = list => list.map(sentence => (sentence.code ? `\n${sentence.text}\n` : sentence.text)).join(' ').replace(/ ?\n ?/g, '\n').trim();
+    if (sentences.length <= 2 || keep >= sentences.length) return join(sentences);
+
+    const frequency = new Map();
+    sentences.forEach(sentence => contentWords(sentence.text).forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1)));
+    const questionWords = new Set(contentWords(question));
+
+    const scored = sentences.map((sentence, position) => {
+        const terms = contentWords(sentence.text);
+        const score = terms.length === 0 ? 0 : terms.reduce((sum, word) =>
+            sum + frequency.get(word) * (questionWords.has(word) ? 2 : 1), 0) / Math.sqrt(terms.length);
+        const pinned = sentence.code || position === 0 || position === sentences.length - 1;
+        return { ...sentence, position, score: pinned ? Infinity : score };
+    });
+
+    const pinnedCount = scored.filter(sentence => sentence.score === Infinity).length;
+    const chosen = new Set(scored
+        .slice()
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .slice(0, Math.max(keep, pinnedCount))
+        .map(sentence => sentence.position));
+
+    return join(scored.filter(sentence => chosen.has(sentence.position)));
+}
+
+function buildRewritePrompt(prompt, targetTokens) {
+    return `Compress this prompt to about ${targetTokens} tokens without losing anything needed to answer it.
+
+Prompt:
+"""
+${prompt}
+"""
+
+Reply with only the compressed prompt.`;
+}
+
+function cosine(a, b) {
+    const counts = list => list.reduce((map, word) => map.set(word, (map.get(word) || 0) + 1), new Map());
+    const va = counts(a);
+    const vb = counts(b);
+    if (va.size === 0 && vb.size === 0) return 1;
+
+    let dot = 0;
+    va.forEach((count, word) => { dot += count * (vb.get(word) || 0); });
+    const norm = map => Math.sqrt(Array.from(map.values()).reduce((sum, count) => sum + count * count, 0));
+    const denominator = norm(va) * norm(vb);
+    return denominator === 0 ? 0 : dot / denominator;
+}
+
+// ROUGE-L F1: longest common word subsequence over both lengths
+function rougeL(a, b) {
+    if (a.length === 0 && b.length === 0) return 1;
+    if (a.length === 0 || b.length === 0) return 0;
+
+    let previous = new Array(b.length + 1).fill(0);
+    for (let i = 1; i <= a.length; i++) {
+        const current = new Array(b.length + 1).fill(0);
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+        }
+        previous = current;
+    }
+
+    const lcs = previous[b.length];
+    if (lcs === 0) return 0;
+    const precision = lcs / b.length;
+    const recall = lcs / a.length;
+    return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * How close `answer` is to `reference`: { cosine, rougeL, score } where cosine compares
+ * content-word counts, rougeL the word order, and score is their mean.
+ */
+function answerSimilarity(reference, answer) {
+    const [a, b] = [contentWords(reference), contentWords(answer)];
+    const c = a.length > 0 || b.length > 0 ? cosine(a, b) : cosine(words(reference), words(answer));
+    const r = rougeL(words(reference), words(answer));
+    return { cosine: round(c), rougeL: round(r), score: round((c + r) / 2) };
+}
+
+function tokenCount(text, model) {
+    return countTokens(text, model).tokens;
+}
+
+// The rule-based variants, in the order they are reported
+function ruleBasedVariants(experiment) {
+    const variants = [];
+    if (experiment.methods.includes('whitespace')) {
+        variants.push({ id: 'whitespace', method: 'whitespace', level: null, prompt: stripWhitespace(experiment.prompt) });
+    }
+    if (experiment.methods.includes('stopwords')) {
+        variants.push({ id: 'stopwords', method: 'stopwords', level: null, prompt: stripStopwords(experiment.prompt) });
+    }
+    if (experiment.methods.includes('extractive')) {
+        experiment.ratios.forEach(ratio => variants.push({
+            id: `extractive-${ratio}`,
+            method: 'extractive',
+            level: ratio,
+            prompt: selectSentences(experiment.prompt, ratio, experiment.question)
+        }));
+    }
+    return variants;
+}
+
+/**
+ * Worst-case token usage of an experiment before it runs, for budget checks:
+ * { input_tokens, output_tokens } with every answer using maxTokens.
+ */
+function projectUsage(experiment) {
+    const questionTokens = experiment.question ? tokenCount(experiment.question, experiment.model) + 5 : 0;
+    const promptTokens = tokenCount(experiment.prompt, experiment.model);
+    const prompts = [experiment.prompt, ...ruleBasedVariants(experiment).map(variant => variant.prompt)];
+    const usage = {
+        input_tokens: prompts.reduce((sum, prompt) => sum + tokenCount(prompt, experiment.model) + questionTokens, 0),
+        output_tokens: prompts.length * experiment.maxTokens
+    };
+    if (experiment.methods.includes('llm-rewrite')) {
+        // The rewrite call, then the rewritten prompt answered (at most as long as the original)
+        usage.input_tokens += 2 * promptTokens + 60 + questionTokens;
+        usage.output_tokens += Math.min(promptTokens, 4096) + experiment.maxTokens;
+    }
+    return usage;
+}
+
+function addUsage(total, usage) {
+    total.input_tokens += usage?.input_tokens || 0;
+    total.output_tokens += usage?.output_tokens || 0;
+}
+
+/**
+ * Compress `experiment.prompt` with every requested method and answer the question
+ * with the original and each variant. `llm` is a day1 provider; `record(usage)` is
+ * called after every LLM call and may return a cost, which is attached to the entry
+ * the call belongs to. A failed call marks only its own variant.
+ */
+async function runCompressionExperiment(experiment, { llm, record = () => null }) {
+    const { model, question, maxTokens } = experiment;
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    const call = async (options) => {
+        const response = await llm.complete({ model, temperature: 0, ...options });
+        addUsage(usage, response.usage);
+        return { response, cost: record(response.usage) };
+    };
+    const ask = prompt => call({
+        maxTokens,
+        messages: [{ role: 'user', content: question ? `${prompt}\n\nQuestion: ${question}` : prompt }]
+    });
+
+    const originalTokens = tokenCount(experiment.prompt, model);
+    const original = { id: 'original', method: 'original', level: null, prompt: experiment.prompt, promptTokens: originalTokens };
+    const { response: originalAnswer, cost: originalCost } = await ask(experiment.prompt);
+    Object.assign(original, {
+        answer: originalAnswer.text,
+        answerTokens: originalAnswer.usage.output_tokens,
+        usage: originalAnswer.usage,
+        cost: originalCost
+    });
+
+    const variants = ruleBasedVariants(experiment);
+    if (experiment.methods.includes('llm-rewrite')) {
+        const variant = { id: 'llm-rewrite', method: 'llm-rewrite', level: null, prompt: null };
+        try {
+            const target = Math.max(Math.round(originalTokens / 2), 20);
+            const { response, cost } = await call({
+                maxTokens: Math.min(originalTokens, 4096),
+                system: REWRITE_SYSTEM_PROMPT,
+                messages: [{ role: 'user', content: buildRewritePrompt(experiment.prompt, target) }]
+            });
+            variant.prompt = response.text.trim();
+            variant.rewrite = { usage: response.usage, cost };
+        } catch (error) {
+            variant.error = `Rewrite failed: ${error.message}`;
+        }
+        variants.push(variant);
+    }
+
+    for (const variant of variants) {
+        if (variant.error) continue;
+        variant.promptTokens = tokenCount(variant.prompt, model);
+        variant.savedTokens = originalTokens - variant.promptTokens;
+        variant.savings = originalTokens > 0 ? round(variant.savedTokens / originalTokens) : 0;
+        try {
+            const { response, cost } = await ask(variant.prompt);
+            variant.answer = response.text;
+            variant.answerTokens = response.usage.output_tokens;
+            variant.usage = response.usage;
+            variant.cost = cost;
+            variant.similarity = answerSimilarity(original.answer, response.text);
+        } catch (error) {
+            variant.error = error.message;
+        }
+    }
+
+    // The biggest saving that still answers like the original
+    const acceptable = variants
+        .filter(variant => !variant.error && variant.savedTokens > 0 && variant.similarity.score >= experiment.similarityThreshold)
+        .sort((a, b) => b.savedTokens - a.savedTokens);
+
+    return {
+        model,
+        question: question || null,
+        original,
+        variants,
+        recommendation: acceptable.length > 0
+            ? { id: acceptable[0].id, savedTokens: acceptable[0].savedTokens, savings: acceptable[0].savings, similarity: acceptable[0].similarity.score }
+            : null,
+        similarityThreshold: experiment.similarityThreshold,
+        usage
+    };
+}
+
+module.exports = {
+    COMPRESSION_METHODS,
+    COMPRESSION_DEFAULTS,
+    normalizeCompressionRequest,
+    stripWhitespace,
+    stripStopwords,
+    selectSentences,
+    answerSimilarity,
+    projectUsage,
+    runCompressionExperiment
+};
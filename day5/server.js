@@ -1,8 +1,13 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
+const { getProvider } = require('../day1/llm-providers');
+const { ApiAuth } = require('../day1/api-auth');
+const { countTokens, tokenizeText, availableEncodings } = require('../day1/tokenizer');
+const { STRATEGIES, PLANNER_DEFAULTS, STOP_REASONS, normalizePlanRequest, planContext } = require('./context-budget');
+const { loadPricing, computeCost, estimateCallCost, normalizeBudget, sessionIdFrom, SpendTracker } = require('./cost-tracker');
+const { COMPRESSION_METHODS, COMPRESSION_DEFAULTS, normalizeCompressionRequest, projectUsage, runCompressionExperiment } = require('./prompt-compression');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
@@ -11,10 +16,20 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increase limit for large prompts
 app.use(express.static('public'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day5' });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-if (!ANTHROPIC_API_KEY) {
-    console.warn('Warning: ANTHROPIC_API_KEY environment variable not set');
+// Prices every test call and keeps daily / per-session spend against the budget
+const pricing = loadPricing(process.env.PRICING_FILE);
+const spendTracker = new SpendTracker(process.env.SPEND_FILE || path.join(__dirname, 'data', 'spend.json'), { pricing });
+spendTracker.load();
+
+if (!getProvider().isConfigured()) {
+    console.warn(`Warning: LLM provider "${getProvider().name}" is not configured (set ANTHROPIC_API_KEY or LLM_PROVIDER)`);
 }
 
 // Model context limits (approximate)
@@ -31,70 +46,65 @@ const MODEL_LIMITS = {
     }
 };
 
-// Simple token estimation function
-function estimateTokens(text) {
-    // Rough approximation: 1 token ≈ 4 characters for English text
-    // This is simplified - real tokenization is more complex
+// Token count from the BPE tokenizer (falls back to 4 chars per token without a vocabulary)
+function estimateTokens(text, model) {
     if (!text) return 0;
-    return Math.ceil(text.length / 4);
+    return countTokens(text, model).tokens;
 }
 
-// More accurate token estimation for different content types
-function detailedTokenEstimate(text) {
+// Tokenizer count plus the character/word heuristics it replaces, for comparison
+function detailedTokenEstimate(text, model) {
     if (!text) return { estimated: 0, characters: 0, words: 0 };
     
     const characters = text.length;
     const words = text.split(/\s+/).filter(w => w.length > 0).length;
+    const count = countTokens(text, model);
     
     // Different estimation methods
     const estimates = {
+        tokenizer: count.tokens,                     // BPE vocabulary for the model family
         simple: Math.ceil(characters / 4),           // 4 chars per token
         conservative: Math.ceil(characters / 3),     // 3 chars per token (safer)
         wordBased: Math.ceil(words * 1.3),          // ~1.3 tokens per word
         punctuationAware: Math.ceil(characters / 4) + (text.match(/[.,!?;:]/g) || []).length
     };
     
-    // Use conservative estimate as primary
-    const estimated = estimates.conservative;
+    // The tokenizer count is primary; the conservative heuristic only without a vocabulary
+    const estimated = count.method === 'bpe' ? count.tokens : estimates.conservative;
     
     return {
         estimated,
         characters,
         words,
         estimates,
+        tokenizer: {
+            encoding: count.encoding,
+            exact: count.exact,
+            method: count.method
+        },
         tokensPerChar: (estimated / characters).toFixed(3),
         tokensPerWord: (estimated / words).toFixed(2)
     };
 }
 
-async function makeClaudeRequest(prompt, model = 'claude-3-haiku-20240307', maxTokens = 1000) {
-    const inputTokenEstimate = detailedTokenEstimate(prompt);
+async function makeClaudeRequest(prompt, model = 'claude-3-haiku-20240307', maxTokens = 1000, provider = null) {
+    const inputTokenEstimate = detailedTokenEstimate(prompt, model);
     
     try {
-        const response = await axios.post(
-            'https://api.anthropic.com/v1/messages',
-            {
-                model: model,
-                max_tokens: maxTokens,
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ]
-            },
-            {
-                headers: {
-                    'x-api-key': ANTHROPIC_API_KEY,
-                    'Content-Type': 'application/json',
-                    'anthropic-version': '2023-06-01'
+        const response = await getProvider(provider).complete({
+            model,
+            maxTokens,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
                 }
-            }
-        );
+            ]
+        });
         
-        const responseText = response.data.content[0].text;
-        const outputTokenEstimate = detailedTokenEstimate(responseText);
-        const actualUsage = response.data.usage;
+        const responseText = response.text;
+        const outputTokenEstimate = detailedTokenEstimate(responseText, model);
+        const actualUsage = response.usage;
         
         return {
             success: true,
@@ -119,17 +129,18 @@ async function makeClaudeRequest(prompt, model = 'claude-3-haiku-20240307', maxT
             },
             usage: actualUsage,
             model: model,
+            provider: response.provider,
             modelLimits: MODEL_LIMITS[model]
         };
     } catch (error) {
-        console.error('Claude API error:', error.response?.data || error.message);
+        console.error('LLM provider error:', error.details || error.message);
         
         // Handle specific token limit errors
-        if (error.response?.status === 400 && error.response?.data?.error?.message?.includes('tokens')) {
+        if ((error.status === 400 || error.status === 413) && error.message.includes('tokens')) {
             return {
                 success: false,
                 error: 'Token limit exceeded',
-                details: error.response.data.error.message,
+                details: error.message,
                 tokenAnalysis: {
                     input: {
                         estimated: inputTokenEstimate,
@@ -142,7 +153,8 @@ async function makeClaudeRequest(prompt, model = 'claude-3-haiku-20240307', maxT
         
         return {
             success: false,
-            error: error.response?.data?.error?.message || error.message,
+            error: error.message,
+            errorType: error.type || 'unknown',
             tokenAnalysis: {
                 input: {
                     estimated: inputTokenEstimate,
@@ -293,9 +305,148 @@ Horizontal and vertical scaling strategies, load balancing, auto-scaling policie
 Please provide an exhaustive analysis and implementation plan covering all aspects mentioned above, with specific recommendations, timelines, resource requirements, risk assessments, and success metrics.`;
 }
 
+// The very long prompt split into prioritized parts, for trying out the budget planner
+function examplePromptParts() {
+    const prompt = generateVeryLongPrompt();
+    const sectionsStart = prompt.indexOf('\nSECTION 1:');
+    const closingStart = prompt.indexOf('ADDITIONAL CONSIDERATIONS:');
+    const sections = prompt.slice(sectionsStart, closingStart).split(/\n(?=\nSECTION \d+:)/).map(section => section.trim());
+
+    return [
+        { id: 'overview', content: prompt.slice(0, sectionsStart).trim(), priority: 100, required: true },
+        // Earlier components matter more; the last ones are cut first
+        ...sections.map((content, i) => ({ id: `section-${i + 1}`, content, priority: sections.length - i })),
+        { id: 'closing', content: prompt.slice(closingStart).trim(), priority: 50, strategy: 'elide-middle' }
+    ];
+}
+
+// Condense one prompt part for the planner's summarize strategy
+// The instructions summarizePart wraps around each part, for cost projections
+const SUMMARY_PROMPT_TOKENS = 80;
+
+async function summarizePart(text, targetTokens, model, provider) {
+    const response = await getProvider(provider).complete({
+        model,
+        maxTokens: Math.max(targetTokens, 16),
+        temperature: 0,
+        system: 'You condense text so it fits a token budget. Keep names, numbers, requirements and constraints; drop repetition and filler. Reply with the condensed text only.',
+        messages: [
+            {
+                role: 'user',
+                content: `Condense the following text to at most ${targetTokens} tokens (about ${Math.floor(targetTokens * 0.75)} words):\n\n"""\n${text}\n"""`
+            }
+        ]
+    });
+    return { text: response.text, usage: response.usage };
+}
+
+/**
+ * Fit prioritized prompt parts into a context window. Body: { model, contextWindow?,
+ * reservedOutput?, strategy?, safetyMargin?, separator?, provider?, parts: [{ id?,
+ * content, priority?, strategy?, required? }] }. Returns the fitted prompt and a report.
+ */
+app.post('/api/plan-context', async (req, res) => {
+    try {
+        const { plan, errors } = normalizePlanRequest(req.body, MODEL_LIMITS);
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid plan', details: errors, strategies: STRATEGIES });
+        }
+
+        const summarizedParts = plan.parts.filter(part => part.strategy === 'summarize');
+        const llm = summarizedParts.length > 0 ? getProvider(req.body.provider) : null;
+        if (llm && !llm.isConfigured()) {
+            return res.status(500).json({ error: `LLM provider "${llm.name}" not configured` });
+        }
+
+        // Worst case: every summarized part is sent whole and written back at full length
+        const sessionId = sessionIdFrom(req);
+        let reservation = null;
+        if (llm) {
+            const projected = summarizedParts.reduce((sum, part) => {
+                const tokens = estimateTokens(part.content, plan.model);
+                return sum + estimateCallCost(tokens + SUMMARY_PROMPT_TOKENS, Math.max(tokens, 16), plan.model, pricing);
+            }, 0);
+            const budgetCheck = spendTracker.reserve(sessionId, projected);
+            if (!budgetCheck.allowed) {
+                return budgetExceeded(res, budgetCheck);
+            }
+            reservation = budgetCheck.reservation;
+        }
+
+        let planned;
+        try {
+            planned = await planContext(plan, {
+                summarize: llm ? async (text, targetTokens) => {
+                    const summary = await summarizePart(text, targetTokens, plan.model, llm.name);
+                    spendTracker.record(sessionId, plan.model, summary.usage, reservation);
+                    return summary;
+                } : null
+            });
+        } finally {
+            spendTracker.release(reservation);
+        }
+        const { prompt, report } = planned;
+
+        res.status(report.fits ? 200 : 422).json({
+            ...(report.fits ? {} : { error: STOP_REASONS[report.stopReason] }),
+            prompt,
+            report,
+            ...(llm ? {
+                cost: computeCost(report.summaryUsage, plan.model, pricing),
+                spend: spendTracker.status(sessionId),
+                budgetWarnings: spendTracker.check(sessionId).warnings
+            } : {})
+        });
+    } catch (error) {
+        console.error('Error planning context:', error);
+        if (error.type === 'unknown_provider') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to plan context' });
+    }
+});
+
+app.get('/api/plan-context/example', (req, res) => {
+    res.json({ parts: examplePromptParts(), strategies: STRATEGIES, defaults: PLANNER_DEFAULTS });
+});
+
+function budgetExceeded(res, budgetCheck) {
+    return res.status(402).json({
+        error: 'Budget exceeded',
+        type: 'budget_exceeded',
+        warnings: budgetCheck.warnings,
+        spend: budgetCheck.status
+    });
+}
+
+// Spend for today and the caller's own session, recent days and the rate table
+app.get('/api/costs', (req, res) => {
+    res.json({
+        ...spendTracker.status(sessionIdFrom(req)),
+        days: Object.entries(spendTracker.days)
+            .sort(([a], [b]) => b.localeCompare(a))
+            .map(([date, spend]) => ({ date, ...spend })),
+        pricing
+    });
+});
+
+/**
+ * Change the budget. Body: { daily?, session?, mode?: 'warn' | 'block', warnAt? };
+ * null clears a limit. Changes are saved with the spend and outlive restarts. Under
+ * /api/admin so that, with API keys enabled, only the admin key can lift the budget.
+ */
+app.put('/api/admin/budget', (req, res) => {
+    const { budget, errors } = normalizeBudget(req.body);
+    if (errors) {
+        return res.status(400).json({ error: 'Invalid budget', details: errors });
+    }
+    res.json({ budget: spendTracker.setBudget(budget) });
+});
+
 app.post('/api/test-tokens', async (req, res) => {
     try {
-        const { promptType, customPrompt, model = 'claude-3-haiku-20240307', maxTokens = 1000 } = req.body;
+        const { promptType, customPrompt, model = 'claude-3-haiku-20240307', maxTokens = 1000, provider } = req.body;
+        const sessionId = sessionIdFrom(req);
         
         let prompt;
         let testInfo;
@@ -317,13 +468,28 @@ app.post('/api/test-tokens', async (req, res) => {
             return res.status(400).json({ error: 'Invalid prompt type or missing custom prompt' });
         }
 
-        if (!ANTHROPIC_API_KEY) {
+        const llm = getProvider(provider);
+
+        if (!llm.isConfigured()) {
             return res.status(500).json({ 
-                error: 'Anthropic API key not configured' 
+                error: `LLM provider "${llm.name}" not configured` 
             });
         }
 
-        const result = await makeClaudeRequest(prompt, model, maxTokens);
+        const budgetCheck = spendTracker.reserve(sessionId, estimateCallCost(estimateTokens(prompt, model), maxTokens, model, pricing));
+        if (!budgetCheck.allowed) {
+            return budgetExceeded(res, budgetCheck);
+        }
+
+        let result;
+        try {
+            result = await makeClaudeRequest(prompt, model, maxTokens, llm.name);
+            if (result.success) {
+                result.cost = spendTracker.record(sessionId, model, result.usage, budgetCheck.reservation);
+            }
+        } finally {
+            spendTracker.release(budgetCheck.reservation);
+        }
         
         res.json({
             testInfo,
@@ -332,53 +498,159 @@ app.post('/api/test-tokens', async (req, res) => {
             model,
             maxTokens,
             result,
+            spend: spendTracker.status(sessionId),
+            budgetWarnings: spendTracker.check(sessionId).warnings,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
         console.error('Error in token test:', error);
+        if (error.type === 'unknown_provider') {
+            return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to test tokens' });
     }
 });
 
+/**
+ * Compress one prompt several ways and answer the same question with each variant.
+ * Body: { prompt | promptType, question?, model?, maxTokens?, methods?, ratios?,
+ * similarityThreshold?, provider? }. Reports token savings against how similar each
+ * answer is to the original's, and recommends the biggest safe saving.
+ */
+app.post('/api/compression-experiment', async (req, res) => {
+    const { experiment, errors } = normalizeCompressionRequest(req.body, generateTestPrompts());
+    if (errors) {
+        return res.status(400).json({ error: 'Invalid experiment', details: errors, methods: COMPRESSION_METHODS });
+    }
+
+    try {
+        const llm = getProvider(req.body.provider);
+        if (!llm.isConfigured()) {
+            return res.status(500).json({ error: `LLM provider "${llm.name}" not configured` });
+        }
+
+        const sessionId = sessionIdFrom(req);
+        const budgetCheck = spendTracker.reserve(sessionId, computeCost(projectUsage(experiment), experiment.model, pricing).amount);
+        if (!budgetCheck.allowed) {
+            return budgetExceeded(res, budgetCheck);
+        }
+
+        let result;
+        try {
+            result = await runCompressionExperiment(experiment, {
+                llm,
+                record: usage => spendTracker.record(sessionId, experiment.model, usage, budgetCheck.reservation)
+            });
+        } finally {
+            spendTracker.release(budgetCheck.reservation);
+        }
+
+        res.json({
+            ...result,
+            cost: computeCost(result.usage, experiment.model, pricing),
+            spend: spendTracker.status(sessionId),
+            budgetWarnings: spendTracker.check(sessionId).warnings,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error in compression experiment:', error);
+        if (error.type === 'unknown_provider') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Compression experiment failed', details: error.message });
+    }
+});
+
 app.get('/api/prompt-examples', (req, res) => {
+    const model = req.query.model || 'claude-3-haiku-20240307';
     const testPrompts = generateTestPrompts();
     
-    // Add token estimates for each prompt
+    // Add token counts for each prompt
     Object.keys(testPrompts).forEach(key => {
         const prompt = testPrompts[key];
-        prompt.tokenEstimate = detailedTokenEstimate(prompt.prompt);
+        prompt.tokenEstimate = detailedTokenEstimate(prompt.prompt, model);
     });
     
+    const tokenizer = testPrompts.short.tokenEstimate.tokenizer;
     res.json({
         prompts: testPrompts,
         modelLimits: MODEL_LIMITS,
-        estimationInfo: {
-            method: "Conservative estimation: ~3 characters per token",
-            accuracy: "Estimates within 20-30% of actual usage",
-            note: "Actual tokenization depends on content type and language"
-        }
+        estimationInfo: tokenizer.method === 'bpe'
+            ? {
+                method: `BPE tokenizer (${tokenizer.encoding} vocabulary)`,
+                accuracy: tokenizer.exact ? 'Exact for this model' : 'Approximate: this model\'s own vocabulary is not published, so counts can differ slightly',
+                note: 'Chat formatting and system prompts add a few tokens to the billed input'
+            }
+            : {
+                method: "Conservative estimation: ~3 characters per token",
+                accuracy: "Estimates within 20-30% of actual usage",
+                note: "No tokenizer vocabulary found; actual tokenization depends on content type and language"
+            }
+    });
+});
+
+// Tokenizing runs on the event loop, so the visualizer only takes texts up to this length
+const MAX_TOKENIZE_CHARS = 200000;
+
+/**
+ * Token boundaries for visualization. Body: { text, model?, limit? }.
+ * Offsets refer to the returned (NFKC-normalized) text; at most `limit` tokens are listed.
+ */
+app.post('/api/tokenize', (req, res) => {
+    const { text, model = 'claude-3-haiku-20240307', limit = 2000 } = req.body;
+
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
+    if (text.length > MAX_TOKENIZE_CHARS) {
+        return res.status(413).json({ error: `text is ${text.length} characters; the limit is ${MAX_TOKENIZE_CHARS}` });
+    }
+    if (!Number.isInteger(limit) || limit < 0 || limit > 20000) {
+        return res.status(400).json({ error: 'limit must be an integer between 0 and 20000' });
+    }
+
+    res.json({
+        model,
+        characters: text.length,
+        ...tokenizeText(text, model, { limit })
     });
 });
 
 app.post('/api/compare-prompts', async (req, res) => {
     try {
-        const { model = 'claude-3-haiku-20240307', maxTokens = 1000 } = req.body;
+        const { model = 'claude-3-haiku-20240307', maxTokens = 1000, provider } = req.body;
+        const sessionId = sessionIdFrom(req);
 
-        if (!ANTHROPIC_API_KEY) {
+        const llm = getProvider(provider);
+
+        if (!llm.isConfigured()) {
             return res.status(500).json({ 
-                error: 'Anthropic API key not configured' 
+                error: `LLM provider "${llm.name}" not configured` 
             });
         }
 
         const testPrompts = generateTestPrompts();
         const results = {};
+
+        // The whole comparison is checked up front so it never stops halfway
+        const projected = Object.values(testPrompts)
+            .reduce((sum, testInfo) => sum + estimateCallCost(estimateTokens(testInfo.prompt, model), maxTokens, model, pricing), 0);
+        const budgetCheck = spendTracker.reserve(sessionId, projected);
+        if (!budgetCheck.allowed) {
+            return budgetExceeded(res, budgetCheck);
+        }
+        let totalCost = 0;
         
         // Test each prompt type
         for (const [key, testInfo] of Object.entries(testPrompts)) {
             console.log(`Testing ${key} prompt...`);
             try {
-                const result = await makeClaudeRequest(testInfo.prompt, model, maxTokens);
+                const result = await makeClaudeRequest(testInfo.prompt, model, maxTokens, llm.name);
+                if (result.success) {
+                    result.cost = spendTracker.record(sessionId, model, result.usage, budgetCheck.reservation);
+                    totalCost += result.cost.amount;
+                }
                 results[key] = {
                     testInfo,
                     result,
@@ -399,17 +671,26 @@ app.post('/api/compare-prompts', async (req, res) => {
                 };
             }
         }
+        // Each prompt's error is caught above, so this always runs
+        spendTracker.release(budgetCheck.reservation);
         
         res.json({
             model,
             maxTokens,
             results,
             modelLimits: MODEL_LIMITS[model],
+            totalCost: parseFloat(totalCost.toFixed(6)),
+            currency: pricing.currency,
+            spend: spendTracker.status(sessionId),
+            budgetWarnings: spendTracker.check(sessionId).warnings,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
         console.error('Error in prompt comparison:', error);
+        if (error.type === 'unknown_provider') {
+            return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to compare prompts' });
     }
 });
@@ -417,8 +698,10 @@ app.post('/api/compare-prompts', async (req, res) => {
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'ok', 
-        hasApiKey: !!ANTHROPIC_API_KEY,
+        hasApiKey: getProvider().isConfigured(),
+        provider: getProvider().name,
         modelLimits: MODEL_LIMITS,
+        tokenizers: availableEncodings(),
         timestamp: new Date().toISOString()
     });
 });
@@ -430,5 +713,6 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
     console.log(`Day 5 - Token Analysis running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to explore token behavior`);
+    console.log(`LLM provider: ${getProvider().name} (configured: ${getProvider().isConfigured()})`);
     console.log(`API Key configured: ${!!ANTHROPIC_API_KEY}`);
 });
\ No newline at end of file
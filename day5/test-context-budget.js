@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the Context Budget Planner
+ *
+ * Covers the truncation strategies of cutToTokens and why planContext stops, with a
+ * stub in place of the summarizing LLM call. Runs offline, no provider needed.
+ *
+ *   node test-context-budget.js
+ */
+
+const assert = require('assert');
+const { countTokens } = require('../day1/tokenizer');
+const { normalizePlanRequest, cutToTokens, planContext } = require('./context-budget');
+
+const MODEL = 'claude-3-haiku-20240307';
+const tokens = text => countTokens(text, MODEL).tokens;
+
+const WORDS = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+const FILLER = Array.from({ length: 180 }, (_, i) => `filler sentence number ${i}.`).join(' ');
+const OMITTED = `[… ${tokens(WORDS) - 40} tokens omitted …]`;
+const NOTE = 'A short note on the release: the importer now keeps empty rows, the exporter writes dates as ISO strings.';
+
+// A 1000-token window with 100 tokens reserved for the answer leaves a budget of 900
+function planOf(parts, body = {}) {
+    const { plan, errors } = normalizePlanRequest({ model: MODEL, contextWindow: 1000, reservedOutput: 100, safetyMargin: 0, parts, ...body });
+    assert.strictEqual(errors, undefined, errors && errors.join('; '));
+    return plan;
+}
+
+async function testCuts(record) {
+    console.log('\n✂️  cutToTokens');
+
+    await record('Text within the target comes back unchanged', () => {
+        assert.deepStrictEqual(cutToTokens('short', 40, 'truncate-tail', MODEL), { text: 'short', removedText: '' });
+    });
+
+    await record('truncate-tail keeps the beginning, with the marker counted against the target', () => {
+        const { text, removedText } = cutToTokens(WORDS, 40, 'truncate-tail', MODEL);
+        assert.ok(text.startsWith('word0 word1 '));
+        assert.ok(text.endsWith(`\n${OMITTED}`));
+        assert.ok(tokens(text) <= 40, `${tokens(text)} tokens`);
+        assert.strictEqual(text.split('\n')[0] + removedText, WORDS);
+    });
+
+    await record('truncate-head keeps the end', () => {
+        const { text, removedText } = cutToTokens(WORDS, 40, 'truncate-head', MODEL);
+        assert.ok(text.startsWith(`${OMITTED}\n`));
+        assert.ok(text.endsWith(' word198 word199'));
+        assert.ok(tokens(text) <= 40, `${tokens(text)} tokens`);
+        assert.strictEqual(removedText + text.split('\n')[1], WORDS);
+    });
+
+    await record('elide-middle keeps both ends', () => {
+        const { text, removedText } = cutToTokens(WORDS, 40, 'elide-middle', MODEL);
+        const [head, note, tail] = text.split('\n');
+        assert.ok(head.startsWith('word0 ') && tail.endsWith(' word199'));
+        assert.strictEqual(note, OMITTED);
+        assert.ok(tokens(text) <= 40, `${tokens(text)} tokens`);
+        assert.strictEqual(head + removedText + tail, WORDS);
+    });
+}
+
+async function testPlanning(record) {
+    console.log('\n📐 planContext');
+
+    await record('A prompt within the budget is left alone', async () => {
+        const { prompt, report } = await planContext(planOf([{ content: 'Question?', required: true }, 'A short document.']));
+        assert.strictEqual(report.stopReason, 'fits');
+        assert.strictEqual(prompt, 'Question?\n\nA short document.');
+        assert.deepStrictEqual([report.dropped, report.changed], [[], []]);
+    });
+
+    await record('The lowest priority goes first; drop parts are removed whole', async () => {
+        const { report } = await planContext(planOf([
+            { id: 'question', content: 'Question?', required: true },
+            { id: 'notes', content: FILLER, priority: 1 },
+            { id: 'extra', content: FILLER, strategy: 'drop' }
+        ]));
+        assert.strictEqual(report.stopReason, 'fits');
+        assert.ok(report.finalTokens <= report.budget);
+        assert.deepStrictEqual(report.parts.map(part => part.actions), [[], ['truncate-tail'], ['dropped']]);
+        assert.deepStrictEqual([report.dropped, report.changed], [['extra'], ['notes']]);
+    });
+
+    await record('Summaries replace the part, and a failed summary falls back to truncation', async () => {
+        const plan = planOf([{ id: 'notes', content: FILLER, strategy: 'summarize' }]);
+        const summarized = await planContext(plan, { summarize: async () => ({ text: NOTE, usage: { input_tokens: 900, output_tokens: 30 } }) });
+        assert.strictEqual(summarized.prompt, NOTE);
+        assert.deepStrictEqual(summarized.report.parts[0].actions, ['summarized']);
+        assert.deepStrictEqual(summarized.report.summaryUsage, { input_tokens: 900, output_tokens: 30 });
+
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            const failed = await planContext(plan, { summarize: async () => { throw new Error('overloaded'); } });
+            assert.strictEqual(failed.report.stopReason, 'fits');
+            assert.deepStrictEqual(failed.report.parts[0].actions, ['summary-failed', 'truncate-tail']);
+        } finally {
+            console.error = originalError;
+        }
+    });
+
+    await record('Required parts over the budget stop with required-exceed-budget', async () => {
+        const { report } = await planContext(planOf([{ content: FILLER + FILLER, required: true }, { id: 'aside', content: NOTE }]));
+        assert.strictEqual(report.fits, false);
+        assert.strictEqual(report.stopReason, 'required-exceed-budget');
+        assert.deepStrictEqual(report.dropped, ['aside']);
+    });
+
+    await record('A round that frees nothing stops with no-progress', async () => {
+        // The note is already below its summary floor and the summarizer hands it back unchanged
+        const contextWindow = tokens(FILLER) + 10 + 100;
+        const plan = planOf([{ content: FILLER, required: true }, { id: 'note', content: NOTE, strategy: 'summarize' }], { contextWindow });
+        const { report } = await planContext(plan, { summarize: async text => ({ text }) });
+        assert.strictEqual(report.fits, false);
+        assert.strictEqual(report.stopReason, 'no-progress');
+        assert.deepStrictEqual(report.parts[1].actions, ['summarized']);
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Context Budget Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testCuts(record);
+    await testPlanning(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
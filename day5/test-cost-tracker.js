@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the Cost Tracker
+ *
+ * Covers pricing, budget reservations for calls in progress and where the session
+ * comes from. Runs offline and writes spend into a temporary directory.
+ *
+ *   node test-cost-tracker.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MODEL_PRICING } = require('../day1/api-auth');
+const { loadPricing, computeCost, sessionIdFrom, SpendTracker } = require('./cost-tracker');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-tracker-'));
+const trackers = [];
+
+// Sonnet: $3 in, $15 out per million tokens, so 100k input tokens cost $0.30
+const MODEL = 'claude-sonnet-4-5';
+const usage = inputTokens => ({ input_tokens: inputTokens, output_tokens: 0 });
+
+function createTracker(budget) {
+    const tracker = new SpendTracker(path.join(tempDir, `spend-${trackers.length}.json`), {
+        pricing: loadPricing(null),
+        budget: { daily: null, session: null, mode: 'block', warnAt: 0.8, ...budget }
+    });
+    trackers.push(tracker);
+    return tracker;
+}
+
+async function testPricing(record) {
+    console.log('\n💲 Pricing');
+
+    await record('Without a pricing file the rates are day1\'s MODEL_PRICING', () => {
+        const pricing = loadPricing(null);
+        assert.strictEqual(pricing.models, MODEL_PRICING);
+        assert.strictEqual(pricing.source, 'day1 MODEL_PRICING');
+    });
+
+    await record('Cached reads and cache writes are billed at their own rates', () => {
+        const cost = computeCost({ input_tokens: 1000000, output_tokens: 0, cache_read_input_tokens: 1000000, cache_creation_input_tokens: 1000000 }, MODEL, loadPricing(null));
+        assert.deepStrictEqual([cost.input, cost.cachedInput, cost.cacheWrite, cost.amount], [3, 0.3, 3.75, 7.05]);
+    });
+
+    await record('An invalid pricing file is refused', () => {
+        const filePath = path.join(tempDir, 'pricing.json');
+        fs.writeFileSync(filePath, JSON.stringify({ models: [{ pattern: 'sonnet', input: -1, output: 15 }] }));
+        assert.throws(() => loadPricing(filePath), /models\[0\]\.input must be a non-negative number; default must have input and output rates/);
+    });
+}
+
+async function testReservations(record) {
+    console.log('\n🔒 Reservations');
+
+    await record('Concurrent calls can\'t all pass on the same headroom', () => {
+        const tracker = createTracker({ session: 0.5 });
+        const first = tracker.reserve('key:a', 0.3);
+        const second = tracker.reserve('key:a', 0.3);
+
+        assert.strictEqual(first.allowed, true);
+        assert.ok(first.reservation);
+        assert.strictEqual(second.allowed, false);
+        assert.strictEqual(second.reservation, null);
+        assert.match(second.warnings[0], /\$0\.3 reserved by calls in progress/);
+    });
+
+    await record('Recording settles the reservation and release frees the rest', () => {
+        const tracker = createTracker({ daily: 1 });
+        const { reservation } = tracker.reserve('key:a', 0.6);
+        assert.strictEqual(tracker.status('key:a').today.remaining, 0.4);
+
+        tracker.record('key:a', MODEL, usage(100000), reservation);
+        const status = tracker.status('key:a');
+        assert.deepStrictEqual([status.today.cost, status.today.reserved, status.today.remaining], [0.3, 0.3, 0.4]);
+
+        tracker.release(reservation);
+        assert.deepStrictEqual([tracker.status('key:a').today.reserved, tracker.status('key:a').today.remaining], [0, 0.7]);
+    });
+
+    await record('Session budgets only count the session\'s own reservations', () => {
+        const tracker = createTracker({ session: 0.5 });
+        tracker.reserve('key:a', 0.4);
+        assert.strictEqual(tracker.reserve('key:b', 0.4).allowed, true);
+        assert.strictEqual(tracker.status('key:b').today.reserved, 0.8);
+        assert.strictEqual(tracker.status('key:b').session.reserved, 0.4);
+    });
+
+    await record('In warn mode calls still go ahead, with warnings', () => {
+        const tracker = createTracker({ daily: 0.5, mode: 'warn' });
+        tracker.reserve('key:a', 0.3);
+        const check = tracker.reserve('key:a', 0.3);
+        assert.strictEqual(check.allowed, true);
+        assert.ok(check.reservation);
+        assert.match(check.warnings[0], /^daily budget of \$0\.5 would be exceeded/);
+    });
+}
+
+async function testSessions(record) {
+    console.log('\n🪪 Sessions');
+
+    const request = ({ apiKey, ip, body = {}, headers = {} }) => ({ apiKey, ip, body, get: name => headers[name] });
+
+    await record('The session is the API key, or the address without one', () => {
+        assert.strictEqual(sessionIdFrom(request({ apiKey: { id: 'key_1' }, ip: '10.0.0.1' })), 'key:key_1');
+        assert.strictEqual(sessionIdFrom(request({ ip: '10.0.0.1' })), 'ip:10.0.0.1');
+    });
+
+    await record('Ids sent by the client are ignored', () => {
+        const req = request({ ip: '10.0.0.1', body: { sessionId: 'fresh' }, headers: { 'X-Session-Id': 'fresh' } });
+        assert.strictEqual(sessionIdFrom(req), 'ip:10.0.0.1');
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Cost Tracker Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    try {
+        await testPricing(record);
+        await testReservations(record);
+        await testSessions(record);
+    } finally {
+        await Promise.all(trackers.map(tracker => tracker.writer.pendingWrite));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Prompt Compression
+ *
+ * Covers the rule-based methods (stopword stripping, extractive selection) and the
+ * similarity score that answers are compared with. Runs offline, no provider needed.
+ *
+ *   node test-prompt-compression.js
+ */
+
+const assert = require('assert');
+const { stripStopwords, selectSentences, answerSimilarity } = require('./prompt-compression');
+
+const FRUIT = 'Read the notes. Apples are red. Bananas are yellow. Cherries are dark. Answer briefly.';
+
+async function testStopwords(record) {
+    console.log('\n🧹 stripStopwords');
+
+    await record('Drops articles, copulas and filler, passing a capital on', () => {
+        assert.strictEqual(stripStopwords('The team is   very happy with the results.'), 'Team happy with results.');
+    });
+
+    await record('Negations and pronouns are kept', () => {
+        assert.strictEqual(stripStopwords('It is not a problem.'), 'It not problem.');
+    });
+
+    await record('Code is left untouched', () => {
+        assert.strictEqual(stripStopwords('Please run `the build` now.'), 'Run `the build` now.');
+        assert.strictEqual(stripStopwords('```\nthe  a  is\n```'), '```\nthe  a  is\n```');
+    });
+
+    await record('Blank lines are collapsed to one', () => {
+        assert.strictEqual(stripStopwords('An apple.\n\n\n\nA pear.'), 'Apple.\n\nPear.');
+    });
+}
+
+async function testSelection(record) {
+    console.log('\n📑 selectSentences');
+
+    await record('Keeps the first and last sentences and the best of the rest, in order', () => {
+        assert.strictEqual(selectSentences(FRUIT, 0.6), 'Read the notes. Apples are red. Answer briefly.');
+    });
+
+    await record('Words from the question count double', () => {
+        assert.strictEqual(selectSentences(FRUIT, 0.6, 'What colour are bananas?'), 'Read the notes. Bananas are yellow. Answer briefly.');
+    });
+
+    await record('Code blocks are always kept', () => {
+        const text = 'Intro here.\n```js\nconst a = 1;\n```\nMiddle noise text. Other filler stuff. End here.';
+        assert.strictEqual(selectSentences(text, 0.2), 'Intro here.\n```js\nconst a = 1;\n```\nEnd here.');
+    });
+
+    await record('Abbreviations and dotted names don\'t end a sentence', () => {
+        const text = 'Open config.json, e.g. with vim. Set the port. Restart it. Check the logs.';
+        assert.strictEqual(selectSentences(text, 0.5), 'Open config.json, e.g. with vim. Check the logs.');
+    });
+
+    await record('Two sentences or fewer come back whole', () => {
+        assert.strictEqual(selectSentences('One. Two.', 0.1), 'One. Two.');
+    });
+}
+
+async function testSimilarity(record) {
+    console.log('\n⚖️  answerSimilarity');
+
+    await record('The same answer scores 1', () => {
+        const sentence = 'The capital of France is Paris.';
+        assert.deepStrictEqual(answerSimilarity(sentence, sentence), { cosine: 1, rougeL: 1, score: 1 });
+    });
+
+    await record('Reordered words keep the cosine but lower ROUGE-L', () => {
+        assert.deepStrictEqual(
+            answerSimilarity('The capital of France is Paris.', 'Paris is the capital of France.'),
+            { cosine: 1, rougeL: 0.667, score: 0.833 }
+        );
+    });
+
+    await record('An unrelated answer scores 0', () => {
+        assert.strictEqual(answerSimilarity('The capital of France is Paris.', 'Bananas are yellow fruit.').score, 0);
+    });
+
+    await record('Answers of common words only are compared on all words', () => {
+        assert.strictEqual(answerSimilarity('It is.', 'It is.').cosine, 1);
+        assert.strictEqual(answerSimilarity('It is.', 'You can.').cosine, 0);
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Prompt Compression Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testStopwords(record);
+    await testSelection(record);
+    await testSimilarity(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,286 @@
+/**
+ * Refinement Loop - Generate, validate and revise until the content is good enough
+ *
+ * Each round runs the whole workflow once. From the second round on, the draft agent
+ * (by default the workflow's single entry agent, e.g. the generator) gets its previous
+ * output back together with the final agent's quality_score, issues and suggestions,
+ * and is asked to revise it. The loop stops when:
+ *
+ *   quality-threshold   the score reached qualityThreshold
+ *   max-iterations      maxIterations rounds have run
+ *   token-budget        another round would likely go over tokenBudget
+ *   no-improvement      the best score hasn't improved by minImprovement for `patience` rounds
+ *   no-score            the final agent returned no numeric quality_score
+ *   agent-failed        an agent in the round failed
+ *
+ * Every round is kept in the history with a word-level diff of the draft against the
+ * previous round.
+ */
+
+const LOOP_DEFAULTS = {
+    maxIterations: 3,
+    qualityThreshold: 85,
+    tokenBudget: null,
+    minImprovement: 1,
+    patience: 1
+};
+
+const LOOP_LIMITS = {
+    maxIterations: 10,
+    maxDiffCells: 4000000   // word pairs compared before a field is reported as replaced outright
+};
+
+const STOP_REASONS = ['quality-threshold', 'max-iterations', 'token-budget', 'no-improvement', 'no-score', 'agent-failed'];
+
+/**
+ * Validate loop settings for `workflow`. `raw` is `true` for the defaults or an object
+ * overriding them. Returns { loop } or { errors }.
+ */
+function normalizeLoop(raw, workflow) {
+    const settings = raw === true ? {} : raw;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { errors: ['loop must be true or an object'] };
+    }
+
+    const errors = [];
+    const loop = { ...LOOP_DEFAULTS, ...settings };
+
+    if (!Number.isInteger(loop.maxIterations) || loop.maxIterations < 1 || loop.maxIterations > LOOP_LIMITS.maxIterations) {
+        errors.push(`loop.maxIterations must be an integer between 1 and ${LOOP_LIMITS.maxIterations}`);
+    }
+    if (typeof loop.qualityThreshold !== 'number' || loop.qualityThreshold < 0 || loop.qualityThreshold > 100) {
+        errors.push('loop.qualityThreshold must be a number between 0 and 100');
+    }
+    if (loop.tokenBudget !== null && (!Number.isInteger(loop.tokenBudget) || loop.tokenBudget < 1)) {
+        errors.push('loop.tokenBudget must be a positive integer or null');
+    }
+    if (typeof loop.minImprovement !== 'number' || loop.minImprovement < 0) {
+        errors.push('loop.minImprovement must be a non-negative number');
+    }
+    if (!Number.isInteger(loop.patience) || loop.patience < 1) {
+        errors.push('loop.patience must be a positive integer');
+    }
+
+    const entries = workflow.order.filter(id => workflow.upstream[id].length === 0);
+    if (loop.draftAgent === undefined) {
+        if (entries.length === 1) loop.draftAgent = entries[0];
+        else errors.push(`loop.draftAgent must name the agent to revise when the workflow has several entry agents (${entries.join(', ')})`);
+    } else if (!Object.hasOwn(workflow.agents, loop.draftAgent)) {
+        errors.push(`loop.draftAgent refers to unknown agent "${loop.draftAgent}"`);
+    }
+    if (loop.draftAgent !== undefined && loop.draftAgent === workflow.output) {
+        errors.push(`loop.draftAgent "${loop.draftAgent}" is also the final agent, so nothing scores its drafts`);
+    }
+
+    if (errors.length > 0) return { errors };
+    return { loop };
+}
+
+function formatDraft(draft) {
+    return typeof draft === 'string' ? draft : JSON.stringify(draft, null, 2);
+}
+
+function bulletList(items) {
+    return Array.isArray(items) && items.length > 0
+        ? items.map(item => `- ${typeof item === 'string' ? item : JSON.stringify(item)}`).join('\n')
+        : '- (none)';
+}
+
+// Appended to the draft agent's prompt from the second round on
+function revisionPrompt(round, previousDraft, review) {
+    return `
+
+---
+This is revision round ${round}. Your previous version was:
+${formatDraft(previousDraft)}
+
+The reviewer scored it ${review.quality_score}/100${review.validation_status ? ` (${review.validation_status})` : ''}.${review.validation_notes ? `\nReviewer notes: ${review.validation_notes}` : ''}
+
+Issues found:
+${bulletList(review.issues)}
+
+Suggestions:
+${bulletList(review.suggestions)}
+
+Revise your previous version so that it addresses every issue and suggestion. Keep what already works, and respond in exactly the same format as before.`;
+}
+
+// Word-level diff via longest common subsequence: [{ op: 'equal'|'insert'|'delete', text }]
+function diffWords(before, after) {
+    const a = before.split(/(\s+)/).filter(Boolean);
+    const b = after.split(/(\s+)/).filter(Boolean);
+
+    if (a.length * b.length > LOOP_LIMITS.maxDiffCells) {
+        return [{ op: 'delete', text: before }, { op: 'insert', text: after }].filter(change => change.text);
+    }
+
+    // lengths[i][j] = LCS of a[i..] and b[j..], stored row-major
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const changes = [];
+    const push = (op, text) => {
+        const last = changes[changes.length - 1];
+        if (last && last.op === op) last.text += text;
+        else changes.push({ op, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            push('delete', a[i++]);
+        } else {
+            push('insert', b[j++]);
+        }
+    }
+    while (i < a.length) push('delete', a[i++]);
+    while (j < b.length) push('insert', b[j++]);
+    return changes;
+}
+
+function countWords(changes, op) {
+    return changes
+        .filter(change => change.op === op)
+        .reduce((sum, change) => sum + change.text.split(/\s+/).filter(Boolean).length, 0);
+}
+
+/**
+ * Diff two drafts field by field (top-level keys of JSON drafts, or the whole text).
+ * Returns { changed, wordsAdded, wordsRemoved, fields: [{ field, wordsAdded, wordsRemoved, changes }] }.
+ */
+function diffDrafts(before, after) {
+    const asFields = draft => (draft && typeof draft === 'object' && !Array.isArray(draft)
+        ? Object.fromEntries(Object.entries(draft).map(([key, value]) => [key, formatDraft(value ?? '')]))
+        : { text: formatDraft(draft ?? '') });
+
+    const previous = asFields(before);
+    const next = asFields(after);
+    const names = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+    const fields = names
+        .filter(field => previous[field] !== next[field])
+        .map(field => {
+            const changes = diffWords(previous[field] || '', next[field] || '');
+            return { field, wordsAdded: countWords(changes, 'insert'), wordsRemoved: countWords(changes, 'delete'), changes };
+        });
+
+    return {
+        changed: fields.length > 0,
+        wordsAdded: fields.reduce((sum, field) => sum + field.wordsAdded, 0),
+        wordsRemoved: fields.reduce((sum, field) => sum + field.wordsRemoved, 0),
+        fields
+    };
+}
+
+function roundTokens(run) {
+    return run.summary.totalTokensUsed.input + run.summary.totalTokensUsed.output;
+}
+
+/**
+ * Run the loop. `runRound(revisions)` runs the workflow once, with `revisions` mapping
+ * agent ids to text appended to their prompts, and resolves to a runWorkflow result.
+ * Returns { rounds, runs, bestRound, stopReason, tokensUsed, executionTime }; `runs`
+ * holds the full result of every round, `rounds` the history for clients.
+ */
+async function runRefinementLoop(workflow, loop, { runRound }) {
+    const startTime = Date.now();
+    const rounds = [];
+    const runs = [];
+    let tokensUsed = 0;
+    let best = null;
+    let roundsWithoutImprovement = 0;
+    let stopReason = 'max-iterations';
+
+    for (let round = 1; round <= loop.maxIterations; round++) {
+        const previous = rounds[rounds.length - 1];
+        const revisions = previous
+            ? { [loop.draftAgent]: revisionPrompt(round, previous.draft, previous.review) }
+            : {};
+
+        const run = await runRound(revisions, round);
+        runs.push(run);
+        tokensUsed += roundTokens(run);
+
+        const draftResult = run.results[loop.draftAgent];
+        const draft = draftResult.success ? (draftResult.parsed ?? draftResult.rawResponse) : null;
+        const review = run.output && typeof run.output === 'object' ? run.output : {};
+        const score = typeof review.quality_score === 'number' ? review.quality_score : null;
+
+        const entry = {
+            round,
+            success: run.success,
+            qualityScore: score,
+            validationStatus: review.validation_status || 'unknown',
+            issues: review.issues || [],
+            suggestions: review.suggestions || [],
+            draft,
+            diff: previous && draft !== null ? diffDrafts(previous.draft, draft) : null,
+            tokensUsed: run.summary.totalTokensUsed,
+            executionTime: run.summary.totalExecutionTime,
+            review
+        };
+        rounds.push(entry);
+
+        if (!run.success || draft === null) {
+            stopReason = 'agent-failed';
+            break;
+        }
+        if (score === null) {
+            stopReason = 'no-score';
+            break;
+        }
+
+        if (best === null || score >= best.qualityScore + loop.minImprovement) {
+            roundsWithoutImprovement = 0;
+        } else {
+            roundsWithoutImprovement++;
+        }
+        if (best === null || score > best.qualityScore) best = entry;
+
+        if (score >= loop.qualityThreshold) {
+            stopReason = 'quality-threshold';
+            break;
+        }
+        if (roundsWithoutImprovement >= loop.patience) {
+            stopReason = 'no-improvement';
+            break;
+        }
+        if (round === loop.maxIterations) break;
+        // Assume the next round costs about as much as this one
+        if (loop.tokenBudget !== null && tokensUsed + roundTokens(run) > loop.tokenBudget) {
+            stopReason = 'token-budget';
+            break;
+        }
+    }
+
+    return {
+        rounds,
+        runs,
+        bestRound: best ? best.round : rounds.length,
+        stopReason,
+        tokensUsed,
+        executionTime: Date.now() - startTime
+    };
+}
+
+module.exports = {
+    LOOP_DEFAULTS,
+    LOOP_LIMITS,
+    STOP_REASONS,
+    normalizeLoop,
+    diffWords,
+    diffDrafts,
+    runRefinementLoop
+};
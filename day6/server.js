@@ -1,8 +1,22 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
+const { getProvider, LLMProviderError } = require('../day1/llm-providers');
+const { ApiAuth } = require('../day1/api-auth');
+const { getRateLimiter, rateLimitStatus, RATE_LIMIT_DEFAULTS } = require('../day1/rate-limiter');
+const {
+    EDGE_TYPES,
+    WORKFLOW_LIMITS,
+    normalizeWorkflow,
+    describeAgent,
+    runWorkflow,
+    loadWorkflows
+} = require('./workflow-runner');
+const { normalizeLoop, runRefinementLoop } = require('./refinement-loop');
+const { parseAgentOutput, ParseMetrics } = require('./structured-output');
+const { buildRepairPrompt } = require('../day2/structured-output');
+const { normalizeTopology, topologyWorkflow, summarizeTopology, describeTopologies } = require('./topologies');
 
 const app = express();
 const PORT = process.env.PORT || 3006;
@@ -11,413 +25,487 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day6' });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-if (!ANTHROPIC_API_KEY) {
-    console.warn('Warning: ANTHROPIC_API_KEY environment variable not set');
+if (!getProvider().isConfigured()) {
+    console.warn(`Warning: LLM provider "${getProvider().name}" is not configured (set ANTHROPIC_API_KEY or LLM_PROVIDER)`);
 }
 
-// Rate limiting configuration (optional - can be disabled if not needed)
-const RATE_LIMITS = {
-    minDelayBetweenRequests: 500, // 0.5 seconds between requests (reduced)
-    maxRequestsPerMinute: 50, // Increased limit
-    requestTimestamps: []
-};
-
-// Check if we can make a request
-function canMakeRequest() {
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
+// Workflow definitions (see workflows/*.json); each names its agents and the edges between them
+const WORKFLOWS_DIR = path.join(__dirname, 'workflows');
+const DEFAULT_WORKFLOW = 'generate-validate';
+const WORKFLOWS = loadWorkflows(WORKFLOWS_DIR);
 
-    // Clean old timestamps
-    RATE_LIMITS.requestTimestamps = RATE_LIMITS.requestTimestamps.filter(
-        timestamp => timestamp > oneMinuteAgo
-    );
-
-    // Check if we're under the limit
-    return RATE_LIMITS.requestTimestamps.length < RATE_LIMITS.maxRequestsPerMinute;
+if (!WORKFLOWS.has(DEFAULT_WORKFLOW)) {
+    console.warn(`Warning: default workflow "${DEFAULT_WORKFLOW}" not found in ${WORKFLOWS_DIR}`);
 }
 
-// Record a request
-function recordRequest() {
-    RATE_LIMITS.requestTimestamps.push(Date.now());
+// Built-in workflow id, inline definition, or the default. Returns { workflow } or { errors }
+function resolveWorkflow(requested = DEFAULT_WORKFLOW) {
+    if (typeof requested === 'string') {
+        const workflow = WORKFLOWS.get(requested);
+        return workflow ? { workflow } : { errors: [`unknown workflow "${requested}" (available: ${[...WORKFLOWS.keys()].join(', ')})`] };
+    }
+    return normalizeWorkflow(requested);
 }
 
-// Wait for rate limit
-async function waitForRateLimit() {
-    if (!canMakeRequest()) {
-        const oldestRequest = RATE_LIMITS.requestTimestamps[0];
-        const timeToWait = 60000 - (Date.now() - oldestRequest) + 100; // Add 100ms buffer
+function describeWorkflow(workflow) {
+    return {
+        id: workflow.id,
+        name: workflow.name,
+        description: workflow.description,
+        output: workflow.output,
+        agents: Object.fromEntries(workflow.order.map(id => [id, describeAgent(workflow.agents[id])])),
+        edges: workflow.edges,
+        steps: workflow.order.map(id => ({
+            step: workflow.steps[id],
+            agent: id,
+            name: workflow.agents[id].name,
+            role: workflow.agents[id].role,
+            waitsFor: workflow.upstream[id]
+        }))
+    };
+}
 
-        if (timeToWait > 0) {
-            console.log(`⏰ Rate limit reached. Waiting ${Math.ceil(timeToWait / 1000)} seconds...`);
-            await new Promise(resolve => setTimeout(resolve, timeToWait));
+// Collect a streamed completion, passing each text chunk to `onDelta`
+async function streamCompletion(llm, request, onDelta) {
+    let text = '';
+    let usage = { input_tokens: 0, output_tokens: 0 };
+    let headers = {};
+
+    for await (const event of llm.stream(request)) {
+        if (event.type === 'start') headers = event.headers || {};
+        if (event.type === 'usage') usage = event.usage;
+        if (event.type === 'error') {
+            throw new LLMProviderError(event.error, { provider: llm.name, type: event.errorType });
+        }
+        if (event.type === 'delta') {
+            text += event.text;
+            onDelta(event.text);
         }
     }
 
-    // Also add minimum delay between requests
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMITS.minDelayBetweenRequests));
+    return { text, usage, provider: llm.name, headers };
 }
 
-// Agent configurations
-const AGENTS = {
-    generator: {
-        name: 'Content Generator',
-        model: 'claude-3-haiku-20240307',
-        temperature: 0.8,
-        role: 'Generate creative content based on user requirements',
-        systemPrompt: 'You are a creative content generator. Your task is to create content based on user requirements. Always output ONLY valid JSON (no markdown, no explanations) with the following structure:\n{\n  "title": "string",\n  "content": "string with no line breaks - use spaces instead",\n  "metadata": {\n    "word_count": number,\n    "tone": "string",\n    "key_points": ["string", "string", "string"]\n  }\n}\n\nIMPORTANT: In the content field, replace all newlines with spaces. Output only the JSON object, nothing else.'
-    },
-    validator: {
-        name: 'Content Validator & Refiner',
-        model: 'claude-3-haiku-20240307', // Using Haiku for both agents - Sonnet 3.5 model name varies by region
-        temperature: 0.3,
-        role: 'Validate and improve content from the generator',
-        systemPrompt: 'You are a content validator and refiner. You will receive content in JSON format. Your task is to: 1) Validate that it meets quality standards, 2) Check for accuracy and coherence, 3) Suggest improvements, 4) Provide a refined version if needed. Output ONLY valid JSON with fields: validation_status (pass/fail/needs_improvement), issues (array), suggestions (array), refined_content (with same structure as input), quality_score (0-100), validation_notes (string). No markdown, no explanations.'
-    }
-};
+// Function to call the agent's LLM provider through its shared rate limiter
+// (agentConfig.provider picks the backend; otherwise LLM_PROVIDER / anthropic).
+// With `onDelta` the response is streamed chunk by chunk; `onRateLimitWait` hears
+// about every pause, local or requested by the provider. Higher `priority` requests
+// (default: agentConfig.priority) leave the limiter's queue first.
+// `userMessage` may also be a full list of messages (used to re-ask with an error).
+async function callClaude(agentConfig, userMessage, systemPrompt = null, options = {}) {
+    const { onDelta = null, onRateLimitWait = () => {}, signal, priority = agentConfig.priority || 0 } = options;
 
-// Function to call Claude API with rate limiting
-async function callClaude(agentConfig, userMessage, systemPrompt = null) {
-    // Wait for rate limit before making request
-    await waitForRateLimit();
-    recordRequest();
+    const messages = Array.isArray(userMessage) ? userMessage : [
+        {
+            role: 'user',
+            content: userMessage
+        }
+    ];
 
     const startTime = Date.now();
 
+    let llm;
+    let limiter;
     try {
-        const messages = [
-            {
-                role: 'user',
-                content: userMessage
-            }
-        ];
-
-        const requestBody = {
-            model: agentConfig.model,
-            max_tokens: 2000,
-            temperature: agentConfig.temperature,
-            messages: messages
+        llm = getProvider(agentConfig.provider);
+        limiter = getRateLimiter(llm.name);
+    } catch (error) {
+        // Fails this agent only; its siblings in the workflow keep running
+        return {
+            success: false,
+            error: error.message,
+            errorType: error.type || 'unknown',
+            responseTime: Date.now() - startTime
         };
+    }
 
-        // Add system prompt if provided
-        if (systemPrompt || agentConfig.systemPrompt) {
-            requestBody.system = systemPrompt || agentConfig.systemPrompt;
-        }
-
-        const response = await axios.post(
-            'https://api.anthropic.com/v1/messages',
-            requestBody,
-            {
-                headers: {
-                    'x-api-key': ANTHROPIC_API_KEY,
-                    'Content-Type': 'application/json',
-                    'anthropic-version': '2023-06-01'
-                }
+    const request = {
+        model: agentConfig.model,
+        maxTokens: agentConfig.maxTokens || 2000,
+        temperature: agentConfig.temperature,
+        system: systemPrompt || agentConfig.systemPrompt || undefined,
+        messages,
+        signal
+    };
+    // Reserve the prompt (about 4 characters per token) plus the longest possible answer;
+    // release() settles the difference with the real usage
+    const promptLength = [request.system || '', ...messages.map(message => message.content)].join('\n').length;
+    const estimatedTokens = Math.ceil(promptLength / 4) + request.maxTokens;
+
+    for (let attempt = 0; ; attempt++) {
+        let ticket = null;
+
+        try {
+            // Retries go ahead of requests that haven't been tried yet
+            ticket = await limiter.acquire({ tokens: estimatedTokens, priority: priority + attempt, signal, onWait: onRateLimitWait });
+
+            const response = onDelta
+                ? await streamCompletion(llm, request, onDelta)
+                : await llm.complete(request);
+            limiter.release(ticket, { usage: response.usage, headers: response.headers });
+
+            const responseTime = Date.now() - startTime;
+
+            return {
+                success: true,
+                response: response.text,
+                usage: response.usage,
+                responseTime,
+                model: agentConfig.model,
+                provider: response.provider,
+                temperature: agentConfig.temperature
+            };
+        } catch (error) {
+            if (ticket) limiter.release(ticket, { headers: error.headers, status: error.status });
+            console.error('LLM provider error:', error.details || error.message);
+
+            // Rate limited by the provider: everyone pauses, then this request is retried
+            if (error.status === 429 && !signal?.aborted && attempt < limiter.limits.maxRetries) {
+                const waitTime = limiter.backoff(attempt, error.retryAfter);
+                console.log(`⏰ Rate limit hit. Waiting ${(waitTime / 1000).toFixed(1)} seconds before retry ${attempt + 1}/${limiter.limits.maxRetries}...`);
+                continue;
             }
-        );
 
-        const responseTime = Date.now() - startTime;
-        const responseText = response.data.content[0].text;
+            return {
+                success: false,
+                error: error.message,
+                errorType: error.type || 'unknown',
+                responseTime: Date.now() - startTime
+            };
+        }
+    }
+}
 
-        return {
-            success: true,
-            response: responseText,
-            usage: response.data.usage,
-            responseTime,
-            model: agentConfig.model,
-            temperature: agentConfig.temperature
+// Pipeline, summary and log of one workflow run, as returned by /api/run-agents
+function describeRun(workflow, run) {
+    // Keyed by step and agent, e.g. step1_generator, step2_validator
+    const pipeline = {};
+    workflow.order.forEach(id => {
+        const result = run.results[id];
+        pipeline[`step${workflow.steps[id]}_${id}`] = {
+            agent: describeAgent(workflow.agents[id]),
+            result,
+            output: result.success ? (result.parsed ?? result.rawResponse) : null
         };
-    } catch (error) {
-        console.error('Claude API error:', error.response?.data || error.message);
-
-        // Handle rate limit errors specifically
-        if (error.response?.status === 429) {
-            const retryAfter = error.response?.headers['retry-after'];
-            const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : 60000;
+    });
 
-            console.log(`⏰ Rate limit hit. Waiting ${waitTime / 1000} seconds before retry...`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
+    const final = run.results[workflow.output];
+    return {
+        success: run.success,
+        pipeline,
+        output: run.output,
+        summary: {
+            ...run.summary,
+            validationStatus: final.parsed?.validation_status || 'unknown',
+            qualityScore: final.parsed?.quality_score ?? null
+        },
+        executionLog: run.executionLog
+    };
+}
 
-            // Retry once after waiting
-            return callClaude(agentConfig, userMessage, systemPrompt);
-        }
+// Task, workflow (or topology) and loop settings of a run request.
+// Returns { run } or { status, error, details? } to send back as is.
+function prepareRun(body) {
+    const { task, provider } = body;
 
-        return {
-            success: false,
-            error: error.response?.data?.error?.message || error.message,
-            errorType: error.response?.data?.error?.type || 'unknown',
-            responseTime: Date.now() - startTime
-        };
+    if (!task) {
+        return { status: 400, error: 'Task is required' };
     }
-}
 
-// Parse JSON from agent response (handles markdown code blocks and cleaning)
-function parseAgentResponse(responseText) {
-    // Helper to clean JSON string of control characters
-    function cleanJsonString(str) {
-        // Remove control characters except for \n, \r, \t which are valid in JSON strings
-        return str.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+    let topology = null;
+    if (body.topology !== undefined) {
+        const normalized = normalizeTopology(body.topology);
+        const conflicts = [
+            body.workflow !== undefined && 'topology and workflow cannot be combined',
+            body.loop !== undefined && body.loop !== false && 'topology and loop cannot be combined'
+        ].filter(Boolean);
+        if (normalized.errors || conflicts.length > 0) {
+            return { status: 400, error: 'Invalid topology', details: [...(normalized.errors || []), ...conflicts] };
+        }
+        topology = normalized.topology;
     }
 
-    try {
-        // Try direct JSON parse first
-        const cleaned = cleanJsonString(responseText);
-        return JSON.parse(cleaned);
-    } catch (e) {
-        // Try to extract JSON from markdown code blocks
-        const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-            try {
-                const cleaned = cleanJsonString(jsonMatch[1]);
-                return JSON.parse(cleaned);
-            } catch (e2) {
-                console.error('Failed to parse JSON from markdown:', e2);
-            }
-        }
+    const { workflow, errors } = topology ? { workflow: topologyWorkflow(topology) } : resolveWorkflow(body.workflow);
+    if (errors) {
+        return { status: 400, error: 'Invalid workflow', details: errors };
+    }
 
-        // Try to find JSON-like content
-        const jsonStart = responseText.indexOf('{');
-        const jsonEnd = responseText.lastIndexOf('}');
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-            try {
-                const jsonStr = responseText.substring(jsonStart, jsonEnd + 1);
-                const cleaned = cleanJsonString(jsonStr);
-                return JSON.parse(cleaned);
-            } catch (e3) {
-                console.error('Failed to extract JSON:', e3);
-                // Log the problematic content for debugging
-                console.error('Attempted to parse:', jsonStr.substring(0, 200));
-            }
+    let loop = null;
+    if (body.loop !== undefined && body.loop !== false) {
+        const normalized = normalizeLoop(body.loop, workflow);
+        if (normalized.errors) {
+            return { status: 400, error: 'Invalid loop settings', details: normalized.errors };
         }
-
-        return null;
+        loop = normalized.loop;
     }
-}
-
-// Agent 1: Content Generator
-async function runGeneratorAgent(task) {
-    console.log('🤖 Agent 1 (Generator) starting...');
 
-    const prompt = `Generate content for the following task: "${task}"
+    const llm = getProvider(provider);
 
-Please create engaging content that addresses this task. Remember to format your response as JSON with the following structure:
-{
-    "title": "Title of the content",
-    "content": "The main content text",
-    "metadata": {
-        "word_count": number,
-        "tone": "description of tone",
-        "key_points": ["point1", "point2", "point3"]
+    if (!llm.isConfigured()) {
+        return { status: 500, error: `LLM provider "${llm.name}" not configured` };
     }
-}`;
 
-    const result = await callClaude(AGENTS.generator, prompt);
-
-    if (!result.success) {
-        return { success: false, error: result.error, agent: 'generator' };
-    }
+    return { run: { task, provider, workflow, loop, topology } };
+}
 
-    const parsedContent = parseAgentResponse(result.response);
+// How often agent responses parse directly, need repair or a re-ask, or fail
+const parseMetrics = new ParseMetrics();
 
-    return {
-        success: true,
-        agent: 'generator',
-        rawResponse: result.response,
-        parsedContent,
-        usage: result.usage,
-        responseTime: result.responseTime,
-        model: result.model,
-        temperature: result.temperature
-    };
+// The conversation that re-asks an agent whose JSON response could not be used
+function reaskMessages(agent, prompt, repair) {
+    return [
+        { role: 'user', content: prompt },
+        { role: 'assistant', content: repair.response || '(empty response)' },
+        { role: 'user', content: buildRepairPrompt(repair.errors, { schema: agent.schema }) }
+    ];
 }
 
-// Agent 2: Validator & Refiner
-async function runValidatorAgent(generatedContent, originalTask) {
-    console.log('🔍 Agent 2 (Validator) starting...');
-
-    const prompt = `Review and validate the following content that was generated for the task: "${originalTask}"
-
-Generated Content:
-${JSON.stringify(generatedContent, null, 2)}
-
-Please analyze this content and provide your validation in JSON format with the following structure:
-{
-    "validation_status": "pass" or "needs_improvement" or "fail",
-    "issues": ["list of any issues found"],
-    "suggestions": ["list of improvement suggestions"],
-    "refined_content": {
-        "title": "improved title if needed",
-        "content": "improved content if needed",
-        "metadata": {
-            "word_count": number,
-            "tone": "tone description",
-            "key_points": ["refined points"]
-        }
-    },
-    "quality_score": number between 0-100,
-    "validation_notes": "overall assessment and reasoning"
-}`;
+// Execution-log statuses and the live event each one is sent as
+const LOG_EVENTS = {
+    'starting': 'agent-started',
+    'parse-failed': 'parse-failure',
+    'completed': 'agent-finished',
+    'failed': 'agent-finished',
+    'skipped': 'agent-finished'
+};
 
-    const result = await callClaude(AGENTS.validator, prompt);
+/**
+ * Run a prepared request and build the /api/run-agents response body. With `emit(event, data)`
+ * agents stream their output and every step is reported as it happens (see /api/run-agents/stream).
+ */
+async function executeRun({ task, provider, workflow, loop, topology }, { emit = null, signal } = {}) {
+    const send = emit || (() => {});
+
+    const runRound = async (revisions = {}, round = 1) => {
+        if (loop) send('round-started', { round, maxIterations: loop.maxIterations });
+
+        const run = await runWorkflow(workflow, task, {
+            callAgent: (agent, prompt, repair) => callClaude(
+                provider ? { ...agent, provider } : agent,
+                repair ? reaskMessages(agent, prompt, repair) : prompt,
+                null,
+                {
+                    signal,
+                    // A re-ask finishes an agent that has already started
+                    priority: agent.priority + (repair ? 1 : 0),
+                    onDelta: emit ? text => send('delta', { round, agentId: agent.id, text }) : null,
+                    onRateLimitWait: wait => send('rate-limit-wait', { round, agentId: agent.id, agent: agent.name, ...wait })
+                }
+            ),
+            parse: (text, agent) => parseAgentOutput(text, agent.schema),
+            revisions,
+            onEvent: entry => {
+                const prefix = loop ? `Round ${round}, step` : 'Step';
+                if (entry.status === 'starting') console.log(`🤖 ${prefix} ${entry.step}: ${entry.agent} starting...`);
+                send(LOG_EVENTS[entry.status], { round, ...entry });
+            }
+        });
 
-    if (!result.success) {
-        return { success: false, error: result.error, agent: 'validator' };
-    }
+        workflow.order
+            .filter(id => run.results[id].parse)
+            .forEach(id => parseMetrics.record(`${workflow.id}.${id}`, run.results[id].parse));
+        return run;
+    };
 
-    const parsedValidation = parseAgentResponse(result.response);
+    let body;
+    if (topology) {
+        // The topology's verdict or tally is the result, with every agent's turn in the transcript
+        const run = await runRound();
+        const summary = summarizeTopology(topology, workflow, run);
+        body = describeRun(workflow, run);
+        body.success = summary.success;
+        body.output = summary.result;
+        body.topology = summary;
+    } else if (!loop) {
+        body = describeRun(workflow, await runRound());
+    } else {
+        const result = await runRefinementLoop(workflow, loop, { runRound });
+        console.log(`🔁 Refinement loop stopped after ${result.rounds.length} round(s): ${result.stopReason}`);
+
+        // The best-scoring round is the result; time, tokens and log cover every round
+        body = describeRun(workflow, result.runs[result.bestRound - 1]);
+        body.summary.totalExecutionTime = result.executionTime;
+        body.summary.totalTokensUsed = result.runs.reduce((total, run) => ({
+            input: total.input + run.summary.totalTokensUsed.input,
+            output: total.output + run.summary.totalTokensUsed.output
+        }), { input: 0, output: 0 });
+        body.executionLog = result.runs.flatMap((run, index) => run.executionLog.map(entry => ({ round: index + 1, ...entry })));
+        body.loop = {
+            settings: loop,
+            iterations: result.rounds.length,
+            bestRound: result.bestRound,
+            stopReason: result.stopReason,
+            tokensUsed: result.tokensUsed,
+            rounds: result.rounds
+        };
+    }
 
-    return {
-        success: true,
-        agent: 'validator',
-        rawResponse: result.response,
-        parsedValidation,
-        usage: result.usage,
-        responseTime: result.responseTime,
-        model: result.model,
-        temperature: result.temperature
+    body = {
+        success: body.success,
+        task,
+        workflow: { id: workflow.id, name: workflow.name, output: workflow.output },
+        ...body,
+        timestamp: new Date().toISOString()
     };
+
+    if (!body.success && topology) {
+        body = { error: `${workflow.name} did not reach a result`, details: body.topology.error, ...body };
+    } else if (!body.success) {
+        const final = body.pipeline[`step${workflow.steps[workflow.output]}_${workflow.output}`];
+        body = {
+            error: `${workflow.agents[workflow.output].name} did not complete`,
+            details: final.result.error,
+            ...body
+        };
+    }
+    return body;
 }
 
-// Main endpoint: Run both agents in sequence
+// Main endpoint: run a workflow's agents, each as soon as its inputs are ready;
+// with `loop`, rerun it with the reviewer's feedback until a stopping criterion is met;
+// with `topology`, run a judge, debate or vote set-up instead of a workflow
 app.post('/api/run-agents', async (req, res) => {
     try {
-        const { task } = req.body;
-
-        if (!task) {
-            return res.status(400).json({ error: 'Task is required' });
+        const prepared = prepareRun(req.body);
+        if (!prepared.run) {
+            const { status, ...error } = prepared;
+            return res.status(status).json(error);
         }
 
-        if (!ANTHROPIC_API_KEY) {
-            return res.status(500).json({
-                error: 'Anthropic API key not configured'
-            });
+        const body = await executeRun(prepared.run);
+        res.status(body.success ? 200 : 500).json(body);
+
+    } catch (error) {
+        console.error('Error in agent pipeline:', error);
+        if (error.type === 'unknown_provider') {
+            return res.status(400).json({ error: error.message });
         }
+        res.status(500).json({
+            error: 'Failed to run agent pipeline',
+            details: error.message
+        });
+    }
+});
 
-        const executionLog = [];
-        const startTime = Date.now();
+// Streaming variant of /api/run-agents: reports each agent's progress as Server-Sent Events
+// (run-started, round-started, agent-started, delta, parse-failure, rate-limit-wait,
+// agent-finished, then done with the same body /api/run-agents returns, or error)
+app.post('/api/run-agents/stream', async (req, res) => {
+    let prepared;
+    try {
+        prepared = prepareRun(req.body);
+    } catch (error) {
+        return res.status(error.type === 'unknown_provider' ? 400 : 500).json({ error: error.message });
+    }
+    if (!prepared.run) {
+        const { status, ...error } = prepared;
+        return res.status(status).json(error);
+    }
 
-        // Step 1: Run Generator Agent
-        executionLog.push({
-            step: 1,
-            agent: AGENTS.generator.name,
-            status: 'starting',
-            timestamp: new Date().toISOString()
-        });
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
 
-        const generatorResult = await runGeneratorAgent(task);
+    const sendEvent = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Abort the agents' requests when the client disconnects; the rest of the run is skipped
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+        const { task, workflow, loop, topology } = prepared.run;
+        sendEvent('run-started', { task, workflow: describeWorkflow(workflow), loop, topology });
 
-        if (!generatorResult.success) {
-            return res.status(500).json({
-                error: 'Generator agent failed',
-                details: generatorResult.error,
-                executionLog
-            });
+        const body = await executeRun(prepared.run, { emit: sendEvent, signal: controller.signal });
+        if (controller.signal.aborted) {
+            console.log('Agent pipeline stream cancelled by client');
+            return;
         }
+        sendEvent('done', body);
+    } catch (error) {
+        console.error('Error in agent pipeline:', error);
+        sendEvent('error', { error: 'Failed to run agent pipeline', details: error.message });
+    } finally {
+        res.end();
+    }
+});
 
-        executionLog.push({
-            step: 1,
-            agent: AGENTS.generator.name,
-            status: 'completed',
-            timestamp: new Date().toISOString(),
-            responseTime: generatorResult.responseTime,
-            tokensUsed: generatorResult.usage
-        });
+// Parse paths taken by agent responses since startup (or the last reset)
+app.get('/api/parse-metrics', (req, res) => {
+    res.json(parseMetrics.snapshot());
+});
 
-        // Step 2: Run Validator Agent with Generator's output
-        executionLog.push({
-            step: 2,
-            agent: AGENTS.validator.name,
-            status: 'starting',
-            timestamp: new Date().toISOString()
-        });
+app.delete('/api/parse-metrics', (req, res) => {
+    parseMetrics.reset();
+    res.json({ success: true });
+});
 
-        const validatorResult = await runValidatorAgent(
-            generatorResult.parsedContent,
-            task
-        );
-
-        if (!validatorResult.success) {
-            return res.status(500).json({
-                error: 'Validator agent failed',
-                details: validatorResult.error,
-                generatorResult,
-                executionLog
-            });
-        }
+// Judge, debate and vote topologies, with their defaults and the workflow each expands to
+app.get('/api/topologies', (req, res) => {
+    res.json({
+        topologies: describeTopologies().map(topology => ({
+            ...topology,
+            workflow: describeWorkflow(topologyWorkflow(normalizeTopology(topology.type).topology))
+        }))
+    });
+});
 
-        executionLog.push({
-            step: 2,
-            agent: AGENTS.validator.name,
-            status: 'completed',
-            timestamp: new Date().toISOString(),
-            responseTime: validatorResult.responseTime,
-            tokensUsed: validatorResult.usage
-        });
+// Buckets, queue and 429 pauses of the rate limiter each provider's agents share
+app.get('/api/rate-limit/status', (req, res) => {
+    res.json({
+        defaults: RATE_LIMIT_DEFAULTS,
+        providers: rateLimitStatus(),
+        timestamp: new Date().toISOString()
+    });
+});
 
-        const totalTime = Date.now() - startTime;
-
-        // Prepare final response
-        res.json({
-            success: true,
-            task,
-            pipeline: {
-                step1_generator: {
-                    agent: AGENTS.generator,
-                    result: generatorResult,
-                    output: generatorResult.parsedContent
-                },
-                step2_validator: {
-                    agent: AGENTS.validator,
-                    result: validatorResult,
-                    validation: validatorResult.parsedValidation
-                }
-            },
-            summary: {
-                totalExecutionTime: totalTime,
-                totalTokensUsed: {
-                    input: (generatorResult.usage?.input_tokens || 0) + (validatorResult.usage?.input_tokens || 0),
-                    output: (generatorResult.usage?.output_tokens || 0) + (validatorResult.usage?.output_tokens || 0)
-                },
-                validationStatus: validatorResult.parsedValidation?.validation_status || 'unknown',
-                qualityScore: validatorResult.parsedValidation?.quality_score || null
-            },
-            executionLog,
-            timestamp: new Date().toISOString()
-        });
+// Workflow definitions
+app.get('/api/workflows', (req, res) => {
+    res.json({
+        default: DEFAULT_WORKFLOW,
+        edgeTypes: EDGE_TYPES,
+        limits: WORKFLOW_LIMITS,
+        workflows: [...WORKFLOWS.values()].map(describeWorkflow)
+    });
+});
 
-    } catch (error) {
-        console.error('Error in agent pipeline:', error);
-        res.status(500).json({
-            error: 'Failed to run agent pipeline',
-            details: error.message
-        });
+app.get('/api/workflows/:id', (req, res) => {
+    const workflow = WORKFLOWS.get(req.params.id);
+    if (!workflow) {
+        return res.status(404).json({ error: `Workflow "${req.params.id}" not found` });
+    }
+    res.json(describeWorkflow(workflow));
+});
+
+// Check a definition without running it
+app.post('/api/workflows/validate', (req, res) => {
+    const { workflow, errors } = normalizeWorkflow(req.body.workflow ?? req.body);
+    if (errors) {
+        return res.status(400).json({ valid: false, error: 'Invalid workflow', details: errors });
     }
+    res.json({ valid: true, workflow: describeWorkflow(workflow) });
 });
 
-// Get agent configurations
+// Get agent configurations (of the default workflow)
 app.get('/api/agents', (req, res) => {
-    res.json({
-        agents: AGENTS,
-        workflow: {
-            description: 'Two-agent validation pipeline',
-            steps: [
-                {
-                    step: 1,
-                    agent: 'generator',
-                    action: 'Generate content based on user task',
-                    output: 'Structured JSON content with title, body, and metadata'
-                },
-                {
-                    step: 2,
-                    agent: 'validator',
-                    action: 'Validate and refine the generated content',
-                    input: 'Output from generator agent',
-                    output: 'Validation report with quality score and refined content'
-                }
-            ]
-        }
-    });
+    const workflow = WORKFLOWS.get(DEFAULT_WORKFLOW);
+    if (!workflow) {
+        return res.status(404).json({ error: `Workflow "${DEFAULT_WORKFLOW}" not found` });
+    }
+    const { agents, description, steps } = describeWorkflow(workflow);
+    res.json({ agents, workflow: { id: workflow.id, description, steps } });
 });
 
 // Example tasks
@@ -463,15 +551,11 @@ app.get('/api/example-tasks', (req, res) => {
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
-        hasApiKey: !!ANTHROPIC_API_KEY,
-        agents: Object.keys(AGENTS),
-        rateLimits: {
-            maxRequestsPerMinute: RATE_LIMITS.maxRequestsPerMinute,
-            minDelayBetweenRequests: RATE_LIMITS.minDelayBetweenRequests,
-            currentRequestsInLastMinute: RATE_LIMITS.requestTimestamps.filter(
-                ts => ts > Date.now() - 60000
-            ).length
-        },
+        hasApiKey: getProvider().isConfigured(),
+        provider: getProvider().name,
+        workflows: [...WORKFLOWS.keys()],
+        defaultWorkflow: DEFAULT_WORKFLOW,
+        rateLimits: RATE_LIMIT_DEFAULTS,
         timestamp: new Date().toISOString()
     });
 });
@@ -483,12 +567,16 @@ app.get('/', (req, res) => {
 app.listen(PORT, () => {
     console.log(`Day 6 - Subagent Interaction running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to test agent collaboration`);
+    console.log(`LLM provider: ${getProvider().name} (configured: ${getProvider().isConfigured()})`);
     console.log(`API Key configured: ${!!ANTHROPIC_API_KEY}`);
-    console.log(`\nAgent Pipeline:`);
-    console.log(`  1. ${AGENTS.generator.name} (${AGENTS.generator.model})`);
-    console.log(`  2. ${AGENTS.validator.name} (${AGENTS.validator.model})`);
+    console.log(`\nWorkflows:`);
+    WORKFLOWS.forEach(workflow => {
+        const marker = workflow.id === DEFAULT_WORKFLOW ? ' (default)' : '';
+        console.log(`  - ${workflow.id}${marker}: ${workflow.order.map(id => `${workflow.steps[id]}. ${workflow.agents[id].name}`).join(', ')}`);
+    });
     console.log(`\nRate Limits:`);
-    console.log(`  - Max requests per minute: ${RATE_LIMITS.maxRequestsPerMinute}`);
-    console.log(`  - Min delay between requests: ${RATE_LIMITS.minDelayBetweenRequests}ms`);
+    console.log(`  - Requests per minute: ${RATE_LIMIT_DEFAULTS.requestsPerMinute}`);
+    console.log(`  - Tokens per minute: ${RATE_LIMIT_DEFAULTS.tokensPerMinute}`);
+    console.log(`  - Max concurrent requests: ${RATE_LIMIT_DEFAULTS.maxConcurrent}`);
 });
 
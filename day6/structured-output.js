@@ -0,0 +1,107 @@
+/**
+ * Structured Output - Parsing agent responses for Day 6
+ *
+ * Models asked for JSON still wrap it in markdown, leave trailing commas, put raw
+ * newlines inside strings or stop mid-object when they hit max_tokens. The extraction,
+ * repair and schema checks are Day 2's (../day2/structured-output.js); this adds the
+ * parse path each response took:
+ *
+ *   direct      JSON.parse of the whole response
+ *   fenced      the contents of a ```json fence
+ *   extracted   the first `{` to the last `}`
+ *   repaired    repairJson: trailing commas dropped, newlines in strings escaped,
+ *               truncated strings, values and brackets closed
+ *
+ * When parsing or the schema check fails, the workflow runner re-asks the agent with
+ * the errors (`reasked`); responses that never parse or match end as `failed`.
+ * ParseMetrics counts how often each path is taken.
+ */
+
+const { extractJson, validateAgainstSchema } = require('../day2/structured-output');
+
+const PARSE_PATHS = ['direct', 'fenced', 'extracted', 'repaired', 'reasked', 'failed'];
+
+// Control characters other than \n, \r and \t are never valid in a response we can use
+function stripControlCharacters(text) {
+    return text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+}
+
+function formatErrors(errors) {
+    return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
+
+/**
+ * Parse an agent's response and check it against `schema`.
+ * Returns { value, path, error, errors, schemaErrors }: `error` is null when the value
+ * parsed and matched, `value` is null when nothing parsed, `path` says which attempt
+ * produced it, and `errors` lists the problems as { path, message } for the re-ask
+ * (`schemaErrors` only those from the schema check).
+ */
+function parseAgentOutput(responseText, schema = null) {
+    const { value, error, path } = extractJson(stripControlCharacters(responseText || ''), { repair: true });
+
+    if (error) {
+        return {
+            value: null,
+            path: 'failed',
+            error: `Response is not valid JSON (${error})`,
+            errors: [{ path: '$', message: `invalid JSON: ${error}` }],
+            schemaErrors: []
+        };
+    }
+
+    const schemaErrors = schema ? validateAgainstSchema(value, schema) : [];
+    return {
+        value,
+        path,
+        error: schemaErrors.length > 0 ? `Response does not match the expected format: ${formatErrors(schemaErrors)}` : null,
+        errors: schemaErrors,
+        schemaErrors
+    };
+}
+
+// How often each parse path is taken, overall and per agent
+class ParseMetrics {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.since = new Date().toISOString();
+        this.paths = Object.fromEntries(PARSE_PATHS.map(path => [path, 0]));
+        this.reasks = 0;
+        this.schemaFailures = 0;
+        this.byAgent = {};
+    }
+
+    // outcome: { path, reasks, schemaErrors } from the workflow runner
+    record(agentId, outcome) {
+        this.paths[outcome.path] = (this.paths[outcome.path] || 0) + 1;
+        this.reasks += outcome.reasks || 0;
+        if (outcome.schemaErrors?.length > 0) this.schemaFailures++;
+
+        const agent = this.byAgent[agentId] || (this.byAgent[agentId] = Object.fromEntries(PARSE_PATHS.map(path => [path, 0])));
+        agent[outcome.path] = (agent[outcome.path] || 0) + 1;
+    }
+
+    snapshot() {
+        const total = Object.values(this.paths).reduce((sum, count) => sum + count, 0);
+        return {
+            since: this.since,
+            total,
+            paths: this.paths,
+            rates: Object.fromEntries(Object.entries(this.paths).map(([path, count]) => [
+                path, total > 0 ? parseFloat((count / total).toFixed(3)) : 0
+            ])),
+            reasks: this.reasks,
+            schemaFailures: this.schemaFailures,
+            byAgent: this.byAgent
+        };
+    }
+}
+
+module.exports = {
+    PARSE_PATHS,
+    parseAgentOutput,
+    ParseMetrics
+};
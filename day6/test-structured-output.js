@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Structured Output parsing
+ *
+ * Covers the parse paths and errors parseAgentOutput reports and the parse metrics.
+ * The repairs and schema checks themselves are tested with Day 2's module. Runs
+ * offline, no provider needed.
+ *
+ *   node test-structured-output.js
+ */
+
+const assert = require('assert');
+const { PARSE_PATHS, parseAgentOutput, ParseMetrics } = require('./structured-output');
+
+const VALIDATOR_SCHEMA = {
+    type: 'object',
+    required: ['quality_score', 'approved'],
+    properties: {
+        quality_score: { type: 'number', minimum: 0, maximum: 100 },
+        approved: { type: 'boolean' }
+    }
+};
+
+async function testParseAgentOutput(record) {
+    console.log('\n🧾 parseAgentOutput');
+
+    await record('Reports which attempt produced the value', () => {
+        const paths = [
+            '{"a": 1}',
+            'Here you go:\n```json\n{"a": 1}\n```',
+            'The answer is {"a": 1}, as requested.',
+            '```json\n{"a": 1, "b": [2'
+        ].map(text => parseAgentOutput(text).path);
+        assert.deepStrictEqual(paths, ['direct', 'fenced', 'extracted', 'repaired']);
+    });
+
+    await record('Control characters are stripped before parsing', () => {
+        const result = parseAgentOutput('{"a": "b\u0000c"}\u0007');
+        assert.deepStrictEqual([result.path, result.value], ['direct', { a: 'bc' }]);
+    });
+
+    await record('Unparseable responses fail with the JSON error', () => {
+        const result = parseAgentOutput('I cannot help with that.');
+        assert.strictEqual(result.path, 'failed');
+        assert.strictEqual(result.value, null);
+        assert.match(result.error, /^Response is not valid JSON \(/);
+        assert.strictEqual(result.errors[0].path, '$');
+        assert.match(result.errors[0].message, /^invalid JSON: /);
+        assert.strictEqual(parseAgentOutput(null).path, 'failed');
+    });
+
+    await record('Parsed values that miss the schema keep the value and report why', () => {
+        const result = parseAgentOutput('{"quality_score": "high", "approved": true}', VALIDATOR_SCHEMA);
+        assert.strictEqual(result.path, 'direct');
+        assert.deepStrictEqual(result.value, { quality_score: 'high', approved: true });
+        assert.deepStrictEqual(result.schemaErrors, [{ path: '$.quality_score', message: 'expected number, got string' }]);
+        assert.deepStrictEqual(result.errors, result.schemaErrors);
+        assert.strictEqual(result.error, 'Response does not match the expected format: $.quality_score expected number, got string');
+    });
+}
+
+async function testParseMetrics(record) {
+    console.log('\n📊 ParseMetrics');
+
+    await record('Counts paths overall and per agent', () => {
+        const metrics = new ParseMetrics();
+        metrics.record('generator', { path: 'direct', reasks: 0, schemaErrors: [] });
+        metrics.record('validator', { path: 'reasked', reasks: 1, schemaErrors: [] });
+        metrics.record('validator', { path: 'failed', reasks: 1, schemaErrors: [{ path: '$.quality_score', message: 'is required' }] });
+        metrics.record('validator', { path: 'repaired', reasks: 0, schemaErrors: [] });
+
+        const snapshot = metrics.snapshot();
+        assert.deepStrictEqual(Object.keys(snapshot.paths), PARSE_PATHS);
+        assert.strictEqual(snapshot.total, 4);
+        assert.strictEqual(snapshot.rates.direct, 0.25);
+        assert.strictEqual(snapshot.reasks, 2);
+        assert.strictEqual(snapshot.schemaFailures, 1);
+        assert.deepStrictEqual(snapshot.byAgent.validator, { direct: 0, fenced: 0, extracted: 0, repaired: 1, reasked: 1, failed: 1 });
+
+        metrics.reset();
+        assert.strictEqual(metrics.snapshot().total, 0);
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Structured Output Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testParseAgentOutput(record);
+    await testParseMetrics(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Topologies
+ *
+ * Covers the vote tally, including labels that collide with Object.prototype, and how
+ * summarizeTopology turns voter answers into ballots. Runs offline on hand-written
+ * run results; no agent is called.
+ *
+ *   node test-topologies.js
+ */
+
+const assert = require('assert');
+const { normalizeTopology, topologyWorkflow, tallyVotes, summarizeTopology } = require('./topologies');
+
+function vote(label, confidence = null, voter = 'voter') {
+    return { voter, label, confidence };
+}
+
+// A finished vote run where voter_N answered answers[N - 1] (null for a failed voter)
+function voteRun(answers, settings = {}) {
+    const { topology } = normalizeTopology({ type: 'vote', voters: answers.length, ...settings });
+    const workflow = topologyWorkflow(topology);
+    const results = Object.fromEntries(answers.map((answer, i) => [
+        `voter_${i + 1}`,
+        answer === null ? { success: false, error: 'timeout' } : { success: true, parsed: answer, usage: null }
+    ]));
+    return summarizeTopology(topology, workflow, { results });
+}
+
+async function testTally(record) {
+    console.log('\n🗳️  tallyVotes');
+
+    await record('The most common label wins, case-insensitively', () => {
+        const result = tallyVotes([vote('Spam'), vote('spam '), vote('ham')]);
+        assert.strictEqual(result.winner, 'spam');
+        assert.deepStrictEqual(result.counts, { spam: 2, ham: 1 });
+        assert.strictEqual(result.agreement, 0.667);
+        assert.strictEqual(result.majority, true);
+        assert.strictEqual(result.tie, false);
+    });
+
+    await record('Allowed labels keep their own spelling', () => {
+        const result = tallyVotes([vote('POSITIVE'), vote('positive')], ['Positive', 'Negative']);
+        assert.strictEqual(result.winner, 'Positive');
+        assert.deepStrictEqual(result.counts, { Positive: 2 });
+    });
+
+    await record('A tie goes to the label with more total confidence', () => {
+        const result = tallyVotes([vote('a', 0.9), vote('b', 0.6), vote('b', 0.2), vote('a', 0.5)]);
+        assert.strictEqual(result.winner, 'a');
+        assert.strictEqual(result.tie, true);
+        assert.strictEqual(result.tieBrokenBy, 'confidence');
+        assert.strictEqual(result.majority, false);
+    });
+
+    await record('A tie with equal confidence has no winner', () => {
+        const result = tallyVotes([vote('a', 0.5), vote('b', 0.5)]);
+        assert.strictEqual(result.winner, null);
+        assert.strictEqual(result.tieBrokenBy, null);
+        assert.strictEqual(result.agreement, 0);
+    });
+
+    await record('No votes, no winner', () => {
+        assert.deepStrictEqual(tallyVotes([]), {
+            winner: null, votes: 0, counts: {}, agreement: 0, majority: false, tie: false, tieBrokenBy: null
+        });
+    });
+
+    await record('"__proto__" is counted like any other label', () => {
+        const result = tallyVotes([vote('__proto__'), vote('__proto__'), vote('spam')]);
+        assert.strictEqual(result.winner, '__proto__');
+        assert.strictEqual(result.counts.__proto__, 2);
+        assert.strictEqual(JSON.parse(JSON.stringify(result)).counts.spam, 1);
+    });
+
+    await record('"constructor" and "toString" do not pick up inherited values', () => {
+        const result = tallyVotes([vote('constructor'), vote('toString'), vote('constructor')]);
+        assert.strictEqual(result.winner, 'constructor');
+        assert.deepStrictEqual(result.counts, { constructor: 2, tostring: 1 });
+    });
+}
+
+async function testVoteSummary(record) {
+    console.log('\n📋 summarizeTopology (vote)');
+
+    await record('Failed voters and missing labels are not counted', () => {
+        const summary = voteRun([{ label: 'spam', confidence: 0.8 }, null, { reasoning: 'unsure' }, { label: 'spam' }]);
+        assert.strictEqual(summary.success, true);
+        assert.strictEqual(summary.result.winner, 'spam');
+        assert.deepStrictEqual(summary.result.ballots.map(ballot => ballot.voter), ['voter_1', 'voter_4']);
+        assert.deepStrictEqual(summary.transcript.map(entry => entry.status), ['completed', 'failed', 'completed', 'completed']);
+    });
+
+    await record('Labels outside the allowed list are dropped', () => {
+        const summary = voteRun([{ label: 'maybe' }, { label: 'Yes' }, { label: 'no' }, { label: 'YES' }], { labels: ['yes', 'no'] });
+        assert.deepStrictEqual(summary.result.counts, { yes: 2, no: 1 });
+        assert.strictEqual(summary.result.votes, 3);
+    });
+
+    await record('A tied vote and an empty vote are errors', () => {
+        assert.strictEqual(voteRun([{ label: 'a' }, { label: 'b' }]).error, 'The vote is tied');
+        assert.strictEqual(voteRun([null, { label: ' ' }]).error, 'No voter returned a valid label');
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Topologies Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testTally(record);
+    await testVoteSummary(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the Workflow Runner
+ *
+ * Covers workflow validation (agents, edges, cycles, placeholders) and runWorkflow
+ * with a stub in place of the LLM call: parallel branches, skipped downstream
+ * agents, re-asks and revisions. Runs offline, no provider needed.
+ *
+ *   node test-workflow-runner.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { normalizeWorkflow, runWorkflow, loadWorkflows } = require('./workflow-runner');
+const { parseAgentOutput } = require('./structured-output');
+
+// As the server parses: against the agent's own schema
+const parse = (text, agent) => parseAgentOutput(text, agent.schema);
+
+const SCORE_SCHEMA = { type: 'object', required: ['score'], properties: { score: { type: 'number' } } };
+
+// a fans out to b and c, which d aggregates
+const DIAMOND = {
+    agents: {
+        a: { prompt: 'Plan {{task}}', output: 'text' },
+        b: { prompt: 'Draft from {{input}}', output: 'text' },
+        c: { prompt: 'Critique {{input}}', output: 'text' },
+        d: { prompt: 'Merge:\n{{inputs}}', output: 'text' }
+    },
+    edges: [
+        { type: 'fan-out', from: 'a', to: ['b', 'c'] },
+        { type: 'aggregate', from: ['b', 'c'], to: 'd' }
+    ]
+};
+
+function errorsOf(definition) {
+    const { workflow, errors } = normalizeWorkflow(definition);
+    assert.strictEqual(workflow, undefined);
+    return errors;
+}
+
+function workflowOf(definition) {
+    const { workflow, errors } = normalizeWorkflow(definition);
+    assert.strictEqual(errors, undefined, errors && errors.join('; '));
+    return workflow;
+}
+
+// callAgent stub: `replies[id]` is a list of responses (strings, or { error }) given in turn
+function stubAgents(replies, { delay = 0 } = {}) {
+    const calls = [];
+    const callAgent = async (agent, prompt, repair) => {
+        calls.push({ id: agent.id, prompt, repair, startedAt: Date.now() });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        const reply = replies[agent.id].shift();
+        if (reply && reply.error) return { success: false, error: reply.error, errorType: 'api_error', responseTime: delay };
+        return { success: true, response: reply, usage: { input_tokens: 10, output_tokens: 5 }, responseTime: delay, model: agent.model };
+    };
+    return { calls, callAgent };
+}
+
+async function testValidation(record) {
+    console.log('\n🧭 normalizeWorkflow');
+
+    await record('The built-in workflows are valid', () => {
+        const workflows = loadWorkflows(path.join(__dirname, 'workflows'));
+        assert.deepStrictEqual(Array.from(workflows.keys()), ['generate-validate', 'parallel-review']);
+    });
+
+    await record('Resolves order, steps and the output agent', () => {
+        const workflow = workflowOf(DIAMOND);
+        assert.deepStrictEqual(workflow.order, ['a', 'b', 'c', 'd']);
+        assert.deepStrictEqual(workflow.steps, { a: 1, b: 2, c: 2, d: 3 });
+        assert.deepStrictEqual(workflow.upstream.d, ['b', 'c']);
+        assert.strictEqual(workflow.output, 'd');
+    });
+
+    await record('Rejects cycles', () => {
+        const errors = errorsOf({
+            agents: { a: { prompt: '{{input}}' }, b: { prompt: '{{input}}' } },
+            edges: [{ type: 'sequential', from: 'a', to: 'b' }, { type: 'sequential', from: 'b', to: 'a' }]
+        });
+        assert.deepStrictEqual(errors, ['edges form a cycle through a, b']);
+    });
+
+    await record('Reports bad edges together', () => {
+        const errors = errorsOf({
+            agents: { a: { prompt: 'x' }, b: { prompt: 'y' } },
+            edges: [
+                { type: 'sequential', from: 'a', to: 'ghost' },
+                { type: 'sequential', from: 'a', to: 'a' },
+                { type: 'sequential', from: 'a', to: 'b' },
+                { type: 'sequential', from: 'a', to: 'b' },
+                { type: 'fan-out', from: 'a', to: 'b' },
+                { type: 'loop', from: 'a', to: 'b' }
+            ]
+        });
+        assert.deepStrictEqual(errors, [
+            'edges[0] refers to unknown agent "ghost"',
+            'edges[1] connects "a" to itself',
+            'edges[3] repeats the dependency a → b',
+            'edges[4] (fan-out): from must be an agent id and to a list of at least 2',
+            'edges[5].type must be one of sequential, fan-out, aggregate'
+        ]);
+    });
+
+    await record('Templates may only read what runs before them', () => {
+        const errors = errorsOf({
+            agents: {
+                a: { prompt: '{{input}} {{mood}}' },
+                b: { prompt: 'x' },
+                c: { prompt: '{{input}} {{outputs.d}}' },
+                d: { prompt: 'y' }
+            },
+            edges: [{ type: 'aggregate', from: ['a', 'b'], to: 'c' }],
+            output: 'c'
+        });
+        assert.deepStrictEqual(errors, [
+            'agents.a.prompt uses unknown placeholder {{mood}}',
+            'agents.a.prompt reads its input, but nothing runs before it',
+            'agents.c.prompt uses {{input}} but has 2 upstream agents; use {{inputs}} or {{outputs.<id>}}',
+            'agents.c.prompt reads {{outputs.d}}, but "d" is not upstream of "c"'
+        ]);
+    });
+
+    await record('Several final agents need an explicit output', () => {
+        const errors = errorsOf({ agents: { a: { prompt: 'x' }, b: { prompt: 'y' } } });
+        assert.deepStrictEqual(errors, ['output must name the final agent when the workflow has several (a, b)']);
+    });
+
+    await record('Unknown providers are rejected before anything runs', () => {
+        const errors = errorsOf({ agents: { a: { prompt: 'x', provider: 'nope' } } });
+        assert.deepStrictEqual(errors, ['agents.a.provider must be one of anthropic, openai, mock']);
+        assert.strictEqual(workflowOf({ agents: { a: { prompt: 'x', provider: 'mock' } } }).agents.a.provider, 'mock');
+    });
+
+    await record('Keys an agent does not have are dropped', () => {
+        const agent = workflowOf({ agents: { a: { prompt: 'x', role: 'Writer', apiKey: 'sk-x', baseURL: 'http://evil' } } }).agents.a;
+        assert.deepStrictEqual(Object.keys(agent).sort(), ['id', 'maxReasks', 'maxTokens', 'model', 'name', 'output', 'priority', 'prompt', 'role', 'temperature']);
+        assert.deepStrictEqual(errorsOf({ agents: { a: { prompt: 'x', role: 3 } } }), ['agents.a.role must be a string']);
+    });
+}
+
+async function testRuns(record) {
+    console.log('\n🏃 runWorkflow');
+
+    await record('Branches run side by side and the aggregator reads both', async () => {
+        const { calls, callAgent } = stubAgents({ a: ['plan'], b: ['draft'], c: ['critique'], d: ['merged'] }, { delay: 20 });
+        const run = await runWorkflow(workflowOf(DIAMOND), 'a poem', { callAgent, parse });
+
+        assert.strictEqual(run.success, true);
+        assert.strictEqual(run.output, 'merged');
+        assert.deepStrictEqual(calls.map(call => call.id), ['a', 'b', 'c', 'd']);
+        assert.strictEqual(calls[0].prompt, 'Plan a poem');
+        assert.ok(calls[2].startedAt - calls[1].startedAt < 20, 'c started while b was running');
+        assert.ok(calls[3].prompt.includes('### b (b)\ndraft') && calls[3].prompt.includes('### c (c)\ncritique'));
+        assert.deepStrictEqual(run.summary.totalTokensUsed, { input: 40, output: 20 });
+    });
+
+    await record('A failed agent skips what depends on it, not its siblings', async () => {
+        const { calls, callAgent } = stubAgents({ a: ['plan'], b: [{ error: 'overloaded' }], c: ['critique'], d: ['merged'] });
+        const run = await runWorkflow(workflowOf(DIAMOND), 'task', { callAgent, parse });
+
+        assert.strictEqual(run.success, false);
+        assert.strictEqual(run.results.c.success, true);
+        assert.strictEqual(run.results.d.skipped, true);
+        assert.strictEqual(run.results.d.error, 'Skipped: b did not complete');
+        assert.deepStrictEqual(run.summary.failedAgents, ['b', 'd']);
+        assert.ok(!calls.some(call => call.id === 'd'));
+    });
+
+    await record('An unusable JSON response is re-asked with the errors', async () => {
+        const workflow = workflowOf({ agents: { judge: { prompt: 'Score {{task}}', schema: SCORE_SCHEMA } } });
+        const { calls, callAgent } = stubAgents({ judge: ['{"score": "high"}', '{"score": 90}'] });
+        const run = await runWorkflow(workflow, 'it', { callAgent, parse });
+
+        assert.strictEqual(run.success, true);
+        assert.deepStrictEqual(run.output, { score: 90 });
+        assert.deepStrictEqual(run.results.judge.parse, { path: 'reasked', reasks: 1, schemaErrors: [] });
+        assert.deepStrictEqual(calls[1].repair.errors, [{ path: '$.score', message: 'expected number, got string' }]);
+        assert.deepStrictEqual(run.results.judge.usage, { input_tokens: 20, output_tokens: 10 });
+        assert.deepStrictEqual(run.executionLog.map(entry => entry.status), ['starting', 'parse-failed', 'completed']);
+    });
+
+    await record('A response that never fits fails the agent', async () => {
+        const workflow = workflowOf({ agents: { judge: { prompt: 'Score {{task}}', schema: SCORE_SCHEMA, maxReasks: 0 } } });
+        const { callAgent } = stubAgents({ judge: ['{"score": "high"}'] });
+        const run = await runWorkflow(workflow, 'it', { callAgent, parse });
+
+        assert.strictEqual(run.success, false);
+        assert.strictEqual(run.results.judge.errorType, 'schema_error');
+        assert.deepStrictEqual(run.results.judge.parsed, { score: 'high' });
+        assert.strictEqual(run.output, null);
+    });
+
+    await record('Revisions are added to their own agent\'s prompt only', async () => {
+        const { calls, callAgent } = stubAgents({ a: ['plan'], b: ['draft'], c: ['critique'], d: ['merged'] });
+        await runWorkflow(workflowOf(DIAMOND), 'task', { callAgent, parse, revisions: { b: '\nShorter, please.' } });
+
+        assert.strictEqual(calls.find(call => call.id === 'b').prompt, 'Draft from plan\nShorter, please.');
+        assert.strictEqual(calls.find(call => call.id === 'c').prompt, 'Critique plan');
+    });
+}
+
+async function main() {
+    console.log('🧪 Starting Workflow Runner Test Suite');
+    console.log('═'.repeat(50));
+
+    const results = [];
+    const record = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    };
+
+    await testValidation(record);
+    await testRuns(record);
+
+    const failed = results.filter(result => !result.passed);
+    console.log('\n' + '═'.repeat(50));
+    console.log(`📊 ${results.length - failed.length}/${results.length} passed`);
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test suite failed:', error.message);
+    process.exit(1);
+});
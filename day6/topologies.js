@@ -0,0 +1,432 @@
+/**
+ * Topologies - Judge, debate and voting set-ups built on the workflow runner
+ *
+ * Each topology expands into an ordinary workflow (see workflow-runner.js), so its
+ * agents stream, re-ask, rate-limit and log exactly like a JSON-defined one:
+ *
+ *   judge    `generators` agents answer the task in parallel (at spread-out temperatures),
+ *            then a judge scores them and picks the best (`mode: "pick"`) or merges
+ *            the best parts into one answer (`mode: "merge"`)
+ *   debate   debater A answers, debater B challenges it, and they take turns for
+ *            `rounds` rounds, each seeing the whole debate so far; an arbiter then
+ *            decides and writes the final answer
+ *   vote     `voters` agents classify the task independently (optionally restricted
+ *            to `labels`) and the label most of them chose wins
+ *
+ * summarizeTopology turns a finished run into the topology's result plus a transcript
+ * of every agent's contribution, in the order they were made.
+ */
+
+const { normalizeWorkflow, WORKFLOW_LIMITS } = require('./workflow-runner');
+
+const TOPOLOGY_TYPES = ['judge', 'debate', 'vote'];
+
+const JUDGE_MODES = ['pick', 'merge'];
+
+const TOPOLOGY_DEFAULTS = {
+    judge: { generators: 3, mode: 'pick' },
+    debate: { rounds: 2 },
+    vote: { voters: 3, labels: null }
+};
+
+const TOPOLOGY_LIMITS = {
+    generators: [2, 5],
+    rounds: [1, Math.floor((WORKFLOW_LIMITS.maxAgents - 1) / 2)],
+    voters: [2, 9],
+    labels: 20
+};
+
+const TOPOLOGY_INFO = {
+    judge: { name: 'Generators + Judge', description: 'Several generators answer in parallel; a judge scores them and picks or merges the best' },
+    debate: { name: 'Debate + Arbiter', description: 'Two debaters take turns arguing for a fixed number of rounds; an arbiter decides' },
+    vote: { name: 'Majority Vote', description: 'Independent voters classify the task; the most common label wins' }
+};
+
+const MODEL = 'claude-3-haiku-20240307';
+
+const CONTENT_SCHEMA = {
+    type: 'object',
+    required: ['title', 'content'],
+    properties: { title: { type: 'string' }, content: { type: 'string' }, key_points: { type: 'array', items: { type: 'string' } } }
+};
+
+const DEBATE_SCHEMA = {
+    type: 'object',
+    required: ['position', 'arguments'],
+    properties: {
+        position: { type: 'string' },
+        arguments: { type: 'array', items: { type: 'string' } },
+        rebuttal: { type: 'string' },
+        concessions: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const JSON_ONLY = 'Output ONLY valid JSON (no markdown, no explanations).';
+
+/**
+ * Validate topology settings. `raw` is a topology name for its defaults or an object
+ * with `type` and overrides. Returns { topology } or { errors }.
+ */
+function normalizeTopology(raw) {
+    const settings = typeof raw === 'string' ? { type: raw } : raw;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { errors: ['topology must be a topology name or an object with a type'] };
+    }
+    if (!TOPOLOGY_TYPES.includes(settings.type)) {
+        return { errors: [`topology.type must be one of ${TOPOLOGY_TYPES.join(', ')}`] };
+    }
+
+    const errors = [];
+    const topology = { ...TOPOLOGY_DEFAULTS[settings.type], model: MODEL, ...settings };
+    const checkCount = field => {
+        const [min, max] = TOPOLOGY_LIMITS[field];
+        if (!Number.isInteger(topology[field]) || topology[field] < min || topology[field] > max) {
+            errors.push(`topology.${field} must be an integer between ${min} and ${max}`);
+        }
+    };
+
+    if (typeof topology.model !== 'string' || !topology.model) {
+        errors.push('topology.model must be a string');
+    }
+    if (topology.type === 'judge') {
+        checkCount('generators');
+        if (!JUDGE_MODES.includes(topology.mode)) errors.push(`topology.mode must be one of ${JUDGE_MODES.join(', ')}`);
+    } else if (topology.type === 'debate') {
+        checkCount('rounds');
+    } else {
+        checkCount('voters');
+        const { labels } = topology;
+        if (labels !== null && !(Array.isArray(labels) && labels.length >= 2 && labels.length <= TOPOLOGY_LIMITS.labels &&
+            labels.every(label => typeof label === 'string' && label.trim()))) {
+            errors.push(`topology.labels must be null or a list of 2 to ${TOPOLOGY_LIMITS.labels} labels`);
+        } else if (labels && new Set(labels.map(normalizeLabel)).size !== labels.length) {
+            errors.push('topology.labels must not repeat a label');
+        }
+    }
+
+    if (errors.length > 0) return { errors };
+    return { topology };
+}
+
+// Every agent of a topology, in the order their contributions are made
+function participants(topology) {
+    if (topology.type === 'judge') {
+        return [
+            ...Array.from({ length: topology.generators }, (_, i) => ({ id: `generator_${i + 1}`, role: 'generator' })),
+            { id: 'judge', role: 'judge' }
+        ];
+    }
+    if (topology.type === 'debate') {
+        const turns = [];
+        for (let round = 1; round <= topology.rounds; round++) {
+            turns.push({ id: `debater_a${round}`, role: 'debater', side: 'A', round });
+            turns.push({ id: `debater_b${round}`, role: 'debater', side: 'B', round });
+        }
+        return [...turns, { id: 'arbiter', role: 'arbiter' }];
+    }
+    return Array.from({ length: topology.voters }, (_, i) => ({ id: `voter_${i + 1}`, role: 'voter' }));
+}
+
+function judgeAgents(topology, seats) {
+    const generators = seats.filter(seat => seat.role === 'generator');
+    const agents = {};
+
+    generators.forEach((seat, i) => {
+        agents[seat.id] = {
+            name: `Generator ${i + 1}`,
+            role: 'Answer the task independently',
+            model: topology.model,
+            // Spread from 0.5 to 1.0 so the candidates differ
+            temperature: parseFloat((0.5 + 0.5 * i / (generators.length - 1)).toFixed(2)),
+            schema: CONTENT_SCHEMA,
+            systemPrompt: `You are a creative content generator. ${JSON_ONLY} Use this structure:\n{ "title": "string", "content": "string", "key_points": ["string"] }`,
+            prompt: 'Generate content for the following task: "{{task}}"\n\nRespond with JSON containing title, content and key_points.'
+        };
+    });
+
+    const ids = generators.map(seat => seat.id);
+    const merge = topology.mode === 'merge';
+    agents.judge = {
+        name: 'Judge',
+        role: merge ? 'Score the candidates and merge the best parts' : 'Score the candidates and pick the best',
+        model: topology.model,
+        temperature: 0.2,
+        maxTokens: merge ? 3000 : 1500,
+        schema: {
+            type: 'object',
+            required: ['winner', 'scores', 'reasoning', ...(merge ? ['merged'] : [])],
+            properties: {
+                winner: { enum: ids },
+                scores: { type: 'object', properties: Object.fromEntries(ids.map(id => [id, { type: 'number', minimum: 0, maximum: 100 }])) },
+                reasoning: { type: 'string' },
+                ...(merge ? { merged: CONTENT_SCHEMA } : {})
+            }
+        },
+        systemPrompt: `You are an impartial judge comparing candidate answers to the same task. ${JSON_ONLY}`,
+        prompt: `Task: "{{task}}"
+
+Candidate answers:
+{{inputs}}
+
+Score every candidate from 0 to 100 for how well it fulfils the task, then ${merge
+            ? 'write one answer that merges the strongest parts of the candidates'
+            : 'pick the best one'}. Respond with JSON:
+{
+    "winner": one of ${ids.map(id => `"${id}"`).join(', ')},
+    "scores": { ${ids.map(id => `"${id}": number`).join(', ')} },
+    "reasoning": "why the winner is best and what the others lack"${merge ? ',\n    "merged": { "title": "...", "content": "...", "key_points": ["..."] }' : ''}
+}`
+    };
+    return agents;
+}
+
+function debateAgents(topology, seats) {
+    const turns = seats.filter(seat => seat.role === 'debater');
+    const agents = {};
+    const transcriptUpTo = index => turns.slice(0, index)
+        .map(turn => `[Round ${turn.round}, Debater ${turn.side}]\n{{outputs.${turn.id}}}`)
+        .join('\n\n');
+
+    turns.forEach((turn, index) => {
+        const opponent = turn.side === 'A' ? 'B' : 'A';
+        const instruction = index === 0
+            ? 'Open the debate: give your answer to the task and your strongest arguments for it.'
+            : `Respond to Debater ${opponent}'s latest turn: rebut their arguments, concede the points they got right, and give your (possibly revised) answer.`;
+
+        agents[turn.id] = {
+            name: `Debater ${turn.side} (round ${turn.round})`,
+            role: turn.side === 'A' ? 'Propose and defend an answer' : 'Challenge the proposed answer and offer a better one',
+            model: topology.model,
+            temperature: 0.7,
+            maxTokens: 1200,
+            schema: DEBATE_SCHEMA,
+            systemPrompt: `You are Debater ${turn.side} in a structured debate. Argue honestly: keep what survives criticism and give up what doesn't. ${JSON_ONLY}`,
+            prompt: `Task: "{{task}}"
+${index > 0 ? `\nThe debate so far:\n${transcriptUpTo(index)}\n` : ''}
+This is round ${turn.round} of ${topology.rounds}. ${instruction}
+
+Respond with JSON:
+{
+    "position": "your answer in a sentence or two",
+    "arguments": ["argument", "argument"],
+    "rebuttal": "${index === 0 ? 'empty in the opening turn' : `your reply to Debater ${opponent}`}",
+    "concessions": ["points you now accept"]
+}`
+        };
+    });
+
+    agents.arbiter = {
+        name: 'Arbiter',
+        role: 'Decide the debate and give the final answer',
+        model: topology.model,
+        temperature: 0.2,
+        maxTokens: 2000,
+        schema: {
+            type: 'object',
+            required: ['winner', 'final_answer', 'reasoning'],
+            properties: {
+                winner: { enum: ['A', 'B', 'draw'] },
+                final_answer: { type: 'string' },
+                reasoning: { type: 'string' },
+                key_points: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        systemPrompt: `You are the arbiter of a debate. Judge the arguments on their merits, not on who spoke last. ${JSON_ONLY}`,
+        prompt: `Task: "{{task}}"
+
+The full debate:
+${transcriptUpTo(turns.length)}
+
+Decide which debater made the stronger case and write the best final answer to the task, using whatever held up from either side. Respond with JSON:
+{
+    "winner": "A" or "B" or "draw",
+    "final_answer": "the answer to the task",
+    "reasoning": "why",
+    "key_points": ["the points that decided it"]
+}`
+    };
+    return agents;
+}
+
+function voteAgents(topology, seats) {
+    const { labels } = topology;
+    return Object.fromEntries(seats.map((seat, i) => [seat.id, {
+        name: `Voter ${i + 1}`,
+        role: 'Classify the task independently',
+        model: topology.model,
+        temperature: 0.7,
+        maxTokens: 500,
+        schema: {
+            type: 'object',
+            required: ['label', 'confidence'],
+            properties: {
+                label: labels ? { enum: labels } : { type: 'string' },
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                reasoning: { type: 'string' }
+            }
+        },
+        systemPrompt: `You are a careful classifier. Decide on your own, step by step, then commit to one label. ${JSON_ONLY}`,
+        prompt: `Classify the following: "{{task}}"
+${labels ? `\nChoose exactly one of these labels: ${labels.map(label => `"${label}"`).join(', ')}\n` : '\nAnswer with a short label (one or two words).\n'}
+Respond with JSON:
+{
+    "label": ${labels ? 'one of the labels above' : '"your label"'},
+    "confidence": number between 0 and 1,
+    "reasoning": "one or two sentences"
+}`
+    }]));
+}
+
+/**
+ * The normalized workflow a topology runs as. Its agents carry ids such as
+ * `generator_2`, `debater_b1` or `voter_3`; participants() says what each one is.
+ */
+function topologyWorkflow(topology) {
+    const seats = participants(topology);
+    const ids = seats.map(seat => seat.id);
+    const info = TOPOLOGY_INFO[topology.type];
+    let definition;
+
+    if (topology.type === 'judge') {
+        definition = {
+            agents: judgeAgents(topology, seats),
+            edges: [{ type: 'aggregate', from: ids.slice(0, -1), to: 'judge' }]
+        };
+    } else if (topology.type === 'debate') {
+        definition = {
+            agents: debateAgents(topology, seats),
+            edges: ids.slice(1).map((id, i) => ({ type: 'sequential', from: ids[i], to: id }))
+        };
+    } else {
+        // Voters are independent; the tally happens in summarizeTopology
+        definition = { agents: voteAgents(topology, seats), edges: [], output: ids[0] };
+    }
+
+    const { workflow, errors } = normalizeWorkflow({ id: `topology-${topology.type}`, ...info, ...definition });
+    if (errors) throw new Error(`Invalid ${topology.type} topology: ${errors.join('; ')}`);
+    return workflow;
+}
+
+function normalizeLabel(label) {
+    return String(label).trim().toLowerCase();
+}
+
+/**
+ * Count votes ({ voter, label, confidence }). Labels are compared case-insensitively;
+ * a tie goes to the label with the higher total confidence.
+ * Returns { winner, votes, counts, agreement, majority, tie, tieBrokenBy }.
+ */
+function tallyVotes(votes, labels = null) {
+    const canonical = label => (labels || []).find(option => normalizeLabel(option) === normalizeLabel(label)) || normalizeLabel(label);
+    // Labels are model-written, so they are Map keys: "__proto__" or "constructor" is just another label
+    const counts = new Map();
+    const confidence = new Map();
+    votes.forEach(vote => {
+        const label = canonical(vote.label);
+        counts.set(label, (counts.get(label) || 0) + 1);
+        confidence.set(label, (confidence.get(label) || 0) + (typeof vote.confidence === 'number' ? vote.confidence : 0));
+    });
+
+    const top = Math.max(0, ...counts.values());
+    let leaders = Array.from(counts.keys()).filter(label => counts.get(label) === top);
+    const tie = leaders.length > 1;
+    let tieBrokenBy = null;
+    if (tie) {
+        const best = Math.max(...leaders.map(label => confidence.get(label)));
+        leaders = leaders.filter(label => confidence.get(label) === best);
+        if (leaders.length === 1) tieBrokenBy = 'confidence';
+    }
+    const winner = leaders.length === 1 ? leaders[0] : null;
+
+    return {
+        winner,
+        votes: votes.length,
+        counts: Object.fromEntries(counts),
+        agreement: winner && votes.length > 0 ? parseFloat((counts.get(winner) / votes.length).toFixed(3)) : 0,
+        majority: winner !== null && counts.get(winner) > votes.length / 2,
+        tie,
+        tieBrokenBy
+    };
+}
+
+/**
+ * Result and transcript of a finished topology run (a runWorkflow result).
+ * Returns { type, settings, success, error, result, transcript }.
+ */
+function summarizeTopology(topology, workflow, run) {
+    const seats = participants(topology);
+    const output = id => (run.results[id].success ? (run.results[id].parsed ?? run.results[id].rawResponse) : null);
+
+    const transcript = seats.map(seat => {
+        const result = run.results[seat.id];
+        return {
+            agentId: seat.id,
+            agent: workflow.agents[seat.id].name,
+            role: seat.role,
+            ...(seat.round ? { round: seat.round, side: seat.side } : {}),
+            status: result.skipped ? 'skipped' : result.success ? 'completed' : 'failed',
+            contribution: output(seat.id),
+            ...(result.success ? {} : { error: result.error }),
+            responseTime: result.responseTime ?? null,
+            usage: result.usage || null
+        };
+    });
+
+    const { type, ...settings } = topology;
+    let result;
+    let error = null;
+
+    if (type === 'judge') {
+        const verdict = output('judge');
+        if (!verdict) error = `Judge did not complete: ${run.results.judge.error}`;
+        result = verdict && {
+            mode: topology.mode,
+            winner: verdict.winner,
+            scores: verdict.scores,
+            reasoning: verdict.reasoning,
+            final: topology.mode === 'merge' ? verdict.merged : (Object.hasOwn(run.results, verdict.winner) ? output(verdict.winner) : null)
+        };
+    } else if (type === 'debate') {
+        const verdict = output('arbiter');
+        if (!verdict) error = `Arbiter did not complete: ${run.results.arbiter.error}`;
+        result = verdict && {
+            winner: verdict.winner,
+            final: verdict.final_answer,
+            reasoning: verdict.reasoning,
+            keyPoints: verdict.key_points || []
+        };
+    } else {
+        // A voter whose answer has no label, or one that isn't allowed, doesn't count
+        const allowed = label => !topology.labels || topology.labels.some(option => normalizeLabel(option) === normalizeLabel(label));
+        const votes = seats
+            .map(seat => ({ voter: seat.id, ballot: output(seat.id) }))
+            .filter(({ ballot }) => typeof ballot?.label === 'string' && ballot.label.trim() && allowed(ballot.label))
+            .map(({ voter, ballot }) => ({ voter, label: ballot.label, confidence: ballot.confidence ?? null, reasoning: ballot.reasoning || '' }));
+        result = { ...tallyVotes(votes, topology.labels), ballots: votes };
+        if (votes.length === 0) error = 'No voter returned a valid label';
+        else if (result.winner === null) error = 'The vote is tied';
+    }
+
+    return { type, settings, success: error === null, error, result: result || null, transcript };
+}
+
+// Built-in topologies with their defaults, for clients
+function describeTopologies() {
+    return TOPOLOGY_TYPES.map(type => ({
+        type,
+        ...TOPOLOGY_INFO[type],
+        defaults: TOPOLOGY_DEFAULTS[type]
+    }));
+}
+
+module.exports = {
+    TOPOLOGY_TYPES,
+    TOPOLOGY_DEFAULTS,
+    TOPOLOGY_LIMITS,
+    normalizeTopology,
+    participants,
+    topologyWorkflow,
+    tallyVotes,
+    summarizeTopology,
+    describeTopologies
+};
@@ -0,0 +1,496 @@
+/**
+ * Workflow Runner - JSON-defined multi-agent workflows for Day 6
+ *
+ * A workflow names any number of agents (role, model, temperature, system prompt and
+ * a prompt template) and the edges between them:
+ *
+ *   sequential   { "type": "sequential", "from": "a", "to": "b" }            b reads a's output
+ *   fan-out      { "type": "fan-out", "from": "a", "to": ["b", "c"] }         b and c run in parallel on a's output
+ *   aggregate    { "type": "aggregate", "from": ["b", "c"], "to": "d" }       d waits for b and c and reads both
+ *
+ * Edges only add dependencies, so the graph must be acyclic. An agent starts as soon
+ * as everything upstream of it has finished; agents on separate branches run at the
+ * same time. If an agent fails, everything downstream of it is skipped.
+ *
+ * Agents with `output: "json"` (the default) have their response parsed and checked
+ * against their optional `schema`. An unusable response is sent back to the agent with
+ * the error up to `maxReasks` times; one that never parses fails the agent.
+ *
+ * Prompt templates can use:
+ *   {{task}}           the user's task
+ *   {{input}}          the output of the one agent upstream
+ *   {{inputs}}         the outputs of all upstream agents, each under its agent's name
+ *   {{outputs.<id>}}   the output of any agent upstream (directly or not)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchemaDefinition } = require('../day2/structured-output');
+const { listProviders } = require('../day1/llm-providers');
+
+const EDGE_TYPES = ['sequential', 'fan-out', 'aggregate'];
+
+const OUTPUT_FORMATS = ['json', 'text'];
+
+const WORKFLOW_LIMITS = {
+    maxAgents: 12,
+    maxEdges: 40,
+    maxPromptLength: 20000
+};
+
+const AGENT_DEFAULTS = {
+    model: 'claude-3-haiku-20240307',
+    temperature: 0.7,
+    maxTokens: 2000,
+    output: 'json',
+    maxReasks: 1,
+    priority: 0
+};
+
+// What a workflow may set on an agent; anything else in its definition is dropped
+const AGENT_FIELDS = ['name', 'role', 'model', 'temperature', 'maxTokens', 'output', 'schema', 'maxReasks', 'priority', 'systemPrompt', 'prompt', 'provider'];
+
+const ID_PATTERN = /^[a-z][a-z0-9_-]*$/i;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Placeholders used by a template: { input, inputs, outputs: [ids], unknown: [names] }
+function templateReferences(template) {
+    const refs = { input: false, inputs: false, outputs: [], unknown: [] };
+    for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+        const name = match[1];
+        if (name === 'task') continue;
+        if (name === 'input') refs.input = true;
+        else if (name === 'inputs') refs.inputs = true;
+        else if (name.startsWith('outputs.')) refs.outputs.push(name.slice('outputs.'.length));
+        else refs.unknown.push(name);
+    }
+    return refs;
+}
+
+function normalizeAgent(id, raw, errors) {
+    const prefix = `agents.${id}`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push(`${prefix} must be an object`);
+        return null;
+    }
+
+    const agent = { ...AGENT_DEFAULTS, id };
+    AGENT_FIELDS.filter(field => Object.hasOwn(raw, field)).forEach(field => {
+        agent[field] = raw[field];
+    });
+    agent.name = raw.name || id;
+
+    if (typeof agent.prompt !== 'string' || !agent.prompt.trim()) {
+        errors.push(`${prefix}.prompt is required`);
+    } else if (agent.prompt.length > WORKFLOW_LIMITS.maxPromptLength) {
+        errors.push(`${prefix}.prompt must be at most ${WORKFLOW_LIMITS.maxPromptLength} characters`);
+    }
+    if (agent.systemPrompt !== undefined && typeof agent.systemPrompt !== 'string') {
+        errors.push(`${prefix}.systemPrompt must be a string`);
+    }
+    if (agent.role !== undefined && typeof agent.role !== 'string') {
+        errors.push(`${prefix}.role must be a string`);
+    }
+    if (agent.provider !== undefined) {
+        const providers = listProviders().map(provider => provider.name);
+        if (!providers.includes(agent.provider)) {
+            errors.push(`${prefix}.provider must be one of ${providers.join(', ')}`);
+        }
+    }
+    if (typeof agent.model !== 'string' || !agent.model) {
+        errors.push(`${prefix}.model must be a string`);
+    }
+    if (typeof agent.temperature !== 'number' || agent.temperature < 0 || agent.temperature > 1) {
+        errors.push(`${prefix}.temperature must be a number between 0 and 1`);
+    }
+    if (!Number.isInteger(agent.maxTokens) || agent.maxTokens < 1 || agent.maxTokens > 8192) {
+        errors.push(`${prefix}.maxTokens must be an integer between 1 and 8192`);
+    }
+    if (!OUTPUT_FORMATS.includes(agent.output)) {
+        errors.push(`${prefix}.output must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Number.isInteger(agent.maxReasks) || agent.maxReasks < 0 || agent.maxReasks > 3) {
+        errors.push(`${prefix}.maxReasks must be an integer between 0 and 3`);
+    }
+    if (!Number.isInteger(agent.priority) || agent.priority < -10 || agent.priority > 10) {
+        errors.push(`${prefix}.priority must be an integer between -10 and 10`);
+    }
+    if (agent.schema !== undefined) {
+        if (agent.output !== 'json') errors.push(`${prefix}.schema requires output "json"`);
+        validateSchemaDefinition(agent.schema, `${prefix}.schema`).forEach(error => errors.push(`${error.path}: ${error.message}`));
+    }
+    return agent;
+}
+
+// Edge endpoints as arrays, after checking the shape its type requires
+function edgeEndpoints(edge, index, errors) {
+    const prefix = `edges[${index}]`;
+    if (!edge || !EDGE_TYPES.includes(edge.type)) {
+        errors.push(`${prefix}.type must be one of ${EDGE_TYPES.join(', ')}`);
+        return null;
+    }
+
+    const single = value => typeof value === 'string';
+    const list = value => Array.isArray(value) && value.length >= 2 && value.every(single);
+    const shapes = {
+        'sequential': [single, single, 'from and to must be agent ids'],
+        'fan-out': [single, list, 'from must be an agent id and to a list of at least 2'],
+        'aggregate': [list, single, 'from must be a list of at least 2 agent ids and to an agent id']
+    };
+    const [fromOk, toOk, message] = shapes[edge.type];
+    if (!fromOk(edge.from) || !toOk(edge.to)) {
+        errors.push(`${prefix} (${edge.type}): ${message}`);
+        return null;
+    }
+    return { from: [].concat(edge.from), to: [].concat(edge.to) };
+}
+
+// Kahn's algorithm; returns { order, cyclic: [ids left over] }
+function topologicalOrder(ids, upstream) {
+    const remaining = new Map(ids.map(id => [id, upstream[id].length]));
+    const order = [];
+    let ready = ids.filter(id => remaining.get(id) === 0);
+
+    while (ready.length > 0) {
+        order.push(...ready);
+        const next = [];
+        ready.forEach(done => ids.forEach(id => {
+            if (upstream[id].includes(done)) {
+                remaining.set(id, remaining.get(id) - 1);
+                if (remaining.get(id) === 0) next.push(id);
+            }
+        }));
+        ready = next;
+    }
+
+    return { order, cyclic: ids.filter(id => !order.includes(id)) };
+}
+
+/**
+ * Validate a workflow definition and resolve its graph. Returns { workflow } with
+ * `upstream`, `downstream`, `order` and `steps` (1 + longest path from an entry agent)
+ * added, or { errors } listing every problem found.
+ */
+function normalizeWorkflow(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return { errors: ['workflow must be an object'] };
+    }
+
+    const rawAgents = definition.agents;
+    if (!rawAgents || typeof rawAgents !== 'object' || Array.isArray(rawAgents) || Object.keys(rawAgents).length === 0) {
+        return { errors: ['agents must be an object with at least one agent'] };
+    }
+    const ids = Object.keys(rawAgents);
+    if (ids.length > WORKFLOW_LIMITS.maxAgents) {
+        errors.push(`at most ${WORKFLOW_LIMITS.maxAgents} agents are supported`);
+    }
+    ids.filter(id => !ID_PATTERN.test(id)).forEach(id => errors.push(`agent id "${id}" must start with a letter and use only letters, digits, - and _`));
+
+    const agents = {};
+    ids.forEach(id => {
+        const agent = normalizeAgent(id, rawAgents[id], errors);
+        if (agent) agents[id] = agent;
+    });
+
+    const edges = definition.edges ?? [];
+    if (!Array.isArray(edges)) {
+        errors.push('edges must be a list');
+    } else if (edges.length > WORKFLOW_LIMITS.maxEdges) {
+        errors.push(`at most ${WORKFLOW_LIMITS.maxEdges} edges are supported`);
+    }
+
+    const upstream = Object.fromEntries(ids.map(id => [id, []]));
+    (Array.isArray(edges) ? edges : []).forEach((edge, index) => {
+        const endpoints = edgeEndpoints(edge, index, errors);
+        if (!endpoints) return;
+        [...endpoints.from, ...endpoints.to]
+            .filter(id => !Object.hasOwn(upstream, id))
+            .forEach(id => errors.push(`edges[${index}] refers to unknown agent "${id}"`));
+        endpoints.from.forEach(from => endpoints.to.forEach(to => {
+            if (!Object.hasOwn(upstream, from) || !Object.hasOwn(upstream, to)) return;
+            if (from === to) errors.push(`edges[${index}] connects "${from}" to itself`);
+            else if (upstream[to].includes(from)) errors.push(`edges[${index}] repeats the dependency ${from} → ${to}`);
+            else upstream[to].push(from);
+        }));
+    });
+
+    if (errors.length > 0) return { errors };
+
+    const { order, cyclic } = topologicalOrder(ids, upstream);
+    if (cyclic.length > 0) {
+        return { errors: [`edges form a cycle through ${cyclic.join(', ')}`] };
+    }
+
+    const downstream = Object.fromEntries(ids.map(id => [id, ids.filter(other => upstream[other].includes(id))]));
+    const ancestors = {};
+    order.forEach(id => {
+        ancestors[id] = new Set(upstream[id].flatMap(parent => [parent, ...ancestors[parent]]));
+    });
+    const steps = {};
+    order.forEach(id => {
+        steps[id] = upstream[id].length === 0 ? 1 : Math.max(...upstream[id].map(parent => steps[parent])) + 1;
+    });
+
+    // Templates may only read outputs that are guaranteed to exist when the agent runs
+    ids.forEach(id => {
+        const refs = templateReferences(agents[id].prompt);
+        refs.unknown.forEach(name => errors.push(`agents.${id}.prompt uses unknown placeholder {{${name}}}`));
+        if ((refs.input || refs.inputs) && upstream[id].length === 0) {
+            errors.push(`agents.${id}.prompt reads its input, but nothing runs before it`);
+        } else if (refs.input && upstream[id].length > 1) {
+            errors.push(`agents.${id}.prompt uses {{input}} but has ${upstream[id].length} upstream agents; use {{inputs}} or {{outputs.<id>}}`);
+        }
+        refs.outputs.filter(ref => !ancestors[id].has(ref)).forEach(ref => {
+            errors.push(`agents.${id}.prompt reads {{outputs.${ref}}}, but "${ref}" is not upstream of "${id}"`);
+        });
+    });
+
+    const sinks = ids.filter(id => downstream[id].length === 0);
+    let output = definition.output;
+    if (output === undefined) {
+        if (sinks.length === 1) output = sinks[0];
+        else errors.push(`output must name the final agent when the workflow has several (${sinks.join(', ')})`);
+    } else if (!Object.hasOwn(agents, output)) {
+        errors.push(`output refers to unknown agent "${output}"`);
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        workflow: {
+            id: definition.id || 'custom',
+            name: definition.name || definition.id || 'Custom workflow',
+            description: definition.description || '',
+            agents,
+            edges,
+            output,
+            upstream,
+            downstream,
+            order,
+            steps
+        }
+    };
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Fill an agent's prompt template. `outputs` maps agent ids to their parsed output
+ * (or raw text when the agent's output is text or couldn't be parsed).
+ */
+function renderPrompt(workflow, agentId, task, outputs) {
+    const agent = workflow.agents[agentId];
+    const parents = workflow.upstream[agentId];
+
+    return agent.prompt.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        if (name === 'task') return task;
+        if (name === 'input') return formatValue(outputs[parents[0]]);
+        if (name === 'inputs') {
+            return parents.map(parent => `### ${workflow.agents[parent].name} (${parent})\n${formatValue(outputs[parent])}`).join('\n\n');
+        }
+        return formatValue(outputs[name.slice('outputs.'.length)]);
+    });
+}
+
+// The configuration shown to clients, without the graph bookkeeping
+function describeAgent(agent) {
+    const { id, name, role, model, temperature, maxTokens, output, schema, maxReasks, priority, systemPrompt, prompt, provider } = agent;
+    return { id, name, role, model, temperature, maxTokens, output, schema, maxReasks, priority, systemPrompt, prompt, provider };
+}
+
+/**
+ * Run a normalized workflow on `task`.
+ *   callAgent(agent, prompt, repair?) -> { success, response, usage, responseTime, model, temperature, error? }
+ *                               `repair` ({ response, error, errors }) asks again after an unusable JSON response
+ *   parse(text, agent)       -> { value, path, error, errors, schemaErrors } (see structured-output.js)
+ *   onEvent(entry)           -> called with every execution-log entry as it happens
+ *                               (starting, parse-failed, completed, failed or skipped)
+ *   revisions                -> { [id]: text } appended to those agents' prompts
+ * Returns { success, results: { [id]: result }, output, executionLog, summary }.
+ */
+async function runWorkflow(workflow, task, { callAgent, parse, onEvent = () => {}, revisions = {} }) {
+    const startTime = Date.now();
+    const executionLog = [];
+    const results = {};
+    const outputs = {};
+    const runs = new Map();
+
+    const log = entry => {
+        const full = { ...entry, timestamp: new Date().toISOString(), elapsed: Date.now() - startTime };
+        executionLog.push(full);
+        onEvent(full);
+    };
+
+    // Memoized per agent, so each runs once and branches run concurrently
+    const run = id => {
+        if (!runs.has(id)) runs.set(id, execute(id));
+        return runs.get(id);
+    };
+
+    const execute = async id => {
+        const agent = workflow.agents[id];
+        const step = workflow.steps[id];
+        const parents = await Promise.all(workflow.upstream[id].map(run));
+
+        const failed = workflow.upstream[id].filter((parent, i) => !parents[i].success);
+        if (failed.length > 0) {
+            results[id] = { success: false, skipped: true, agent: id, error: `Skipped: ${failed.join(', ')} did not complete` };
+            log({ step, agentId: id, agent: agent.name, status: 'skipped', reason: results[id].error });
+            return results[id];
+        }
+
+        const startedAt = Date.now() - startTime;
+        log({ step, agentId: id, agent: agent.name, status: 'starting', waitedFor: workflow.upstream[id] });
+
+        const prompt = renderPrompt(workflow, id, task, outputs) + (Object.hasOwn(revisions, id) ? revisions[id] : '');
+        let result = await callAgent(agent, prompt);
+        if (!result.success) {
+            results[id] = { success: false, agent: id, error: result.error, errorType: result.errorType, responseTime: result.responseTime, startedAt, finishedAt: Date.now() - startTime };
+            log({ step, agentId: id, agent: agent.name, status: 'failed', error: result.error, responseTime: result.responseTime });
+            return results[id];
+        }
+
+        // JSON agents that answer with something unusable are asked again, with the error
+        let structured = null;
+        if (agent.output === 'json') {
+            structured = { ...parse(result.response, agent), reasks: 0 };
+            while (structured.error) {
+                const willRetry = structured.reasks < agent.maxReasks;
+                log({ step, agentId: id, agent: agent.name, status: 'parse-failed', error: structured.error, attempt: structured.reasks + 1, willRetry, preview: result.response.slice(0, 200) });
+                if (!willRetry) break;
+
+                const retry = await callAgent(agent, prompt, { response: result.response, error: structured.error, errors: structured.errors });
+                structured.reasks++;
+                if (!retry.success) break;
+
+                result = {
+                    ...retry,
+                    usage: {
+                        input_tokens: (result.usage?.input_tokens || 0) + (retry.usage?.input_tokens || 0),
+                        output_tokens: (result.usage?.output_tokens || 0) + (retry.usage?.output_tokens || 0)
+                    },
+                    responseTime: result.responseTime + retry.responseTime
+                };
+                const next = parse(result.response, agent);
+                structured = { ...next, path: next.error ? next.path : 'reasked', reasks: structured.reasks };
+            }
+        }
+
+        // Still unparseable or off-schema after the re-asks: the agent fails rather than
+        // handing downstream agents a value they can't rely on
+        const unusable = Boolean(structured && structured.error);
+        const outcome = structured && { path: unusable ? 'failed' : structured.path, reasks: structured.reasks, schemaErrors: structured.schemaErrors };
+        if (unusable) {
+            results[id] = {
+                success: false,
+                agent: id,
+                error: structured.error,
+                errorType: structured.value === null ? 'parse_error' : 'schema_error',
+                rawResponse: result.response,
+                parsed: structured.value,
+                parse: outcome,
+                usage: result.usage,
+                responseTime: result.responseTime,
+                startedAt,
+                finishedAt: Date.now() - startTime
+            };
+            log({ step, agentId: id, agent: agent.name, status: 'failed', error: structured.error, responseTime: result.responseTime, tokensUsed: result.usage });
+            return results[id];
+        }
+
+        const parsed = structured ? structured.value : null;
+        outputs[id] = structured ? parsed : result.response;
+        results[id] = {
+            success: true,
+            agent: id,
+            rawResponse: result.response,
+            parsed,
+            parse: outcome,
+            usage: result.usage,
+            responseTime: result.responseTime,
+            model: result.model,
+            provider: result.provider,
+            temperature: result.temperature,
+            startedAt,
+            finishedAt: Date.now() - startTime
+        };
+        log({ step, agentId: id, agent: agent.name, status: 'completed', responseTime: result.responseTime, tokensUsed: result.usage });
+        return results[id];
+    };
+
+    await Promise.all(workflow.order.map(run));
+
+    const totalExecutionTime = Date.now() - startTime;
+    const completed = workflow.order.filter(id => results[id].success);
+    const totalTokensUsed = { input: 0, output: 0 };
+    // Failed agents count too when they got as far as an (unusable) response
+    workflow.order.forEach(id => {
+        totalTokensUsed.input += results[id].usage?.input_tokens || 0;
+        totalTokensUsed.output += results[id].usage?.output_tokens || 0;
+    });
+    const busyTime = completed.reduce((sum, id) => sum + results[id].finishedAt - results[id].startedAt, 0);
+
+    return {
+        success: results[workflow.output].success,
+        results,
+        output: outputs[workflow.output] ?? null,
+        executionLog,
+        summary: {
+            totalExecutionTime,
+            totalTokensUsed,
+            // Summed agent time over wall time: above 1 when branches overlapped
+            parallelism: totalExecutionTime > 0 ? parseFloat((busyTime / totalExecutionTime).toFixed(2)) : null,
+            agents: workflow.order.map(id => ({
+                id,
+                name: workflow.agents[id].name,
+                step: workflow.steps[id],
+                status: results[id].skipped ? 'skipped' : results[id].success ? 'completed' : 'failed',
+                model: workflow.agents[id].model,
+                responseTime: results[id].responseTime ?? null,
+                startedAt: results[id].startedAt ?? null,
+                finishedAt: results[id].finishedAt ?? null,
+                usage: results[id].usage || null
+            })),
+            failedAgents: workflow.order.filter(id => !results[id].success)
+        }
+    };
+}
+
+/**
+ * Built-in workflows from `dir` (one JSON definition per file, keyed by its id).
+ * Invalid files are reported and left out.
+ */
+function loadWorkflows(dir) {
+    const workflows = new Map();
+    if (!fs.existsSync(dir)) return workflows;
+
+    fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort().forEach(file => {
+        try {
+            const definition = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            const { workflow, errors } = normalizeWorkflow({ id: path.basename(file, '.json'), ...definition });
+            if (errors) {
+                console.error(`Skipping workflow ${file}: ${errors.join('; ')}`);
+                return;
+            }
+            workflows.set(workflow.id, workflow);
+        } catch (error) {
+            console.error(`Failed to load workflow ${file}:`, error.message);
+        }
+    });
+    return workflows;
+}
+
+module.exports = {
+    EDGE_TYPES,
+    WORKFLOW_LIMITS,
+    AGENT_DEFAULTS,
+    normalizeWorkflow,
+    renderPrompt,
+    describeAgent,
+    runWorkflow,
+    loadWorkflows
+};
@@ -1,8 +1,10 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
+const { getProvider } = require('../day1/llm-providers');
+const { ApiAuth } = require('../day1/api-auth');
+const { countTokens } = require('../day1/tokenizer');
 
 const app = express();
 const PORT = process.env.PORT || 3007;
@@ -11,10 +13,15 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day7' });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 
-if (!ANTHROPIC_API_KEY) {
-    console.warn('Warning: ANTHROPIC_API_KEY environment variable not set');
+if (!getProvider().isConfigured()) {
+    console.warn(`Warning: LLM provider "${getProvider().name}" is not configured (set ANTHROPIC_API_KEY or LLM_PROVIDER)`);
 }
 
 // Configuration for dialogue compression
@@ -30,8 +37,9 @@ const conversationSessions = new Map();
 
 // Conversation session structure
 class ConversationSession {
-    constructor(sessionId) {
+    constructor(sessionId, provider = null) {
         this.sessionId = sessionId;
+        this.provider = provider;
         this.messages = [];
         this.summaries = [];
         this.compressionEvents = [];
@@ -102,7 +110,7 @@ class ConversationSession {
         return result;
     }
 
-    async compress(apiKey) {
+    async compress(provider) {
         const messagesToCompress = [...this.messages];
 
         // Create a summary of the conversation so far
@@ -127,7 +135,7 @@ Provide a summary that captures:
                 COMPRESSION_CONFIG.model,
                 COMPRESSION_CONFIG.temperature,
                 summaryPrompt,
-                apiKey,
+                provider,
                 COMPRESSION_CONFIG.maxTokens
             );
 
@@ -184,8 +192,8 @@ Provide a summary that captures:
     }
 }
 
-// Function to call Claude API
-async function callClaude(model, temperature, userMessage, apiKey, maxTokens = 2000, systemPrompt = null) {
+// Function to call the LLM provider (provider = name, or null for LLM_PROVIDER / anthropic)
+async function callClaude(model, temperature, userMessage, provider = null, maxTokens = 2000, systemPrompt = null) {
     const startTime = Date.now();
 
     try {
@@ -196,48 +204,33 @@ async function callClaude(model, temperature, userMessage, apiKey, maxTokens = 2
             }
         ];
 
-        const requestBody = {
-            model: model,
-            max_tokens: maxTokens,
-            temperature: temperature,
-            messages: messages
-        };
-
-        if (systemPrompt) {
-            requestBody.system = systemPrompt;
-        }
-
-        const response = await axios.post(
-            'https://api.anthropic.com/v1/messages',
-            requestBody,
-            {
-                headers: {
-                    'x-api-key': apiKey,
-                    'Content-Type': 'application/json',
-                    'anthropic-version': '2023-06-01'
-                }
-            }
-        );
+        const response = await getProvider(provider).complete({
+            model,
+            maxTokens,
+            temperature,
+            system: systemPrompt || undefined,
+            messages
+        });
 
         const responseTime = Date.now() - startTime;
-        const responseText = response.data.content[0].text;
 
         return {
             success: true,
-            response: responseText,
-            usage: response.data.usage,
+            response: response.text,
+            usage: response.usage,
             responseTime,
             model,
+            provider: response.provider,
             temperature,
-            inputTokensEstimate: response.data.usage.input_tokens
+            inputTokensEstimate: response.usage.input_tokens
         };
     } catch (error) {
-        console.error('Claude API error:', error.response?.data || error.message);
+        console.error('LLM provider error:', error.details || error.message);
 
         return {
             success: false,
-            error: error.response?.data?.error?.message || error.message,
-            errorType: error.response?.data?.error?.type || 'unknown',
+            error: error.message,
+            errorType: error.type || 'unknown',
             responseTime: Date.now() - startTime
         };
     }
@@ -245,13 +238,22 @@ async function callClaude(model, temperature, userMessage, apiKey, maxTokens = 2
 
 // Create or get conversation session
 app.post('/api/session/create', (req, res) => {
+    const provider = req.body?.provider || null;
+
+    try {
+        getProvider(provider);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-    const session = new ConversationSession(sessionId);
+    const session = new ConversationSession(sessionId, provider);
     conversationSessions.set(sessionId, session);
 
     res.json({
         success: true,
         sessionId,
+        provider: getProvider(provider).name,
         config: COMPRESSION_CONFIG
     });
 });
@@ -274,6 +276,7 @@ app.get('/api/session/:sessionId', (req, res) => {
             stats: session.stats,
             compressionEvents: session.compressionEvents,
             useCompression: session.useCompression,
+            provider: getProvider(session.provider).name,
             createdAt: session.createdAt,
             lastActivity: session.lastActivity
         }
@@ -306,15 +309,15 @@ app.post('/api/chat', async (req, res) => {
             return res.status(400).json({ error: 'Session ID and message are required' });
         }
 
-        if (!ANTHROPIC_API_KEY) {
-            return res.status(500).json({ error: 'Anthropic API key not configured' });
-        }
-
         const session = conversationSessions.get(sessionId);
         if (!session) {
             return res.status(404).json({ error: 'Session not found' });
         }
 
+        if (!getProvider(session.provider).isConfigured()) {
+            return res.status(500).json({ error: `LLM provider "${getProvider(session.provider).name}" not configured` });
+        }
+
         // Update compression preference if provided
         if (typeof useCompression === 'boolean') {
             session.useCompression = useCompression;
@@ -327,7 +330,7 @@ app.post('/api/chat', async (req, res) => {
         let compressionResult = null;
         if (session.useCompression && session.shouldCompress()) {
             console.log(`🗜️ Compressing conversation for session ${sessionId}...`);
-            compressionResult = await session.compress(ANTHROPIC_API_KEY);
+            compressionResult = await session.compress(session.provider);
 
             if (!compressionResult.success) {
                 console.error('Compression failed:', compressionResult.error);
@@ -353,7 +356,7 @@ app.post('/api/chat', async (req, res) => {
             COMPRESSION_CONFIG.model,
             0.7, // Higher temperature for more natural conversation
             apiMessages[apiMessages.length - 1].content,
-            ANTHROPIC_API_KEY,
+            session.provider,
             2000,
             systemPrompt
         );
@@ -429,28 +432,34 @@ app.get('/api/session/:sessionId/compare', (req, res) => {
     const fullHistory = session.getFullHistory();
     const compressedHistory = session.getCompressedHistory();
 
-    // Estimate tokens (rough estimate: 1 token ≈ 4 characters)
-    const estimateTokens = (text) => Math.ceil(text.length / 4);
-
     const fullHistoryText = fullHistory.map(m => m.content).join(' ');
     const compressedHistoryText = compressedHistory.map(m => m.content).join(' ');
 
+    // Counted with the BPE tokenizer for the compression model
+    const fullCount = countTokens(fullHistoryText, COMPRESSION_CONFIG.model);
+    const compressedCount = countTokens(compressedHistoryText, COMPRESSION_CONFIG.model);
+
     const comparison = {
         full: {
             messageCount: fullHistory.length,
             characterCount: fullHistoryText.length,
-            estimatedTokens: estimateTokens(fullHistoryText)
+            estimatedTokens: fullCount.tokens
         },
         compressed: {
             messageCount: compressedHistory.length,
             characterCount: compressedHistoryText.length,
-            estimatedTokens: estimateTokens(compressedHistoryText)
+            estimatedTokens: compressedCount.tokens
         },
         savings: {
             messageReduction: fullHistory.length - compressedHistory.length,
             characterReduction: fullHistoryText.length - compressedHistoryText.length,
-            estimatedTokenReduction: estimateTokens(fullHistoryText) - estimateTokens(compressedHistoryText),
-            percentageSaved: ((estimateTokens(fullHistoryText) - estimateTokens(compressedHistoryText)) / estimateTokens(fullHistoryText) * 100).toFixed(2)
+            estimatedTokenReduction: fullCount.tokens - compressedCount.tokens,
+            percentageSaved: ((fullCount.tokens - compressedCount.tokens) / fullCount.tokens * 100).toFixed(2)
+        },
+        tokenizer: {
+            encoding: fullCount.encoding,
+            exact: fullCount.exact,
+            method: fullCount.method
         },
         stats: session.stats
     };
@@ -503,7 +512,8 @@ app.get('/api/sessions', (req, res) => {
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
-        hasApiKey: !!ANTHROPIC_API_KEY,
+        hasApiKey: getProvider().isConfigured(),
+        provider: getProvider().name,
         activeSessions: conversationSessions.size,
         compressionConfig: COMPRESSION_CONFIG,
         timestamp: new Date().toISOString()
@@ -535,6 +545,7 @@ setInterval(() => {
 app.listen(PORT, () => {
     console.log(`Day 7 - Dialogue Compression running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to test dialogue compression`);
+    console.log(`LLM provider: ${getProvider().name} (configured: ${getProvider().isConfigured()})`);
     console.log(`API Key configured: ${!!ANTHROPIC_API_KEY}`);
     console.log(`\nCompression Settings:`);
     console.log(`  - Messages before compression: ${COMPRESSION_CONFIG.messagesBeforeCompression}`);
@@ -5,6 +5,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { WeatherMCPServer } = require('./weather-server.js');
+const { ApiAuth } = require('../day1/api-auth');
 
 const app = express();
 const PORT = process.env.PORT || 3009;
@@ -13,6 +14,11 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
+// API keys and per-key daily quotas
+const apiAuth = new ApiAuth({ service: 'day9', meterResponseBodies: true });
+app.use(apiAuth.middleware());
+apiAuth.registerRoutes(app);
+
 /**
  * Day 9 - Custom WeatherTool MCP Web Server
  * Provides web UI for testing the custom WeatherTool through MCP